@@ -0,0 +1,546 @@
+// Initial schema
+//
+// Every table the server used to create on boot with CREATE TABLE IF NOT
+// EXISTS, plus the data upgrades that ran with it (lifecycle statuses,
+// batches, roles, masked passwords, E.164 numbers). Everything is written to
+// be re-run safely, so databases created before migrations existed are
+// brought up to date and recorded as version 1.
+
+// Phone normalization as src/phone.js did it when this migration was
+// written, copied so later changes to the API's rules do not change what
+// this migration does.
+const E164_PATTERN = /^\+55[1-9]\d9\d{8}$/;
+
+const DDDS = new Set([
+  11, 12, 13, 14, 15, 16, 17, 18, 19, 21, 22, 24, 27, 28,
+  31, 32, 33, 34, 35, 37, 38, 41, 42, 43, 44, 45, 46, 47, 48, 49,
+  51, 53, 54, 55, 61, 62, 63, 64, 65, 66, 67, 68, 69,
+  71, 73, 74, 75, 77, 79, 81, 82, 83, 84, 85, 86, 87, 88, 89,
+  91, 92, 93, 94, 95, 96, 97, 98, 99
+].map(String));
+
+// "+55DDD9XXXXXXXX" for a Brazilian mobile number, or null
+function normalizePhone(input) {
+  const raw = input === undefined || input === null ? '' : String(input).trim();
+  if (raw === '' || !/^\+?[\d\-().\s]+$/.test(raw)) return null;
+
+  let digits = raw.replace(/\D/g, '');
+
+  if (raw.startsWith('+') || digits.startsWith('00')) {
+    digits = digits.replace(/^00/, '');
+    if (!digits.startsWith('55')) return null;
+    digits = digits.slice(2);
+  } else if (digits.startsWith('0')) {
+    // Trunk prefix, optionally followed by a carrier selection code
+    digits = digits.slice(1);
+    if (digits.length === 12 || digits.length === 13) digits = digits.slice(2);
+  } else if (digits.startsWith('55') && (digits.length === 12 || digits.length === 13)) {
+    digits = digits.slice(2);
+  }
+
+  if (digits.length !== 10 && digits.length !== 11) return null;
+
+  const ddd = digits.slice(0, 2);
+  if (!DDDS.has(ddd)) return null;
+
+  let subscriber = digits.slice(2);
+  if (/^[2-5]/.test(subscriber)) return null;
+  if (subscriber.length === 8) {
+    if (!/^[6-9]/.test(subscriber)) return null;
+    subscriber = `9${subscriber}`;
+  } else if (!subscriber.startsWith('9')) {
+    return null;
+  }
+
+  return `+55${ddd}${subscriber}`;
+}
+
+async function up(client, { log }) {
+  // Create device_models table
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS device_models (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(100) UNIQUE NOT NULL,
+      description TEXT,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+
+  // Create commands table
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS commands (
+      id SERIAL PRIMARY KEY,
+      model_id INTEGER REFERENCES device_models(id) ON DELETE CASCADE,
+      command_text VARCHAR(255) NOT NULL,
+      description TEXT,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE(model_id, command_text)
+    )
+  `);
+
+  // Create sms_history table
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS sms_history (
+      id SERIAL PRIMARY KEY,
+      phone_number VARCHAR(20) NOT NULL,
+      model_id INTEGER REFERENCES device_models(id),
+      command_text VARCHAR(255) NOT NULL,
+      status VARCHAR(20) DEFAULT 'sent',
+      sent_at TIMESTAMP DEFAULT NOW(),
+      details TEXT,
+      notes TEXT,
+      response_data JSONB
+    )
+  `);
+
+  // Create sms_inbound table (tracker replies)
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS sms_inbound (
+      id SERIAL PRIMARY KEY,
+      phone_number VARCHAR(20) NOT NULL,
+      message TEXT NOT NULL,
+      received_at TIMESTAMP DEFAULT NOW(),
+      provider VARCHAR(50),
+      history_id INTEGER REFERENCES sms_history(id) ON DELETE SET NULL,
+      raw JSONB,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+
+  // Reply parser columns
+  await client.query(`
+    ALTER TABLE device_models ADD COLUMN IF NOT EXISTS parser VARCHAR(50);
+    ALTER TABLE sms_inbound ADD COLUMN IF NOT EXISTS parser VARCHAR(50);
+    ALTER TABLE sms_inbound ADD COLUMN IF NOT EXISTS parsed JSONB;
+  `);
+
+  // Message lifecycle: one timestamp per status plus the provider's message ID
+  await client.query(`
+    ALTER TABLE sms_history ADD COLUMN IF NOT EXISTS provider VARCHAR(50);
+    ALTER TABLE sms_history ADD COLUMN IF NOT EXISTS provider_message_id VARCHAR(100);
+    ALTER TABLE sms_history ADD COLUMN IF NOT EXISTS error_code VARCHAR(50);
+    ALTER TABLE sms_history ADD COLUMN IF NOT EXISTS queued_at TIMESTAMP;
+    ALTER TABLE sms_history ADD COLUMN IF NOT EXISTS submitted_at TIMESTAMP;
+    ALTER TABLE sms_history ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMP;
+    ALTER TABLE sms_history ADD COLUMN IF NOT EXISTS undelivered_at TIMESTAMP;
+    ALTER TABLE sms_history ADD COLUMN IF NOT EXISTS expired_at TIMESTAMP;
+    ALTER TABLE sms_history ADD COLUMN IF NOT EXISTS failed_at TIMESTAMP;
+    ALTER TABLE sms_history ADD COLUMN IF NOT EXISTS status_updated_at TIMESTAMP;
+  `);
+
+  // Rows written before the lifecycle existed used 'sent'
+  await client.query(`
+    UPDATE sms_history
+    SET status = 'submitted',
+        submitted_at = COALESCE(submitted_at, sent_at),
+        provider = COALESCE(provider, response_data->>'provider'),
+        provider_message_id = COALESCE(provider_message_id, response_data->>'messageId')
+    WHERE status = 'sent'
+  `);
+
+  // Send batches and the durable send queue, one job per recipient
+  // (see src/batches.js and src/queue.js)
+  await client.query(`
+    ALTER TABLE sms_history ADD COLUMN IF NOT EXISTS batch_id UUID;
+    ALTER TABLE sms_history ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP;
+
+    CREATE TABLE IF NOT EXISTS sms_batches (
+      id UUID PRIMARY KEY,
+      model_id INTEGER REFERENCES device_models(id) ON DELETE SET NULL,
+      command_text TEXT NOT NULL,
+      notes TEXT,
+      total_count INTEGER NOT NULL DEFAULT 0,
+      created_by VARCHAR(100),
+      source_ip VARCHAR(45),
+      cancelled_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS sms_jobs (
+      id SERIAL PRIMARY KEY,
+      history_id INTEGER NOT NULL REFERENCES sms_history(id) ON DELETE CASCADE,
+      batch_id UUID NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      max_attempts INTEGER NOT NULL DEFAULT 5,
+      run_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      locked_by VARCHAR(100),
+      locked_at TIMESTAMP,
+      last_error TEXT,
+      completed_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+  `);
+
+  // Command template and parameter values a batch was rendered from
+  await client.query(`
+    ALTER TABLE sms_batches ADD COLUMN IF NOT EXISTS command_template TEXT;
+    ALTER TABLE sms_batches ADD COLUMN IF NOT EXISTS parameters JSONB;
+  `);
+
+  // Device inventory (see src/devices.js)
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS devices (
+      id SERIAL PRIMARY KEY,
+      imei VARCHAR(15) UNIQUE,
+      label VARCHAR(100),
+      plate VARCHAR(50),
+      phone_number VARCHAR(20) NOT NULL UNIQUE,
+      model_id INTEGER NOT NULL REFERENCES device_models(id),
+      install_date DATE,
+      customer VARCHAR(150),
+      notes TEXT,
+      active BOOLEAN NOT NULL DEFAULT true,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+
+    ALTER TABLE sms_history ADD COLUMN IF NOT EXISTS device_id INTEGER REFERENCES devices(id) ON DELETE SET NULL;
+  `);
+
+  // Batches queued before sms_batches existed
+  await client.query(`
+    INSERT INTO sms_batches (id, model_id, command_text, notes, total_count, created_at)
+    SELECT batch_id, MIN(model_id), MIN(command_text), MIN(notes), COUNT(*), MIN(queued_at)
+    FROM sms_history
+    WHERE batch_id IS NOT NULL
+    GROUP BY batch_id
+    ON CONFLICT (id) DO NOTHING
+  `);
+
+  // Password vault: encrypted device/model passwords and the real command
+  // text of jobs that carry one (see src/vault.js)
+  await client.query(`
+    ALTER TABLE devices ADD COLUMN IF NOT EXISTS password_encrypted TEXT;
+    ALTER TABLE device_models ADD COLUMN IF NOT EXISTS default_password_encrypted TEXT;
+    ALTER TABLE sms_jobs ADD COLUMN IF NOT EXISTS payload_encrypted TEXT;
+  `);
+
+  // User accounts, login sessions and API keys (see src/auth.js). History
+  // rows and batches record the user and, for integrations, the key.
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS users (
+      id SERIAL PRIMARY KEY,
+      username VARCHAR(50) NOT NULL,
+      name VARCHAR(100),
+      password_hash TEXT NOT NULL,
+      active BOOLEAN NOT NULL DEFAULT true,
+      last_login_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_users_username ON users(LOWER(username));
+
+    CREATE TABLE IF NOT EXISTS user_sessions (
+      token_hash CHAR(64) PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      expires_at TIMESTAMP NOT NULL,
+      ip VARCHAR(45),
+      user_agent VARCHAR(255),
+      last_seen_at TIMESTAMP DEFAULT NOW(),
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      prefix VARCHAR(8) NOT NULL,
+      key_hash CHAR(64) NOT NULL UNIQUE,
+      scopes TEXT[] NOT NULL,
+      user_id INTEGER NOT NULL REFERENCES users(id),
+      created_by INTEGER REFERENCES users(id),
+      expires_at TIMESTAMP,
+      revoked_at TIMESTAMP,
+      last_used_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    ALTER TABLE sms_history ADD COLUMN IF NOT EXISTS user_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+    ALTER TABLE sms_history ADD COLUMN IF NOT EXISTS api_key_id INTEGER REFERENCES api_keys(id) ON DELETE SET NULL;
+    ALTER TABLE sms_batches ADD COLUMN IF NOT EXISTS user_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+    ALTER TABLE sms_batches ADD COLUMN IF NOT EXISTS api_key_id INTEGER REFERENCES api_keys(id) ON DELETE SET NULL;
+  `);
+
+  // Roles (see ROLES in src/auth.js). Users created before roles existed had
+  // full access, so they become admins; new users default to operator.
+  await client.query(`
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(20);
+    UPDATE users SET role = 'admin' WHERE role IS NULL;
+    ALTER TABLE users ALTER COLUMN role SET DEFAULT 'operator';
+    ALTER TABLE users ALTER COLUMN role SET NOT NULL;
+  `);
+
+  // Append-only audit trail (see src/audit.js). Actor names are copied so
+  // entries survive user and key changes.
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id BIGSERIAL PRIMARY KEY,
+      occurred_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      user_id INTEGER,
+      username VARCHAR(50),
+      api_key_id INTEGER,
+      api_key_name VARCHAR(100),
+      ip VARCHAR(45),
+      method VARCHAR(10) NOT NULL,
+      route VARCHAR(200),
+      path VARCHAR(500) NOT NULL,
+      status_code INTEGER NOT NULL,
+      action VARCHAR(30),
+      entity_type VARCHAR(30),
+      entity_id VARCHAR(64),
+      before JSONB,
+      after JSONB
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_audit_log_occurred ON audit_log(occurred_at DESC);
+    CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity_type, entity_id);
+    CREATE INDEX IF NOT EXISTS idx_audit_log_user ON audit_log(user_id);
+
+    CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+    BEGIN
+      RAISE EXCEPTION 'audit_log is append-only';
+    END;
+    $$ LANGUAGE plpgsql;
+
+    DO $$
+    BEGIN
+      IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'audit_log_append_only') THEN
+        CREATE TRIGGER audit_log_append_only
+          BEFORE UPDATE OR DELETE OR TRUNCATE ON audit_log
+          FOR EACH STATEMENT EXECUTE FUNCTION audit_log_append_only();
+      END IF;
+    END
+    $$;
+  `);
+
+  // Bulk recipient imports: the uploaded rows, validated, waiting to be
+  // launched (see src/imports.js)
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS sms_imports (
+      id UUID PRIMARY KEY,
+      filename VARCHAR(255),
+      status VARCHAR(20) NOT NULL DEFAULT 'preview',
+      command_template TEXT NOT NULL,
+      model_id INTEGER REFERENCES device_models(id) ON DELETE SET NULL,
+      parameters JSONB,
+      notes TEXT,
+      columns JSONB,
+      total_rows INTEGER NOT NULL DEFAULT 0,
+      valid_rows INTEGER NOT NULL DEFAULT 0,
+      invalid_rows INTEGER NOT NULL DEFAULT 0,
+      duplicate_rows INTEGER NOT NULL DEFAULT 0,
+      batch_ids UUID[],
+      user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      api_key_id INTEGER REFERENCES api_keys(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT NOW(),
+      launched_at TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS sms_import_rows (
+      id SERIAL PRIMARY KEY,
+      import_id UUID NOT NULL REFERENCES sms_imports(id) ON DELETE CASCADE,
+      row_number INTEGER NOT NULL,
+      phone_number VARCHAR(50),
+      model_id INTEGER REFERENCES device_models(id) ON DELETE SET NULL,
+      device_id INTEGER REFERENCES devices(id) ON DELETE SET NULL,
+      parameters JSONB,
+      command_text TEXT,
+      payload_encrypted TEXT,
+      status VARCHAR(20) NOT NULL,
+      errors JSONB,
+      batch_id UUID,
+      history_id INTEGER REFERENCES sms_history(id) ON DELETE SET NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_sms_import_rows_import ON sms_import_rows(import_id, row_number);
+    CREATE INDEX IF NOT EXISTS idx_sms_imports_created ON sms_imports(created_at DESC);
+  `);
+
+  // Scheduled sends (one-off or cron) and one row per run; the unique
+  // (schedule_id, scheduled_for) pair keeps a due time from running twice
+  // (see src/scheduler.js)
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS scheduled_sends (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      model_id INTEGER NOT NULL REFERENCES device_models(id),
+      command_text TEXT NOT NULL,
+      parameters JSONB,
+      password_encrypted TEXT,
+      phone_numbers TEXT[],
+      device_ids INTEGER[],
+      notes TEXT,
+      schedule_type VARCHAR(10) NOT NULL CHECK (schedule_type IN ('once', 'cron')),
+      run_at TIMESTAMPTZ,
+      cron_expression VARCHAR(100),
+      timezone VARCHAR(64) NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'active',
+      next_run_at TIMESTAMPTZ,
+      last_run_at TIMESTAMPTZ,
+      last_batch_id UUID,
+      last_error TEXT,
+      run_count INTEGER NOT NULL DEFAULT 0,
+      user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      api_key_id INTEGER REFERENCES api_keys(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS scheduled_runs (
+      id SERIAL PRIMARY KEY,
+      schedule_id INTEGER NOT NULL REFERENCES scheduled_sends(id) ON DELETE CASCADE,
+      scheduled_for TIMESTAMPTZ NOT NULL,
+      status VARCHAR(20) NOT NULL,
+      batch_id UUID,
+      total INTEGER NOT NULL DEFAULT 0,
+      error TEXT,
+      worker_id VARCHAR(255),
+      created_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE (schedule_id, scheduled_for)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_scheduled_sends_due ON scheduled_sends(next_run_at) WHERE status = 'active';
+    CREATE INDEX IF NOT EXISTS idx_scheduled_runs_schedule ON scheduled_runs(schedule_id, scheduled_for DESC);
+  `);
+
+  // Carrier of numbers ported away from the carrier their prefix belongs
+  // to (see src/phone.js)
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS phone_portability (
+      phone_number VARCHAR(20) PRIMARY KEY,
+      carrier VARCHAR(30) NOT NULL,
+      ported_at DATE,
+      source VARCHAR(50),
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+  `);
+
+  // SMS credits: a single-row running balance and the ledger of every
+  // top-up, per-message debit and refund (see src/credits.js)
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS credit_account (
+      id INTEGER PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+      balance NUMERIC(14,4) NOT NULL DEFAULT 0,
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+
+    INSERT INTO credit_account (id) VALUES (1) ON CONFLICT (id) DO NOTHING;
+
+    CREATE TABLE IF NOT EXISTS credit_ledger (
+      id BIGSERIAL PRIMARY KEY,
+      entry_type VARCHAR(20) NOT NULL CHECK (entry_type IN ('topup', 'debit', 'refund', 'adjustment')),
+      amount NUMERIC(12,4) NOT NULL,
+      segments INTEGER,
+      history_id INTEGER REFERENCES sms_history(id) ON DELETE SET NULL,
+      batch_id UUID,
+      description TEXT,
+      user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      api_key_id INTEGER REFERENCES api_keys(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_credit_ledger_history ON credit_ledger(history_id) WHERE history_id IS NOT NULL;
+    CREATE INDEX IF NOT EXISTS idx_credit_ledger_created ON credit_ledger(created_at DESC);
+  `);
+
+  // Token buckets of the rate limiter (see src/ratelimit.js) and the rules
+  // set on users and API keys
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS rate_limit_buckets (
+      bucket_key VARCHAR(200) PRIMARY KEY,
+      tokens DOUBLE PRECISION NOT NULL,
+      updated_at TIMESTAMPTZ NOT NULL
+    );
+
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS rate_limits JSONB;
+    ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS rate_limits JSONB;
+  `);
+
+  // Numbers stored as typed before normalization become E.164. Numbers
+  // that do not normalize (landlines, typos) are left as they are; a device
+  // whose normalized number already belongs to another device is skipped.
+  for (const [table, column] of [['devices', 'phone_number'], ['sms_history', 'phone_number'], ['sms_inbound', 'phone_number']]) {
+    const stored = await client.query(`SELECT DISTINCT ${column} as phone FROM ${table} WHERE ${column} !~ $1`, [E164_PATTERN.source]);
+    let normalized = 0;
+
+    for (const { phone } of stored.rows) {
+      const e164 = normalizePhone(phone);
+      if (!e164) continue;
+      await client.query('SAVEPOINT normalize_phone');
+      try {
+        await client.query(`UPDATE ${table} SET ${column} = $2 WHERE ${column} = $1`, [phone, e164]);
+        await client.query('RELEASE SAVEPOINT normalize_phone');
+        normalized++;
+      } catch (error) {
+        await client.query('ROLLBACK TO SAVEPOINT normalize_phone');
+        if (error.code !== '23505') throw error;
+        log(`⚠️ Device number ${phone} not normalized: ${e164} belongs to another device`);
+      }
+    }
+    if (normalized > 0) log(`📞 Normalized ${normalized} phone numbers in ${table}`);
+  }
+
+  // Batches sent before the vault stored the typed password in clear text;
+  // mask it in the stored commands and drop it from the parameters
+  await client.query(`
+    UPDATE sms_history h
+    SET command_text = REPLACE(h.command_text, b.parameters->>'password', '******')
+    FROM sms_batches b
+    WHERE h.batch_id = b.id AND COALESCE(b.parameters->>'password', '') NOT IN ('', '******')
+  `);
+  await client.query(`
+    UPDATE sms_batches
+    SET command_text = REPLACE(command_text, parameters->>'password', '******'),
+        parameters = parameters - 'password'
+    WHERE COALESCE(parameters->>'password', '') NOT IN ('', '******')
+  `);
+
+  // Create legacy sms_messages table for compatibility
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS sms_messages (
+      id SERIAL PRIMARY KEY,
+      phone VARCHAR(20) NOT NULL,
+      message TEXT NOT NULL,
+      sender VARCHAR(100) DEFAULT 'system',
+      status VARCHAR(20) DEFAULT 'sent',
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+
+  // Create indexes for better performance
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_sms_history_phone ON sms_history(phone_number);
+    CREATE INDEX IF NOT EXISTS idx_sms_history_status ON sms_history(status);
+    CREATE INDEX IF NOT EXISTS idx_sms_history_sent_at ON sms_history(sent_at);
+    CREATE INDEX IF NOT EXISTS idx_sms_history_provider_message_id ON sms_history(provider_message_id);
+    CREATE INDEX IF NOT EXISTS idx_sms_history_batch ON sms_history(batch_id);
+    CREATE INDEX IF NOT EXISTS idx_sms_history_device ON sms_history(device_id);
+    CREATE INDEX IF NOT EXISTS idx_devices_model ON devices(model_id);
+    CREATE INDEX IF NOT EXISTS idx_devices_plate ON devices(UPPER(plate));
+    CREATE INDEX IF NOT EXISTS idx_sms_batches_created ON sms_batches(created_at DESC);
+    CREATE INDEX IF NOT EXISTS idx_sms_jobs_due ON sms_jobs(status, run_at);
+    CREATE INDEX IF NOT EXISTS idx_sms_jobs_batch ON sms_jobs(batch_id);
+    CREATE INDEX IF NOT EXISTS idx_commands_model_id ON commands(model_id);
+    CREATE INDEX IF NOT EXISTS idx_sms_inbound_history_id ON sms_inbound(history_id);
+    CREATE INDEX IF NOT EXISTS idx_sms_inbound_received_at ON sms_inbound(received_at);
+  `);
+}
+
+// Drops every table: only for a database that holds nothing worth keeping
+async function down(client) {
+  await client.query(`
+    DROP TABLE IF EXISTS
+      sms_messages, rate_limit_buckets, credit_ledger, credit_account, phone_portability,
+      scheduled_runs, scheduled_sends, sms_import_rows, sms_imports, audit_log, api_keys,
+      user_sessions, users, sms_jobs, sms_batches, devices, sms_inbound, sms_history,
+      commands, device_models
+    CASCADE;
+    DROP FUNCTION IF EXISTS audit_log_append_only();
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,112 @@
+// Live events
+//
+// Triggers publish changes on the sms_events channel with pg_notify, so
+// every replica LISTENing (src/events.js) hears about writes made by any of
+// them. Notifications are sent when the writing transaction commits.
+//
+//   batch    messages queued: one notification per batch and statement
+//   status   a history row changed status
+//   inbound  a reply was received
+//   credits  the credit balance changed
+
+async function up(client) {
+  await client.query(`
+    CREATE OR REPLACE FUNCTION sms_events_history_insert() RETURNS trigger AS $$
+    DECLARE
+      batch RECORD;
+    BEGIN
+      FOR batch IN
+        SELECT batch_id, MIN(model_id) as model_id, status, COUNT(*) as count
+        FROM inserted
+        GROUP BY batch_id, status
+      LOOP
+        PERFORM pg_notify('sms_events', json_build_object(
+          'type', 'batch',
+          'batchId', batch.batch_id,
+          'modelId', batch.model_id,
+          'status', batch.status,
+          'count', batch.count
+        )::text);
+      END LOOP;
+      RETURN NULL;
+    END;
+    $$ LANGUAGE plpgsql;
+
+    CREATE OR REPLACE FUNCTION sms_events_history_status() RETURNS trigger AS $$
+    BEGIN
+      IF NEW.status IS DISTINCT FROM OLD.status THEN
+        PERFORM pg_notify('sms_events', json_build_object(
+          'type', 'status',
+          'id', NEW.id,
+          'batchId', NEW.batch_id,
+          'phoneNumber', NEW.phone_number,
+          'status', NEW.status,
+          'previousStatus', OLD.status,
+          'details', LEFT(NEW.details, 300),
+          'at', COALESCE(NEW.status_updated_at, NOW())
+        )::text);
+      END IF;
+      RETURN NULL;
+    END;
+    $$ LANGUAGE plpgsql;
+
+    CREATE OR REPLACE FUNCTION sms_events_inbound() RETURNS trigger AS $$
+    BEGIN
+      PERFORM pg_notify('sms_events', json_build_object(
+        'type', 'inbound',
+        'id', NEW.id,
+        'phoneNumber', NEW.phone_number,
+        'historyId', NEW.history_id,
+        'message', LEFT(NEW.message, 1000),
+        'parser', NEW.parser,
+        'receivedAt', NEW.received_at
+      )::text);
+      RETURN NULL;
+    END;
+    $$ LANGUAGE plpgsql;
+
+    CREATE OR REPLACE FUNCTION sms_events_credits() RETURNS trigger AS $$
+    BEGIN
+      IF NEW.balance IS DISTINCT FROM OLD.balance THEN
+        PERFORM pg_notify('sms_events', json_build_object(
+          'type', 'credits',
+          'balance', NEW.balance
+        )::text);
+      END IF;
+      RETURN NULL;
+    END;
+    $$ LANGUAGE plpgsql;
+
+    CREATE TRIGGER sms_history_events_insert
+      AFTER INSERT ON sms_history
+      REFERENCING NEW TABLE AS inserted
+      FOR EACH STATEMENT EXECUTE FUNCTION sms_events_history_insert();
+
+    CREATE TRIGGER sms_history_events_status
+      AFTER UPDATE OF status ON sms_history
+      FOR EACH ROW EXECUTE FUNCTION sms_events_history_status();
+
+    CREATE TRIGGER sms_inbound_events
+      AFTER INSERT ON sms_inbound
+      FOR EACH ROW EXECUTE FUNCTION sms_events_inbound();
+
+    CREATE TRIGGER credit_account_events
+      AFTER UPDATE OF balance ON credit_account
+      FOR EACH ROW EXECUTE FUNCTION sms_events_credits();
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    DROP TRIGGER IF EXISTS sms_history_events_insert ON sms_history;
+    DROP TRIGGER IF EXISTS sms_history_events_status ON sms_history;
+    DROP TRIGGER IF EXISTS sms_inbound_events ON sms_inbound;
+    DROP TRIGGER IF EXISTS credit_account_events ON credit_account;
+    DROP FUNCTION IF EXISTS sms_events_history_insert();
+    DROP FUNCTION IF EXISTS sms_events_history_status();
+    DROP FUNCTION IF EXISTS sms_events_inbound();
+    DROP FUNCTION IF EXISTS sms_events_credits();
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,31 @@
+// Delivery receipts that arrive before their message ID is stored
+//
+// The message ID is written when the provider call returns, so a fast SMSC
+// or gateway can report delivery first. Those receipts wait here until the
+// send queue records the ID (src/lifecycle.js applyPendingReceipts).
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE pending_receipts (
+      id SERIAL PRIMARY KEY,
+      provider VARCHAR(50),
+      message_id VARCHAR(100) NOT NULL,
+      status VARCHAR(20) NOT NULL,
+      error_code VARCHAR(50),
+      done_at TIMESTAMPTZ,
+      raw JSONB,
+      received_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+
+    CREATE INDEX idx_pending_receipts_message ON pending_receipts(message_id);
+    CREATE INDEX idx_pending_receipts_received ON pending_receipts(received_at);
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    DROP TABLE IF EXISTS pending_receipts;
+  `);
+}
+
+module.exports = { up, down };
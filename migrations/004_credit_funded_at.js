@@ -0,0 +1,23 @@
+// When the credit account got its first top-up
+//
+// The balance starts at zero, so with CREDIT_ENFORCE unset credits are only
+// enforced from the first top-up on (see src/credits.js). Databases that
+// were already topped up count as funded from their first top-up.
+
+async function up(client) {
+  await client.query(`
+    ALTER TABLE credit_account ADD COLUMN funded_at TIMESTAMPTZ;
+
+    UPDATE credit_account
+    SET funded_at = (SELECT MIN(created_at) FROM credit_ledger WHERE entry_type = 'topup')
+    WHERE id = 1;
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    ALTER TABLE credit_account DROP COLUMN IF EXISTS funded_at;
+  `);
+}
+
+module.exports = { up, down };
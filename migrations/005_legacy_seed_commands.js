@@ -0,0 +1,61 @@
+// Seeded commands become templates
+//
+// Before the catalog was seeded from catalog/default.yml, the server seeded
+// commands with the device password and interval hard-coded ("RESET123456",
+// "fix060s123456") and a "Comando <command> para <model>" description.
+// Seeded rows nobody edited are turned into the catalog's templates, so the
+// seed does not add the template next to them. The list is the catalog as
+// it was when this migration was written.
+
+// [model, old seeded command, template, description]
+const LEGACY_COMMANDS = [
+  ['TK103', 'RESET123456', 'RESET{password:digits:6}', 'Reiniciar o rastreador'],
+  ['TK103', 'STATUS123456', 'STATUS{password:digits:6}', 'Consultar status'],
+  ['TK103', 'GPRS123456', 'GPRS{password:digits:6}', 'Ativar modo GPRS'],
+  ['TK102', 'begin123456', 'begin{password:digits:6}', 'Restaurar configuração de fábrica'],
+  ['TK102', 'end123456', 'end{password:digits:6}', 'Parar rastreamento automático'],
+  ['TK102', 'check123456', 'check{password:digits:6}', 'Consultar status'],
+  ['TK102', 'fix060s123456', 'fix{interval:int:010-999}s{password:digits:6}', 'Rastreamento automático a cada N segundos'],
+  ['GT06', 'RESET#', 'RESET#', 'Reiniciar o rastreador'],
+  ['GT06', 'STATUS#', 'STATUS#', 'Consultar status'],
+  ['GT06', 'GPRS#', 'GPRS#', 'Consultar configuração GPRS'],
+  ['GT06', 'SERVER#', 'SERVER#', 'Consultar servidor configurado'],
+  ['ST901', '*123456*000#', '*{password:digits:6}*000#', 'Consultar localização'],
+  ['ST901', '*123456*001#', '*{password:digits:6}*001#', 'Consultar status'],
+  ['ST901', '*123456*002#', '*{password:digits:6}*002#', 'Reiniciar o rastreador'],
+  ['ST901', '*123456*003#', '*{password:digits:6}*003#', 'Consultar configuração']
+];
+
+async function up(client, { log }) {
+  let upgraded = 0;
+
+  for (const [model, legacyCommand, command, description] of LEGACY_COMMANDS) {
+    // Skipped when the model already has the template (added by hand)
+    const result = await client.query(`
+      UPDATE commands c
+      SET command_text = $3, description = $4, updated_at = NOW()
+      FROM device_models m
+      WHERE m.id = c.model_id AND m.name = $1
+        AND c.command_text = $2 AND c.description = $5
+        AND ($2 = $3 OR NOT EXISTS (SELECT 1 FROM commands WHERE model_id = m.id AND command_text = $3))
+    `, [model, legacyCommand, command, description, `Comando ${legacyCommand} para ${model}`]);
+    upgraded += result.rowCount;
+  }
+
+  if (upgraded > 0) log(`📦 Upgraded ${upgraded} seeded commands to templates`);
+}
+
+async function down(client) {
+  for (const [model, legacyCommand, command, description] of LEGACY_COMMANDS) {
+    await client.query(`
+      UPDATE commands c
+      SET command_text = $2, description = $5, updated_at = NOW()
+      FROM device_models m
+      WHERE m.id = c.model_id AND m.name = $1
+        AND c.command_text = $3 AND c.description = $4
+        AND ($2 = $3 OR NOT EXISTS (SELECT 1 FROM commands WHERE model_id = m.id AND command_text = $2))
+    `, [model, legacyCommand, command, description, `Comando ${legacyCommand} para ${model}`]);
+  }
+}
+
+module.exports = { up, down };
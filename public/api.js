@@ -0,0 +1,120 @@
+/* exported api */
+// Cliente da API usado pelo painel (public/script.js)
+//
+// Todas as chamadas passam por request(): JSON na ida e na volta, cookie de
+// sessão e um único tipo de erro (ApiError) com a mensagem já pronta para
+// mostrar ao usuário. Uma resposta 401 fora do login dispara o evento
+// 'api:unauthorized' na janela para o painel voltar à tela de login.
+const api = (() => {
+    class ApiError extends Error {
+        constructor(message, { status = 0, body = {} } = {}) {
+            super(message);
+            this.name = 'ApiError';
+            this.status = status;
+            this.body = body;
+            // Erros por campo ({ campo: mensagem }) das validações do servidor
+            this.errors = body.errors || {};
+        }
+    }
+
+    // Monta a mensagem de erro a partir do corpo padrão { success: false, error, message }
+    const errorMessage = (status, body) => {
+        if (status === 429) {
+            return `Muitas requisições. Tente novamente em ${body.retryAfter || 'alguns'} segundo(s).`;
+        }
+        if (status === 402 && body.required !== undefined) {
+            return `Saldo insuficiente: o envio custa ${body.required} e o saldo é ${body.balance}.`;
+        }
+        if (status === 403) return body.error || 'Você não tem permissão para esta ação.';
+        const detail = body.message && body.message !== 'Internal server error' ? `: ${body.message}` : '';
+        return `${body.error || `Erro ${status}`}${detail}`;
+    };
+
+    const buildUrl = (path, query = {}) => {
+        const params = new URLSearchParams();
+        for (const [key, value] of Object.entries(query)) {
+            if (value !== undefined && value !== null && value !== '') params.set(key, value);
+        }
+        const search = params.toString();
+        return search ? `${path}?${search}` : path;
+    };
+
+    const send = async (method, path, { query, body } = {}) => {
+        const options = { method, credentials: 'same-origin', headers: { Accept: 'application/json' } };
+        if (body !== undefined) {
+            options.headers['Content-Type'] = 'application/json';
+            options.body = JSON.stringify(body);
+        }
+
+        let response;
+        try {
+            response = await fetch(buildUrl(path, query), options);
+        } catch (error) {
+            throw new ApiError('Sem conexão com o servidor');
+        }
+
+        if (!response.ok) {
+            const errorBody = await response.json().catch(() => ({}));
+            if (response.status === 401 && path !== '/api/auth/login') {
+                window.dispatchEvent(new CustomEvent('api:unauthorized'));
+            }
+            throw new ApiError(errorMessage(response.status, errorBody), { status: response.status, body: errorBody });
+        }
+        return response;
+    };
+
+    const request = async (method, path, options) => {
+        const response = await send(method, path, options);
+        return response.status === 204 ? {} : response.json();
+    };
+
+    // Baixa um arquivo (relatórios); erros chegam como JSON e viram ApiError
+    const download = async (path, query) => {
+        const response = await send('GET', path, { query });
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const filename = (disposition.match(/filename="?([^";]+)"?/) || [])[1] || 'download';
+        const url = URL.createObjectURL(await response.blob());
+        const link = Object.assign(document.createElement('a'), { href: url, download: filename });
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+        return filename;
+    };
+
+    return {
+        ApiError,
+        download,
+        auth: {
+            me: () => request('GET', '/api/auth/me'),
+            login: (username, password) => request('POST', '/api/auth/login', { body: { username, password } }),
+            logout: () => request('POST', '/api/auth/logout')
+        },
+        models: {
+            list: () => request('GET', '/api/models'),
+            create: (model) => request('POST', '/api/models', { body: model }),
+            update: (id, model) => request('PUT', `/api/models/${id}`, { body: model }),
+            remove: (id) => request('DELETE', `/api/models/${id}`),
+            commands: (id) => request('GET', `/api/models/${id}/commands`)
+        },
+        commands: {
+            create: (command) => request('POST', '/api/commands', { body: command }),
+            update: (id, command) => request('PUT', `/api/commands/${id}`, { body: command }),
+            remove: (id) => request('DELETE', `/api/commands/${id}`)
+        },
+        sms: {
+            send: (payload) => request('POST', '/api/sms/send', { body: payload }),
+            history: (query) => request('GET', '/api/sms/history', { query }),
+            stats: (period) => request('GET', '/api/sms/stats', { query: { period } })
+        },
+        credits: {
+            summary: () => request('GET', '/api/credits')
+        },
+        reports: {
+            pdf: (query) => download('/api/reports/pdf', query),
+            export: (query) => download('/api/reports/export', query)
+        },
+        // Fluxo de eventos ao vivo (GET /api/events)
+        events: () => new EventSource('/api/events', { withCredentials: true })
+    };
+})();
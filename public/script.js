@@ -1,9 +1,11 @@
+/* global api */
 document.addEventListener('DOMContentLoaded', () => {
     // --- Seletores de Elementos do DOM ---
     const smsForm = document.getElementById('sms-form');
     const phoneNumbersTextarea = document.getElementById('phone-numbers');
     const deviceModelSelect = document.getElementById('device-model');
     const commandInput = document.getElementById('message-text');
+    const commandsList = document.getElementById('commands-list');
     const commandsDisplay = document.getElementById('commands-display');
     const historyBody = document.getElementById('history-body');
     const notification = document.getElementById('notification');
@@ -16,25 +18,419 @@ document.addEventListener('DOMContentLoaded', () => {
     const paginationControls = document.getElementById('pagination-controls');
     const downloadPdfBtn = document.getElementById('download-pdf-btn');
     const pdfPeriodSelect = document.getElementById('pdf-period');
+    const downloadExportBtn = document.getElementById('download-export-btn');
+    const exportFormatSelect = document.getElementById('export-format');
     const modelsList = document.getElementById('models-list');
+    const commandParameters = document.getElementById('command-parameters');
+    const historyFilterForm = document.getElementById('history-filter-form');
+    const historyModelFilter = document.getElementById('history-model-filter');
+    const statsPeriodSelect = document.getElementById('stats-period');
+    const statsSummary = document.getElementById('stats-summary');
+    const statsDailyChart = document.getElementById('stats-daily-chart');
+    const statsModelsChart = document.getElementById('stats-models-chart');
+    const editModal = document.getElementById('edit-modal');
+    const editCommandForm = document.getElementById('edit-command-form');
+    const editModelModal = document.getElementById('edit-model-modal');
+    const editModelForm = document.getElementById('edit-model-form');
+    const loginOverlay = document.getElementById('login-overlay');
+    const loginForm = document.getElementById('login-form');
+    const loginError = document.getElementById('login-error');
+    const currentUserBadge = document.getElementById('current-user');
+    const logoutBtn = document.getElementById('logout-btn');
+    const liveStatusBadge = document.getElementById('live-status');
+    const liveStatusText = document.getElementById('live-status-text');
+    const queueCountSpan = document.getElementById('queue-count');
 
-    // VariÃ¡veis de estado
-    let commandData = {};
+    // Variáveis de estado
+    let models = [];
+    const commandData = {};
+    let permissions = [];
     let currentPage = 1;
+    let historyFilters = {};
     const recordsPerPage = 20;
+    let lowBalanceThreshold = 0;
+    let pendingCount = 0;
+    let liveLost = false;
 
-    // --- FunÃ§Ãµes da AplicaÃ§Ã£o ---
-    const showNotification = (message, type = 'success') => { /* ... (cÃ³digo das versÃµes anteriores) ... */ };
-    const getCarrierHTML = (operator) => { /* ... (cÃ³digo das versÃµes anteriores) ... */ };
-    const updateCommandLists = (commands = []) => { /* ... (cÃ³digo das versÃµes anteriores) ... */ };
-    const renderModelsList = (models) => { /* ... (cÃ³digo das versÃµes anteriores) ... */ };
-    const loadModelsAndCommands = async () => { /* ... (cÃ³digo das versÃµes anteriores) ... */ };
-    const loadHistory = async (page = 1) => { /* ... (cÃ³digo das versÃµes anteriores) ... */ };
-    const loadCredits = async () => { /* ... (cÃ³digo das versÃµes anteriores) ... */ };
-    const renderPagination = (totalItems) => { /* ... (cÃ³digo das versÃµes anteriores) ... */ };
+    const KNOWN_CARRIER_LOGOS = ['claro', 'oi', 'tim', 'vivo'];
+    const STATUS_LABELS = {
+        queued: 'Na fila',
+        submitted: 'Enviado',
+        delivered: 'Entregue',
+        undelivered: 'Não entregue',
+        expired: 'Expirado',
+        failed: 'Falhou',
+        cancelled: 'Cancelado'
+    };
+
+    // --- Funções da Aplicação ---
+    const can = (permission) => permissions.includes(permission);
+    // Agrupa rajadas de eventos (um lote grande gera um evento por número)
+    const debounce = (fn, wait) => {
+        let timer;
+        return (...args) => {
+            clearTimeout(timer);
+            timer = setTimeout(() => fn(...args), wait);
+        };
+    };
+    let notificationTimer;
+    const showNotification = (message, type = 'success') => {
+        notification.textContent = message;
+        notification.className = `notification ${type} show`;
+        clearTimeout(notificationTimer);
+        notificationTimer = setTimeout(() => notification.classList.remove('show'), type === 'error' ? 6000 : 3500);
+    };
+    const escapeHTML = (value) => String(value ?? '').replace(/[&<>"']/g, (ch) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+    const formatNumber = (value, digits = 0) => (value === null || value === undefined
+        ? '—'
+        : Number(value).toLocaleString('pt-BR', { minimumFractionDigits: digits, maximumFractionDigits: digits }));
+    const getCarrierHTML = (carrier) => {
+        if (!carrier) return '';
+        const logo = KNOWN_CARRIER_LOGOS.includes(carrier.key) ? carrier.key : 'default';
+        return `<span class="carrier-info"><img class="carrier-logo" src="images/carriers/${logo}.png" alt=""><small>${escapeHTML(carrier.name)}</small></span>`;
+    };
+    // Mantém a opção escolhida ao recarregar a lista de modelos
+    const fillModelSelect = (select, placeholder) => {
+        const selected = select.value;
+        select.innerHTML = `<option value="">${placeholder}</option>` +
+            models.map(model => `<option value="${model.id}">${escapeHTML(model.name)}</option>`).join('');
+        if (models.some(model => String(model.id) === selected)) select.value = selected;
+    };
+    const openModal = (modal) => { modal.style.display = 'flex'; };
+    const closeModal = (modal) => { modal.style.display = 'none'; };
+
+    const updateCommandLists = (commands = []) => {
+        commandsList.innerHTML = commands.map(command => `<option value="${escapeHTML(command.command_text)}"></option>`).join('');
+        if (!deviceModelSelect.value) {
+            commandsDisplay.innerHTML = '<div class="empty-state"><i class="fas fa-arrow-left"></i><p>Selecione um modelo para visualizar os comandos</p></div>';
+            return;
+        }
+        if (commands.length === 0) {
+            commandsDisplay.innerHTML = '<div class="empty-state"><i class="fas fa-inbox"></i><p>Nenhum comando cadastrado para este modelo</p></div>';
+            return;
+        }
+        const actions = can('catalog:write') ? `
+                <div class="command-actions">
+                    <button type="button" class="edit-btn" title="Editar"><i class="fas fa-pen"></i></button>
+                    <button type="button" class="delete-btn" title="Excluir"><i class="fas fa-trash"></i></button>
+                </div>` : '';
+        commandsDisplay.innerHTML = `<div class="commands-grid">${commands.map(command => `
+            <div class="command-item" data-id="${command.id}" title="Usar este comando">
+                <div class="command-content">
+                    <span class="command-text">${escapeHTML(command.command_text)}</span>
+                    ${command.description ? `<span class="command-description">${escapeHTML(command.description)}</span>` : ''}
+                </div>${actions}
+            </div>`).join('')}</div>`;
+    };
+    const loadCommands = async (modelId) => {
+        if (!modelId) {
+            updateCommandLists([]);
+            return;
+        }
+        try {
+            const result = await api.models.commands(modelId);
+            commandData[modelId] = result.data;
+            if (deviceModelSelect.value === String(modelId)) updateCommandLists(result.data);
+        } catch (error) {
+            showNotification(error.message, 'error');
+        }
+    };
+    const findCommand = (id) => (commandData[deviceModelSelect.value] || []).find(command => String(command.id) === String(id));
+
+    const renderModelsList = () => {
+        if (models.length === 0) {
+            modelsList.innerHTML = '<div class="empty-state"><i class="fas fa-microchip"></i><p>Nenhum modelo cadastrado</p></div>';
+            return;
+        }
+        modelsList.innerHTML = models.map(model => `
+            <div class="model-list-item" data-id="${model.id}">
+                <span>${escapeHTML(model.name)}<small>${model.command_count} comando(s)${model.description ? ` · ${escapeHTML(model.description)}` : ''}</small></span>
+                <div class="model-actions">
+                    <button type="button" class="edit-model-btn" title="Editar modelo"><i class="fas fa-pen"></i></button>
+                    <button type="button" class="delete-model-btn" title="Excluir modelo"><i class="fas fa-trash"></i></button>
+                </div>
+            </div>`).join('');
+    };
+    const loadModelsAndCommands = async () => {
+        try {
+            const result = await api.models.list();
+            models = result.data;
+            fillModelSelect(deviceModelSelect, 'Selecione o modelo...');
+            fillModelSelect(commandModelSelect, 'Selecione o modelo...');
+            fillModelSelect(historyModelFilter, 'Todos os modelos');
+            renderModelsList();
+            await loadCommands(deviceModelSelect.value);
+        } catch (error) {
+            showNotification(error.message, 'error');
+        }
+    };
+
+    const renderParsedFields = (fields = {}) => {
+        const badges = [];
+        if (fields.latitude !== undefined) badges.push(`<a href="https://maps.google.com/maps?q=${fields.latitude},${fields.longitude}" target="_blank" rel="noopener"><i class="fas fa-map-marker-alt"></i> ${fields.latitude}, ${fields.longitude}</a>`);
+        if (fields.speed !== undefined) badges.push(`<i class="fas fa-tachometer-alt"></i> ${fields.speed} km/h`);
+        if (fields.gpsFix !== undefined) badges.push(`<i class="fas fa-satellite"></i> ${fields.gpsFix ? 'GPS OK' : 'Sem GPS'}`);
+        if (fields.gsmSignal !== undefined) badges.push(`<i class="fas fa-signal"></i> ${fields.gsmSignal}%`);
+        if (fields.battery !== undefined) badges.push(`<i class="fas fa-battery-half"></i> ${fields.battery}%`);
+        if (fields.imei) badges.push(`IMEI ${escapeHTML(fields.imei)}`);
+        if (fields.server) badges.push(`<i class="fas fa-server"></i> ${escapeHTML(fields.server.host)}:${fields.server.port}`);
+        if (fields.apn) badges.push(`APN ${escapeHTML(fields.apn.name)}`);
+        return badges.length > 0 ? `<div class="reply-fields">${badges.map(b => `<span>${b}</span>`).join('')}</div>` : '';
+    };
+    const renderReplies = (replies = []) => {
+        if (replies.length === 0) return '<span class="reply-empty">—</span>';
+        return `<ul class="reply-list">${replies.map(reply => `
+            <li class="reply-item">
+                <span class="reply-text">${escapeHTML(reply.message)}</span>
+                ${renderParsedFields(reply.parsed || {})}
+                <small class="reply-time">${new Date(reply.received_at).toLocaleString('pt-BR')}</small>
+            </li>`).join('')}</ul>`;
+    };
+    // Placeholders {nome:tipo:restrição} do comando; a validação definitiva é feita no servidor
+    const parsePlaceholders = (template) => {
+        const placeholders = [];
+        const pattern = /\{\{|\}\}|\{([A-Za-z_][A-Za-z0-9_]*)(?::(\w+))?(?::([^{}]*))?\}/g;
+        let match;
+        while ((match = pattern.exec(template)) !== null) {
+            if (!match[1] || placeholders.some(p => p.name === match[1])) continue;
+            placeholders.push({ name: match[1], type: match[2] || 'string', constraint: match[3] || '' });
+        }
+        return placeholders;
+    };
+    const renderParameterInput = ({ name, type, constraint }) => {
+        const id = `param-${name}`;
+        const range = constraint.match(/^(\d+)(?:-(\d+))?$/);
+        let input;
+        if (name === 'password') {
+            // Stored passwords (device or model default) are used when left empty
+            input = `<input type="password" id="${id}" data-param="${name}" autocomplete="off" placeholder="Usar senha armazenada">`;
+        } else if (type === 'enum') {
+            const options = constraint.split('|').map(option => `<option value="${escapeHTML(option)}">${escapeHTML(option)}</option>`).join('');
+            input = `<select id="${id}" data-param="${name}" required>${options}</select>`;
+        } else if (type === 'int') {
+            const limits = range ? `min="${parseInt(range[1])}" max="${parseInt(range[2] || range[1])}"` : 'min="0"';
+            input = `<input type="number" id="${id}" data-param="${name}" ${limits} step="1" required>`;
+        } else if (type === 'digits') {
+            const length = range ? `{${range[1]},${range[2] || range[1]}}` : '+';
+            input = `<input type="text" id="${id}" data-param="${name}" inputmode="numeric" pattern="\\d${length}" required>`;
+        } else {
+            const inputType = type === 'phone' ? 'tel' : 'text';
+            input = `<input type="${inputType}" id="${id}" data-param="${name}" required>`;
+        }
+        return `
+            <div class="form-group">
+                <label for="${id}">${escapeHTML(name)} <small>(${escapeHTML(type)}${constraint ? ` ${escapeHTML(constraint)}` : ''})</small></label>
+                ${input}
+                <small class="param-error" data-param-error="${name}"></small>
+            </div>`;
+    };
+    const renderCommandParameters = () => {
+        const placeholders = parsePlaceholders(commandInput.value);
+        const current = [...commandParameters.querySelectorAll('[data-param]')].map(el => el.dataset.param).join(',');
+        if (current === placeholders.map(p => p.name).join(',')) return;
+        commandParameters.innerHTML = placeholders.map(renderParameterInput).join('');
+    };
+    const collectParameters = () => Object.fromEntries(
+        [...commandParameters.querySelectorAll('[data-param]')]
+            .filter(el => el.dataset.param !== 'password' || el.value.trim() !== '')
+            .map(el => [el.dataset.param, el.value])
+    );
+    const showParameterErrors = (errors = {}) => {
+        commandParameters.querySelectorAll('[data-param]').forEach(el => {
+            const message = errors[el.dataset.param];
+            el.classList.toggle('invalid', Boolean(message));
+            commandParameters.querySelector(`[data-param-error="${el.dataset.param}"]`).textContent = message || '';
+        });
+    };
+
+    const renderStatus = (status) => {
+        const statusClass = ['failed', 'undelivered', 'expired', 'cancelled'].includes(status) ? 'error' : 'success';
+        return `<span class="status ${statusClass}"><span class="status-dot"></span>${escapeHTML(STATUS_LABELS[status] || status)}</span>`;
+    };
+    // Filtros do formulário no formato de GET /api/sms/history (datas no fuso do navegador)
+    const readHistoryFilters = () => {
+        const value = (id) => document.getElementById(id).value.trim();
+        const dateFrom = value('history-date-from');
+        const dateTo = value('history-date-to');
+        return {
+            search: value('history-search'),
+            phoneNumber: value('history-phone-filter'),
+            modelId: value('history-model-filter'),
+            status: value('history-status-filter'),
+            dateFrom: dateFrom ? new Date(`${dateFrom}T00:00:00`).toISOString() : '',
+            dateTo: dateTo ? new Date(`${dateTo}T23:59:59.999`).toISOString() : '',
+            batchId: value('history-batch-filter')
+        };
+    };
+    const loadHistory = async (page = 1) => {
+        try {
+            const result = await api.sms.history({ ...historyFilters, page, limit: recordsPerPage });
+            currentPage = page;
+            if (result.data.length === 0) {
+                historyBody.innerHTML = `<tr><td colspan="7"><div class="empty-state"><i class="fas fa-inbox"></i><p>Nenhum envio registrado</p></div></td></tr>`;
+            } else {
+                historyBody.innerHTML = result.data.map(item => `
+                        <tr data-id="${item.id}">
+                            <td>${escapeHTML(item.phone_number)}${getCarrierHTML(item.carrier)}</td>
+                            <td>${escapeHTML(item.model_name || '-')}</td>
+                            <td><code>${escapeHTML(item.command_text)}</code></td>
+                            <td data-field="details">${escapeHTML(item.details || '-')}</td>
+                            <td>${renderReplies(item.replies)}</td>
+                            <td>${new Date(item.sent_at).toLocaleString('pt-BR')}</td>
+                            <td data-field="status">${renderStatus(item.status)}</td>
+                        </tr>`).join('');
+            }
+            renderPagination(result.pagination.total);
+        } catch (error) {
+            showNotification(error.message, 'error');
+        }
+    };
+    const renderPagination = (totalItems) => {
+        const totalPages = Math.ceil(totalItems / recordsPerPage);
+        if (totalPages <= 1) {
+            paginationControls.innerHTML = '';
+            return;
+        }
+        paginationControls.innerHTML = `
+            <button class="btn-icon" data-page="${currentPage - 1}" ${currentPage === 1 ? 'disabled' : ''}><i class="fas fa-chevron-left"></i></button>
+            <span>Página ${currentPage} de ${totalPages}</span>
+            <button class="btn-icon" data-page="${currentPage + 1}" ${currentPage === totalPages ? 'disabled' : ''}><i class="fas fa-chevron-right"></i></button>`;
+    };
+
+    const loadCredits = async () => {
+        try {
+            const result = await api.credits.summary();
+            lowBalanceThreshold = result.data.lowBalanceThreshold;
+            renderCredits(result.data.balance);
+        } catch (error) {
+            creditBalanceSpan.innerHTML = '<i class="fas fa-wallet"></i> --';
+        }
+    };
+    const renderCredits = (balance) => {
+        const low = balance < lowBalanceThreshold;
+        creditBalanceSpan.innerHTML = `<i class="fas fa-wallet"></i> ${formatNumber(balance, 2)}`;
+        creditBalanceSpan.classList.toggle('warning', low);
+        creditBalanceSpan.title = low ? `Saldo abaixo de ${lowBalanceThreshold}` : 'Saldo de créditos';
+    };
+    const renderQueueCount = () => {
+        queueCountSpan.textContent = formatNumber(pendingCount);
+    };
+
+    // --- Estatísticas (GET /api/sms/stats) ---
+    const DAILY_SERIES = [
+        { label: 'Entregues', color: '#10b981', value: day => Number(day.delivered_count) },
+        { label: 'Enviados sem confirmação', color: '#3b82f6', value: day => Number(day.sent_count) - Number(day.delivered_count) - Number(day.undelivered_count) },
+        { label: 'Não entregues', color: '#f59e0b', value: day => Number(day.undelivered_count) },
+        { label: 'Falhas', color: '#dc2626', value: day => Number(day.failed_count) },
+        { label: 'Na fila', color: '#9ca3af', value: day => Number(day.pending_count) }
+    ];
+    const renderStatsSummary = (summary) => {
+        const tiles = [
+            ['Total', formatNumber(summary.total_messages)],
+            ['Enviados', formatNumber(summary.sent_count)],
+            ['Entregues', formatNumber(summary.delivered_count)],
+            ['Falhas', formatNumber(summary.failed_count)],
+            ['Na fila', formatNumber(summary.pending_count)],
+            ['Sucesso', summary.success_rate === null ? '—' : `${formatNumber(summary.success_rate, 1)}%`],
+            ['Taxa de entrega', summary.delivery_rate === null ? '—' : `${formatNumber(summary.delivery_rate, 1)}%`],
+            ['Entrega média', summary.avg_delivery_seconds === null ? '—' : `${formatNumber(summary.avg_delivery_seconds, 1)} s`]
+        ];
+        statsSummary.innerHTML = tiles.map(([label, value]) => `<div class="stat-tile"><strong>${value}</strong><span>${label}</span></div>`).join('');
+    };
+    // Barras empilhadas por dia, em SVG para não depender de bibliotecas externas
+    const renderDailyChart = (daily) => {
+        if (daily.length === 0) {
+            statsDailyChart.innerHTML = '<div class="empty-state"><i class="fas fa-chart-bar"></i><p>Nenhum envio no período</p></div>';
+            return;
+        }
+        const days = [...daily].reverse();
+        const width = 600;
+        const height = 180;
+        const labelHeight = 20;
+        const slot = width / days.length;
+        const barWidth = Math.max(2, slot * 0.7);
+        const max = Math.max(...days.map(day => Number(day.total_messages)), 1);
+        const labelEvery = Math.ceil(days.length / 10);
+
+        const bars = days.map((day, index) => {
+            const date = new Date(day.date).toLocaleDateString('pt-BR', { day: '2-digit', month: '2-digit' });
+            const x = index * slot + (slot - barWidth) / 2;
+            let y = height - labelHeight;
+            const segments = DAILY_SERIES.map(series => {
+                const value = Math.max(0, series.value(day));
+                const barHeight = (value / max) * (height - labelHeight - 4);
+                y -= barHeight;
+                return value > 0 ? `<rect x="${x}" y="${y}" width="${barWidth}" height="${barHeight}" fill="${series.color}"><title>${date} · ${series.label}: ${value}</title></rect>` : '';
+            }).join('');
+            const label = index % labelEvery === 0
+                ? `<text x="${x + barWidth / 2}" y="${height - 6}" text-anchor="middle" font-size="10" fill="#6b7280">${date}</text>`
+                : '';
+            return segments + label;
+        }).join('');
+
+        statsDailyChart.innerHTML = `
+            <svg viewBox="0 0 ${width} ${height}" role="img" aria-label="Envios por dia">${bars}</svg>
+            <div class="chart-legend">${DAILY_SERIES.map(series => `<span style="--legend-color: ${series.color}">${series.label}</span>`).join('')}</div>`;
+    };
+    const renderModelsChart = (topModels) => {
+        if (topModels.length === 0) {
+            statsModelsChart.innerHTML = '<div class="empty-state"><i class="fas fa-microchip"></i><p>Nenhum envio no período</p></div>';
+            return;
+        }
+        const max = Math.max(...topModels.map(model => Number(model.usage_count)), 1);
+        statsModelsChart.innerHTML = topModels.map(model => `
+            <div class="bar-row" title="${escapeHTML(model.name)}: ${model.delivered_count} entregue(s) de ${model.usage_count}">
+                <span>${escapeHTML(model.name)}</span>
+                <div class="bar-track"><div class="bar-fill" style="width: ${(Number(model.usage_count) / max) * 100}%"></div></div>
+                <strong>${formatNumber(model.usage_count)}</strong>
+            </div>`).join('');
+    };
+    const loadStats = async () => {
+        if (!can('stats:read')) return;
+        try {
+            const result = await api.sms.stats(statsPeriodSelect.value);
+            renderStatsSummary(result.summary);
+            renderDailyChart(result.daily);
+            renderModelsChart(result.topModels);
+        } catch (error) {
+            showNotification(error.message, 'error');
+        }
+    };
+    // Contador "na fila" do cabeçalho; depois é mantido pelos eventos 'stats'
+    const loadQueueCount = async () => {
+        if (!can('stats:read')) return;
+        try {
+            const result = await api.sms.stats(30);
+            pendingCount = parseInt(result.summary.pending_count) || 0;
+            renderQueueCount();
+        } catch (error) {
+            queueCountSpan.textContent = '--';
+        }
+    };
+
+    // Relatórios com os filtros do histórico; o período vale quando não há data inicial
+    const reportQuery = () => ({
+        ...historyFilters,
+        period: historyFilters.dateFrom ? undefined : pdfPeriodSelect.value
+    });
+    const downloadReport = async (button, download) => {
+        button.disabled = true;
+        try {
+            const filename = await download();
+            showNotification(`Relatório ${filename} gerado`, 'success');
+        } catch (error) {
+            showNotification(error.message, 'error');
+        } finally {
+            button.disabled = false;
+        }
+    };
 
     // --- Event Listeners ---
-    deviceModelSelect.addEventListener('change', (e) => { /* ... (cÃ³digo das versÃµes anteriores) ... */ });
+    deviceModelSelect.addEventListener('change', () => {
+        const modelId = deviceModelSelect.value;
+        updateCommandLists(commandData[modelId] || []);
+        loadCommands(modelId);
+    });
 
     smsForm.addEventListener('submit', async (e) => {
         e.preventDefault();
@@ -42,35 +438,262 @@ document.addEventListener('DOMContentLoaded', () => {
         sendBtn.disabled = true;
         sendBtn.innerHTML = `<i class="fas fa-spinner fa-spin"></i><span>Enviando...</span>`;
         try {
-            const response = await fetch('/api/send-sms', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ phoneNumbers: phoneNumbersTextarea.value, deviceModel: deviceModelSelect.value, command: commandInput.value })
+            const phoneNumbers = phoneNumbersTextarea.value.split(/[\n,;]+/).map(phone => phone.trim()).filter(Boolean);
+            const result = await api.sms.send({
+                phoneNumbers,
+                modelId: deviceModelSelect.value,
+                commandText: commandInput.value,
+                parameters: collectParameters()
             });
-            const result = await response.json();
-            if (!response.ok) throw new Error(result.error || 'Erro desconhecido');
-            showNotification('Processo de envio finalizado!', 'success');
-            // Limpa apenas o comando e o modelo, mantendo os nÃºmeros
+            showParameterErrors({});
+            showNotification(`${result.summary.queued} envio(s) na fila`, 'success');
+            // Limpa apenas o comando e o modelo, mantendo os números
             commandInput.value = '';
+            commandParameters.innerHTML = '';
             deviceModelSelect.value = '';
             updateCommandLists([]);
-            setTimeout(() => { loadHistory(); loadCredits(); }, 1500);
         } catch (error) {
+            if (error instanceof api.ApiError) showParameterErrors(error.errors);
             showNotification(error.message, 'error');
         } finally {
             sendBtn.disabled = false;
             sendBtn.innerHTML = `<i class="fas fa-rocket"></i><span>Enviar Comando(s)</span>`;
         }
     });
-    
-    newModelForm.addEventListener('submit', async (e) => { /* ... (cÃ³digo das versÃµes anteriores) ... */ });
-    newCommandForm.addEventListener('submit', async (e) => { /* ... (cÃ³digo das versÃµes anteriores) ... */ });
-    downloadPdfBtn.addEventListener('click', () => { /* ... (cÃ³digo das versÃµes anteriores) ... */ });
-    modelsList.addEventListener('click', async (e) => { /* ... (cÃ³digo das versÃµes anteriores) ... */ });
-    commandsDisplay.addEventListener('click', (e) => { /* ... (cÃ³digo das versÃµes anteriores) ... */ });
 
-    // --- InicializaÃ§Ã£o ---
-    loadModelsAndCommands();
-    loadHistory();
-    loadCredits();
-});
\ No newline at end of file
+    newModelForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        try {
+            await api.models.create({ name: newModelNameInput.value.trim() });
+            showNotification(`Modelo ${newModelNameInput.value.trim()} adicionado`, 'success');
+            newModelForm.reset();
+            await loadModelsAndCommands();
+        } catch (error) {
+            showNotification(error.message, 'error');
+        }
+    });
+    newCommandForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const modelId = commandModelSelect.value;
+        try {
+            await api.commands.create({ modelId, commandText: newCommandTextInput.value.trim() });
+            showNotification('Comando adicionado', 'success');
+            newCommandTextInput.value = '';
+            await loadModelsAndCommands();
+        } catch (error) {
+            showNotification(error.message, 'error');
+        }
+    });
+
+    modelsList.addEventListener('click', async (e) => {
+        const item = e.target.closest('.model-list-item');
+        if (!item) return;
+        const model = models.find(m => String(m.id) === item.dataset.id);
+        if (e.target.closest('.edit-model-btn')) {
+            document.getElementById('edit-model-id').value = model.id;
+            document.getElementById('edit-model-name').value = model.name;
+            document.getElementById('edit-model-description').value = model.description || '';
+            openModal(editModelModal);
+        } else if (e.target.closest('.delete-model-btn')) {
+            if (!confirm(`Excluir o modelo ${model.name} e seus ${model.command_count} comando(s)?`)) return;
+            try {
+                await api.models.remove(model.id);
+                showNotification(`Modelo ${model.name} excluído`, 'success');
+                delete commandData[model.id];
+                await loadModelsAndCommands();
+            } catch (error) {
+                showNotification(error.message, 'error');
+            }
+        }
+    });
+    editModelForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const id = document.getElementById('edit-model-id').value;
+        const model = models.find(m => String(m.id) === id);
+        try {
+            // O parser de respostas não é editado aqui, mas o PUT substitui o registro inteiro
+            await api.models.update(id, {
+                name: document.getElementById('edit-model-name').value.trim(),
+                description: document.getElementById('edit-model-description').value.trim(),
+                parser: model ? model.parser : null
+            });
+            closeModal(editModelModal);
+            showNotification('Modelo atualizado', 'success');
+            await loadModelsAndCommands();
+        } catch (error) {
+            showNotification(error.message, 'error');
+        }
+    });
+
+    commandsDisplay.addEventListener('click', async (e) => {
+        const item = e.target.closest('.command-item');
+        if (!item) return;
+        const command = findCommand(item.dataset.id);
+        if (!command) return;
+        if (e.target.closest('.edit-btn')) {
+            document.getElementById('edit-command-id').value = command.id;
+            document.getElementById('edit-command-text').value = command.command_text;
+            document.getElementById('edit-command-description').value = command.description || '';
+            openModal(editModal);
+        } else if (e.target.closest('.delete-btn')) {
+            if (!confirm(`Excluir o comando ${command.command_text}?`)) return;
+            try {
+                await api.commands.remove(command.id);
+                showNotification('Comando excluído', 'success');
+                await loadModelsAndCommands();
+            } catch (error) {
+                showNotification(error.message, 'error');
+            }
+        } else {
+            commandInput.value = command.command_text;
+            renderCommandParameters();
+            commandInput.focus();
+        }
+    });
+    editCommandForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        try {
+            await api.commands.update(document.getElementById('edit-command-id').value, {
+                commandText: document.getElementById('edit-command-text').value.trim(),
+                description: document.getElementById('edit-command-description').value.trim()
+            });
+            closeModal(editModal);
+            showNotification('Comando atualizado', 'success');
+            await loadCommands(deviceModelSelect.value);
+        } catch (error) {
+            showNotification(error.message, 'error');
+        }
+    });
+    // Fecha os modais pelo botão × ou clicando fora do conteúdo
+    [editModal, editModelModal].forEach(modal => {
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal || e.target.closest('.close-modal-btn')) closeModal(modal);
+        });
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') [editModal, editModelModal].forEach(closeModal);
+    });
+
+    commandInput.addEventListener('input', renderCommandParameters);
+    historyFilterForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        historyFilters = readHistoryFilters();
+        loadHistory(1);
+    });
+    historyFilterForm.addEventListener('reset', () => {
+        historyFilters = {};
+        loadHistory(1);
+    });
+    paginationControls.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-page]');
+        if (button && !button.disabled) loadHistory(parseInt(button.dataset.page));
+    });
+    downloadPdfBtn.addEventListener('click', () => {
+        downloadReport(downloadPdfBtn, () => api.reports.pdf(reportQuery()));
+    });
+    downloadExportBtn.addEventListener('click', () => {
+        downloadReport(downloadExportBtn, () => api.reports.export({ ...reportQuery(), format: exportFormatSelect.value }));
+    });
+    statsPeriodSelect.addEventListener('change', loadStats);
+
+    loginForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        loginError.textContent = '';
+        try {
+            await api.auth.login(document.getElementById('login-username').value, document.getElementById('login-password').value);
+            window.location.reload();
+        } catch (error) {
+            loginError.textContent = error.status === 401 ? 'Usuário ou senha inválidos' : error.message;
+        }
+    });
+    logoutBtn.addEventListener('click', async () => {
+        try {
+            await api.auth.logout();
+        } finally {
+            window.location.reload();
+        }
+    });
+    // Sessão expirada: volta para o login
+    window.addEventListener('api:unauthorized', () => {
+        loginOverlay.hidden = false;
+    });
+
+    // --- Atualizações ao vivo (GET /api/events) ---
+    const refreshHistory = debounce(() => loadHistory(currentPage), 500);
+    const refreshStats = debounce(loadStats, 2000);
+    const setLiveStatus = (connected) => {
+        if (!connected) liveLost = true;
+        liveStatusBadge.classList.toggle('online', connected);
+        liveStatusText.textContent = connected ? 'Ao vivo' : 'Reconectando...';
+    };
+    const connectEvents = () => {
+        const events = api.events();
+        const on = (type, handler) => events.addEventListener(type, (e) => handler(JSON.parse(e.data)));
+
+        // Após uma queda, recarrega tudo: eventos perdidos não são reenviados
+        on('ready', ({ connected }) => {
+            if (connected && liveLost) {
+                liveLost = false;
+                loadHistory(currentPage);
+                loadCredits();
+                loadQueueCount();
+                loadStats();
+            }
+            setLiveStatus(connected);
+        });
+        events.addEventListener('error', () => setLiveStatus(false));
+        // Sessão encerrada (logout em outra aba, senha trocada, usuário desativado)
+        on('closed', () => {
+            events.close();
+            window.dispatchEvent(new CustomEvent('api:unauthorized'));
+        });
+
+        // Novos envios aparecem no topo da primeira página
+        on('batch', ({ batchId }) => {
+            if (currentPage === 1 && (!historyFilters.batchId || historyFilters.batchId === batchId)) refreshHistory();
+        });
+        on('status', ({ id, status, details }) => {
+            const row = historyBody.querySelector(`tr[data-id="${id}"]`);
+            if (!row) return;
+            row.querySelector('[data-field="status"]').innerHTML = renderStatus(status);
+            row.querySelector('[data-field="details"]').textContent = details || '-';
+        });
+        on('inbound', ({ historyId }) => {
+            if (historyBody.querySelector(`tr[data-id="${historyId}"]`)) refreshHistory();
+        });
+        on('credits', ({ balance }) => renderCredits(Number(balance)));
+        on('stats', ({ delta }) => {
+            refreshStats();
+            if (delta.queued === undefined) return;
+            pendingCount = Math.max(0, pendingCount + delta.queued);
+            renderQueueCount();
+        });
+    };
+
+    // --- Inicialização ---
+    // Sem sessão válida, mostra apenas o formulário de login
+    const start = async () => {
+        let session;
+        try {
+            session = (await api.auth.me()).data;
+        } catch (error) {
+            if (error.status !== 401) showNotification(error.message, 'error');
+            return;
+        }
+        permissions = session.permissions;
+        document.getElementById('current-user-name').textContent = `${session.user.name || session.user.username} (${session.role})`;
+        currentUserBadge.hidden = false;
+        // Esconde as ações que o papel do usuário não permite
+        document.querySelectorAll('[data-permission]').forEach(el => {
+            if (!can(el.dataset.permission)) el.remove();
+        });
+        logoutBtn.hidden = false;
+        loadModelsAndCommands();
+        loadHistory();
+        loadCredits();
+        loadQueueCount();
+        loadStats();
+        connectEvents();
+    };
+    start();
+});
@@ -0,0 +1,66 @@
+// Database migrations from the command line (see src/migrations.js)
+//
+//   npm run db:migrate                    apply every pending migration
+//   node scripts/migrate.js up 3          apply up to version 3
+//   npm run db:migrate:status             list migrations and their state
+//   npm run db:rollback                   revert the last migration
+//   node scripts/migrate.js down 2        revert the last 2 migrations
+//   node scripts/migrate.js down --to 1   revert everything above version 1
+//   node scripts/migrate.js create add_device_groups
+//
+// Uses the same connection settings as the server (DATABASE_URL or DB_*).
+
+require('dotenv').config();
+const { createPool } = require('../src/db');
+const { migrate, rollback, migrationStatus, createMigration } = require('../src/migrations');
+
+const USAGE = 'Usage: node scripts/migrate.js status | up [version] | down [steps | --to version] | create <name>';
+
+function integer(value, name) {
+  const number = parseInt(value);
+  if (!Number.isInteger(number) || number < 0 || String(number) !== String(value)) {
+    throw new Error(`${name} must be a whole number`);
+  }
+  return number;
+}
+
+async function main([command = 'status', ...args]) {
+  if (command === 'create') {
+    console.log(`📝 Created ${createMigration(args.join(' '))}`);
+    return;
+  }
+  if (!['status', 'up', 'down'].includes(command)) {
+    throw new Error(USAGE);
+  }
+
+  const pool = createPool({ max: 1 });
+  try {
+    if (command === 'status') {
+      const migrations = await migrationStatus(pool);
+      for (const migration of migrations) {
+        const state = migration.applied
+          ? `applied ${new Date(migration.appliedAt).toISOString()}`
+          : 'pending';
+        console.log(`${migration.applied ? '✅' : '⏳'} ${String(migration.version).padStart(3, '0')} ${migration.name.padEnd(40)} ${state}${migration.file ? '' : ' (file missing)'}`);
+      }
+      const pending = migrations.filter(migration => !migration.applied).length;
+      console.log(pending > 0 ? `${pending} pending` : 'Up to date');
+    } else if (command === 'up') {
+      const applied = await migrate(pool, { target: args[0] !== undefined ? integer(args[0], 'version') : Infinity });
+      console.log(applied.length > 0 ? `✅ Applied ${applied.length} migrations` : '✅ Nothing to apply');
+    } else {
+      const options = args[0] === '--to'
+        ? { target: integer(args[1], 'version') }
+        : { steps: args[0] !== undefined ? integer(args[0], 'steps') : 1 };
+      const reverted = await rollback(pool, options);
+      console.log(reverted.length > 0 ? `✅ Reverted ${reverted.length} migrations` : '✅ Nothing to revert');
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+main(process.argv.slice(2)).catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,189 @@
+// GSM modem emulator for development and tests
+//
+// Answers the AT commands used by src/modem/at-modem.js on one end of a
+// pseudo-terminal pair, so the modem provider can run without hardware:
+//
+//   socat -d -d pty,raw,echo=0,link=/tmp/modem0 pty,raw,echo=0,link=/tmp/modem0-emu &
+//   node scripts/modem-emulator.js /tmp/modem0-emu
+//   SMS_PROVIDERS=modem SMS_MODEM_DEVICES=/tmp/modem0 npm run dev
+//
+// Lines typed on stdin as "<number> <text>" arrive at the modem as incoming
+// SMS (+CMTI). With MODEM_EMULATOR_AUTO_REPLY=1 every sent command gets a
+// canned tracker reply from the destination number. When the driver asks for
+// status reports (AT+CSMP with SRR and AT+CNMI with ds=1) every sent SMS
+// gets a +CDS shortly after; numbers ending in "0" get a failed report.
+
+const fs = require('fs');
+const tty = require('tty');
+const readline = require('readline');
+
+function timestamp(date = new Date()) {
+  const pad = n => String(n).padStart(2, '0');
+  // Local time followed by the offset in quarter hours, as modems report it
+  const offset = -date.getTimezoneOffset() / 15;
+  return `${pad(date.getFullYear() % 100)}/${pad(date.getMonth() + 1)}/${pad(date.getDate())},` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}${offset >= 0 ? '+' : '-'}${pad(Math.abs(offset))}`;
+}
+
+function createModemEmulator(input, output, options = {}) {
+  const config = { autoReply: false, reportDelay: 500, log: console.log, ...options };
+  const storage = new Map();
+  let nextIndex = 1;
+  let reference = 0;
+  let echo = true;
+  let buffer = '';
+  let composing = null;
+  let firstOctet = 17;
+  let reportRouting = 0;
+  let stalled = null;
+
+  const write = text => output.write(text);
+  const ok = (lines = []) => write(lines.map(line => `\r\n${line}`).join('') + '\r\nOK\r\n');
+
+  const inject = (from, text) => {
+    const index = nextIndex++;
+    storage.set(index, { from, text, status: 'REC UNREAD', date: timestamp() });
+    write(`\r\n+CMTI: "SM",${index}\r\n`);
+    config.log(`📥 Modem emulator: SMS ${index} from ${from}: ${text}`);
+  };
+
+  const handleCommand = command => {
+    const upper = command.toUpperCase();
+    let match;
+
+    if ((match = upper.match(/^AT\+CSMP=(\d+)/))) {
+      firstOctet = parseInt(match[1]);
+      ok();
+    } else if ((match = upper.match(/^AT\+CNMI=(\d*),(\d*),(\d*),(\d*)/))) {
+      reportRouting = parseInt(match[4]) || 0;
+      ok();
+    } else if (upper === 'AT' || /^AT\+(CMGF|CSCS|CPMS)=/.test(upper)) {
+      ok();
+    } else if ((match = upper.match(/^ATE([01])$/))) {
+      echo = match[1] === '1';
+      ok();
+    } else if ((match = command.match(/^AT\+CMGS="?([^"]+)"?$/i))) {
+      composing = { to: match[1], text: '' };
+      write('\r\n> ');
+    } else if ((match = command.match(/^AT\+CMGL="?([A-Z ]+)"?$/i))) {
+      const filter = match[1].toUpperCase();
+      const lines = [];
+      for (const [index, sms] of storage) {
+        if (filter === 'ALL' || sms.status === filter) {
+          lines.push(`+CMGL: ${index},"${sms.status}","${sms.from}","","${sms.date}"`, sms.text);
+          sms.status = 'REC READ';
+        }
+      }
+      ok(lines);
+    } else if ((match = upper.match(/^AT\+CMGR=(\d+)$/))) {
+      const sms = storage.get(parseInt(match[1]));
+      if (!sms) {
+        write('\r\n+CMS ERROR: 321\r\n');
+      } else {
+        ok([`+CMGR: "${sms.status}","${sms.from}","","${sms.date}"`, sms.text]);
+        sms.status = 'REC READ';
+      }
+    } else if ((match = upper.match(/^AT\+CMGD=(\d+)/))) {
+      storage.delete(parseInt(match[1]));
+      ok();
+    } else {
+      write('\r\nERROR\r\n');
+    }
+  };
+
+  const finishComposing = () => {
+    const { to, text } = composing;
+    composing = null;
+    reference = (reference + 1) % 256;
+    ok([`+CMGS: ${reference}`]);
+    config.log(`📤 Modem emulator: ${to} <- "${text}"`);
+
+    // Bit 5 of the first octet (SRR) asks for a status report
+    if ((firstOctet & 0x20) && reportRouting === 1) {
+      const submitted = timestamp();
+      const ref = reference;
+      const status = to.endsWith('0') ? 65 : 0;
+      setTimeout(() => {
+        write(`\r\n+CDS: 6,${ref},"${to}",${to.startsWith('+') ? 145 : 129},"${submitted}","${timestamp()}",${status}\r\n`);
+      }, config.reportDelay);
+    }
+
+    if (config.autoReply) {
+      setTimeout(() => inject(to, `${text} OK`), 1000);
+    }
+  };
+
+  const onChar = ch => {
+    if (composing) {
+      if (ch === '\x1A') finishComposing();
+      else if (ch === '\x1B') { composing = null; ok(); }
+      else composing.text += ch;
+      return;
+    }
+
+    if (ch === '\r' || ch === '\n') {
+      const command = buffer.trim();
+      buffer = '';
+      if (command) {
+        if (echo) write(`${command}\r`);
+        handleCommand(command);
+      }
+    } else if (ch !== '\x1B') {
+      // ESC outside the SMS prompt is ignored, as modems do
+      buffer += ch;
+    }
+  };
+
+  input.setEncoding('latin1');
+  input.on('data', chunk => {
+    if (stalled) {
+      stalled.push(chunk);
+      return;
+    }
+    for (const ch of chunk) onChar(ch);
+  });
+
+  // Stop answering, e.g. to exercise driver timeouts; resume() answers
+  // what arrived in the meantime, as a slow modem would
+  const stall = () => {
+    stalled = stalled || [];
+  };
+  const resume = () => {
+    const chunks = stalled || [];
+    stalled = null;
+    for (const chunk of chunks) {
+      for (const ch of chunk) onChar(ch);
+    }
+  };
+
+  return { inject, stall, resume, storage };
+}
+
+if (require.main === module) {
+  const path = process.argv[2];
+  let input = process.stdin;
+  let output = process.stdout;
+
+  if (path) {
+    const fd = fs.openSync(path, fs.constants.O_RDWR | fs.constants.O_NOCTTY);
+    input = new tty.ReadStream(fd);
+    input.setRawMode(true);
+    output = new tty.WriteStream(fd);
+  }
+
+  const emulator = createModemEmulator(input, output, {
+    autoReply: process.env.MODEM_EMULATOR_AUTO_REPLY === '1',
+    log: path ? console.log : console.error
+  });
+
+  if (path) {
+    console.log(`📟 Modem emulator listening on ${path}`);
+    const rl = readline.createInterface({ input: process.stdin });
+    rl.on('line', line => {
+      const [from, ...text] = line.trim().split(' ');
+      if (from && text.length > 0) emulator.inject(from, text.join(' '));
+    });
+  }
+}
+
+module.exports = createModemEmulator;
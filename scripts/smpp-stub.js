@@ -0,0 +1,164 @@
+// Local SMPP stand-in server for development and tests
+//
+// Accepts bind_transceiver, answers submit_sm with a generated message ID and
+// sends a delivery receipt back through deliver_sm shortly after. Numbers
+// ending in "0" get an UNDELIV receipt so failure handling can be exercised.
+//
+//   npm run smpp:stub
+//   SMS_PROVIDERS=smpp SMS_SMPP_HOST=localhost SMS_SMPP_PORT=2775 npm run dev
+
+const net = require('net');
+const pdu = require('../src/smpp/pdu');
+
+function formatDate(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${pad(date.getUTCFullYear() % 100)}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+    `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}`;
+}
+
+function createSmppStub(options = {}) {
+  const config = {
+    systemId: 'STUB',
+    receiptDelay: 500,
+    log: console.log,
+    ...options
+  };
+
+  let messageCounter = 0;
+  const sessions = new Set();
+
+  const server = net.createServer(socket => {
+    let buffer = Buffer.alloc(0);
+    let sequence = 0;
+    let bound = false;
+    sessions.add(socket);
+
+    const send = params => {
+      if (!socket.destroyed) socket.write(pdu.encode(params));
+    };
+
+    const sendReceipt = (messageId, to, stat) => {
+      const now = new Date();
+      const err = stat === 'DELIVRD' ? '000' : '001';
+      const text = `id:${messageId} sub:001 dlvrd:${stat === 'DELIVRD' ? '001' : '000'} ` +
+        `submit date:${formatDate(now)} done date:${formatDate(now)} stat:${stat} err:${err} text:`;
+
+      sequence++;
+      send({
+        command: 'deliver_sm',
+        sequence,
+        source_addr: to,
+        destination_addr: '',
+        esm_class: 0x04,
+        short_message: Buffer.from(text, 'latin1'),
+        tlvs: { receipted_message_id: `${messageId}\0` }
+      });
+    };
+
+    socket.on('data', chunk => {
+      buffer = Buffer.concat([buffer, chunk]);
+
+      while (buffer.length >= pdu.HEADER_LENGTH && buffer.length >= buffer.readUInt32BE(0)) {
+        const length = buffer.readUInt32BE(0);
+        const packet = pdu.decode(buffer.subarray(0, length));
+        buffer = buffer.subarray(length);
+
+        switch (packet.command) {
+          case 'bind_transceiver':
+          case 'bind_transmitter':
+          case 'bind_receiver': {
+            const rejected = config.password !== undefined && packet.password !== config.password;
+            send({
+              command: `${packet.command}_resp`,
+              sequence: packet.sequence,
+              status: rejected ? pdu.STATUS.ESME_RINVPASWD : pdu.STATUS.ESME_ROK,
+              system_id: config.systemId
+            });
+            bound = !rejected;
+            config.log(`🔗 SMPP stub: ${packet.system_id} ${rejected ? 'rejected' : 'bound'}`);
+            break;
+          }
+
+          case 'submit_sm': {
+            if (!bound) {
+              send({ command: 'submit_sm_resp', sequence: packet.sequence, status: pdu.STATUS.ESME_RINVBNDSTS });
+              break;
+            }
+
+            const messageId = `stub${Date.now().toString(36)}${(++messageCounter).toString(36)}`;
+            const text = pdu.decodeShortMessage(packet);
+            send({ command: 'submit_sm_resp', sequence: packet.sequence, message_id: messageId });
+            config.log(`📤 SMPP stub: ${packet.destination_addr} <- "${text}" (${messageId})`);
+
+            if (packet.registered_delivery) {
+              const stat = packet.destination_addr.endsWith('0') ? 'UNDELIV' : 'DELIVRD';
+              setTimeout(() => sendReceipt(messageId, packet.destination_addr, stat), config.receiptDelay);
+            }
+            break;
+          }
+
+          case 'query_sm':
+            send({
+              command: 'query_sm_resp',
+              sequence: packet.sequence,
+              message_id: packet.message_id,
+              final_date: '',
+              message_state: 2,
+              error_code: 0
+            });
+            break;
+
+          case 'enquire_link':
+            send({ command: 'enquire_link_resp', sequence: packet.sequence });
+            break;
+
+          case 'unbind':
+            send({ command: 'unbind_resp', sequence: packet.sequence });
+            socket.end();
+            break;
+
+          case 'deliver_sm_resp':
+          case 'enquire_link_resp':
+            break;
+
+          default:
+            send({ command: 'generic_nack', sequence: packet.sequence, status: pdu.STATUS.ESME_RINVCMDID });
+        }
+      }
+    });
+
+    socket.on('error', () => socket.destroy());
+    socket.on('close', () => sessions.delete(socket));
+  });
+
+  // Send a mobile originated message (e.g. a tracker reply) to every bound session
+  server.deliver = (from, text) => {
+    for (const socket of sessions) {
+      socket.write(pdu.encode({
+        command: 'deliver_sm',
+        sequence: 1,
+        source_addr: from,
+        destination_addr: '',
+        esm_class: 0,
+        short_message: Buffer.from(text, 'latin1')
+      }));
+    }
+  };
+
+  // Drop every session, e.g. to exercise client reconnects
+  server.dropConnections = () => {
+    for (const socket of sessions) socket.destroy();
+  };
+
+  return server;
+}
+
+if (require.main === module) {
+  const port = parseInt(process.env.SMPP_STUB_PORT) || 2775;
+  const server = createSmppStub({ password: process.env.SMPP_STUB_PASSWORD });
+  server.listen(port, () => {
+    console.log(`🛰️  SMPP stub listening on port ${port}`);
+  });
+}
+
+module.exports = createSmppStub;
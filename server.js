@@ -2,14 +2,59 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const path = require('path');
-const { Pool } = require('pg');
 const multer = require('multer');
 const fs = require('fs'); // Apenas uma declaração de 'fs' é necessária
 require('dotenv').config();
+const { createPool, transaction } = require('./src/db');
+const { migrate, migrationStatus } = require('./src/migrations');
+const { loadProvidersFromEnv } = require('./src/providers');
+const { recordInbound } = require('./src/inbound');
+const { transition, applyDeliveryReport, purgePendingReceipts, normalizeStatus, FINAL_STATUSES } = require('./src/lifecycle');
+const { hasParser, listParsers, parseReply } = require('./src/parsers');
+const { JOB_STATUSES, enqueueBatch, retryJob, SendQueueWorker } = require('./src/queue');
+const { isBatchId, listBatches, getBatch, cancelBatch } = require('./src/batches');
+const { FilterError, buildHistoryFilters } = require('./src/history');
+const {
+  CatalogError, parseBundle, validateBundle, loadBundleFile, exportCatalog, serializeBundle, diffSummary, applyCatalog
+} = require('./src/catalog');
+const { writeHistoryReport } = require('./src/pdf-report');
+const { FORMATS, EXPORT_COLUMNS, DEFAULT_COLUMNS, parseColumns, csvRecord, streamHistoryExport } = require('./src/export');
+const {
+  ROW_STATUSES, ImportError, parseSpreadsheet, prepareImport, saveImport, getImport, listImportRows, launchImport,
+  discardImport, describeErrors
+} = require('./src/imports');
+const { SendError, prepareSend, batchOptions } = require('./src/sends');
+const { ENTRY_TYPES, CreditError, addCredit, creditSummary } = require('./src/credits');
+const { loadRules, validateRateLimits, rateLimit, destinationThrottle, purgeBuckets } = require('./src/ratelimit');
+const { EventHub } = require('./src/events');
+const { SCHEDULE_STATUSES, nextRunAt, validateSchedule, publicSchedule, Scheduler } = require('./src/scheduler');
+const { TemplateError, parseTemplate, describeTemplate } = require('./src/templates');
+const { validateDevice, publicDevice, conflictMessage, lookupDevices } = require('./src/devices');
+const { PhoneError, normalizePhone, tryNormalizePhone, loadCarrierTable, lookupCarriers } = require('./src/phone');
+const { VaultError, loadVaultFromEnv, maskSecrets } = require('./src/vault');
+const {
+  SESSION_COOKIE, SCOPES, ROLES, hashPassword, verifyPassword, hashToken, generateApiKey, parseCookies, sessionCookie,
+  passwordError, publicUser, publicApiKey, validateScopes, createSession, destroySession, resolveRequest,
+  authenticate, authorize, ensureInitialUser
+} = require('./src/auth');
+const { auditChange, snapshot, auditTrail, auditFilters, toCsv } = require('./src/audit');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Proxies in front of the app (TRUST_PROXY). req.ip must be the client, not
+// Traefik: it keys the per-IP rate limits and fills the audit log and batch
+// source IP. A number is the count of proxy hops (default 1, Traefik),
+// true/false trust all or none, anything else is a list of addresses or
+// subnets (e.g. "loopback, 10.0.0.0/8").
+function trustProxySetting(value = '1') {
+  const setting = String(value).trim();
+  if (setting === 'true' || setting === 'false') return setting === 'true';
+  if (/^\d+$/.test(setting)) return parseInt(setting);
+  return setting.split(',').map(entry => entry.trim()).filter(Boolean);
+}
+app.set('trust proxy', trustProxySetting(process.env.TRUST_PROXY));
+
 // Configure multer for file uploads
 const upload = multer({
   dest: 'uploads/',
@@ -18,26 +63,141 @@ const upload = multer({
   }
 });
 
-// =================== CORREÇÃO DO BANCO DE DADOS ===================
-// Lógica para ler a senha do secret do Docker ou do .env
-const password = process.env.DB_PASSWORD_FILE
-  ? fs.readFileSync(process.env.DB_PASSWORD_FILE, 'utf8').trim()
-  : process.env.DB_PASSWORD;
+// multer with its errors answered as JSON instead of reaching the generic
+// error handler
+function receiveFile(field) {
+  const single = upload.single(field);
+  return (req, res, next) => {
+    single(req, res, error => {
+      if (!error) return next();
+      if (!(error instanceof multer.MulterError)) return next(error);
+      res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+        success: false,
+        error: error.code === 'LIMIT_FILE_SIZE' ? 'File is too large (limit 5 MB)' : error.message
+      });
+    });
+  };
+}
 
-// Configuração do Pool usando variáveis de ambiente individuais
-const pool = new Pool({
-  host: process.env.DB_HOST,
-  port: process.env.DB_PORT,
-  user: process.env.DB_USERNAME,
-  password: password, // Usamos a senha lida do secret ou do .env
-  database: process.env.DB_DATABASE,
-  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+// PostgreSQL pool: DATABASE_URL, or DB_HOST/DB_USERNAME/DB_DATABASE with
+// the password in DB_PASSWORD_FILE or DB_PASSWORD (see src/db.js)
+const pool = createPool({
   max: 20,
   idleTimeoutMillis: 30000,
   connectionTimeoutMillis: 2000,
 });
-// =================== FIM DA CORREÇÃO ===================
 
+// SMS providers in failover order (see src/providers/index.js)
+const smsProviders = loadProvidersFromEnv();
+console.log(`📡 SMS providers: ${smsProviders.providers.map(p => `${p.name} (${p.type})`).join(' → ')}`);
+if (smsProviders.providers.some(p => p.type === 'mock')) {
+  console.warn('⚠️ The mock SMS provider is active: messages are marked as sent but nothing is sent');
+}
+
+// Delivery receipts (SMPP deliver_sm) update the matching history row
+smsProviders.on('receipt', receipt => {
+  applyDeliveryReport(pool, receipt)
+    .then(result => {
+      if (result.pending) {
+        console.log(`⏳ Delivery receipt for ${receipt.messageId} (${receipt.provider}) arrived before the message ID was stored; kept until it is`);
+      }
+    })
+    .catch(error => {
+      console.error('Error applying delivery receipt:', error);
+    });
+});
+
+// Inbound SMS read by SMPP sessions or GSM modems
+smsProviders.on('message', message => {
+  console.log(`📥 Inbound SMS from ${message.from} via ${message.provider}: ${message.text}`);
+  recordInbound(pool, {
+    from: message.from,
+    text: message.text,
+    receivedAt: message.receivedAt,
+    provider: message.provider,
+    raw: message
+  }).catch(error => {
+    console.error('Error storing inbound SMS:', error);
+  });
+});
+
+// Catalog bundle loaded into device_models and commands on startup
+const CATALOG_SEED_FILE = process.env.CATALOG_SEED_FILE || path.join(__dirname, 'catalog', 'default.yml');
+
+// Carrier prefix ranges (see src/phone.js); ported numbers are looked up in
+// phone_portability first
+const carrierTable = loadCarrierTable(process.env.CARRIER_TABLE_FILE || path.join(__dirname, 'catalog', 'carriers.yml'));
+
+// Device password vault (see src/vault.js); null when no key is configured
+const vault = loadVaultFromEnv();
+console.log(vault ? '🔐 Password vault enabled' : '⚠️ Password vault disabled (set VAULT_KEY_FILE to store device passwords)');
+
+// Rate limit rules (RATE_LIMIT_<GROUP>, see src/ratelimit.js)
+const rateLimitRules = loadRules();
+
+// Background send queue (see src/queue.js). Each replica runs its own worker;
+// SMS_QUEUE_CONCURRENCY is per replica. Commands to the same number are
+// spaced out by RATE_LIMIT_DESTINATION.
+const sendQueue = new SendQueueWorker(pool, {
+  concurrency: parseInt(process.env.SMS_QUEUE_CONCURRENCY) || 5,
+  pollInterval: parseInt(process.env.SMS_QUEUE_POLL_MS) || 1000,
+  lockTimeout: parseInt(process.env.SMS_QUEUE_LOCK_TIMEOUT_MS) || 300000,
+  backoffDelay: parseInt(process.env.SMS_QUEUE_BACKOFF_MS) || 5000,
+  maxBackoffDelay: parseInt(process.env.SMS_QUEUE_MAX_BACKOFF_MS) || 600000,
+  send: sendQueuedJob,
+  throttle: destinationThrottle(pool, rateLimitRules.destination)
+});
+const SMS_QUEUE_MAX_ATTEMPTS = parseInt(process.env.SMS_QUEUE_MAX_ATTEMPTS) || 5;
+
+sendQueue.on('retry', (job, result, delay) => {
+  console.warn(`⚠️ SMS to ${job.phone_number} failed (attempt ${job.attempts}/${job.max_attempts}), retrying in ${Math.round(delay / 1000)}s: ${result.details}`);
+});
+sendQueue.on('throttled', (job, delay) => {
+  console.log(`⏳ SMS to ${job.phone_number} held back ${Math.round(delay / 1000)}s by the per-number rate limit`);
+});
+sendQueue.on('dead', (job, result) => {
+  console.error(`❌ SMS to ${job.phone_number} gave up after ${job.attempts} attempts: ${result.details}`);
+});
+sendQueue.on('error', error => {
+  console.error('❌ Send queue error:', error.message);
+});
+
+// Scheduled sends (see src/scheduler.js). Every replica polls; each due run
+// is claimed by exactly one of them.
+const scheduler = new Scheduler(pool, {
+  pollInterval: parseInt(process.env.SCHEDULER_POLL_MS) || 15000,
+  maxAttempts: SMS_QUEUE_MAX_ATTEMPTS,
+  vault
+});
+
+scheduler.on('run', (schedule, { batch, error }) => {
+  if (error) {
+    console.error(`❌ Schedule #${schedule.id} "${schedule.name}" failed: ${error.message}`);
+  } else if (batch) {
+    console.log(`⏰ Schedule #${schedule.id} "${schedule.name}" queued ${batch.total} SMS`);
+    sendQueue.poll();
+    warnLowBalance(batch.credits);
+  }
+});
+scheduler.on('error', error => {
+  console.error('❌ Scheduler error:', error.message);
+});
+
+// Live events for GET /api/events (see src/events.js). Changes are published
+// by database triggers, so clients of every replica see every send. Open
+// streams re-check their session or API key every EVENTS_REVALIDATE_MS.
+const eventHub = new EventHub(pool, {
+  heartbeatInterval: parseInt(process.env.EVENTS_HEARTBEAT_MS) || 25000,
+  revalidate: req => resolveRequest(pool, req),
+  revalidateInterval: parseInt(process.env.EVENTS_REVALIDATE_MS) || 60000
+});
+
+eventHub.on('connected', () => {
+  console.log('🔔 Listening for live events');
+});
+eventHub.on('error', error => {
+  console.error('❌ Live events connection lost:', error.message);
+});
 
 // Database connection with retry
 async function connectWithRetry() {
@@ -88,14 +248,14 @@ app.use(cors({
   ],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-API-Key']
 }));
 
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Serve static files with proper headers
-app.use(express.static(path.join(__dirname), {
+// Serve the dashboard (public/) with proper headers
+app.use(express.static(path.join(__dirname, 'public'), {
   setHeaders: (res, path) => {
     if (path.endsWith('.css')) {
       res.setHeader('Content-Type', 'text/css');
@@ -112,37 +272,7 @@ app.use('/public', express.static(path.join(__dirname, 'public')));
 // Enhanced request logging middleware
 app.use((req, res, next) => {
   const timestamp = new Date().toISOString();
-  const ip = req.headers['x-forwarded-for'] || req.connection.remoteAddress || req.ip;
-  console.log(`${timestamp} - ${req.method} ${req.path} - IP: ${ip} - User-Agent: ${req.get('User-Agent')?.substring(0, 50)}...`);
-  next();
-});
-
-// Rate limiting middleware (simple implementation)
-const requestCounts = new Map();
-const RATE_LIMIT_WINDOW = 60000; // 1 minute
-const RATE_LIMIT_MAX = 100; // requests per window
-
-app.use((req, res, next) => {
-  const ip = req.ip;
-  const now = Date.now();
-
-  if (!requestCounts.has(ip)) {
-    requestCounts.set(ip, { count: 1, resetTime: now + RATE_LIMIT_WINDOW });
-  } else {
-    const clientData = requestCounts.get(ip);
-    if (now > clientData.resetTime) {
-      clientData.count = 1;
-      clientData.resetTime = now + RATE_LIMIT_WINDOW;
-    } else {
-      clientData.count++;
-      if (clientData.count > RATE_LIMIT_MAX) {
-        return res.status(429).json({
-          error: 'Too many requests',
-          message: 'Rate limit exceeded. Please try again later.'
-        });
-      }
-    }
-  }
+  console.log(`${timestamp} - ${req.method} ${req.path} - IP: ${req.ip} - User-Agent: ${req.get('User-Agent')?.substring(0, 50)}...`);
   next();
 });
 
@@ -189,9 +319,32 @@ app.get('/health', async (req, res) => {
 
 // Serve main HTML file
 app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'index.html'));
+  res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+// Every /api route needs a session cookie or an API key (see src/auth.js).
+// Delivery report and inbound webhooks may pass the key as ?api_key=.
+const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS) || 12;
+
+app.use('/api', authenticate(pool, {
+  publicPaths: ['/', '/auth/login'],
+  queryKeyPaths: ['/sms/dlr', '/sms/inbound']
+}));
+
+// Token-bucket rate limits per API key, user or IP and route group, shared
+// by every replica through rate_limit_buckets (see src/ratelimit.js). Static
+// assets are not counted.
+app.use('/api', rateLimit(pool, {
+  rules: rateLimitRules,
+  onError: error => console.error('❌ Rate limit check failed, request let through:', error.message)
+}));
+
+// Mutating requests that did not record their change with auditChange() are
+// written to audit_log when they finish (src/audit.js)
+app.use('/api', auditTrail(pool, {
+  onError: error => console.error('❌ Could not write audit log entry:', error.message)
+}));
+
 // API information endpoint
 app.get('/api', (req, res) => {
   res.json({
@@ -203,702 +356,3610 @@ app.get('/api', (req, res) => {
         'GET /api/models': 'Listar modelos de equipamentos',
         'POST /api/models': 'Adicionar novo modelo',
         'PUT /api/models/:id': 'Atualizar modelo',
+        'PUT /api/models/:id/password': 'Definir senha padrão do modelo',
         'DELETE /api/models/:id': 'Deletar modelo'
       },
+      parsers: {
+        'GET /api/parsers': 'Listar parsers de resposta',
+        'POST /api/parsers/:key/parse': 'Testar parser com uma resposta'
+      },
       commands: {
         'GET /api/models/:modelId/commands': 'Listar comandos por modelo',
-        'POST /api/commands': 'Adicionar novo comando',
+        'POST /api/commands': 'Adicionar novo comando (aceita placeholders {nome:tipo:restrição})',
         'PUT /api/commands/:id': 'Atualizar comando',
         'DELETE /api/commands/:id': 'Deletar comando'
       },
+      dispositivos: {
+        'GET /api/devices': 'Listar dispositivos (filtros: search, modelId, customer, active)',
+        'GET /api/devices/:id': 'Detalhes do dispositivo e últimos comandos',
+        'POST /api/devices': 'Cadastrar dispositivo',
+        'PUT /api/devices/:id': 'Atualizar dispositivo',
+        'PUT /api/devices/:id/password': 'Definir senha do dispositivo',
+        'DELETE /api/devices/:id': 'Remover dispositivo',
+        'POST /api/devices/lookup': 'Buscar dispositivos por IMEI, número ou placa'
+      },
+      phones: {
+        'POST /api/phones/lookup': 'Normalizar números (E.164) e identificar a operadora',
+        'GET /api/phones/carriers': 'Listar operadoras conhecidas',
+        'GET /api/phones/portability': 'Listar números portados',
+        'PUT /api/phones/portability/:phoneNumber': 'Registrar a operadora de um número portado',
+        'DELETE /api/phones/portability/:phoneNumber': 'Remover registro de portabilidade'
+      },
+      credits: {
+        'GET /api/credits': 'Saldo de créditos, limite de saldo baixo e consumo dos últimos 30 dias',
+        'GET /api/credits/ledger': 'Extrato de créditos (recargas, débitos por mensagem e estornos)',
+        'POST /api/credits/topup': 'Adicionar créditos ou ajustar o saldo'
+      },
+      events: {
+        'GET /api/events': 'Fluxo de eventos ao vivo (Server-Sent Events): status, respostas, lotes, créditos e estatísticas'
+      },
       sms: {
-        'POST /api/sms/send': 'Enviar comando SMS',
+        'POST /api/sms/send': 'Enfileirar comando SMS para números ou dispositivos (retorna batchId)',
         'GET /api/sms/history': 'Histórico de envios',
+        'GET /api/sms/:id/status': 'Consultar status no provedor',
+        'POST /api/sms/dlr/:provider': 'Receber relatório de entrega (DLR)',
+        'GET /api/sms/batches': 'Listar lotes de envio',
+        'GET /api/sms/batches/:id': 'Detalhes do lote com progresso por destinatário',
+        'POST /api/sms/batches/:id/cancel': 'Cancelar destinatários ainda não enviados',
+        'GET /api/sms/queue': 'Resumo da fila de envio e mensagens descartadas',
+        'POST /api/sms/queue/:id/retry': 'Reenfileirar mensagem descartada',
+        'POST /api/sms/inbound': 'Receber SMS de resposta (webhook)',
+        'GET /api/sms/inbound': 'Listar respostas recebidas',
         'GET /api/sms/stats': 'Estatísticas de envios'
       },
+      catalog: {
+        'GET /api/catalog/export': 'Exportar modelos e comandos como pacote (?format=json|yaml)',
+        'POST /api/catalog/import': 'Importar pacote JSON/YAML (?mode=merge|replace, ?dryRun=true para ver as diferenças)'
+      },
+      imports: {
+        'POST /api/sms/imports': 'Importar planilha CSV/XLSX de destinatários (multipart: file, commandText, modelId, parameters, notes) e obter a prévia',
+        'GET /api/sms/imports': 'Listar importações',
+        'GET /api/sms/imports/:id': 'Detalhar importação e suas linhas (?status=valid|invalid|duplicate)',
+        'GET /api/sms/imports/:id/report': 'Relatório da importação linha a linha (?format=csv|json)',
+        'POST /api/sms/imports/:id/launch': 'Enviar as linhas válidas da prévia',
+        'DELETE /api/sms/imports/:id': 'Descartar prévia'
+      },
+      schedules: {
+        'GET /api/schedules': 'Listar agendamentos (?status=active|paused|completed|failed)',
+        'GET /api/schedules/:id': 'Detalhar agendamento e suas últimas execuções',
+        'POST /api/schedules': 'Agendar envio único (runAt) ou recorrente (cron) com fuso horário (timezone)',
+        'PUT /api/schedules/:id': 'Atualizar agendamento',
+        'POST /api/schedules/:id/pause': 'Pausar agendamento',
+        'POST /api/schedules/:id/resume': 'Retomar agendamento pausado',
+        'DELETE /api/schedules/:id': 'Remover agendamento'
+      },
       reports: {
-        'GET /api/reports/pdf': 'Gerar relatório PDF',
-        'GET /api/reports/csv': 'Exportar dados CSV'
+        'GET /api/reports/pdf': 'Gerar relatório PDF (aceita os filtros do histórico; padrão: última semana)',
+        'GET /api/reports/export': 'Exportar histórico em CSV ou XLSX (format, columns e os filtros do histórico)',
+        'GET /api/reports/csv': 'Exportar histórico (mesmo que /api/reports/export)',
+        'GET /api/reports/columns': 'Colunas disponíveis para exportação'
+      },
+      auth: {
+        'POST /api/auth/login': 'Entrar com usuário e senha (cookie de sessão)',
+        'POST /api/auth/logout': 'Encerrar a sessão',
+        'GET /api/auth/me': 'Usuário ou chave de API atual',
+        'PUT /api/auth/password': 'Alterar a própria senha'
+      },
+      users: {
+        'GET /api/users': 'Listar usuários',
+        'POST /api/users': 'Criar usuário',
+        'PUT /api/users/:id': 'Atualizar usuário (nome, senha, papel, ativo, limites de requisições)',
+        'GET /api/keys': 'Listar chaves de API',
+        'POST /api/keys': 'Criar chave de API com escopos (a chave só é exibida uma vez)',
+        'PUT /api/keys/:id': 'Renomear chave de API ou alterar seus limites de requisições',
+        'DELETE /api/keys/:id': 'Revogar chave de API'
       }
     },
+    authentication: 'Sessão (POST /api/auth/login) ou cabeçalho x-api-key',
+    audit: {
+      'GET /api/audit': 'Trilha de auditoria (filtros: userId, apiKeyId, entityType, entityId, action, dateFrom, dateTo)',
+      'GET /api/audit/export': 'Exportar trilha de auditoria (format=csv ou json)'
+    },
+    roles: {
+      operator: 'Envia comandos e consulta o histórico',
+      supervisor: 'Operador + estatísticas, relatórios e auditoria',
+      admin: 'Supervisor + modelos, comandos, dispositivos, usuários e chaves de API'
+    },
     documentation: 'https://github.com/DevHMedeiros/sms-app-ds',
     support: 'admin@druzzo.com.br'
   });
 });
 
-// ==================== DEVICE MODELS ROUTES ====================
-
-// Get all device models
-app.get('/api/models', async (req, res) => {
-  try {
-    const result = await pool.query(`
-      SELECT
-        m.*,
-        COUNT(c.id) as command_count
-      FROM device_models m
-      LEFT JOIN commands c ON m.id = c.model_id
-      GROUP BY m.id
-      ORDER BY m.name
-    `);
-
-    res.json({
-      success: true,
-      data: result.rows,
-      count: result.rows.length
-    });
-  } catch (error) {
-    console.error('Error fetching models:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch models',
-      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
-  }
-});
+// ==================== AUTH ROUTES ====================
 
-// Add new device model
-app.post('/api/models', async (req, res) => {
+// Log in and receive the session cookie
+app.post('/api/auth/login', async (req, res) => {
   try {
-    const { name, description } = req.body;
+    const { username, password } = req.body;
 
-    if (!name || name.trim().length === 0) {
+    if (!username || !password) {
       return res.status(400).json({
         success: false,
-        error: 'Model name is required'
+        error: 'Username and password are required'
       });
     }
 
     const result = await pool.query(
-      'INSERT INTO device_models (name, description, created_at) VALUES ($1, $2, NOW()) RETURNING *',
-      [name.trim(), description || null]
+      'SELECT * FROM users WHERE LOWER(username) = LOWER($1) AND active',
+      [String(username).trim()]
     );
 
-    res.status(201).json({
-      success: true,
-      message: 'Model added successfully',
-      data: result.rows[0]
-    });
-  } catch (error) {
-    console.error('Error adding model:', error);
-    if (error.code === '23505') { // Unique violation
-      res.status(409).json({
-        success: false,
-        error: 'Model name already exists'
-      });
-    } else {
-      res.status(500).json({
-        success: false,
-        error: 'Failed to add model',
-        message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-      });
-    }
-  }
-});
-
-// Update device model
-app.put('/api/models/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { name, description } = req.body;
-
-    if (!name || name.trim().length === 0) {
-      return res.status(400).json({
+    const user = result.rows[0];
+    if (!user || !(await verifyPassword(password, user.password_hash))) {
+      return res.status(401).json({
         success: false,
-        error: 'Model name is required'
+        error: 'Invalid username or password'
       });
     }
 
-    const result = await pool.query(
-      'UPDATE device_models SET name = $1, description = $2, updated_at = NOW() WHERE id = $3 RETURNING *',
-      [name.trim(), description || null, id]
-    );
+    const token = await createSession(pool, user.id, {
+      ttlHours: SESSION_TTL_HOURS,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+    await pool.query('UPDATE users SET last_login_at = NOW() WHERE id = $1', [user.id]);
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Model not found'
-      });
-    }
+    res.setHeader('Set-Cookie', sessionCookie(token, {
+      maxAge: SESSION_TTL_HOURS * 3600,
+      secure: process.env.NODE_ENV === 'production'
+    }));
 
     res.json({
       success: true,
-      message: 'Model updated successfully',
-      data: result.rows[0]
+      message: 'Logged in',
+      data: publicUser(user)
     });
   } catch (error) {
-    console.error('Error updating model:', error);
-    if (error.code === '23505') {
-      res.status(409).json({
-        success: false,
-        error: 'Model name already exists'
-      });
-    } else {
-      res.status(500).json({
-        success: false,
-        error: 'Failed to update model'
-      });
-    }
+    console.error('Error logging in:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to log in',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
   }
 });
 
-// Delete device model
-app.delete('/api/models/:id', async (req, res) => {
+app.post('/api/auth/logout', async (req, res) => {
   try {
-    const { id } = req.params;
-
-    // Check if model has commands
-    const commandCheck = await pool.query('SELECT COUNT(*) FROM commands WHERE model_id = $1', [id]);
-    const commandCount = parseInt(commandCheck.rows[0].count);
-
-    if (commandCount > 0) {
-      return res.status(409).json({
-        success: false,
-        error: `Cannot delete model. It has ${commandCount} associated commands.`,
-        suggestion: 'Delete all commands first or use force delete.'
-      });
-    }
-
-    const result = await pool.query('DELETE FROM device_models WHERE id = $1 RETURNING *', [id]);
-
-    if (result.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Model not found'
-      });
+    const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    if (token) {
+      await destroySession(pool, token);
+      const sessionId = hashToken(token);
+      eventHub.closeStreams(auth => auth.sessionId === sessionId, 'Logged out');
     }
 
+    res.setHeader('Set-Cookie', sessionCookie('', { maxAge: 0, secure: process.env.NODE_ENV === 'production' }));
     res.json({
       success: true,
-      message: 'Model deleted successfully',
-      data: result.rows[0]
+      message: 'Logged out'
     });
   } catch (error) {
-    console.error('Error deleting model:', error);
+    console.error('Error logging out:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to delete model'
+      error: 'Failed to log out'
     });
   }
 });
 
-// ==================== COMMANDS ROUTES ====================
+// Who is calling: the logged-in user or the API key, and what it may do
+app.get('/api/auth/me', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      type: req.auth.type,
+      user: req.auth.user,
+      apiKey: req.auth.apiKey,
+      role: req.auth.user.role,
+      permissions: req.auth.scopes
+    }
+  });
+});
 
-// Get commands for a specific model
-app.get('/api/models/:modelId/commands', async (req, res) => {
+// Change the current user's password (ends their other sessions)
+app.put('/api/auth/password', async (req, res) => {
   try {
-    const { modelId } = req.params;
+    if (req.auth.type !== 'session') {
+      return res.status(400).json({
+        success: false,
+        error: 'Passwords can only be changed from a login session'
+      });
+    }
 
-    const result = await pool.query(`
-      SELECT
-        c.*,
-        m.name as model_name
-      FROM commands c
-      JOIN device_models m ON c.model_id = m.id
-      WHERE c.model_id = $1
-      ORDER BY c.command_text
-    `, [modelId]);
+    const { currentPassword, newPassword } = req.body;
+    const invalid = passwordError(newPassword);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: { newPassword: invalid }
+      });
+    }
+
+    const result = await pool.query('SELECT password_hash FROM users WHERE id = $1', [req.auth.user.id]);
+    if (!(await verifyPassword(currentPassword || '', result.rows[0].password_hash))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: { currentPassword: 'is incorrect' }
+      });
+    }
+
+    const passwordHash = await hashPassword(newPassword);
+    await transaction(pool, async client => {
+      await client.query(
+        'UPDATE users SET password_hash = $1, updated_at = NOW() WHERE id = $2',
+        [passwordHash, req.auth.user.id]
+      );
+      await client.query(
+        'DELETE FROM user_sessions WHERE user_id = $1 AND token_hash <> $2',
+        [req.auth.user.id, hashToken(parseCookies(req.headers.cookie)[SESSION_COOKIE])]
+      );
+      await auditChange(client, req, { entity: 'user', entityId: req.auth.user.id, action: 'password' });
+    });
+    eventHub.closeStreams(
+      auth => auth.user.id === req.auth.user.id && auth.sessionId !== null && auth.sessionId !== req.auth.sessionId,
+      'Session expired, please log in again'
+    );
 
     res.json({
       success: true,
-      data: result.rows,
-      count: result.rows.length,
-      modelId: parseInt(modelId)
+      message: 'Password changed'
     });
   } catch (error) {
-    console.error('Error fetching commands:', error);
+    console.error('Error changing password:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch commands'
+      error: 'Failed to change password',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
 });
 
-// Get all commands
-app.get('/api/commands', async (req, res) => {
+// ==================== USER AND API KEY ROUTES ====================
+
+app.get('/api/users', authorize('users:admin'), async (req, res) => {
   try {
     const result = await pool.query(`
-      SELECT
-        c.*,
-        m.name as model_name
-      FROM commands c
-      JOIN device_models m ON c.model_id = m.id
-      ORDER BY m.name, c.command_text
+      SELECT u.*, COUNT(k.id) FILTER (WHERE k.revoked_at IS NULL) as api_key_count
+      FROM users u
+      LEFT JOIN api_keys k ON k.user_id = u.id
+      GROUP BY u.id
+      ORDER BY u.username
     `);
 
     res.json({
       success: true,
-      data: result.rows,
+      data: result.rows.map(publicUser),
       count: result.rows.length
     });
   } catch (error) {
-    console.error('Error fetching commands:', error);
+    console.error('Error fetching users:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch commands'
+      error: 'Failed to fetch users',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
 });
 
-// Add new command
-app.post('/api/commands', async (req, res) => {
+app.post('/api/users', authorize('users:admin'), async (req, res) => {
   try {
-    const { modelId, commandText, description } = req.body;
+    const { username, name, password, role = 'operator' } = req.body;
+    const errors = {};
+    const rateLimits = validateRateLimits(req.body.rateLimits);
 
-    if (!modelId || !commandText || commandText.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Model ID and command text are required'
-      });
+    if (!username || !/^[A-Za-z0-9._-]{3,50}$/.test(String(username).trim())) {
+      errors.username = 'must have 3 to 50 letters, digits, dots, dashes or underscores';
+    }
+    if (!Object.keys(ROLES).includes(role)) {
+      errors.role = `must be one of: ${Object.keys(ROLES).join(', ')}`;
+    }
+    const invalid = passwordError(password);
+    if (invalid) {
+      errors.password = invalid;
+    }
+    if (rateLimits.error) {
+      errors.rateLimits = rateLimits.error;
     }
 
-    // Check if model exists
-    const modelCheck = await pool.query('SELECT id FROM device_models WHERE id = $1', [modelId]);
-    if (modelCheck.rows.length === 0) {
-      return res.status(404).json({
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
         success: false,
-        error: 'Model not found'
+        error: 'Validation failed',
+        errors
       });
     }
 
-    const result = await pool.query(
-      'INSERT INTO commands (model_id, command_text, description, created_at) VALUES ($1, $2, $3, NOW()) RETURNING *',
-      [modelId, commandText.trim(), description || null]
-    );
+    const passwordHash = await hashPassword(password);
+    const result = await transaction(pool, async client => {
+      const result = await client.query(
+        'INSERT INTO users (username, name, password_hash, role, rate_limits) VALUES ($1, $2, $3, $4, $5) RETURNING *',
+        [String(username).trim(), name ? String(name).trim() : null, passwordHash, role, rateLimits.value]
+      );
+      await auditChange(client, req, {
+        entity: 'user', entityId: result.rows[0].id, after: publicUser(result.rows[0]), status: 201
+      });
+      return result;
+    });
 
     res.status(201).json({
       success: true,
-      message: 'Command added successfully',
-      data: result.rows[0]
+      message: 'User created successfully',
+      data: publicUser(result.rows[0])
     });
   } catch (error) {
-    console.error('Error adding command:', error);
+    console.error('Error creating user:', error);
     if (error.code === '23505') {
       res.status(409).json({
         success: false,
-        error: 'Command already exists for this model'
+        error: 'Username already exists'
       });
     } else {
       res.status(500).json({
         success: false,
-        error: 'Failed to add command'
+        error: 'Failed to create user',
+        message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
       });
     }
   }
 });
 
-// Update command
-app.put('/api/commands/:id', async (req, res) => {
+// Update name, password, role, active flag or rate limits. Disabling a user
+// or resetting the password ends their sessions.
+app.put('/api/users/:id', authorize('users:admin'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { commandText, description } = req.body;
+    const { name, password, role, active, rateLimits } = req.body;
+    const fields = [];
+    const values = [];
 
-    if (!commandText || commandText.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Command text is required'
+    if (name !== undefined) {
+      values.push(name ? String(name).trim() : null);
+      fields.push(`name = $${values.length}`);
+    }
+    if (password !== undefined) {
+      const invalid = passwordError(password);
+      if (invalid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          errors: { password: invalid }
+        });
+      }
+      values.push(await hashPassword(password));
+      fields.push(`password_hash = $${values.length}`);
+    }
+    if (role !== undefined) {
+      if (!Object.keys(ROLES).includes(role)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          errors: { role: `must be one of: ${Object.keys(ROLES).join(', ')}` }
+        });
+      }
+      if (parseInt(id) === req.auth.user.id && role !== req.auth.user.role) {
+        return res.status(400).json({
+          success: false,
+          error: 'You cannot change your own role'
+        });
+      }
+      values.push(role);
+      fields.push(`role = $${values.length}`);
+    }
+    if (active !== undefined) {
+      if (typeof active !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          errors: { active: 'must be true or false' }
+        });
+      }
+      if (!active && parseInt(id) === req.auth.user.id) {
+        return res.status(400).json({
+          success: false,
+          error: 'You cannot disable your own user'
+        });
+      }
+      values.push(active);
+      fields.push(`active = $${values.length}`);
+    }
+    if (rateLimits !== undefined) {
+      const checked = validateRateLimits(rateLimits);
+      if (checked.error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          errors: { rateLimits: checked.error }
+        });
+      }
+      values.push(checked.value);
+      fields.push(`rate_limits = $${values.length}`);
+    }
+
+    if (fields.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Nothing to update'
       });
     }
 
-    const result = await pool.query(
-      'UPDATE commands SET command_text = $1, description = $2, updated_at = NOW() WHERE id = $3 RETURNING *',
-      [commandText.trim(), description || null, id]
-    );
+    values.push(id);
+    const result = await transaction(pool, async client => {
+      const before = await snapshot(client, 'user', id);
+      const result = await client.query(
+        `UPDATE users SET ${fields.join(', ')}, updated_at = NOW() WHERE id = $${values.length} RETURNING *`,
+        values
+      );
+      if (result.rows.length === 0) return result;
+
+      if (password !== undefined || active === false) {
+        await client.query('DELETE FROM user_sessions WHERE user_id = $1', [id]);
+      }
+      await auditChange(client, req, { entity: 'user', entityId: id, before: publicUser(before), after: publicUser(result.rows[0]) });
+      return result;
+    });
 
     if (result.rows.length === 0) {
       return res.status(404).json({
         success: false,
-        error: 'Command not found'
+        error: 'User not found'
       });
     }
+    if (password !== undefined || active === false) {
+      eventHub.closeStreams(auth => auth.user.id === result.rows[0].id && auth.sessionId !== null, 'Session expired, please log in again');
+    }
 
     res.json({
       success: true,
-      message: 'Command updated successfully',
-      data: result.rows[0]
+      message: 'User updated successfully',
+      data: publicUser(result.rows[0])
     });
   } catch (error) {
-    console.error('Error updating command:', error);
+    console.error('Error updating user:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to update command'
+      error: 'Failed to update user',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
 });
 
-// Delete command
-app.delete('/api/commands/:id', async (req, res) => {
+app.get('/api/keys', authorize('users:admin'), async (req, res) => {
   try {
-    const { id } = req.params;
+    const result = await pool.query(`
+      SELECT k.*, u.username
+      FROM api_keys k
+      JOIN users u ON u.id = k.user_id
+      ORDER BY k.revoked_at IS NOT NULL, k.created_at DESC
+    `);
+
+    res.json({
+      success: true,
+      data: result.rows.map(publicApiKey),
+      count: result.rows.length,
+      scopes: SCOPES,
+      roles: ROLES
+    });
+  } catch (error) {
+    console.error('Error fetching API keys:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch API keys',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Create an API key. The key itself is only returned in this response.
+app.post('/api/keys', authorize('users:admin'), async (req, res) => {
+  try {
+    const { name, scopes, expiresAt, userId } = req.body;
+    const errors = {};
+    const rateLimits = validateRateLimits(req.body.rateLimits);
+
+    if (!name || String(name).trim().length === 0 || String(name).trim().length > 100) {
+      errors.name = 'must have 1 to 100 characters';
+    }
+    if (expiresAt && Number.isNaN(new Date(expiresAt).getTime())) {
+      errors.expiresAt = 'must be a date';
+    }
+    if (rateLimits.error) {
+      errors.rateLimits = rateLimits.error;
+    }
+
+    const owner = parseInt(userId) || req.auth.user.id;
+    const ownerCheck = await pool.query('SELECT id, role FROM users WHERE id = $1 AND active', [owner]);
+    if (ownerCheck.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    // A key cannot do more than its owner's role allows
+    const checked = validateScopes(scopes, ownerCheck.rows[0].role);
+    if (checked.error) {
+      errors.scopes = checked.error;
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors
+      });
+    }
+
+    const { key, prefix, hash } = generateApiKey();
+    const result = await transaction(pool, async client => {
+      const result = await client.query(`
+        INSERT INTO api_keys (name, prefix, key_hash, scopes, user_id, created_by, expires_at, rate_limits)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING *
+      `, [String(name).trim(), prefix, hash, checked.scopes, owner, req.auth.user.id, expiresAt || null, rateLimits.value]);
+      await auditChange(client, req, {
+        entity: 'api_key', entityId: result.rows[0].id, after: publicApiKey(result.rows[0]), status: 201
+      });
+      return result;
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Store it now: it will not be shown again.',
+      data: { ...publicApiKey(result.rows[0]), key }
+    });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create API key',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Rename a key or change its rate limits (null: the owner's or the defaults)
+app.put('/api/keys/:id', authorize('users:admin'), async (req, res) => {
+  try {
+    const { name, rateLimits } = req.body;
+    const fields = [];
+    const values = [];
+    const errors = {};
+
+    if (name !== undefined) {
+      if (!name || String(name).trim().length === 0 || String(name).trim().length > 100) {
+        errors.name = 'must have 1 to 100 characters';
+      }
+      values.push(String(name || '').trim());
+      fields.push(`name = $${values.length}`);
+    }
+    if (rateLimits !== undefined) {
+      const checked = validateRateLimits(rateLimits);
+      if (checked.error) {
+        errors.rateLimits = checked.error;
+      }
+      values.push(checked.value);
+      fields.push(`rate_limits = $${values.length}`);
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors
+      });
+    }
+    if (fields.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Nothing to update'
+      });
+    }
+
+    values.push(req.params.id);
+    const result = await transaction(pool, async client => {
+      const before = await snapshot(client, 'api_key', req.params.id);
+      const result = await client.query(
+        `UPDATE api_keys SET ${fields.join(', ')} WHERE id = $${values.length} RETURNING *`,
+        values
+      );
+      if (result.rows.length === 0) return result;
+
+      await auditChange(client, req, {
+        entity: 'api_key',
+        entityId: req.params.id,
+        before: publicApiKey(before),
+        after: publicApiKey(result.rows[0])
+      });
+      return result;
+    });
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'API key updated',
+      data: publicApiKey(result.rows[0])
+    });
+  } catch (error) {
+    console.error('Error updating API key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update API key',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
 
-    const result = await pool.query('DELETE FROM commands WHERE id = $1 RETURNING *', [id]);
+// Revoke an API key (kept so history rows can still name it)
+app.delete('/api/keys/:id', authorize('users:admin'), async (req, res) => {
+  try {
+    const result = await transaction(pool, async client => {
+      const before = await snapshot(client, 'api_key', req.params.id);
+      const result = await client.query(
+        'UPDATE api_keys SET revoked_at = COALESCE(revoked_at, NOW()) WHERE id = $1 RETURNING *',
+        [req.params.id]
+      );
+      if (result.rows.length === 0) return result;
+
+      await auditChange(client, req, {
+        entity: 'api_key',
+        entityId: req.params.id,
+        action: 'revoke',
+        before: publicApiKey(before),
+        after: publicApiKey(result.rows[0])
+      });
+      return result;
+    });
 
     if (result.rows.length === 0) {
       return res.status(404).json({
         success: false,
-        error: 'Command not found'
+        error: 'API key not found'
       });
     }
 
     res.json({
       success: true,
-      message: 'Command deleted successfully',
-      data: result.rows[0]
+      message: 'API key revoked',
+      data: publicApiKey(result.rows[0])
     });
   } catch (error) {
-    console.error('Error deleting command:', error);
+    console.error('Error revoking API key:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to delete command'
+      error: 'Failed to revoke API key',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
 });
 
-// ==================== SMS ROUTES ====================
+// ==================== AUDIT ROUTES ====================
 
-// Send SMS command
-app.post('/api/sms/send', async (req, res) => {
+// Audit trail with filters (userId, apiKeyId, username, entityType, entityId,
+// action, method, route, dateFrom, dateTo, failed)
+app.get('/api/audit', authorize('audit:read'), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+    const { whereClause, params } = auditFilters(req.query);
+
+    const countResult = await pool.query(`SELECT COUNT(*) FROM audit_log ${whereClause}`, params);
+    const total = parseInt(countResult.rows[0].count);
+
+    const result = await pool.query(`
+      SELECT *
+      FROM audit_log
+      ${whereClause}
+      ORDER BY occurred_at DESC, id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, (page - 1) * limit]);
+
+    res.json({
+      success: true,
+      data: result.rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch audit log',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Export the filtered audit trail as CSV (default) or JSON
+const AUDIT_EXPORT_LIMIT = 100000;
+
+app.get('/api/audit/export', authorize('audit:read'), async (req, res) => {
+  try {
+    const format = req.query.format === 'json' ? 'json' : 'csv';
+    const { whereClause, params } = auditFilters(req.query);
+
+    const result = await pool.query(`
+      SELECT *
+      FROM audit_log
+      ${whereClause}
+      ORDER BY occurred_at, id
+      LIMIT ${AUDIT_EXPORT_LIMIT}
+    `, params);
+
+    const filename = `audit_log_${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'json') {
+      res.setHeader('Content-Type', 'application/json');
+      res.send(JSON.stringify(result.rows, null, 2));
+    } else {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.send(toCsv(result.rows));
+    }
+  } catch (error) {
+    console.error('Error exporting audit log:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export audit log',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// ==================== DEVICE MODELS ROUTES ====================
+
+// Model rows never expose the encrypted default password
+function publicModel(row) {
+  const { default_password_encrypted: passwordEncrypted, ...model } = row;
+  return { ...model, has_default_password: Boolean(passwordEncrypted) };
+}
+
+// Encrypt a device password for storage. Empty values clear the password.
+// Throws VaultError when no vault key is configured.
+function sealPassword(password) {
+  if (password === undefined || password === null || String(password).trim() === '') {
+    return null;
+  }
+  if (!vault) {
+    throw new VaultError('Password vault is not configured (VAULT_KEY_FILE)');
+  }
+  return vault.encrypt(String(password).trim());
+}
+
+// Empty values are allowed (they clear the password)
+function isValidPassword(password) {
+  if (password === undefined || password === null) return true;
+  const value = String(password).trim();
+  return value === '' || /^\S{1,32}$/.test(value);
+}
+
+// Get all device models
+app.get('/api/models', authorize('catalog:read'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT
+        m.*,
+        COUNT(c.id) as command_count,
+        (SELECT COUNT(*) FROM devices d WHERE d.model_id = m.id) as device_count
+      FROM device_models m
+      LEFT JOIN commands c ON m.id = c.model_id
+      GROUP BY m.id
+      ORDER BY m.name
+    `);
+
+    res.json({
+      success: true,
+      data: result.rows.map(publicModel),
+      count: result.rows.length
+    });
+  } catch (error) {
+    console.error('Error fetching models:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch models',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Add new device model
+app.post('/api/models', authorize('catalog:write'), async (req, res) => {
   try {
-    const { phoneNumbers, modelId, commandText, notes } = req.body;
+    const { name, description, parser } = req.body;
 
-    if (!phoneNumbers || !Array.isArray(phoneNumbers) || phoneNumbers.length === 0) {
+    if (!name || name.trim().length === 0) {
       return res.status(400).json({
         success: false,
-        error: 'Phone numbers array is required'
+        error: 'Model name is required'
       });
     }
 
-    if (!modelId || !commandText || commandText.trim().length === 0) {
+    if (parser && !hasParser(parser)) {
       return res.status(400).json({
         success: false,
-        error: 'Model ID and command text are required'
+        error: `Unknown reply parser "${parser}"`,
+        available: listParsers().map(p => p.key)
+      });
+    }
+
+    const result = await transaction(pool, async client => {
+      const result = await client.query(
+        'INSERT INTO device_models (name, description, parser, created_at) VALUES ($1, $2, $3, NOW()) RETURNING *',
+        [name.trim(), description || null, parser || null]
+      );
+      await auditChange(client, req, {
+        entity: 'model', entityId: result.rows[0].id, after: publicModel(result.rows[0]), status: 201
+      });
+      return result;
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Model added successfully',
+      data: publicModel(result.rows[0])
+    });
+  } catch (error) {
+    console.error('Error adding model:', error);
+    if (error.code === '23505') { // Unique violation
+      res.status(409).json({
+        success: false,
+        error: 'Model name already exists'
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to add model',
+        message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
       });
     }
+  }
+});
 
-    // Validate phone numbers
-    const phoneRegex = /^[\d\+\-\(\)\s]{10,20}$/;
-    const invalidPhones = phoneNumbers.filter(phone => !phoneRegex.test(phone.trim()));
+// Update device model
+app.put('/api/models/:id', authorize('catalog:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, description, parser } = req.body;
 
-    if (invalidPhones.length > 0) {
+    if (!name || name.trim().length === 0) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid phone numbers detected',
-        invalidPhones
+        error: 'Model name is required'
       });
     }
 
-    // Check if model exists
-    const modelCheck = await pool.query('SELECT name FROM device_models WHERE id = $1', [modelId]);
-    if (modelCheck.rows.length === 0) {
-      return res.status(404).json({
+    if (parser && !hasParser(parser)) {
+      return res.status(400).json({
         success: false,
-        error: 'Model not found'
+        error: `Unknown reply parser "${parser}"`,
+        available: listParsers().map(p => p.key)
       });
     }
 
-    const modelName = modelCheck.rows[0].name;
-    const results = [];
-    const errors = [];
+    const result = await transaction(pool, async client => {
+      const before = await snapshot(client, 'model', id);
+      const result = await client.query(
+        'UPDATE device_models SET name = $1, description = $2, parser = $3, updated_at = NOW() WHERE id = $4 RETURNING *',
+        [name.trim(), description || null, parser || null, id]
+      );
+      if (result.rows.length === 0) return result;
 
-    // Process each phone number
-    for (const phone of phoneNumbers) {
-      try {
-        const cleanPhone = phone.trim();
-
-        // Here you would integrate with your SMS service
-        // For now, we'll simulate SMS sending and log to database
-        const smsResult = await sendSMSCommand(cleanPhone, commandText, modelName);
-
-        const result = await pool.query(`
-          INSERT INTO sms_history
-          (phone_number, model_id, command_text, status, sent_at, details, notes, response_data)
-          VALUES ($1, $2, $3, $4, NOW(), $5, $6, $7)
-          RETURNING *
-        `, [
-          cleanPhone,
-          modelId,
-          commandText.trim(),
-          smsResult.success ? 'sent' : 'failed',
-          smsResult.details || null,
-          notes || null,
-          JSON.stringify(smsResult)
-        ]);
-
-        results.push({
-          phone: cleanPhone,
-          status: smsResult.success ? 'sent' : 'failed',
-          id: result.rows[0].id,
-          details: smsResult.details
-        });
+      await auditChange(client, req, { entity: 'model', entityId: id, before: publicModel(before), after: publicModel(result.rows[0]) });
+      return result;
+    });
 
-      } catch (error) {
-        console.error(`Error sending SMS to ${phone}:`, error);
-        errors.push({
-          phone: phone.trim(),
-          error: error.message
-        });
-      }
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Model not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Model updated successfully',
+      data: publicModel(result.rows[0])
+    });
+  } catch (error) {
+    console.error('Error updating model:', error);
+    if (error.code === '23505') {
+      res.status(409).json({
+        success: false,
+        error: 'Model name already exists'
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update model'
+      });
+    }
+  }
+});
+
+
+// Set or clear the default password used by devices of this model
+app.put('/api/models/:id/password', authorize('catalog:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { password } = req.body;
+
+    if (!isValidPassword(password)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Password must be 1 to 32 characters without spaces'
+      });
+    }
+
+    const result = await transaction(pool, async client => {
+      const before = await snapshot(client, 'model', id);
+      const result = await client.query(
+        'UPDATE device_models SET default_password_encrypted = $1, updated_at = NOW() WHERE id = $2 RETURNING *',
+        [sealPassword(password), id]
+      );
+      if (result.rows.length === 0) return result;
+
+      await auditChange(client, req, {
+        entity: 'model',
+        entityId: id,
+        action: 'password',
+        before: publicModel(before),
+        after: publicModel(result.rows[0])
+      });
+      return result;
+    });
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Model not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: result.rows[0].default_password_encrypted ? 'Default password saved' : 'Default password cleared',
+      data: publicModel(result.rows[0])
+    });
+  } catch (error) {
+    console.error('Error saving model password:', error);
+    if (error instanceof VaultError) {
+      res.status(503).json({
+        success: false,
+        error: error.message
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to save model password',
+        message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+});
+
+// Delete device model
+app.delete('/api/models/:id', authorize('catalog:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Devices must be moved to another model first
+    const deviceCheck = await pool.query('SELECT COUNT(*) FROM devices WHERE model_id = $1', [id]);
+    const deviceCount = parseInt(deviceCheck.rows[0].count);
+
+    if (deviceCount > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `Cannot delete model. It has ${deviceCount} registered devices.`,
+        suggestion: 'Move or delete the devices first.'
+      });
+    }
+
+    const scheduleCheck = await pool.query('SELECT COUNT(*) FROM scheduled_sends WHERE model_id = $1', [id]);
+    const scheduleCount = parseInt(scheduleCheck.rows[0].count);
+
+    if (scheduleCount > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `Cannot delete model. It has ${scheduleCount} scheduled sends.`,
+        suggestion: 'Delete the schedules first.'
+      });
+    }
+
+    // Check if model has commands
+    const commandCheck = await pool.query('SELECT COUNT(*) FROM commands WHERE model_id = $1', [id]);
+    const commandCount = parseInt(commandCheck.rows[0].count);
+
+    if (commandCount > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `Cannot delete model. It has ${commandCount} associated commands.`,
+        suggestion: 'Delete all commands first or use force delete.'
+      });
+    }
+
+    const result = await transaction(pool, async client => {
+      const result = await client.query('DELETE FROM device_models WHERE id = $1 RETURNING *', [id]);
+      if (result.rows.length === 0) return result;
+
+      await auditChange(client, req, { entity: 'model', entityId: id, before: publicModel(result.rows[0]) });
+      return result;
+    });
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Model not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Model deleted successfully',
+      data: publicModel(result.rows[0])
+    });
+  } catch (error) {
+    console.error('Error deleting model:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete model'
+    });
+  }
+});
+
+// ==================== REPLY PARSERS ROUTES ====================
+
+// List available reply parsers
+app.get('/api/parsers', authorize('catalog:read'), (req, res) => {
+  const parsers = listParsers();
+  res.json({
+    success: true,
+    data: parsers,
+    count: parsers.length
+  });
+});
+
+// Try a parser against a sample reply
+app.post('/api/parsers/:key/parse', authorize('catalog:read'), (req, res) => {
+  const { key } = req.params;
+  const { text } = req.body;
+
+  if (!hasParser(key)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Parser not found'
+    });
+  }
+
+  if (!text || String(text).trim().length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Reply text is required'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: parseReply(key, String(text))
+  });
+});
+
+// ==================== COMMANDS ROUTES ====================
+
+// Attach the placeholder list of a command template (see src/templates.js)
+function withParameters(command) {
+  try {
+    return { ...command, parameters: describeTemplate(command.command_text) };
+  } catch (error) {
+    return { ...command, parameters: [], template_error: error.message };
+  }
+}
+
+// Get commands for a specific model
+app.get('/api/models/:modelId/commands', authorize('catalog:read'), async (req, res) => {
+  try {
+    const { modelId } = req.params;
+
+    const result = await pool.query(`
+      SELECT
+        c.*,
+        m.name as model_name
+      FROM commands c
+      JOIN device_models m ON c.model_id = m.id
+      WHERE c.model_id = $1
+      ORDER BY c.command_text
+    `, [modelId]);
+
+    res.json({
+      success: true,
+      data: result.rows.map(withParameters),
+      count: result.rows.length,
+      modelId: parseInt(modelId)
+    });
+  } catch (error) {
+    console.error('Error fetching commands:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch commands'
+    });
+  }
+});
+
+// Get all commands
+app.get('/api/commands', authorize('catalog:read'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT
+        c.*,
+        m.name as model_name
+      FROM commands c
+      JOIN device_models m ON c.model_id = m.id
+      ORDER BY m.name, c.command_text
+    `);
+
+    res.json({
+      success: true,
+      data: result.rows.map(withParameters),
+      count: result.rows.length
+    });
+  } catch (error) {
+    console.error('Error fetching commands:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch commands'
+    });
+  }
+});
+
+// Add new command
+app.post('/api/commands', authorize('catalog:write'), async (req, res) => {
+  try {
+    const { modelId, commandText, description } = req.body;
+
+    if (!modelId || !commandText || commandText.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Model ID and command text are required'
+      });
+    }
+
+    try {
+      parseTemplate(commandText);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid command template',
+        message: error.message
+      });
+    }
+
+    // Check if model exists
+    const modelCheck = await pool.query('SELECT id FROM device_models WHERE id = $1', [modelId]);
+    if (modelCheck.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Model not found'
+      });
+    }
+
+    const result = await transaction(pool, async client => {
+      const result = await client.query(
+        'INSERT INTO commands (model_id, command_text, description, created_at) VALUES ($1, $2, $3, NOW()) RETURNING *',
+        [modelId, commandText.trim(), description || null]
+      );
+      await auditChange(client, req, {
+        entity: 'command', entityId: result.rows[0].id, after: result.rows[0], status: 201
+      });
+      return result;
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Command added successfully',
+      data: withParameters(result.rows[0])
+    });
+  } catch (error) {
+    console.error('Error adding command:', error);
+    if (error.code === '23505') {
+      res.status(409).json({
+        success: false,
+        error: 'Command already exists for this model'
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to add command'
+      });
+    }
+  }
+});
+
+// Update command
+app.put('/api/commands/:id', authorize('catalog:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { commandText, description } = req.body;
+
+    if (!commandText || commandText.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Command text is required'
+      });
+    }
+
+    try {
+      parseTemplate(commandText);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid command template',
+        message: error.message
+      });
+    }
+
+    const result = await transaction(pool, async client => {
+      const before = await snapshot(client, 'command', id);
+      const result = await client.query(
+        'UPDATE commands SET command_text = $1, description = $2, updated_at = NOW() WHERE id = $3 RETURNING *',
+        [commandText.trim(), description || null, id]
+      );
+      if (result.rows.length === 0) return result;
+
+      await auditChange(client, req, { entity: 'command', entityId: id, before, after: result.rows[0] });
+      return result;
+    });
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Command not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Command updated successfully',
+      data: withParameters(result.rows[0])
+    });
+  } catch (error) {
+    console.error('Error updating command:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update command'
+    });
+  }
+});
+
+// Delete command
+app.delete('/api/commands/:id', authorize('catalog:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await transaction(pool, async client => {
+      const result = await client.query('DELETE FROM commands WHERE id = $1 RETURNING *', [id]);
+      if (result.rows.length === 0) return result;
+
+      await auditChange(client, req, { entity: 'command', entityId: id, before: result.rows[0] });
+      return result;
+    });
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Command not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Command deleted successfully',
+      data: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Error deleting command:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete command'
+    });
+  }
+});
+
+// ==================== CATALOG ROUTES ====================
+
+// Export models and commands as a bundle (?format=json|yaml)
+app.get('/api/catalog/export', authorize('catalog:read'), async (req, res) => {
+  try {
+    const format = String(req.query.format || 'json').toLowerCase();
+    if (!['json', 'yaml'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid format (use json or yaml)'
+      });
+    }
+
+    const bundle = await exportCatalog(pool);
+    const filename = `catalog_${new Date().toISOString().slice(0, 10)}.${format === 'yaml' ? 'yml' : 'json'}`;
+
+    res.setHeader('Content-Type', format === 'yaml' ? 'application/yaml; charset=utf-8' : 'application/json; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(serializeBundle(bundle, format));
+  } catch (error) {
+    console.error('Error exporting catalog:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export catalog'
+    });
+  }
+});
+
+// Import a bundle: JSON body, YAML body (application/yaml or text/plain) or
+// a multipart upload (field "file"). ?mode=merge|replace, ?dryRun=true
+// returns the diff without changing anything.
+app.post(
+  '/api/catalog/import',
+  authorize('catalog:write'),
+  express.text({ type: ['application/yaml', 'application/x-yaml', 'text/yaml', 'text/plain'], limit: '5mb' }),
+  receiveFile('file'),
+  async (req, res) => {
+    try {
+      const mode = String(req.query.mode || 'merge');
+      const dryRun = req.query.dryRun === 'true';
+
+      let data;
+      if (req.file) {
+        data = parseBundle(await fs.promises.readFile(req.file.path, 'utf8'));
+      } else if (typeof req.body === 'string') {
+        data = parseBundle(req.body);
+      } else {
+        data = req.body;
+      }
+
+      const bundle = validateBundle(data);
+      const diff = await transaction(pool, async client => {
+        const diff = await applyCatalog(client, bundle, { mode, dryRun });
+        if (!dryRun) {
+          await auditChange(client, req, {
+            entity: 'catalog',
+            action: 'import',
+            after: { mode, ...diffSummary(diff) }
+          });
+        }
+        return diff;
+      });
+      const summary = diffSummary(diff);
+
+      res.json({
+        success: true,
+        message: dryRun ? 'Dry run: nothing was changed' : 'Catalog imported successfully',
+        dryRun,
+        summary,
+        diff
+      });
+    } catch (error) {
+      if (error instanceof CatalogError) {
+        return res.status(error.status).json({
+          success: false,
+          error: error.message,
+          errors: error.errors,
+          diff: error.diff
+        });
+      }
+
+      console.error('Error importing catalog:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to import catalog',
+        message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    } finally {
+      if (req.file) fs.promises.unlink(req.file.path).catch(() => {});
+    }
+  }
+);
+
+// ==================== DEVICE ROUTES ====================
+
+// List devices with optional filters
+app.get('/api/devices', authorize('catalog:read'), async (req, res) => {
+  try {
+    const { search, modelId, customer, active } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const conditions = [];
+    const params = [];
+
+    if (search) {
+      params.push(`%${search}%`);
+      conditions.push(`(d.label ILIKE $${params.length} OR d.imei ILIKE $${params.length} OR d.plate ILIKE $${params.length} OR d.phone_number ILIKE $${params.length} OR d.customer ILIKE $${params.length})`);
+    }
+
+    if (modelId) {
+      params.push(modelId);
+      conditions.push(`d.model_id = $${params.length}`);
+    }
+
+    if (customer) {
+      params.push(`%${customer}%`);
+      conditions.push(`d.customer ILIKE $${params.length}`);
+    }
+
+    if (active === 'true' || active === 'false') {
+      params.push(active === 'true');
+      conditions.push(`d.active = $${params.length}`);
+    }
+
+    const whereClause = conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : '';
+
+    const countResult = await pool.query(`SELECT COUNT(*) FROM devices d ${whereClause}`, params);
+
+    params.push(limit, (page - 1) * limit);
+    const result = await pool.query(`
+      SELECT
+        d.*,
+        m.name as model_name,
+        (SELECT MAX(h.sent_at) FROM sms_history h WHERE h.device_id = d.id) as last_command_at
+      FROM devices d
+      LEFT JOIN device_models m ON m.id = d.model_id
+      ${whereClause}
+      ORDER BY d.label NULLS LAST, d.id
+      LIMIT $${params.length - 1} OFFSET $${params.length}
+    `, params);
+
+    const total = parseInt(countResult.rows[0].count);
+
+    res.json({
+      success: true,
+      data: result.rows.map(publicDevice),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching devices:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch devices',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Find devices by IMEI, phone number or plate
+app.post('/api/devices/lookup', authorize('catalog:read'), async (req, res) => {
+  try {
+    const { identifiers } = req.body;
+
+    if (!Array.isArray(identifiers) || identifiers.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Identifiers array is required'
+      });
+    }
+
+    if (identifiers.length > 1000) {
+      return res.status(400).json({
+        success: false,
+        error: 'At most 1000 identifiers per lookup'
+      });
+    }
+
+    const { found, notFound } = await lookupDevices(pool, identifiers);
+
+    res.json({
+      success: true,
+      data: found,
+      count: found.length,
+      notFound
+    });
+  } catch (error) {
+    console.error('Error looking up devices:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to look up devices',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Get a single device with its latest commands
+app.get('/api/devices/:id', authorize('catalog:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await pool.query(`
+      SELECT d.*, m.name as model_name
+      FROM devices d
+      LEFT JOIN device_models m ON m.id = d.model_id
+      WHERE d.id = $1
+    `, [id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Device not found'
+      });
+    }
+
+    const history = await pool.query(`
+      SELECT id, command_text, status, sent_at, delivered_at
+      FROM sms_history
+      WHERE device_id = $1
+      ORDER BY sent_at DESC
+      LIMIT 20
+    `, [id]);
+
+    res.json({
+      success: true,
+      data: { ...publicDevice(result.rows[0]), recent_commands: history.rows }
+    });
+  } catch (error) {
+    console.error('Error fetching device:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch device',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Register a device
+app.post('/api/devices', authorize('devices:write'), async (req, res) => {
+  try {
+    const { values, errors } = validateDevice(req.body);
+
+    if (!isValidPassword(req.body.password)) {
+      errors.password = 'must be 1 to 32 characters without spaces';
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid device',
+        errors
+      });
+    }
+
+    const passwordEncrypted = sealPassword(req.body.password);
+    if (passwordEncrypted) {
+      values.password_encrypted = passwordEncrypted;
+    }
+
+    const columns = Object.keys(values);
+    const result = await transaction(pool, async client => {
+      const result = await client.query(`
+        INSERT INTO devices (${columns.join(', ')})
+        VALUES (${columns.map((column, i) => `$${i + 1}`).join(', ')})
+        RETURNING *
+      `, Object.values(values));
+      await auditChange(client, req, {
+        entity: 'device', entityId: result.rows[0].id, after: publicDevice(result.rows[0]), status: 201
+      });
+      return result;
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Device added successfully',
+      data: publicDevice(result.rows[0])
+    });
+  } catch (error) {
+    console.error('Error adding device:', error);
+    if (error instanceof VaultError) {
+      res.status(503).json({
+        success: false,
+        error: error.message
+      });
+    } else if (error.code === '23505') {
+      res.status(409).json({
+        success: false,
+        error: conflictMessage(error)
+      });
+    } else if (error.code === '23503') {
+      res.status(404).json({
+        success: false,
+        error: 'Model not found'
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to add device',
+        message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+});
+
+// Update a device (only the fields sent are changed)
+app.put('/api/devices/:id', authorize('devices:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { values, errors } = validateDevice(req.body, { partial: true });
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid device',
+        errors
+      });
+    }
+
+    const columns = Object.keys(values);
+    if (columns.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No fields to update'
+      });
+    }
+
+    const result = await transaction(pool, async client => {
+      const before = await snapshot(client, 'device', id);
+      const result = await client.query(`
+        UPDATE devices
+        SET ${columns.map((column, i) => `${column} = $${i + 2}`).join(', ')}, updated_at = NOW()
+        WHERE id = $1
+        RETURNING *
+      `, [id, ...Object.values(values)]);
+      if (result.rows.length === 0) return result;
+
+      await auditChange(client, req, { entity: 'device', entityId: id, before: publicDevice(before), after: publicDevice(result.rows[0]) });
+      return result;
+    });
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Device not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Device updated successfully',
+      data: publicDevice(result.rows[0])
+    });
+  } catch (error) {
+    console.error('Error updating device:', error);
+    if (error.code === '23505') {
+      res.status(409).json({
+        success: false,
+        error: conflictMessage(error)
+      });
+    } else if (error.code === '23503') {
+      res.status(404).json({
+        success: false,
+        error: 'Model not found'
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update device',
+        message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+});
+
+
+// Set or clear a device password (stored encrypted, never returned)
+app.put('/api/devices/:id/password', authorize('devices:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { password } = req.body;
+
+    if (!isValidPassword(password)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Password must be 1 to 32 characters without spaces'
+      });
+    }
+
+    const result = await transaction(pool, async client => {
+      const before = await snapshot(client, 'device', id);
+      const result = await client.query(
+        'UPDATE devices SET password_encrypted = $1, updated_at = NOW() WHERE id = $2 RETURNING *',
+        [sealPassword(password), id]
+      );
+      if (result.rows.length === 0) return result;
+
+      await auditChange(client, req, {
+        entity: 'device',
+        entityId: id,
+        action: 'password',
+        before: publicDevice(before),
+        after: publicDevice(result.rows[0])
+      });
+      return result;
+    });
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Device not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: result.rows[0].password_encrypted ? 'Device password saved' : 'Device password cleared',
+      data: publicDevice(result.rows[0])
+    });
+  } catch (error) {
+    console.error('Error saving device password:', error);
+    if (error instanceof VaultError) {
+      res.status(503).json({
+        success: false,
+        error: error.message
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to save device password',
+        message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+});
+
+// Delete a device (its history is kept)
+app.delete('/api/devices/:id', authorize('devices:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await transaction(pool, async client => {
+      const result = await client.query('DELETE FROM devices WHERE id = $1 RETURNING *', [id]);
+      if (result.rows.length === 0) return result;
+
+      await auditChange(client, req, { entity: 'device', entityId: id, before: publicDevice(result.rows[0]) });
+      return result;
+    });
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Device not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Device deleted successfully',
+      data: publicDevice(result.rows[0])
+    });
+  } catch (error) {
+    console.error('Error deleting device:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete device'
+    });
+  }
+});
+
+// ==================== PHONE ROUTES ====================
+
+// Normalize numbers to E.164 and identify their carrier
+app.post('/api/phones/lookup', authorize('sms:read'), async (req, res) => {
+  try {
+    const { phoneNumbers } = req.body;
+
+    if (!Array.isArray(phoneNumbers) || phoneNumbers.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Phone numbers array is required'
+      });
+    }
+
+    if (phoneNumbers.length > 1000) {
+      return res.status(400).json({
+        success: false,
+        error: 'At most 1000 phone numbers per lookup'
+      });
+    }
+
+    const carriers = await lookupCarriers(pool, carrierTable, phoneNumbers.map(String));
+    const data = phoneNumbers.map(input => {
+      try {
+        const phone = normalizePhone(input);
+        return { input, valid: true, ...phone, carrier: carriers.get(String(input)) };
+      } catch (error) {
+        if (!(error instanceof PhoneError)) throw error;
+        return { input, valid: false, error: error.message, reason: error.code };
+      }
+    });
+
+    res.json({
+      success: true,
+      data,
+      count: data.length,
+      invalid: data.filter(phone => !phone.valid).length
+    });
+  } catch (error) {
+    console.error('Error looking up phone numbers:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to look up phone numbers',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Carriers known to the prefix table (valid values for portability entries)
+app.get('/api/phones/carriers', authorize('sms:read'), (req, res) => {
+  res.json({
+    success: true,
+    data: Object.entries(carrierTable.carriers).map(([key, carrier]) => ({ key, ...carrier }))
+  });
+});
+
+// List portability entries
+app.get('/api/phones/portability', authorize('catalog:read'), async (req, res) => {
+  try {
+    const { page = 1, limit = 50, carrier } = req.query;
+    const offset = (page - 1) * limit;
+    const params = [];
+    let whereClause = '';
+
+    if (carrier) {
+      params.push(carrier);
+      whereClause = `WHERE carrier = $${params.length}`;
+    }
+
+    const total = parseInt((await pool.query(`SELECT COUNT(*) FROM phone_portability ${whereClause}`, params)).rows[0].count);
+
+    params.push(limit, offset);
+    const result = await pool.query(`
+      SELECT * FROM phone_portability
+      ${whereClause}
+      ORDER BY phone_number
+      LIMIT $${params.length - 1} OFFSET $${params.length}
+    `, params);
+
+    res.json({
+      success: true,
+      data: result.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching portability entries:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch portability entries'
+    });
+  }
+});
+
+// Record the carrier a number was ported to. Body: { carrier, portedAt, source }
+app.put('/api/phones/portability/:phoneNumber', authorize('catalog:write'), async (req, res) => {
+  try {
+    const { carrier, portedAt, source } = req.body;
+    const errors = {};
+
+    const phone = tryNormalizePhone(req.params.phoneNumber);
+    if (!phone) {
+      errors.phoneNumber = 'is not a valid mobile number';
+    }
+    if (!carrier || !carrierTable.carriers[carrier]) {
+      errors.carrier = `must be one of ${Object.keys(carrierTable.carriers).join(', ')}`;
+    }
+    if (portedAt && Number.isNaN(new Date(portedAt).getTime())) {
+      errors.portedAt = 'must be a date (YYYY-MM-DD)';
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors
+      });
+    }
+
+    const result = await transaction(pool, async client => {
+      const before = (await client.query('SELECT * FROM phone_portability WHERE phone_number = $1', [phone.e164])).rows[0];
+      const result = await client.query(`
+        INSERT INTO phone_portability (phone_number, carrier, ported_at, source)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (phone_number) DO UPDATE
+        SET carrier = EXCLUDED.carrier, ported_at = EXCLUDED.ported_at, source = EXCLUDED.source, updated_at = NOW()
+        RETURNING *
+      `, [phone.e164, carrier, portedAt || null, source || null]);
+      await auditChange(client, req, {
+        entity: 'portability',
+        entityId: phone.e164,
+        action: before ? 'update' : 'create',
+        before,
+        after: result.rows[0]
+      });
+      return result;
+    });
+
+    res.json({
+      success: true,
+      message: `${phone.e164} recorded as ${carrierTable.carriers[carrier].name}`,
+      data: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Error saving portability entry:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save portability entry',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Remove a portability entry (the prefix table applies again)
+app.delete('/api/phones/portability/:phoneNumber', authorize('catalog:write'), async (req, res) => {
+  try {
+    const phone = tryNormalizePhone(req.params.phoneNumber);
+
+    const result = phone
+      ? await transaction(pool, async client => {
+        const result = await client.query('DELETE FROM phone_portability WHERE phone_number = $1 RETURNING *', [phone.e164]);
+        if (result.rows.length === 0) return result;
+
+        await auditChange(client, req, { entity: 'portability', entityId: phone.e164, before: result.rows[0] });
+        return result;
+      })
+      : { rows: [] };
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Portability entry not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Portability entry deleted',
+      data: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Error deleting portability entry:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete portability entry'
+    });
+  }
+});
+
+// ==================== CREDITS ROUTES ====================
+
+// Balance behind the header wallet badge
+app.get('/api/credits', authorize('sms:read'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await creditSummary(pool)
+    });
+  } catch (error) {
+    console.error('Error fetching credits:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch credits',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Ledger entries with filters (type, batchId, dateFrom, dateTo)
+app.get('/api/credits/ledger', authorize('stats:read'), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+    const { type, batchId, dateFrom, dateTo } = req.query;
+    const conditions = [];
+    const params = [];
+
+    if (type && ENTRY_TYPES.includes(type)) {
+      params.push(type);
+      conditions.push(`l.entry_type = $${params.length}`);
+    }
+    if (batchId) {
+      params.push(batchId);
+      conditions.push(`l.batch_id::text = $${params.length}`);
+    }
+    if (dateFrom) {
+      params.push(dateFrom);
+      conditions.push(`l.created_at >= $${params.length}`);
+    }
+    if (dateTo) {
+      params.push(dateTo);
+      conditions.push(`l.created_at <= $${params.length}`);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const total = parseInt((await pool.query(`SELECT COUNT(*) FROM credit_ledger l ${whereClause}`, params)).rows[0].count);
+
+    const result = await pool.query(`
+      SELECT l.*, h.phone_number, u.username
+      FROM credit_ledger l
+      LEFT JOIN sms_history h ON l.history_id = h.id
+      LEFT JOIN users u ON l.user_id = u.id
+      ${whereClause}
+      ORDER BY l.created_at DESC, l.id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, (page - 1) * limit]);
+
+    res.json({
+      success: true,
+      data: result.rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching credit ledger:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch credit ledger',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Add credit. Body: { amount, description, type } where type is "topup"
+// (default, amount > 0) or "adjustment" (either sign)
+app.post('/api/credits/topup', authorize('credits:write'), async (req, res) => {
+  try {
+    const { description } = req.body;
+    const type = req.body.type || 'topup';
+    const amount = Number(req.body.amount);
+    const errors = {};
+
+    if (!['topup', 'adjustment'].includes(type)) {
+      errors.type = 'must be topup or adjustment';
+    }
+    if (!Number.isFinite(amount) || amount === 0 || (type === 'topup' && amount < 0)) {
+      errors.amount = type === 'topup' ? 'must be a positive number' : 'must be a non-zero number';
+    } else if (Math.abs(amount) >= 1e8) {
+      errors.amount = 'is too large';
+    }
+    if (type === 'adjustment' && (!description || String(description).trim() === '')) {
+      errors.description = 'is required for adjustments';
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors
+      });
+    }
+
+    const { entry, balance } = await transaction(pool, async client => {
+      const credit = await addCredit(client, {
+        type,
+        amount,
+        description: description ? String(description).trim() : null,
+        userId: req.auth.user.id,
+        apiKeyId: req.auth.apiKey ? req.auth.apiKey.id : null
+      });
+      await auditChange(client, req, {
+        entity: 'credit', entityId: credit.entry.id, after: { ...credit.entry, balance: credit.balance }, status: 201
+      });
+      return credit;
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${amount > 0 ? 'Added' : 'Removed'} ${Math.abs(amount).toFixed(2)} credits; balance is ${balance.toFixed(2)}`,
+      data: { ...entry, balance }
+    });
+  } catch (error) {
+    console.error('Error adding credit:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add credit',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// ==================== EVENTS ROUTES ====================
+
+// Server-Sent Events stream of sends, status changes, replies, credit balance
+// and stats deltas. The connection stays open; EventSource reconnects on its own.
+app.get('/api/events', authorize('sms:read'), (req, res) => {
+  eventHub.subscribe(req, res);
+});
+
+// ==================== SMS ROUTES ====================
+
+// Log once per send that leaves the balance under CREDIT_LOW_BALANCE
+function warnLowBalance(credits) {
+  if (credits && credits.low) {
+    console.warn(`⚠️ Credit balance is low: ${credits.balance.toFixed(2)} left`);
+  }
+}
+
+// 402 with the balance and what the send would cost
+function creditErrorResponse(res, error) {
+  return res.status(error.status).json({
+    success: false,
+    error: error.message,
+    balance: error.balance,
+    required: error.required
+  });
+}
+
+// Who a send is recorded against, for enqueueBatch()
+function batchOwner(req) {
+  return {
+    createdBy: req.auth.apiKey ? `${req.auth.user.username} (${req.auth.apiKey.name})` : req.auth.user.username,
+    userId: req.auth.user.id,
+    apiKeyId: req.auth.apiKey ? req.auth.apiKey.id : null,
+    sourceIp: req.ip
+  };
+}
+
+// Send SMS command
+app.post('/api/sms/send', authorize('sms:send'), async (req, res) => {
+  try {
+    const { phoneNumbers, deviceIds, modelId, commandText, notes, parameters } = req.body;
+
+    const send = await prepareSend(pool, { phoneNumbers, deviceIds, modelId, commandText, parameters, vault });
+
+    const batch = await transaction(pool, async client => {
+      const batch = await enqueueBatch(client, batchOptions(send, {
+        notes,
+        maxAttempts: SMS_QUEUE_MAX_ATTEMPTS,
+        ...batchOwner(req)
+      }));
+      await auditChange(client, req, {
+        entity: 'batch',
+        entityId: batch.batchId,
+        action: 'send',
+        after: {
+          modelId: send.modelId,
+          commandText: send.commandText,
+          recipients: send.recipients.map(recipient => recipient.deviceId || recipient.phone),
+          total: batch.total
+        },
+        status: 202
+      });
+      return batch;
+    });
+
+    sendQueue.poll();
+    warnLowBalance(batch.credits);
+
+    res.status(202).json({
+      success: true,
+      message: `${batch.total} SMS queued for sending`,
+      batchId: batch.batchId,
+      summary: {
+        total: batch.total,
+        queued: batch.total
+      },
+      credits: batch.credits
+    });
+
+  } catch (error) {
+    if (error instanceof CreditError) {
+      return creditErrorResponse(res, error);
+    }
+    if (error instanceof SendError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        ...error.details
+      });
+    }
+    console.error('Error in SMS send endpoint:', error);
+    if (error instanceof VaultError) {
+      return res.status(503).json({
+        success: false,
+        error: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to queue SMS',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Send a command through the configured providers (failover chain)
+async function sendSMSCommand(phoneNumber, command, modelName) {
+  try {
+    const result = await smsProviders.send({ to: phoneNumber, text: command });
+
+    return {
+      ...result,
+      details: result.success
+        ? `Command "${command}" sent to ${modelName} device via ${result.provider}`
+        : result.details
+    };
+  } catch (error) {
+    return {
+      success: false,
+      details: error.message,
+      errorCode: 'UNKNOWN_ERROR'
+    };
+  }
+}
+
+// Jobs whose command carries a device password keep the real text encrypted
+// (payload_encrypted); history and provider responses only see the mask. An
+// echo of the command becomes the stored masked command_text.
+async function sendQueuedJob(job) {
+  if (!job.payload_encrypted) {
+    return sendSMSCommand(job.phone_number, job.command_text, job.model_name);
+  }
+
+  if (!vault) {
+    throw new VaultError('Password vault is not configured; cannot send command with a device password');
+  }
+
+  const { text, secrets } = JSON.parse(vault.decrypt(job.payload_encrypted));
+  const result = await sendSMSCommand(job.phone_number, text, job.model_name);
+  return maskSecrets(result, secrets, { rendered: [[text, job.command_text]] });
+}
+
+// Query the provider for the current status of a sent message
+app.get('/api/sms/:id/status', authorize('sms:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await pool.query('SELECT id, status, provider, provider_message_id FROM sms_history WHERE id = $1', [id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'SMS not found'
+      });
+    }
+
+    const { provider, provider_message_id: messageId } = result.rows[0];
+    if (!provider || !messageId) {
+      return res.status(409).json({
+        success: false,
+        error: 'SMS has no provider message ID'
+      });
+    }
+
+    const providerStatus = await smsProviders.status(provider, messageId);
+
+    // A final answer from the provider is as good as a delivery report
+    let status = result.rows[0].status;
+    const reported = normalizeStatus(providerStatus.status);
+    if (reported && FINAL_STATUSES.includes(reported)) {
+      const updated = await transition(pool, result.rows[0].id, reported, {
+        responseData: { statusQuery: providerStatus }
+      });
+      if (updated) status = updated.status;
+    }
+
+    res.json({
+      success: true,
+      data: {
+        id: result.rows[0].id,
+        status,
+        provider,
+        providerStatus
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching SMS status:', error);
+    res.status(502).json({
+      success: false,
+      error: 'Failed to fetch SMS status from provider',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Provider unavailable'
+    });
+  }
+});
+
+// Delivery report (DLR) callback from HTTP gateways
+// /api/sms/dlr/:provider uses the provider's own payload format
+app.post(['/api/sms/dlr', '/api/sms/dlr/:provider'], authorize('sms:webhook'), async (req, res) => {
+  try {
+    const providerName = req.params.provider || req.body.provider;
+    const reports = Array.isArray(req.body) ? req.body : [req.body];
+    const results = [];
+
+    for (const body of reports) {
+      const report = smsProviders.parseDlr(providerName, body);
+      if (!providerName) delete report.provider;
+
+      if (!report.messageId || !normalizeStatus(report.status)) {
+        results.push({ messageId: report.messageId || null, matched: false, error: 'Missing message ID or unknown status' });
+        continue;
+      }
+
+      const outcome = await applyDeliveryReport(pool, { ...report, raw: body });
+      results.push({
+        messageId: report.messageId,
+        matched: outcome.matched,
+        updated: outcome.updated,
+        pending: outcome.pending,
+        id: outcome.id,
+        status: outcome.row ? outcome.row.status : undefined
+      });
+    }
+
+    const unmatched = results.filter(r => !r.matched && !r.pending).length;
+    const pending = results.filter(r => r.pending).length;
+
+    // Gateways retry on non-2xx, so unknown IDs are acknowledged and reported
+    // in the body. Reports that beat the send result wait in pending_receipts.
+    res.json({
+      success: unmatched === 0,
+      message: `Delivery reports processed: ${results.length - unmatched - pending} matched, ${pending} pending, ${unmatched} unmatched`,
+      results
+    });
+  } catch (error) {
+    console.error('Error processing delivery report:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to process delivery report'
+    });
+  }
+});
+
+// List send batches with their progress counts
+app.get('/api/sms/batches', authorize('sms:read'), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const { rows, total } = await listBatches(pool, { page, limit, modelId: req.query.modelId });
+
+    res.json({
+      success: true,
+      data: rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching batches:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch batches',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Batch detail with per-recipient progress
+app.get('/api/sms/batches/:id', authorize('sms:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const batch = isBatchId(id) ? await getBatch(pool, id) : null;
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        error: 'Batch not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: batch
+    });
+  } catch (error) {
+    console.error('Error fetching batch:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch batch',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Cancel the recipients of a batch that have not been sent yet
+app.post('/api/sms/batches/:id/cancel', authorize('sms:send'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = isBatchId(id) ? await transaction(pool, async client => {
+      const result = await cancelBatch(client, id);
+      if (result) await auditChange(client, req, { entity: 'batch', entityId: id, action: 'cancel', after: result });
+      return result;
+    }) : null;
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Batch not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `${result.cancelled} recipients cancelled` +
+        (result.inProgress > 0 ? `, ${result.inProgress} already being sent` : ''),
+      data: result
+    });
+  } catch (error) {
+    console.error('Error cancelling batch:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel batch',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Send queue summary and dead-lettered jobs
+app.get('/api/sms/queue', authorize('sms:read'), async (req, res) => {
+  try {
+    const counts = await pool.query(`
+      SELECT status, COUNT(*) as count, MIN(run_at) as next_run_at
+      FROM sms_jobs
+      GROUP BY status
+    `);
+
+    const summary = {};
+    for (const status of JOB_STATUSES) {
+      summary[status] = 0;
+    }
+    for (const row of counts.rows) {
+      summary[row.status] = parseInt(row.count);
+    }
+
+    const dead = await pool.query(`
+      SELECT j.id, j.batch_id, j.history_id, j.attempts, j.last_error, j.completed_at,
+             h.phone_number, h.command_text, m.name as model_name
+      FROM sms_jobs j
+      JOIN sms_history h ON h.id = j.history_id
+      LEFT JOIN device_models m ON m.id = h.model_id
+      WHERE j.status = 'dead'
+      ORDER BY j.completed_at DESC
+      LIMIT 50
+    `);
+
+    res.json({
+      success: true,
+      data: {
+        summary,
+        dead: dead.rows
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching send queue:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch send queue',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Put a dead job back in the queue
+app.post('/api/sms/queue/:id/retry', authorize('sms:send'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const job = await transaction(pool, async client => {
+      const job = await retryJob(client, id);
+      if (job) await auditChange(client, req, { entity: 'job', entityId: id, action: 'retry', after: job });
+      return job;
+    });
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dead job not found'
+      });
+    }
+
+    sendQueue.poll();
+
+    res.json({
+      success: true,
+      message: 'Job queued for retry',
+      data: job
+    });
+  } catch (error) {
+    if (error instanceof CreditError) {
+      return creditErrorResponse(res, error);
+    }
+    console.error('Error retrying job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retry job',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Get SMS history with advanced filtering
+app.get('/api/sms/history', authorize('sms:read'), async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const offset = (page - 1) * limit;
+
+    // Same filters as the reports and exports (see src/history.js)
+    let filters;
+    try {
+      filters = buildHistoryFilters(req.query);
+    } catch (error) {
+      if (!(error instanceof FilterError)) throw error;
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    const { whereClause, params } = filters;
+    const paramCount = params.length;
+
+    // Add pagination parameters
+    params.push(limit, offset);
+    const limitParam = paramCount + 1;
+    const offsetParam = paramCount + 2;
+
+    const query = `
+      SELECT
+        h.*,
+        m.name as model_name,
+        d.label as device_label,
+        d.imei as device_imei,
+        d.plate as device_plate,
+        u.username as sent_by_user,
+        k.name as sent_by_api_key,
+        CASE
+          WHEN h.status = 'delivered' THEN '✅'
+          WHEN h.status IN ('submitted', 'sent') THEN '📤'
+          WHEN h.status IN ('undelivered', 'expired') THEN '⚠️'
+          WHEN h.status = 'failed' THEN '❌'
+          WHEN h.status = 'queued' THEN '⏳'
+          WHEN h.status = 'cancelled' THEN '🚫'
+          ELSE '❓'
+        END as status_icon,
+        EXTRACT(EPOCH FROM (h.delivered_at - h.submitted_at)) as time_to_delivery,
+        COALESCE(r.replies, '[]'::json) as replies
+      FROM sms_history h
+      LEFT JOIN device_models m ON h.model_id = m.id
+      LEFT JOIN devices d ON h.device_id = d.id
+      LEFT JOIN users u ON h.user_id = u.id
+      LEFT JOIN api_keys k ON h.api_key_id = k.id
+      LEFT JOIN LATERAL (
+        SELECT json_agg(json_build_object(
+          'id', i.id,
+          'message', i.message,
+          'received_at', i.received_at,
+          'parsed', i.parsed
+        ) ORDER BY i.received_at) as replies
+        FROM sms_inbound i
+        WHERE i.history_id = h.id
+      ) r ON true
+      ${whereClause}
+      ORDER BY h.sent_at DESC
+      LIMIT $${limitParam} OFFSET $${offsetParam}
+    `;
+
+    const result = await pool.query(query, params);
+
+    const carriers = await lookupCarriers(pool, carrierTable, result.rows.map(row => row.phone_number));
+    for (const row of result.rows) {
+      row.carrier = carriers.get(row.phone_number);
+    }
+
+    // Get total count for pagination
+    const countQuery = `
+      SELECT COUNT(*)
+      FROM sms_history h
+      LEFT JOIN device_models m ON h.model_id = m.id
+      ${whereClause}
+    `;
+
+    const countResult = await pool.query(countQuery, params.slice(0, paramCount));
+    const total = parseInt(countResult.rows[0].count);
+
+    res.json({
+      success: true,
+      data: result.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+        hasNext: (page * limit) < total,
+        hasPrev: page > 1
+      },
+      filters: filters.applied
+    });
+  } catch (error) {
+    console.error('Error fetching SMS history:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch SMS history'
+    });
+  }
+});
+
+// Receive an inbound SMS (gateway webhook)
+app.post('/api/sms/inbound', authorize('sms:webhook'), async (req, res) => {
+  try {
+    const from = req.body.from || req.body.phoneNumber || req.body.phone;
+    const text = req.body.text || req.body.message;
+    const { receivedAt, provider } = req.body;
+
+    if (!from || !text || String(text).trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Sender (from) and text are required'
+      });
+    }
+
+    const inbound = await recordInbound(pool, {
+      from,
+      text: String(text),
+      receivedAt,
+      provider: provider || 'webhook',
+      raw: req.body
+    });
+
+    res.status(201).json({
+      success: true,
+      message: inbound.history_id
+        ? `Inbound SMS linked to command #${inbound.history_id}`
+        : 'Inbound SMS stored without a matching command',
+      data: inbound
+    });
+  } catch (error) {
+    console.error('Error storing inbound SMS:', error);
+    if (error.message === 'Invalid receivedAt timestamp') {
+      res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to store inbound SMS'
+      });
+    }
+  }
+});
+
+// List inbound SMS
+app.get('/api/sms/inbound', authorize('sms:read'), async (req, res) => {
+  try {
+    const { page = 1, limit = 50, phoneNumber, unmatched } = req.query;
+    const offset = (page - 1) * limit;
+    const conditions = [];
+    const params = [];
+
+    if (phoneNumber) {
+      params.push(`%${phoneNumber}%`);
+      conditions.push(`i.phone_number ILIKE $${params.length}`);
+    }
+
+    if (unmatched === 'true') {
+      conditions.push('i.history_id IS NULL');
+    }
+
+    const whereClause = conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : '';
+
+    const result = await pool.query(`
+      SELECT
+        i.*,
+        h.command_text,
+        h.sent_at
+      FROM sms_inbound i
+      LEFT JOIN sms_history h ON i.history_id = h.id
+      ${whereClause}
+      ORDER BY i.received_at DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+
+    const countResult = await pool.query(`SELECT COUNT(*) FROM sms_inbound i ${whereClause}`, params);
+    const total = parseInt(countResult.rows[0].count);
+
+    res.json({
+      success: true,
+      data: result.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching inbound SMS:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch inbound SMS'
+    });
+  }
+});
+
+// Get SMS statistics
+app.get('/api/sms/stats', authorize('stats:read'), async (req, res) => {
+  try {
+    const { period = '30' } = req.query; // days
+
+    const stats = await pool.query(`
+      SELECT
+        COUNT(*) as total_messages,
+        COUNT(CASE WHEN status IN ('submitted', 'delivered', 'undelivered', 'expired') THEN 1 END) as sent_count,
+        COUNT(CASE WHEN status = 'delivered' THEN 1 END) as delivered_count,
+        COUNT(CASE WHEN status IN ('undelivered', 'expired') THEN 1 END) as undelivered_count,
+        COUNT(CASE WHEN status = 'failed' THEN 1 END) as failed_count,
+        COUNT(CASE WHEN status = 'queued' THEN 1 END) as pending_count,
+        COUNT(DISTINCT phone_number) as unique_numbers,
+        COUNT(DISTINCT model_id) as models_used,
+        ROUND(AVG(EXTRACT(EPOCH FROM (delivered_at - submitted_at)))::numeric, 1) as avg_delivery_seconds,
+        DATE_TRUNC('day', sent_at) as date
+      FROM sms_history
+      WHERE sent_at >= NOW() - INTERVAL '${parseInt(period)} days'
+      GROUP BY DATE_TRUNC('day', sent_at)
+      ORDER BY date DESC
+    `);
+
+    const totals = await pool.query(`
+      SELECT
+        COUNT(*) as total_messages,
+        COUNT(CASE WHEN status IN ('submitted', 'delivered', 'undelivered', 'expired') THEN 1 END) as sent_count,
+        COUNT(CASE WHEN status = 'submitted' THEN 1 END) as awaiting_receipt_count,
+        COUNT(CASE WHEN status = 'delivered' THEN 1 END) as delivered_count,
+        COUNT(CASE WHEN status = 'undelivered' THEN 1 END) as undelivered_count,
+        COUNT(CASE WHEN status = 'expired' THEN 1 END) as expired_count,
+        COUNT(CASE WHEN status = 'failed' THEN 1 END) as failed_count,
+        COUNT(CASE WHEN status = 'queued' THEN 1 END) as pending_count,
+        COUNT(DISTINCT phone_number) as unique_numbers,
+        ROUND(AVG(CASE WHEN status IN ('submitted', 'delivered', 'undelivered', 'expired') THEN 1.0 ELSE 0.0 END) * 100, 2) as success_rate,
+        ROUND(
+          COUNT(CASE WHEN status = 'delivered' THEN 1 END) * 100.0 /
+          NULLIF(COUNT(CASE WHEN status IN ('delivered', 'undelivered', 'expired') THEN 1 END), 0),
+          2
+        ) as delivery_rate,
+        ROUND(AVG(EXTRACT(EPOCH FROM (delivered_at - submitted_at)))::numeric, 1) as avg_delivery_seconds,
+        ROUND((PERCENTILE_CONT(0.95) WITHIN GROUP (ORDER BY EXTRACT(EPOCH FROM (delivered_at - submitted_at))))::numeric, 1) as p95_delivery_seconds
+      FROM sms_history
+      WHERE sent_at >= NOW() - INTERVAL '${parseInt(period)} days'
+    `);
+
+    const topModels = await pool.query(`
+      SELECT
+        m.name,
+        COUNT(*) as usage_count,
+        COUNT(CASE WHEN h.status IN ('submitted', 'delivered', 'undelivered', 'expired') THEN 1 END) as success_count,
+        COUNT(CASE WHEN h.status = 'delivered' THEN 1 END) as delivered_count
+      FROM sms_history h
+      JOIN device_models m ON h.model_id = m.id
+      WHERE h.sent_at >= NOW() - INTERVAL '${parseInt(period)} days'
+      GROUP BY m.id, m.name
+      ORDER BY usage_count DESC
+      LIMIT 10
+    `);
+
+    res.json({
+      success: true,
+      period: `${period} days`,
+      summary: totals.rows[0],
+      daily: stats.rows,
+      topModels: topModels.rows
+    });
+  } catch (error) {
+    console.error('Error fetching SMS stats:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch SMS statistics'
+    });
+  }
+});
+
+// ==================== IMPORT ROUTES ====================
+
+function importErrorResponse(res, error, fallback) {
+  if (error instanceof CreditError) {
+    return creditErrorResponse(res, error);
+  }
+  if (error instanceof ImportError) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message
+    });
+  }
+  if (error instanceof TemplateError) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+  if (error instanceof VaultError) {
+    return res.status(503).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  console.error(`Error: ${fallback}:`, error);
+  res.status(500).json({
+    success: false,
+    error: fallback,
+    message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  });
+}
+
+// Preview responses show at most this many valid and flagged rows; the rest
+// are paged through GET /api/sms/imports/:id
+const IMPORT_PREVIEW_ROWS = 100;
+
+// Upload a spreadsheet of recipients and get a preview (multipart/form-data:
+// file, commandText, modelId, parameters as JSON, notes)
+app.post('/api/sms/imports', authorize('sms:send'), receiveFile('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'A CSV or XLSX file is required (field "file")'
+      });
+    }
+
+    const { commandText, modelId, notes } = req.body;
+    if (!commandText || commandText.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: { commandText: 'Command text is required' }
+      });
+    }
+
+    let parameters = {};
+    if (req.body.parameters) {
+      try {
+        parameters = JSON.parse(req.body.parameters);
+      } catch (error) {
+        parameters = null;
+      }
+      if (!parameters || typeof parameters !== 'object' || Array.isArray(parameters)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          errors: { parameters: 'Must be a JSON object' }
+        });
+      }
+    }
+
+    const buffer = await fs.promises.readFile(req.file.path);
+    const spreadsheet = await parseSpreadsheet(buffer, req.file.originalname);
+    const template = commandText.trim();
+
+    const prepared = await prepareImport(pool, { ...spreadsheet, template, modelId, parameters, vault });
+    const imported = await transaction(pool, async client => {
+      const imported = await saveImport(client, {
+        filename: req.file.originalname,
+        template,
+        modelId,
+        parameters,
+        notes,
+        prepared,
+        userId: req.auth.user.id,
+        apiKeyId: req.auth.apiKey ? req.auth.apiKey.id : null
+      });
+      await auditChange(client, req, {
+        entity: 'import',
+        entityId: imported.id,
+        action: 'create',
+        after: { filename: imported.filename, commandTemplate: template, modelId: imported.model_id, ...prepared.summary },
+        status: 201
+      });
+      return imported;
+    });
+
+    const preview = row => {
+      const shown = { ...row };
+      delete shown.payload;
+      return shown;
+    };
+
+    res.status(201).json({
+      success: true,
+      message: `${prepared.summary.valid} of ${prepared.summary.total} rows ready to send`,
+      data: {
+        import: imported,
+        summary: prepared.summary,
+        flagged: prepared.rows.filter(row => row.status !== 'valid').slice(0, IMPORT_PREVIEW_ROWS).map(preview),
+        rows: prepared.rows.filter(row => row.status === 'valid').slice(0, IMPORT_PREVIEW_ROWS).map(preview)
+      }
+    });
+  } catch (error) {
+    importErrorResponse(res, error, 'Failed to import file');
+  } finally {
+    if (req.file) fs.promises.unlink(req.file.path).catch(() => {});
+  }
+});
+
+// List imports
+app.get('/api/sms/imports', authorize('sms:read'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+    const offset = (page - 1) * limit;
+    const params = [];
+    let whereClause = '';
+
+    if (status) {
+      params.push(status);
+      whereClause = `WHERE i.status = $${params.length}`;
+    }
+
+    const total = parseInt((await pool.query(`SELECT COUNT(*) FROM sms_imports i ${whereClause}`, params)).rows[0].count);
+
+    params.push(limit, offset);
+    const result = await pool.query(`
+      SELECT i.id, i.filename, i.status, i.command_template, i.model_id, m.name as model_name,
+             i.total_rows, i.valid_rows, i.invalid_rows, i.duplicate_rows, i.batch_ids,
+             u.username as created_by_user, i.created_at, i.launched_at
+      FROM sms_imports i
+      LEFT JOIN device_models m ON m.id = i.model_id
+      LEFT JOIN users u ON u.id = i.user_id
+      ${whereClause}
+      ORDER BY i.created_at DESC
+      LIMIT $${params.length - 1} OFFSET $${params.length}
+    `, params);
+
+    res.json({
+      success: true,
+      data: result.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    importErrorResponse(res, error, 'Failed to fetch imports');
+  }
+});
+
+// Import with its rows (?status=valid|invalid|duplicate, page, limit)
+app.get('/api/sms/imports/:id', authorize('sms:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { page = 1, limit = 50, status } = req.query;
+
+    const imported = isBatchId(id) ? await getImport(pool, id) : null;
+    if (!imported) {
+      return res.status(404).json({
+        success: false,
+        error: 'Import not found'
+      });
+    }
+
+    if (status && !ROW_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid status (use ${ROW_STATUSES.join(', ')})`
+      });
+    }
+
+    const rows = await listImportRows(pool, id, { status, page: parseInt(page), limit: parseInt(limit) || 50 });
+
+    res.json({
+      success: true,
+      data: { ...imported, rows: rows.rows },
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: rows.total,
+        pages: Math.ceil(rows.total / limit)
+      }
+    });
+  } catch (error) {
+    importErrorResponse(res, error, 'Failed to fetch import');
+  }
+});
+
+// Row-level import report (?format=csv|json, ?status=)
+app.get('/api/sms/imports/:id/report', authorize('sms:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { format = 'csv', status } = req.query;
+
+    const imported = isBatchId(id) ? await getImport(pool, id) : null;
+    if (!imported) {
+      return res.status(404).json({
+        success: false,
+        error: 'Import not found'
+      });
+    }
+
+    const { rows } = await listImportRows(pool, id, { status, limit: null });
+
+    if (format === 'json') {
+      return res.json({
+        success: true,
+        data: { ...imported, rows }
+      });
+    }
+
+    const header = ['Row', 'Phone Number', 'Model', 'Status', 'Errors', 'Command', 'Batch', 'Message Status'];
+    const lines = [csvRecord(header)];
+    for (const row of rows) {
+      lines.push(csvRecord([
+        row.row_number,
+        row.phone_number,
+        row.model_name,
+        row.status,
+        describeErrors(row.errors),
+        row.command_text,
+        row.batch_id,
+        row.message_status
+      ]));
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="import_${id}.csv"`);
+    res.send(lines.join(''));
+  } catch (error) {
+    importErrorResponse(res, error, 'Failed to generate import report');
+  }
+});
+
+// Send the valid rows of a preview (one batch per model)
+app.post('/api/sms/imports/:id/launch', authorize('sms:send'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const imported = isBatchId(id) ? await getImport(pool, id) : null;
+    if (!imported) {
+      return res.status(404).json({
+        success: false,
+        error: 'Import not found'
+      });
+    }
+
+    const result = await transaction(pool, async client => {
+      const result = await launchImport(client, id, { ...batchOwner(req), maxAttempts: SMS_QUEUE_MAX_ATTEMPTS });
+      if (!result) return null;
+
+      await auditChange(client, req, {
+        entity: 'import',
+        entityId: id,
+        action: 'send',
+        before: { status: imported.status },
+        after: { status: result.import.status, batches: result.batches },
+        status: 202
+      });
+      return result;
+    });
+    if (!result) {
+      return res.status(409).json({
+        success: false,
+        error: imported.status === 'preview' ? 'Import has no valid rows to send' : `Import is already ${imported.status}`
+      });
+    }
+
+    sendQueue.poll();
+
+    const total = result.batches.reduce((sum, batch) => sum + batch.total, 0);
+
+    res.status(202).json({
+      success: true,
+      message: `${total} SMS queued for sending`,
+      data: result.import,
+      batches: result.batches
+    });
+  } catch (error) {
+    importErrorResponse(res, error, 'Failed to launch import');
+  }
+});
+
+// Discard a preview
+app.delete('/api/sms/imports/:id', authorize('sms:send'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const imported = isBatchId(id) ? await getImport(pool, id) : null;
+    if (!imported) {
+      return res.status(404).json({
+        success: false,
+        error: 'Import not found'
+      });
+    }
+
+    const discarded = await transaction(pool, async client => {
+      const discarded = await discardImport(client, id);
+      if (!discarded) return null;
+
+      await auditChange(client, req, {
+        entity: 'import',
+        entityId: id,
+        action: 'discard',
+        before: { status: imported.status },
+        after: { status: discarded.status }
+      });
+      return discarded;
+    });
+    if (!discarded) {
+      return res.status(409).json({
+        success: false,
+        error: `Import is already ${imported.status}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Import discarded',
+      data: discarded
+    });
+  } catch (error) {
+    importErrorResponse(res, error, 'Failed to discard import');
+  }
+});
+
+// ==================== SCHEDULE ROUTES ====================
+
+function scheduleErrorResponse(res, error, fallback) {
+  if (error instanceof SendError) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+      ...error.details
+    });
+  }
+  if (error instanceof VaultError) {
+    return res.status(503).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  console.error(`Error: ${fallback}:`, error);
+  res.status(500).json({
+    success: false,
+    error: fallback,
+    message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  });
+}
+
+// Request body fields of a stored schedule, so PUT can send only what changes
+function scheduleBody(row) {
+  return {
+    name: row.name,
+    modelId: row.model_id,
+    commandText: row.command_text,
+    parameters: row.parameters,
+    phoneNumbers: row.phone_numbers,
+    deviceIds: row.device_ids,
+    notes: row.notes,
+    runAt: row.schedule_type === 'once' ? row.run_at.toISOString() : undefined,
+    cron: row.cron_expression,
+    timezone: row.timezone
+  };
+}
+
+// Validate a schedule body (merged over the stored schedule on update) and
+// return the columns to store, or { errors }. The send itself is checked
+// like POST /api/sms/send; the password goes to password_encrypted.
+async function scheduleValues(body, existing) {
+  const merged = existing ? { ...scheduleBody(existing), ...body } : { ...body };
+  if (existing && (body.runAt !== undefined || body.cron !== undefined)) {
+    merged.runAt = body.runAt;
+    merged.cron = body.cron;
+  }
+
+  // A one-off keeps its stored time, next run and status unless the body
+  // sets runAt or cron, so renaming a finished or expired one still works
+  const keepRunAt = Boolean(existing) && existing.schedule_type === 'once' &&
+    body.runAt === undefined && body.cron === undefined;
+
+  const { values, errors } = validateSchedule(merged, { future: !keepRunAt });
+  if (Object.keys(errors).length > 0) return { errors };
+  if (keepRunAt) {
+    values.next_run_at = existing.next_run_at;
+    values.status = existing.status;
+  }
+
+  const parameters = { ...(merged.parameters || {}) };
+  const passwordEncrypted = parameters.password !== undefined
+    ? sealPassword(parameters.password)
+    : existing ? existing.password_encrypted : null;
+  delete parameters.password;
+
+  if (passwordEncrypted && !vault) {
+    throw new VaultError('Password vault is not configured (VAULT_KEY_FILE)');
+  }
+  const sendParameters = passwordEncrypted ? { ...parameters, password: vault.decrypt(passwordEncrypted) } : parameters;
+
+  const send = await prepareSend(pool, {
+    phoneNumbers: merged.phoneNumbers,
+    deviceIds: merged.deviceIds,
+    modelId: merged.modelId,
+    commandText: merged.commandText,
+    parameters: Object.keys(sendParameters).length > 0 ? sendParameters : null,
+    vault
+  });
+  const byDevice = Array.isArray(merged.deviceIds) && merged.deviceIds.length > 0;
+
+  return {
+    values: {
+      ...values,
+      model_id: send.modelId,
+      command_text: send.template,
+      parameters: Object.keys(parameters).length > 0 ? JSON.stringify(parameters) : null,
+      password_encrypted: passwordEncrypted,
+      phone_numbers: byDevice ? null : send.recipients.map(recipient => recipient.phone),
+      device_ids: byDevice ? send.recipients.map(recipient => recipient.deviceId) : null,
+      notes: merged.notes || null
+    }
+  };
+}
+
+const SCHEDULE_SELECT = `
+  SELECT s.*, m.name as model_name, u.username as created_by_user
+  FROM scheduled_sends s
+  LEFT JOIN device_models m ON m.id = s.model_id
+  LEFT JOIN users u ON u.id = s.user_id
+`;
+
+// List schedules
+app.get('/api/schedules', authorize('sms:read'), async (req, res) => {
+  try {
+    const { status } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const params = [];
+    let whereClause = '';
+
+    if (status) {
+      if (!SCHEDULE_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid status (use ${SCHEDULE_STATUSES.join(', ')})`
+        });
+      }
+      params.push(status);
+      whereClause = `WHERE s.status = $${params.length}`;
+    }
+
+    const total = parseInt((await pool.query(`SELECT COUNT(*) FROM scheduled_sends s ${whereClause}`, params)).rows[0].count);
+
+    params.push(limit, (page - 1) * limit);
+    const result = await pool.query(`
+      ${SCHEDULE_SELECT}
+      ${whereClause}
+      ORDER BY s.status = 'active' DESC, s.next_run_at NULLS LAST, s.id
+      LIMIT $${params.length - 1} OFFSET $${params.length}
+    `, params);
+
+    res.json({
+      success: true,
+      data: result.rows.map(publicSchedule),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    scheduleErrorResponse(res, error, 'Failed to fetch schedules');
+  }
+});
+
+// Get a schedule with its latest runs
+app.get('/api/schedules/:id', authorize('sms:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await pool.query(`${SCHEDULE_SELECT} WHERE s.id = $1`, [id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Schedule not found'
+      });
+    }
+
+    const runs = await pool.query(`
+      SELECT id, scheduled_for, status, batch_id, total, error, worker_id, created_at
+      FROM scheduled_runs
+      WHERE schedule_id = $1
+      ORDER BY scheduled_for DESC
+      LIMIT $2
+    `, [id, Math.min(parseInt(req.query.runs) || 20, 200)]);
+
+    res.json({
+      success: true,
+      data: { ...publicSchedule(result.rows[0]), runs: runs.rows }
+    });
+  } catch (error) {
+    scheduleErrorResponse(res, error, 'Failed to fetch schedule');
+  }
+});
+
+// Create a schedule: the POST /api/sms/send body (phoneNumbers and modelId,
+// or deviceIds; commandText, parameters, notes) plus name, runAt or cron,
+// and timezone
+app.post('/api/schedules', authorize('sms:send'), async (req, res) => {
+  try {
+    const { values, errors } = await scheduleValues(req.body);
+
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors
+      });
+    }
+
+    values.user_id = req.auth.user.id;
+    values.api_key_id = req.auth.apiKey ? req.auth.apiKey.id : null;
+
+    const columns = Object.keys(values);
+    const result = await transaction(pool, async client => {
+      const result = await client.query(`
+        INSERT INTO scheduled_sends (${columns.join(', ')})
+        VALUES (${columns.map((column, i) => `$${i + 1}`).join(', ')})
+        RETURNING *
+      `, Object.values(values));
+      await auditChange(client, req, {
+        entity: 'schedule', entityId: result.rows[0].id, after: publicSchedule(result.rows[0]), status: 201
+      });
+      return result;
+    });
+
+    scheduler.poll();
+
+    res.status(201).json({
+      success: true,
+      message: 'Schedule created',
+      data: publicSchedule(result.rows[0])
+    });
+  } catch (error) {
+    scheduleErrorResponse(res, error, 'Failed to create schedule');
+  }
+});
+
+// Update a schedule; fields left out keep their value. A finished one-off
+// becomes active again when given a new runAt.
+app.put('/api/schedules/:id', authorize('sms:send'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existing = await snapshot(pool, 'schedule', id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Schedule not found'
+      });
+    }
+
+    const { values, errors } = await scheduleValues(req.body, existing);
+
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors
+      });
     }
 
-    const successCount = results.filter(r => r.status === 'sent').length;
-    const failCount = results.filter(r => r.status === 'failed').length + errors.length;
+    if (!values.status) values.status = existing.status === 'paused' ? 'paused' : 'active';
+
+    const columns = Object.keys(values);
+    const result = await transaction(pool, async client => {
+      const result = await client.query(`
+        UPDATE scheduled_sends
+        SET ${columns.map((column, i) => `${column} = $${i + 2}`).join(', ')}, updated_at = NOW()
+        WHERE id = $1
+        RETURNING *
+      `, [id, ...Object.values(values)]);
+      await auditChange(client, req, {
+        entity: 'schedule',
+        entityId: id,
+        before: publicSchedule(existing),
+        after: publicSchedule(result.rows[0])
+      });
+      return result;
+    });
+
+    scheduler.poll();
 
     res.json({
-      success: successCount > 0,
-      message: `SMS processing completed. Sent: ${successCount}, Failed: ${failCount}`,
-      summary: {
-        total: phoneNumbers.length,
-        sent: successCount,
-        failed: failCount
-      },
-      results,
-      errors: errors.length > 0 ? errors : undefined
+      success: true,
+      message: 'Schedule updated',
+      data: publicSchedule(result.rows[0])
     });
-
   } catch (error) {
-    console.error('Error in SMS send endpoint:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to send SMS',
-      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
+    scheduleErrorResponse(res, error, 'Failed to update schedule');
   }
 });
 
-// Mock SMS sending function (replace with real SMS service)
-async function sendSMSCommand(phoneNumber, command, modelName) {
+// Pause an active schedule
+app.post('/api/schedules/:id/pause', authorize('sms:send'), async (req, res) => {
   try {
-    // Simulate SMS sending delay
-    await new Promise(resolve => setTimeout(resolve, 100));
-
-    // Simulate success/failure (90% success rate)
-    const success = Math.random() > 0.1;
+    const { id } = req.params;
 
-    if (success) {
-      return {
-        success: true,
-        details: `Command "${command}" sent successfully to ${modelName} device`,
-        messageId: `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-        cost: 0.05 // Simulated cost
-      };
-    } else {
-      return {
+    const existing = await snapshot(pool, 'schedule', id);
+    if (!existing) {
+      return res.status(404).json({
         success: false,
-        details: 'SMS delivery failed - network error',
-        errorCode: 'NETWORK_ERROR'
-      };
+        error: 'Schedule not found'
+      });
     }
-  } catch (error) {
-    return {
-      success: false,
-      details: error.message,
-      errorCode: 'UNKNOWN_ERROR'
-    };
-  }
-}
-
-// Get SMS history with advanced filtering
-app.get('/api/sms/history', async (req, res) => {
-  try {
-    const {
-      page = 1,
-      limit = 50,
-      status,
-      modelId,
-      phoneNumber,
-      dateFrom,
-      dateTo,
-      search
-    } = req.query;
-
-    const offset = (page - 1) * limit;
-    let whereClause = '';
-    const params = [];
-    let paramCount = 0;
-
-    // Build dynamic WHERE clause
-    const conditions = [];
 
-    if (status) {
-      paramCount++;
-      conditions.push(`h.status = $${paramCount}`);
-      params.push(status);
-    }
+    const result = await transaction(pool, async client => {
+      const result = await client.query(`
+        UPDATE scheduled_sends SET status = 'paused', updated_at = NOW()
+        WHERE id = $1 AND status = 'active'
+        RETURNING *
+      `, [id]);
+      if (result.rows.length === 0) return result;
+
+      await auditChange(client, req, {
+        entity: 'schedule',
+        entityId: id,
+        action: 'pause',
+        before: { status: existing.status },
+        after: { status: 'paused' }
+      });
+      return result;
+    });
 
-    if (modelId) {
-      paramCount++;
-      conditions.push(`h.model_id = $${paramCount}`);
-      params.push(modelId);
+    if (result.rows.length === 0) {
+      return res.status(409).json({
+        success: false,
+        error: `Schedule is ${existing.status}`
+      });
     }
 
-    if (phoneNumber) {
-      paramCount++;
-      conditions.push(`h.phone_number ILIKE $${paramCount}`);
-      params.push(`%${phoneNumber}%`);
-    }
+    res.json({
+      success: true,
+      message: 'Schedule paused',
+      data: publicSchedule(result.rows[0])
+    });
+  } catch (error) {
+    scheduleErrorResponse(res, error, 'Failed to pause schedule');
+  }
+});
 
-    if (dateFrom) {
-      paramCount++;
-      conditions.push(`h.sent_at >= $${paramCount}`);
-      params.push(dateFrom);
-    }
+// Resume a paused schedule from its next due time after now. A one-off whose
+// time passed while paused needs a new runAt (PUT) instead.
+app.post('/api/schedules/:id/resume', authorize('sms:send'), async (req, res) => {
+  try {
+    const { id } = req.params;
 
-    if (dateTo) {
-      paramCount++;
-      conditions.push(`h.sent_at <= $${paramCount}`);
-      params.push(dateTo);
+    const existing = await snapshot(pool, 'schedule', id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Schedule not found'
+      });
     }
 
-    if (search) {
-      paramCount++;
-      conditions.push(`(h.command_text ILIKE $${paramCount} OR h.notes ILIKE $${paramCount} OR m.name ILIKE $${paramCount})`);
-      params.push(`%${search}%`);
+    if (existing.status !== 'paused') {
+      return res.status(409).json({
+        success: false,
+        error: `Schedule is ${existing.status}`
+      });
     }
 
-    if (conditions.length > 0) {
-      whereClause = 'WHERE ' + conditions.join(' AND ');
+    const nextRun = existing.schedule_type === 'cron' ? nextRunAt(existing) : existing.run_at;
+    if (nextRun <= new Date()) {
+      return res.status(409).json({
+        success: false,
+        error: 'The scheduled time has passed; set a new runAt to run it'
+      });
     }
 
-    // Add pagination parameters
-    params.push(limit, offset);
-    const limitParam = paramCount + 1;
-    const offsetParam = paramCount + 2;
-
-    const query = `
-      SELECT
-        h.*,
-        m.name as model_name,
-        CASE
-          WHEN h.status = 'sent' THEN '✅'
-          WHEN h.status = 'failed' THEN '❌'
-          WHEN h.status = 'pending' THEN '⏳'
-          ELSE '❓'
-        END as status_icon
-      FROM sms_history h
-      LEFT JOIN device_models m ON h.model_id = m.id
-      ${whereClause}
-      ORDER BY h.sent_at DESC
-      LIMIT $${limitParam} OFFSET $${offsetParam}
-    `;
-
-    const result = await pool.query(query, params);
-
-    // Get total count for pagination
-    const countQuery = `
-      SELECT COUNT(*)
-      FROM sms_history h
-      LEFT JOIN device_models m ON h.model_id = m.id
-      ${whereClause}
-    `;
+    const result = await transaction(pool, async client => {
+      const result = await client.query(`
+        UPDATE scheduled_sends SET status = 'active', next_run_at = $2, updated_at = NOW()
+        WHERE id = $1 AND status = 'paused'
+        RETURNING *
+      `, [id, nextRun]);
+      if (result.rows.length === 0) return result;
+
+      await auditChange(client, req, {
+        entity: 'schedule',
+        entityId: id,
+        action: 'resume',
+        before: { status: existing.status },
+        after: { status: 'active', next_run_at: nextRun }
+      });
+      return result;
+    });
 
-    const countResult = await pool.query(countQuery, params.slice(0, paramCount));
-    const total = parseInt(countResult.rows[0].count);
+    if (result.rows.length === 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Schedule changed while resuming; try again'
+      });
+    }
 
     res.json({
       success: true,
-      data: result.rows,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit),
-        hasNext: (page * limit) < total,
-        hasPrev: page > 1
-      },
-      filters: {
-        status,
-        modelId,
-        phoneNumber,
-        dateFrom,
-        dateTo,
-        search
-      }
+      message: 'Schedule resumed',
+      data: publicSchedule(result.rows[0])
     });
   } catch (error) {
-    console.error('Error fetching SMS history:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch SMS history'
-    });
+    scheduleErrorResponse(res, error, 'Failed to resume schedule');
   }
 });
 
-// Get SMS statistics
-app.get('/api/sms/stats', async (req, res) => {
+// Delete a schedule and its run log (batches already queued are kept)
+app.delete('/api/schedules/:id', authorize('sms:send'), async (req, res) => {
   try {
-    const { period = '30' } = req.query; // days
+    const { id } = req.params;
 
-    const stats = await pool.query(`
-      SELECT
-        COUNT(*) as total_messages,
-        COUNT(CASE WHEN status = 'sent' THEN 1 END) as sent_count,
-        COUNT(CASE WHEN status = 'failed' THEN 1 END) as failed_count,
-        COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending_count,
-        COUNT(DISTINCT phone_number) as unique_numbers,
-        COUNT(DISTINCT model_id) as models_used,
-        DATE_TRUNC('day', sent_at) as date
-      FROM sms_history
-      WHERE sent_at >= NOW() - INTERVAL '${parseInt(period)} days'
-      GROUP BY DATE_TRUNC('day', sent_at)
-      ORDER BY date DESC
-    `);
+    const result = await transaction(pool, async client => {
+      const result = await client.query('DELETE FROM scheduled_sends WHERE id = $1 RETURNING *', [id]);
+      if (result.rows.length === 0) return result;
 
-    const totals = await pool.query(`
-      SELECT
-        COUNT(*) as total_messages,
-        COUNT(CASE WHEN status = 'sent' THEN 1 END) as sent_count,
-        COUNT(CASE WHEN status = 'failed' THEN 1 END) as failed_count,
-        COUNT(DISTINCT phone_number) as unique_numbers,
-        ROUND(AVG(CASE WHEN status = 'sent' THEN 1.0 ELSE 0.0 END) * 100, 2) as success_rate
-      FROM sms_history
-      WHERE sent_at >= NOW() - INTERVAL '${parseInt(period)} days'
-    `);
+      await auditChange(client, req, { entity: 'schedule', entityId: id, before: publicSchedule(result.rows[0]) });
+      return result;
+    });
 
-    const topModels = await pool.query(`
-      SELECT
-        m.name,
-        COUNT(*) as usage_count,
-        COUNT(CASE WHEN h.status = 'sent' THEN 1 END) as success_count
-      FROM sms_history h
-      JOIN device_models m ON h.model_id = m.id
-      WHERE h.sent_at >= NOW() - INTERVAL '${parseInt(period)} days'
-      GROUP BY m.id, m.name
-      ORDER BY usage_count DESC
-      LIMIT 10
-    `);
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Schedule not found'
+      });
+    }
 
     res.json({
       success: true,
-      period: `${period} days`,
-      summary: totals.rows[0],
-      daily: stats.rows,
-      topModels: topModels.rows
+      message: 'Schedule deleted',
+      data: publicSchedule(result.rows[0])
     });
   } catch (error) {
-    console.error('Error fetching SMS stats:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch SMS statistics'
-    });
+    scheduleErrorResponse(res, error, 'Failed to delete schedule');
   }
 });
 
 // ==================== REPORTS ROUTES ====================
 
-// Generate PDF report (placeholder - requires puppeteer or similar)
-app.get('/api/reports/pdf', async (req, res) => {
+// Generate PDF report
+// Accepts the history filters; period defaults to the last week
+app.get('/api/reports/pdf', authorize('stats:read'), async (req, res) => {
   try {
-    const { period = 'week' } = req.query;
+    const filters = buildHistoryFilters({ period: 'week', ...req.query });
+    const filename = `relatorio-sms-${new Date().toISOString().split('T')[0]}.pdf`;
 
-    // This would generate a PDF report
-    // For now, return a placeholder response
-    res.json({
-      success: true,
-      message: 'PDF report generation not implemented yet',
-      suggestion: 'Use CSV export for now',
-      period
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    await writeHistoryReport(pool, filters, res, {
+      generatedBy: req.auth.user.name || req.auth.user.username
     });
   } catch (error) {
+    if (error instanceof FilterError) {
+      res.removeHeader('Content-Disposition');
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
     console.error('Error generating PDF report:', error);
+    if (res.headersSent) return res.destroy(error);
+    res.removeHeader('Content-Disposition');
     res.status(500).json({
       success: false,
       error: 'Failed to generate PDF report'
@@ -906,66 +3967,79 @@ app.get('/api/reports/pdf', async (req, res) => {
   }
 });
 
-// Export CSV data
-app.get('/api/reports/csv', async (req, res) => {
+// Export history as CSV or XLSX, streamed from a database cursor
+// Accepts the history filters (period defaults to 30 days), ?format=csv|xlsx
+// and ?columns= (see src/export.js)
+async function exportHistory(req, res) {
   try {
-    const { period = '30' } = req.query;
-
-    const result = await pool.query(`
-      SELECT
-        h.phone_number,
-        m.name as model_name,
-        h.command_text,
-        h.status,
-        h.sent_at,
-        h.notes,
-        h.details
-      FROM sms_history h
-      LEFT JOIN device_models m ON h.model_id = m.id
-      WHERE h.sent_at >= NOW() - INTERVAL '${parseInt(period)} days'
-      ORDER BY h.sent_at DESC
-    `);
-
-    // Generate CSV content
-    const headers = ['Phone Number', 'Model', 'Command', 'Status', 'Sent At', 'Notes', 'Details'];
-    let csvContent = headers.join(',') + '\n';
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if (!FORMATS[format]) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid format "${format}" (use ${Object.keys(FORMATS).join(' or ')})`
+      });
+    }
 
-    result.rows.forEach(row => {
-      const csvRow = [
-        `"${row.phone_number}"`,
-        `"${row.model_name || ''}"`,
-        `"${row.command_text}"`,
-        `"${row.status}"`,
-        `"${row.sent_at}"`,
-        `"${row.notes || ''}"`,
-        `"${row.details || ''}"`
-      ].join(',');
-      csvContent += csvRow + '\n';
+    const filters = buildHistoryFilters({ period: '30', ...req.query });
+    const columns = parseColumns(req.query.columns);
+    const { period } = filters.applied;
+    const label = !period ? 'custom' : /^\d+$/.test(period) ? `${period}days` : period;
+
+    await streamHistoryExport(pool, filters, res, {
+      format,
+      columns,
+      onStart: () => {
+        res.setHeader('Content-Type', FORMATS[format].contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="sms_report_${label}.${FORMATS[format].extension}"`);
+      }
     });
-
-    res.setHeader('Content-Type', 'text/csv');
-    res.setHeader('Content-Disposition', `attachment; filename="sms_report_${period}days.csv"`);
-    res.send(csvContent);
-
   } catch (error) {
-    console.error('Error generating CSV report:', error);
+    if (error instanceof FilterError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error('Error exporting history:', error);
+    if (res.headersSent) return res.destroy(error);
+    res.removeHeader('Content-Disposition');
     res.status(500).json({
       success: false,
-      error: 'Failed to generate CSV report'
+      error: 'Failed to export history',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
+}
+
+app.get('/api/reports/export', authorize('stats:read'), exportHistory);
+
+// Kept for existing links; same as /api/reports/export
+app.get('/api/reports/csv', authorize('stats:read'), exportHistory);
+
+// Columns available to the export
+app.get('/api/reports/columns', authorize('stats:read'), (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      columns: Object.entries(EXPORT_COLUMNS).map(([key, column]) => ({ key, header: column.header })),
+      defaults: DEFAULT_COLUMNS,
+      responseDataFields: 'response_data.<campo>, ex.: response_data.messageId, response_data.attempts.0.provider',
+      formats: Object.keys(FORMATS)
+    }
+  });
 });
 
 // ==================== LEGACY SMS ROUTES (for compatibility) ====================
 
 // Legacy SMS routes for backward compatibility
-app.get('/api/sms', async (req, res) => {
+app.get('/api/sms', authorize('sms:read'), async (req, res) => {
   // Redirect to new history endpoint
   req.url = '/api/sms/history';
   return app._router.handle(req, res);
 });
 
-app.post('/api/sms', async (req, res) => {
+app.post('/api/sms', authorize('sms:send'), async (req, res) => {
   try {
     const { phone, message, sender } = req.body;
 
@@ -999,104 +4073,31 @@ app.post('/api/sms', async (req, res) => {
 
 async function initializeDatabase() {
   try {
-    console.log('🔄 Initializing database tables...');
-
-    // Create device_models table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS device_models (
-        id SERIAL PRIMARY KEY,
-        name VARCHAR(100) UNIQUE NOT NULL,
-        description TEXT,
-        created_at TIMESTAMP DEFAULT NOW(),
-        updated_at TIMESTAMP DEFAULT NOW()
-      )
-    `);
-
-    // Create commands table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS commands (
-        id SERIAL PRIMARY KEY,
-        model_id INTEGER REFERENCES device_models(id) ON DELETE CASCADE,
-        command_text VARCHAR(255) NOT NULL,
-        description TEXT,
-        created_at TIMESTAMP DEFAULT NOW(),
-        updated_at TIMESTAMP DEFAULT NOW(),
-        UNIQUE(model_id, command_text)
-      )
-    `);
-
-    // Create sms_history table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS sms_history (
-        id SERIAL PRIMARY KEY,
-        phone_number VARCHAR(20) NOT NULL,
-        model_id INTEGER REFERENCES device_models(id),
-        command_text VARCHAR(255) NOT NULL,
-        status VARCHAR(20) DEFAULT 'sent',
-        sent_at TIMESTAMP DEFAULT NOW(),
-        details TEXT,
-        notes TEXT,
-        response_data JSONB
-      )
-    `);
-
-    // Create legacy sms_messages table for compatibility
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS sms_messages (
-        id SERIAL PRIMARY KEY,
-        phone VARCHAR(20) NOT NULL,
-        message TEXT NOT NULL,
-        sender VARCHAR(100) DEFAULT 'system',
-        status VARCHAR(20) DEFAULT 'sent',
-        created_at TIMESTAMP DEFAULT NOW(),
-        updated_at TIMESTAMP DEFAULT NOW()
-      )
-    `);
-
-    // Create indexes for better performance
-    await pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_sms_history_phone ON sms_history(phone_number);
-      CREATE INDEX IF NOT EXISTS idx_sms_history_status ON sms_history(status);
-      CREATE INDEX IF NOT EXISTS idx_sms_history_sent_at ON sms_history(sent_at);
-      CREATE INDEX IF NOT EXISTS idx_commands_model_id ON commands(model_id);
-    `);
+    // Schema changes are numbered migrations in migrations/ (see
+    // src/migrations.js); replicas starting together take turns on a lock.
+    // With DB_MIGRATE=false they are left to "npm run db:migrate".
+    if (process.env.DB_MIGRATE === 'false') {
+      const pending = (await migrationStatus(pool)).filter(migration => !migration.applied);
+      if (pending.length > 0) {
+        console.warn(`⚠️ ${pending.length} pending migrations (${pending.map(migration => migration.file).join(', ')}); run npm run db:migrate`);
+      }
+    } else {
+      console.log('🔄 Migrating database...');
+      const applied = await migrate(pool);
+      console.log(applied.length > 0 ? `✅ Applied ${applied.length} migrations` : '✅ Database schema is up to date');
+    }
 
-    // Insert sample data
-    await pool.query(`
-      INSERT INTO device_models (name, description)
-      VALUES
-        ('TK103', 'Rastreador GPS TK103 - Modelo básico'),
-        ('TK102', 'Rastreador GPS TK102 - Modelo compacto'),
-        ('GT06', 'Rastreador GPS GT06 - Modelo avançado'),
-        ('ST901', 'Rastreador GPS ST901 - Modelo profissional'),
-        ('TK303', 'Rastreador GPS TK303 - Modelo veicular'),
-        ('GT02A', 'Rastreador GPS GT02A - Modelo pessoal')
-      ON CONFLICT (name) DO NOTHING
-    `);
+    // Built-in catalog (catalog/default.yml). Missing models and commands are
+    // created; rows that already exist keep their current values. Commands
+    // from the old inline seed were upgraded by migration 005.
+    const seed = loadBundleFile(CATALOG_SEED_FILE);
 
-    // Insert sample commands
-    const sampleCommands = [
-      { model: 'TK103', commands: ['RESET123456', 'STATUS123456', 'GPRS123456', 'APN123456'] },
-      { model: 'TK102', commands: ['begin123456', 'end123456', 'check123456', 'fix060s123456'] },
-      { model: 'GT06', commands: ['RESET#', 'STATUS#', 'GPRS#', 'SERVER#'] },
-      { model: 'ST901', commands: ['*123456*000#', '*123456*001#', '*123456*002#', '*123456*003#'] }
-    ];
-
-    for (const { model, commands } of sampleCommands) {
-      const modelResult = await pool.query('SELECT id FROM device_models WHERE name = $1', [model]);
-      if (modelResult.rows.length > 0) {
-        const modelId = modelResult.rows[0].id;
-        for (const command of commands) {
-          await pool.query(`
-            INSERT INTO commands (model_id, command_text, description)
-            VALUES ($1, $2, $3)
-            ON CONFLICT (model_id, command_text) DO NOTHING
-          `, [modelId, command, `Comando ${command} para ${model}`]);
-        }
-      }
+    const seeded = diffSummary(await applyCatalog(pool, seed, { keepExisting: true }));
+    if (seeded.models.create + seeded.commands.create > 0) {
+      console.log(`📦 Catalog seed: ${seeded.models.create} models and ${seeded.commands.create} commands created`);
     }
 
-    console.log('✅ Database tables initialized successfully');
+    console.log('✅ Database initialized successfully');
   } catch (error) {
     console.error('❌ Error initializing database:', error);
     throw error;
@@ -1142,6 +4143,33 @@ app.use('*', (req, res) => {
 async function gracefulShutdown(signal) {
   console.log(`🔄 ${signal} received, shutting down gracefully...`);
 
+  // Let jobs already handed to a provider finish; the rest stay queued
+  try {
+    await sendQueue.stop();
+  } catch (error) {
+    console.error('❌ Error stopping send queue:', error);
+  }
+
+  try {
+    await scheduler.stop();
+  } catch (error) {
+    console.error('❌ Error stopping scheduler:', error);
+  }
+
+  // End open event streams so server.close() does not wait on them
+  try {
+    await eventHub.stop();
+  } catch (error) {
+    console.error('❌ Error stopping live events:', error);
+  }
+
+  // Unbind SMPP sessions and release provider connections
+  try {
+    await smsProviders.close();
+  } catch (error) {
+    console.error('❌ Error closing SMS providers:', error);
+  }
+
   // Close database connections
   try {
     await pool.end();
@@ -1193,6 +4221,49 @@ async function startServer() {
     // Initialize database
     await initializeDatabase();
 
+    // First start: create the initial user (ADMIN_USERNAME / ADMIN_PASSWORD_FILE)
+    const adminPassword = process.env.ADMIN_PASSWORD_FILE
+      ? fs.readFileSync(process.env.ADMIN_PASSWORD_FILE, 'utf8').trim()
+      : process.env.ADMIN_PASSWORD;
+    const createdAdmin = await ensureInitialUser(pool, {
+      username: process.env.ADMIN_USERNAME || 'admin',
+      password: adminPassword
+    });
+    if (createdAdmin) {
+      console.log(`👤 Initial user "${createdAdmin}" created`);
+    } else if ((await pool.query('SELECT 1 FROM users LIMIT 1')).rows.length === 0) {
+      console.warn('⚠️ No users yet: set ADMIN_PASSWORD_FILE (or ADMIN_PASSWORD) to create the first one');
+    }
+
+    // Start the send queue worker (disable with SMS_QUEUE_WORKER=false)
+    if (process.env.SMS_QUEUE_WORKER !== 'false') {
+      sendQueue.start();
+      console.log(`📨 Send queue worker started (concurrency ${sendQueue.options.concurrency})`);
+    }
+
+    // Start the scheduler (disable with SCHEDULER_WORKER=false)
+    if (process.env.SCHEDULER_WORKER !== 'false') {
+      scheduler.start();
+      console.log(`⏰ Scheduler started (every ${scheduler.options.pollInterval / 1000}s)`);
+    }
+
+    // Forward database notifications to event stream clients
+    await eventHub.start();
+
+    // Idle rate limit buckets are full again; drop them every hour
+    setInterval(() => {
+      purgeBuckets(pool).catch(error => console.error('❌ Could not purge rate limit buckets:', error.message));
+    }, 3600000).unref();
+
+    // Receipts whose message ID never showed up (PENDING_RECEIPT_TTL_HOURS)
+    setInterval(() => {
+      purgePendingReceipts(pool, { maxAgeHours: parseInt(process.env.PENDING_RECEIPT_TTL_HOURS) || 72 })
+        .then(count => {
+          if (count > 0) console.warn(`⚠️ Dropped ${count} delivery receipts for unknown messages`);
+        })
+        .catch(error => console.error('❌ Could not purge pending receipts:', error.message));
+    }, 3600000).unref();
+
     // Start HTTP server
     server = app.listen(PORT, '0.0.0.0', () => {
       console.log('🚀 SMS App DS Server Started Successfully!');
@@ -0,0 +1,173 @@
+// Audit trail
+//
+// Every mutating /api request made by a user or API key is written to
+// audit_log: actor, IP, route, status and, for changes, the entity and
+// before/after snapshots. audit_log is append-only: a trigger rejects UPDATE
+// and DELETE.
+//
+// A route that changes something calls auditChange() with the client of the
+// transaction that makes the change, so the change and its audit row commit
+// together; when the row cannot be written the change is rolled back and the
+// request fails. Other requests (rejected, failed or not describing a
+// change) are written by auditTrail() once the response is sent, retried a
+// few times before giving up.
+//
+// Snapshots go through the same public*() helpers as API responses, so
+// password hashes, encrypted device passwords and API keys never land here.
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const DEFAULT_ACTIONS = { POST: 'create', PUT: 'update', PATCH: 'update', DELETE: 'delete' };
+
+// Tables snapshot() may read, by entity type
+const ENTITY_TABLES = {
+  model: 'device_models',
+  command: 'commands',
+  device: 'devices',
+  user: 'users',
+  api_key: 'api_keys',
+  schedule: 'scheduled_sends'
+};
+
+const EXPORT_COLUMNS = [
+  'id', 'occurred_at', 'username', 'api_key_name', 'ip', 'method', 'route', 'path',
+  'status_code', 'action', 'entity_type', 'entity_id', 'before', 'after'
+];
+
+// Write the audit row for the change a route is making, inside the route's
+// transaction (db is its client). status is the code the route answers with.
+async function auditChange(db, req, { entity, entityId, action, before, after, status = 200 }) {
+  req.audit = {
+    entity,
+    entityId: entityId !== undefined && entityId !== null ? String(entityId) : null,
+    action,
+    before: before === undefined ? null : before,
+    after: after === undefined ? null : after
+  };
+
+  await recordAudit(db, req, status);
+  req.audit.recorded = true;
+}
+
+// Current row of an entity, for the "before" side of an update or delete
+async function snapshot(db, entity, id) {
+  const table = ENTITY_TABLES[entity];
+  if (!table) throw new Error(`No audit snapshot for entity "${entity}"`);
+
+  const result = await db.query(`SELECT * FROM ${table} WHERE id = $1`, [id]);
+  return result.rows[0] || null;
+}
+
+function routeOf(req) {
+  if (!req.route) return null;
+  return Array.isArray(req.route.path) ? req.route.path.join(' | ') : req.route.path;
+}
+
+async function recordAudit(db, req, statusCode) {
+  const auth = req.auth || {};
+  const change = req.audit || {};
+
+  await db.query(`
+    INSERT INTO audit_log
+    (user_id, username, api_key_id, api_key_name, ip, method, route, path, status_code,
+     action, entity_type, entity_id, before, after)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+  `, [
+    auth.user ? auth.user.id : null,
+    auth.user ? auth.user.username : null,
+    auth.apiKey ? auth.apiKey.id : null,
+    auth.apiKey ? auth.apiKey.name : null,
+    req.ip || null,
+    req.method,
+    routeOf(req),
+    // Without the query string: webhooks may carry ?api_key=
+    req.originalUrl.split('?')[0],
+    statusCode,
+    change.action || DEFAULT_ACTIONS[req.method],
+    change.entity || null,
+    change.entityId || (req.params && req.params.id) || null,
+    change.before ? JSON.stringify(change.before) : null,
+    change.after ? JSON.stringify(change.after) : null
+  ]);
+}
+
+// recordAudit() outside a transaction, retried with a growing delay
+async function recordWithRetry(pool, req, statusCode, { attempts, retryDelay }) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await recordAudit(pool, req, statusCode);
+    } catch (error) {
+      if (attempt >= attempts) throw error;
+      await new Promise(resolve => setTimeout(resolve, retryDelay * attempt));
+    }
+  }
+}
+
+// Express middleware; mount after authentication. Writes the requests whose
+// change was not already recorded by auditChange(); a recorded change whose
+// request still failed was rolled back, so the failure is written too.
+function auditTrail(pool, { attempts = 3, retryDelay = 1000, onError = () => {} } = {}) {
+  return (req, res, next) => {
+    if (!MUTATING_METHODS.includes(req.method)) return next();
+
+    res.on('finish', () => {
+      if (!req.auth) return;
+      if (req.audit && req.audit.recorded && res.statusCode < 400) return;
+      recordWithRetry(pool, req, res.statusCode, { attempts, retryDelay }).catch(onError);
+    });
+    next();
+  };
+}
+
+// WHERE clause for GET /api/audit and its export
+function auditFilters(query) {
+  const conditions = [];
+  const params = [];
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+
+  if (query.userId) add('user_id = ?', parseInt(query.userId) || 0);
+  if (query.apiKeyId) add('api_key_id = ?', parseInt(query.apiKeyId) || 0);
+  if (query.username) add('username ILIKE ?', query.username);
+  if (query.entityType) add('entity_type = ?', query.entityType);
+  if (query.entityId) add('entity_id = ?', String(query.entityId));
+  if (query.action) add('action = ?', query.action);
+  if (query.method) add('method = ?', String(query.method).toUpperCase());
+  if (query.route) add('route = ?', query.route);
+  if (query.dateFrom) add('occurred_at >= ?', query.dateFrom);
+  if (query.dateTo) add('occurred_at <= ?', query.dateTo);
+  if (query.failed === 'true') conditions.push('status_code >= 400');
+  if (query.failed === 'false') conditions.push('status_code < 400');
+
+  return {
+    whereClause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date
+    ? value.toISOString()
+    : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+  const lines = [EXPORT_COLUMNS.join(',')];
+  for (const row of rows) {
+    lines.push(EXPORT_COLUMNS.map(column => csvValue(row[column])).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  MUTATING_METHODS,
+  EXPORT_COLUMNS,
+  auditChange,
+  snapshot,
+  auditTrail,
+  auditFilters,
+  toCsv
+};
@@ -0,0 +1,326 @@
+// Authentication
+//
+// Two kinds of credentials reach /api:
+//
+//   sessions  the web UI logs in with a username and password and gets an
+//             HttpOnly cookie (sms_session). Only a SHA-256 hash of the
+//             token is stored in user_sessions.
+//   API keys  integrations send "x-api-key: sms_<prefix>_<secret>" (or
+//             "Authorization: Bearer <key>"). Keys belong to a user, carry a
+//             list of scopes, can expire and can be revoked.
+//
+// Gateways that cannot set headers on their webhooks (delivery reports,
+// inbound SMS) may pass the key as ?api_key= instead.
+//
+// Users have a role (operator, supervisor, admin) that grants a set of
+// permissions; the permission names are the same as the API key scopes. A
+// key can never do more than its owner's role allows.
+//
+// User passwords are hashed with scrypt: scrypt$N$r$p$<salt>$<hash> (base64).
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SESSION_COOKIE = 'sms_session';
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+
+// Permissions, also used as API key scopes. Routes declare the one they need
+// with authorize().
+const SCOPES = {
+  'sms:send': 'Enviar comandos, cancelar lotes e reenviar mensagens',
+  'sms:read': 'Consultar histórico, lotes, fila e respostas',
+  'sms:webhook': 'Receber relatórios de entrega e SMS recebidos dos gateways',
+  'stats:read': 'Consultar estatísticas e relatórios',
+  'audit:read': 'Consultar e exportar a trilha de auditoria',
+  'catalog:read': 'Consultar modelos, comandos e dispositivos',
+  'catalog:write': 'Alterar modelos e comandos',
+  'devices:write': 'Cadastrar e alterar dispositivos',
+  'credits:write': 'Adicionar créditos e ajustar o saldo',
+  'users:admin': 'Gerenciar usuários e chaves de API'
+};
+
+// Each role includes the permissions of the one before it
+const ROLES = {
+  operator: ['sms:send', 'sms:read', 'catalog:read'],
+  supervisor: ['sms:send', 'sms:read', 'catalog:read', 'stats:read', 'audit:read'],
+  admin: Object.keys(SCOPES)
+};
+
+function rolePermissions(role) {
+  return ROLES[role] || [];
+}
+
+class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const hash = await scrypt(String(password), salt, KEY_LENGTH, { N, r, p, maxmem: 64 * 1024 * 1024 });
+  return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length, {
+    N: parseInt(N), r: parseInt(r), p: parseInt(p), maxmem: 64 * 1024 * 1024
+  });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// New API key. The full key is only returned here; the database keeps the
+// prefix (to tell keys apart) and the hash.
+function generateApiKey() {
+  const prefix = crypto.randomBytes(4).toString('hex');
+  const key = `sms_${prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+  return { key, prefix, hash: hashToken(key) };
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const pair of String(header || '').split(';')) {
+    const index = pair.indexOf('=');
+    if (index < 0) continue;
+    const name = pair.slice(0, index).trim();
+    if (!name) continue;
+    try {
+      cookies[name] = decodeURIComponent(pair.slice(index + 1).trim());
+    } catch (error) {
+      // Malformed escape (%E0%A4%A): skip the cookie, the request is not authenticated by it
+    }
+  }
+  return cookies;
+}
+
+function sessionCookie(token, { maxAge, secure }) {
+  const parts = [`${SESSION_COOKIE}=${token}`, 'Path=/', 'HttpOnly', 'SameSite=Lax', `Max-Age=${maxAge}`];
+  if (secure) parts.push('Secure');
+  return parts.join('; ');
+}
+
+// Validate a new user's password; returns an error message or null
+function passwordError(password) {
+  const value = String(password || '');
+  if (value.length < 8) return 'must have at least 8 characters';
+  if (value.length > 200) return 'must have at most 200 characters';
+  return null;
+}
+
+// User row as returned by the API
+function publicUser(row) {
+  const user = { ...row };
+  delete user.password_hash;
+  return user;
+}
+
+// API key row as returned by the API (the hash never leaves the server)
+function publicApiKey(row) {
+  const apiKey = { ...row };
+  delete apiKey.key_hash;
+  return apiKey;
+}
+
+// Scopes for a new key owned by a user with the given role
+function validateScopes(scopes, role) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return { error: 'must be a non-empty list' };
+  }
+  const unknown = scopes.filter(scope => !SCOPES[scope]);
+  if (unknown.length > 0) {
+    return { error: `unknown scopes: ${unknown.join(', ')}` };
+  }
+  const denied = scopes.filter(scope => !rolePermissions(role).includes(scope));
+  if (denied.length > 0) {
+    return { error: `not allowed for the ${role} role: ${denied.join(', ')}` };
+  }
+  return { scopes: [...new Set(scopes)] };
+}
+
+async function createSession(pool, userId, { ttlHours, ip, userAgent }) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  await pool.query(`
+    INSERT INTO user_sessions (token_hash, user_id, expires_at, ip, user_agent)
+    VALUES ($1, $2, NOW() + $3::int * INTERVAL '1 hour', $4, $5)
+  `, [hashToken(token), userId, ttlHours, ip || null, userAgent ? userAgent.substring(0, 255) : null]);
+
+  // Housekeeping: expired sessions are useless
+  await pool.query('DELETE FROM user_sessions WHERE expires_at < NOW()');
+  return token;
+}
+
+async function destroySession(pool, token) {
+  await pool.query('DELETE FROM user_sessions WHERE token_hash = $1', [hashToken(token)]);
+}
+
+function requestApiKey(req, { allowQuery }) {
+  const header = req.get('x-api-key');
+  if (header) return header.trim();
+
+  const authorization = req.get('authorization') || '';
+  const bearer = authorization.match(/^Bearer\s+(\S+)$/i);
+  if (bearer) return bearer[1];
+
+  return allowQuery && typeof req.query.api_key === 'string' ? req.query.api_key : null;
+}
+
+async function resolveApiKey(pool, key) {
+  const result = await pool.query(`
+    SELECT k.id, k.name, k.prefix, k.scopes, k.expires_at, k.revoked_at, k.rate_limits,
+           u.id as user_id, u.username, u.name as user_name, u.role, u.active, u.rate_limits as user_rate_limits
+    FROM api_keys k
+    JOIN users u ON u.id = k.user_id
+    WHERE k.key_hash = $1
+  `, [hashToken(key)]);
+
+  const row = result.rows[0];
+  if (!row || row.revoked_at) throw new AuthError('Invalid or revoked API key');
+  if (row.expires_at && new Date(row.expires_at) < new Date()) throw new AuthError('API key has expired');
+  if (!row.active) throw new AuthError('API key owner is disabled');
+
+  pool.query('UPDATE api_keys SET last_used_at = NOW() WHERE id = $1', [row.id]).catch(() => {});
+
+  return {
+    type: 'api_key',
+    user: { id: row.user_id, username: row.username, name: row.user_name, role: row.role },
+    apiKey: { id: row.id, name: row.name, prefix: row.prefix },
+    sessionId: null,
+    scopes: row.scopes.filter(scope => rolePermissions(row.role).includes(scope)),
+    rateLimits: { ...row.user_rate_limits, ...row.rate_limits }
+  };
+}
+
+async function resolveSession(pool, token) {
+  const result = await pool.query(`
+    UPDATE user_sessions s
+    SET last_seen_at = NOW()
+    FROM users u
+    WHERE s.token_hash = $1 AND s.expires_at > NOW() AND u.id = s.user_id AND u.active
+    RETURNING u.id, u.username, u.name, u.role, u.rate_limits
+  `, [hashToken(token)]);
+
+  if (result.rows.length === 0) throw new AuthError('Session expired, please log in again');
+
+  const { rate_limits: rateLimits, ...user } = result.rows[0];
+  return {
+    type: 'session',
+    user,
+    apiKey: null,
+    // user_sessions.token_hash, to find the streams of a session
+    sessionId: hashToken(token),
+    scopes: rolePermissions(user.role),
+    rateLimits: rateLimits || {}
+  };
+}
+
+// The API key or session of a request as req.auth. Throws AuthError when
+// there is none or it is no longer valid. Also used to re-check requests
+// that stay open (GET /api/events).
+async function resolveRequest(pool, req, { allowQuery = false } = {}) {
+  const key = requestApiKey(req, { allowQuery });
+  const session = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+
+  if (key) return resolveApiKey(pool, key);
+  if (session) return resolveSession(pool, session);
+  throw new AuthError('Authentication required');
+}
+
+// Express middleware that sets req.auth ({ type, user, apiKey, sessionId,
+// scopes, rateLimits }) or answers 401. Paths listed in publicPaths
+// (relative to where the middleware is mounted) are let through.
+function authenticate(pool, { publicPaths = [], queryKeyPaths = [] } = {}) {
+  return async (req, res, next) => {
+    if (publicPaths.includes(req.path)) return next();
+
+    try {
+      req.auth = await resolveRequest(pool, req, {
+        allowQuery: queryKeyPaths.some(prefix => req.path.startsWith(prefix))
+      });
+      next();
+    } catch (error) {
+      if (!(error instanceof AuthError)) return next(error);
+      res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+  };
+}
+
+// 403 body shared by every route:
+// { success: false, error: 'Forbidden', message, permission, role }
+function forbidden(res, auth, permission) {
+  const role = auth && auth.user ? auth.user.role : null;
+  const message = auth && auth.apiKey && rolePermissions(role).includes(permission)
+    ? `API key is missing the ${permission} scope`
+    : `The ${role} role does not have the ${permission} permission`;
+
+  return res.status(403).json({
+    success: false,
+    error: 'Forbidden',
+    message,
+    permission,
+    role
+  });
+}
+
+// Route guard: the user's role (and the API key's scopes) must include the
+// permission
+function authorize(permission) {
+  return (req, res, next) => {
+    if (req.auth && req.auth.scopes.includes(permission)) return next();
+    forbidden(res, req.auth, permission);
+  };
+}
+
+// First start: create the initial user from ADMIN_USERNAME / ADMIN_PASSWORD
+// when the users table is still empty. Returns the username or null.
+async function ensureInitialUser(pool, { username, password }) {
+  const existing = await pool.query('SELECT COUNT(*) FROM users');
+  if (parseInt(existing.rows[0].count) > 0 || !password) return null;
+
+  await pool.query(
+    'INSERT INTO users (username, name, password_hash, role) VALUES ($1, $2, $3, $4) ON CONFLICT DO NOTHING',
+    [username, 'Administrador', await hashPassword(password), 'admin']
+  );
+  return username;
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  SCOPES,
+  ROLES,
+  AuthError,
+  rolePermissions,
+  hashPassword,
+  verifyPassword,
+  hashToken,
+  generateApiKey,
+  parseCookies,
+  sessionCookie,
+  passwordError,
+  publicUser,
+  publicApiKey,
+  validateScopes,
+  createSession,
+  destroySession,
+  resolveRequest,
+  authenticate,
+  forbidden,
+  authorize,
+  ensureInitialUser
+};
@@ -0,0 +1,142 @@
+// Send batches
+// Every POST /api/sms/send creates one sms_batches row; its recipients are
+// the sms_history rows (and sms_jobs) carrying the same batch_id. Counts are
+// computed from the history rows so they always match what the worker and
+// delivery reports recorded.
+
+const { transition } = require('./lifecycle');
+const { refundMessages } = require('./credits');
+const { transaction } = require('./db');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const BATCH_COLUMNS = `
+  b.*,
+  m.name as model_name,
+  COUNT(h.id) as recipient_count,
+  COUNT(CASE WHEN h.status = 'queued' THEN 1 END) as queued_count,
+  COUNT(CASE WHEN h.status = 'submitted' THEN 1 END) as submitted_count,
+  COUNT(CASE WHEN h.status = 'delivered' THEN 1 END) as delivered_count,
+  COUNT(CASE WHEN h.status IN ('undelivered', 'expired') THEN 1 END) as undelivered_count,
+  COUNT(CASE WHEN h.status = 'failed' THEN 1 END) as failed_count,
+  COUNT(CASE WHEN h.status = 'cancelled' THEN 1 END) as cancelled_count,
+  CASE
+    WHEN b.cancelled_at IS NOT NULL THEN 'cancelled'
+    WHEN COUNT(CASE WHEN h.status = 'queued' THEN 1 END) > 0 THEN 'sending'
+    ELSE 'completed'
+  END as status
+`;
+
+function isBatchId(value) {
+  return UUID_PATTERN.test(String(value || ''));
+}
+
+async function listBatches(pool, { page = 1, limit = 20, modelId } = {}) {
+  const params = [];
+  let whereClause = '';
+
+  if (modelId) {
+    params.push(modelId);
+    whereClause = `WHERE b.model_id = $${params.length}`;
+  }
+
+  const total = await pool.query(`SELECT COUNT(*) FROM sms_batches b ${whereClause}`, params);
+
+  params.push(limit, (page - 1) * limit);
+  const result = await pool.query(`
+    SELECT ${BATCH_COLUMNS}
+    FROM sms_batches b
+    LEFT JOIN device_models m ON m.id = b.model_id
+    LEFT JOIN sms_history h ON h.batch_id = b.id
+    ${whereClause}
+    GROUP BY b.id, m.name
+    ORDER BY b.created_at DESC
+    LIMIT $${params.length - 1} OFFSET $${params.length}
+  `, params);
+
+  return { rows: result.rows, total: parseInt(total.rows[0].count) };
+}
+
+// Batch with per-recipient progress; null when the batch does not exist
+async function getBatch(pool, batchId) {
+  const batch = await pool.query(`
+    SELECT ${BATCH_COLUMNS}
+    FROM sms_batches b
+    LEFT JOIN device_models m ON m.id = b.model_id
+    LEFT JOIN sms_history h ON h.batch_id = b.id
+    WHERE b.id = $1
+    GROUP BY b.id, m.name
+  `, [batchId]);
+
+  if (batch.rows.length === 0) {
+    return null;
+  }
+
+  const recipients = await pool.query(`
+    SELECT
+      h.id,
+      h.phone_number,
+      h.status,
+      h.details,
+      h.error_code,
+      h.provider,
+      h.queued_at,
+      h.submitted_at,
+      h.delivered_at,
+      h.failed_at,
+      h.cancelled_at,
+      j.status as job_status,
+      j.attempts,
+      j.max_attempts,
+      j.run_at as next_attempt_at,
+      j.last_error
+    FROM sms_history h
+    LEFT JOIN sms_jobs j ON j.history_id = h.id
+    WHERE h.batch_id = $1
+    ORDER BY h.id
+  `, [batchId]);
+
+  return { ...batch.rows[0], recipients: recipients.rows };
+}
+
+// Cancel the recipients that have not been handed to a provider yet.
+// Jobs already being sent are left alone. Returns null when the batch does
+// not exist, otherwise { cancelled, inProgress }.
+async function cancelBatch(db, batchId) {
+  return transaction(db, async client => {
+    const batch = await client.query('SELECT id FROM sms_batches WHERE id = $1 FOR UPDATE', [batchId]);
+    if (batch.rows.length === 0) return null;
+
+    // Row locks taken here make the worker's SKIP LOCKED claim pass these jobs by
+    const jobs = await client.query(`
+      UPDATE sms_jobs
+      SET status = 'cancelled', completed_at = NOW(), updated_at = NOW()
+      WHERE batch_id = $1 AND status = 'pending'
+      RETURNING history_id
+    `, [batchId]);
+
+    for (const job of jobs.rows) {
+      await transition(client, job.history_id, 'cancelled', { details: 'Cancelled before sending' });
+    }
+    await refundMessages(client, jobs.rows.map(job => job.history_id), 'Cancelled before sending');
+
+    const inProgress = await client.query(
+      `SELECT COUNT(*) FROM sms_jobs WHERE batch_id = $1 AND status = 'processing'`,
+      [batchId]
+    );
+
+    await client.query(
+      'UPDATE sms_batches SET cancelled_at = COALESCE(cancelled_at, NOW()) WHERE id = $1',
+      [batchId]
+    );
+
+    return { cancelled: jobs.rows.length, inProgress: parseInt(inProgress.rows[0].count) };
+  });
+}
+
+module.exports = {
+  isBatchId,
+  listBatches,
+  getBatch,
+  cancelBatch
+};
@@ -0,0 +1,365 @@
+// Model and command catalog bundles
+//
+// GET /api/catalog/export and POST /api/catalog/import exchange the catalog
+// as a JSON or YAML document:
+//
+//   format: sms-catalog
+//   version: 1
+//   models:
+//     - name: TK103
+//       description: Rastreador GPS TK103
+//       parser: tk103              (optional, see src/parsers)
+//       commands:
+//         - command: STATUS{password:digits:6}
+//           description: Consultar status
+//
+// Models are matched by name and commands by model and command text.
+//
+//   merge    create what is missing, update descriptions and parsers (a
+//            field left out of the bundle keeps its current value)
+//   replace  the bundle is the whole catalog: fields left out are cleared
+//            and the models and commands it does not list are deleted
+//            (refused while a model to delete has devices, history or
+//            scheduled sends)
+//
+// A dry run only returns the diff. Device passwords never go into a bundle.
+//
+// The built-in seed is catalog/default.yml, applied on every start with
+// keepExisting: only missing rows and empty fields are filled, so edits made
+// through the API survive restarts.
+
+const fs = require('fs');
+const yaml = require('js-yaml');
+const { transaction } = require('./db');
+const { hasParser } = require('./parsers');
+const { TemplateError, parseTemplate } = require('./templates');
+
+const BUNDLE_FORMAT = 'sms-catalog';
+const BUNDLE_VERSION = 1;
+const MODES = ['merge', 'replace'];
+
+class CatalogError extends Error {
+  constructor(message, { status = 400, errors, diff } = {}) {
+    super(message);
+    this.name = 'CatalogError';
+    this.status = status;
+    this.errors = errors;
+    this.diff = diff;
+  }
+}
+
+// JSON or YAML text to a plain object; YAML also reads JSON
+function parseBundle(text) {
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  if (source.trim() === '') throw new CatalogError('Bundle is empty');
+
+  try {
+    return source.trim().startsWith('{') ? JSON.parse(source) : yaml.load(source);
+  } catch (error) {
+    throw new CatalogError(`Bundle is not valid JSON or YAML: ${error.message.split('\n')[0]}`);
+  }
+}
+
+function optionalText(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  return text === '' ? null : text;
+}
+
+// Check a parsed bundle and return it normalized. Throws CatalogError with
+// one message per problem in error.errors ("models[0].name: is required").
+function validateBundle(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new CatalogError('Bundle must be an object with a models list');
+  }
+  if (data.format !== undefined && data.format !== BUNDLE_FORMAT) {
+    throw new CatalogError(`Unknown bundle format "${data.format}" (expected ${BUNDLE_FORMAT})`);
+  }
+  if (data.version !== undefined && data.version !== BUNDLE_VERSION) {
+    throw new CatalogError(`Unsupported bundle version ${data.version} (this server reads version ${BUNDLE_VERSION})`);
+  }
+  if (!Array.isArray(data.models)) {
+    throw new CatalogError('Bundle must have a models list');
+  }
+
+  const errors = [];
+  const names = new Set();
+
+  const models = data.models.map((model, i) => {
+    const at = `models[${i}]`;
+    if (!model || typeof model !== 'object') {
+      errors.push(`${at}: must be an object`);
+      return null;
+    }
+
+    const name = optionalText(model.name);
+    if (!name) {
+      errors.push(`${at}.name: is required`);
+    } else if (name.length > 100) {
+      errors.push(`${at}.name: must have at most 100 characters`);
+    } else if (names.has(name)) {
+      errors.push(`${at}.name: "${name}" is listed twice`);
+    }
+    names.add(name);
+
+    const parser = optionalText(model.parser);
+    if (parser && !hasParser(parser)) {
+      errors.push(`${at}.parser: unknown parser "${parser}"`);
+    }
+
+    if (model.commands !== undefined && model.commands !== null && !Array.isArray(model.commands)) {
+      errors.push(`${at}.commands: must be a list`);
+    }
+
+    const texts = new Set();
+    const commands = (Array.isArray(model.commands) ? model.commands : []).map((command, j) => {
+      const commandAt = `${at}.commands[${j}]`;
+      const entry = typeof command === 'string' ? { command } : command;
+      const text = entry && typeof entry === 'object' ? optionalText(entry.command) : null;
+
+      if (!text) {
+        errors.push(`${commandAt}.command: is required`);
+        return null;
+      }
+      if (text.length > 255) {
+        errors.push(`${commandAt}.command: must have at most 255 characters`);
+      } else if (texts.has(text)) {
+        errors.push(`${commandAt}.command: "${text}" is listed twice`);
+      }
+      texts.add(text);
+
+      try {
+        parseTemplate(text);
+      } catch (error) {
+        if (!(error instanceof TemplateError)) throw error;
+        errors.push(`${commandAt}.command: ${error.message}`);
+      }
+
+      return { command: text, description: optionalText(entry.description) };
+    });
+
+    return { name, description: optionalText(model.description), parser, commands };
+  });
+
+  if (errors.length > 0) {
+    throw new CatalogError('Invalid catalog bundle', { errors });
+  }
+
+  return { format: BUNDLE_FORMAT, version: BUNDLE_VERSION, models };
+}
+
+function loadBundleFile(file) {
+  return validateBundle(parseBundle(fs.readFileSync(file, 'utf8')));
+}
+
+// Current catalog as a bundle
+async function exportCatalog(db) {
+  const models = await db.query('SELECT id, name, description, parser FROM device_models ORDER BY name');
+  const commands = await db.query('SELECT model_id, command_text, description FROM commands ORDER BY model_id, id');
+
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    models: models.rows.map(model => ({
+      name: model.name,
+      description: model.description,
+      parser: model.parser,
+      commands: commands.rows
+        .filter(command => command.model_id === model.id)
+        .map(command => ({ command: command.command_text, description: command.description }))
+    }))
+  };
+}
+
+function serializeBundle(bundle, format) {
+  return format === 'yaml'
+    ? yaml.dump(bundle, { lineWidth: -1, noRefs: true })
+    : JSON.stringify(bundle, null, 2) + '\n';
+}
+
+// Field changes between a row and the bundle. A field the bundle leaves
+// empty only clears the row in replace mode; with keepExisting only empty
+// fields are filled.
+function fieldChanges(row, wanted, fields, { keepExisting, clear }) {
+  const changes = {};
+  for (const [field, column] of fields) {
+    const current = row[column] === undefined ? null : row[column];
+    if (wanted[field] === current) continue;
+    if (wanted[field] === null && !clear) continue;
+    if (keepExisting && current !== null && current !== '') continue;
+    changes[field] = { from: current, to: wanted[field] };
+  }
+  return changes;
+}
+
+// What an import would do:
+// { models: { create, update, delete, unchanged }, commands: { ... }, blocked }
+async function planCatalog(db, bundle, { mode = 'merge', keepExisting = false } = {}) {
+  const models = (await db.query(`
+    SELECT m.id, m.name, m.description, m.parser,
+      (SELECT COUNT(*) FROM devices d WHERE d.model_id = m.id) as device_count,
+      EXISTS (SELECT 1 FROM sms_history h WHERE h.model_id = m.id) as has_history,
+      EXISTS (SELECT 1 FROM scheduled_sends s WHERE s.model_id = m.id) as has_schedules
+    FROM device_models m
+  `)).rows;
+  const commands = (await db.query('SELECT id, model_id, command_text, description FROM commands')).rows;
+
+  const byName = new Map(models.map(model => [model.name, model]));
+  const options = { keepExisting, clear: mode === 'replace' };
+  const diff = {
+    mode,
+    models: { create: [], update: [], delete: [], unchanged: 0 },
+    commands: { create: [], update: [], delete: [], unchanged: 0 },
+    blocked: []
+  };
+
+  for (const model of bundle.models) {
+    const existing = byName.get(model.name);
+
+    if (!existing) {
+      diff.models.create.push({ name: model.name, description: model.description, parser: model.parser });
+      for (const command of model.commands) {
+        diff.commands.create.push({ model: model.name, command: command.command, description: command.description });
+      }
+      continue;
+    }
+
+    const changes = fieldChanges(existing, model, [['description', 'description'], ['parser', 'parser']], options);
+    if (Object.keys(changes).length > 0) {
+      diff.models.update.push({ id: existing.id, name: model.name, changes });
+    } else {
+      diff.models.unchanged++;
+    }
+
+    const current = commands.filter(command => command.model_id === existing.id);
+    const listed = new Set(model.commands.map(command => command.command));
+
+    for (const command of model.commands) {
+      const row = current.find(candidate => candidate.command_text === command.command);
+      if (!row) {
+        diff.commands.create.push({ model: model.name, command: command.command, description: command.description });
+        continue;
+      }
+
+      const commandChanges = fieldChanges(row, command, [['description', 'description']], options);
+      if (Object.keys(commandChanges).length > 0) {
+        diff.commands.update.push({ id: row.id, model: model.name, command: command.command, changes: commandChanges });
+      } else {
+        diff.commands.unchanged++;
+      }
+    }
+
+    if (mode === 'replace') {
+      for (const row of current.filter(command => !listed.has(command.command_text))) {
+        diff.commands.delete.push({ id: row.id, model: model.name, command: row.command_text });
+      }
+    }
+  }
+
+  if (mode === 'replace') {
+    const listed = new Set(bundle.models.map(model => model.name));
+    for (const model of models.filter(candidate => !listed.has(candidate.name))) {
+      const commandCount = commands.filter(command => command.model_id === model.id).length;
+      diff.models.delete.push({ id: model.id, name: model.name, commands: commandCount });
+
+      const deviceCount = parseInt(model.device_count);
+      if (deviceCount > 0 || model.has_history || model.has_schedules) {
+        diff.blocked.push({
+          model: model.name,
+          reason: deviceCount > 0
+            ? `has ${deviceCount} registered devices`
+            : model.has_history ? 'has send history' : 'has scheduled sends'
+        });
+      }
+    }
+  }
+
+  return diff;
+}
+
+function diffSummary(diff) {
+  const count = section => ({
+    create: section.create.length,
+    update: section.update.length,
+    delete: section.delete.length,
+    unchanged: section.unchanged
+  });
+  return { models: count(diff.models), commands: count(diff.commands), blocked: diff.blocked.length };
+}
+
+// Import a validated bundle. Returns the diff; with dryRun nothing is
+// written. Throws CatalogError (409) when replace would delete a model that
+// is still in use.
+async function applyCatalog(db, bundle, { mode = 'merge', dryRun = false, keepExisting = false } = {}) {
+  if (!MODES.includes(mode)) {
+    throw new CatalogError(`Invalid mode "${mode}" (use ${MODES.join(' or ')})`);
+  }
+
+  return transaction(db, async client => {
+    // One import at a time (several replicas seed on startup)
+    await client.query('LOCK TABLE device_models IN SHARE ROW EXCLUSIVE MODE');
+
+    const diff = await planCatalog(client, bundle, { mode, keepExisting });
+
+    // Planning writes nothing
+    if (dryRun) return diff;
+
+    if (diff.blocked.length > 0) {
+      throw new CatalogError('Some models cannot be deleted', { status: 409, diff });
+    }
+
+    for (const change of diff.commands.delete) {
+      await client.query('DELETE FROM commands WHERE id = $1', [change.id]);
+    }
+    for (const change of diff.models.delete) {
+      await client.query('DELETE FROM device_models WHERE id = $1', [change.id]);
+    }
+
+    for (const change of diff.models.create) {
+      await client.query(
+        'INSERT INTO device_models (name, description, parser) VALUES ($1, $2, $3)',
+        [change.name, change.description, change.parser]
+      );
+    }
+    for (const change of diff.models.update) {
+      const model = bundle.models.find(candidate => candidate.name === change.name);
+      await client.query(`
+        UPDATE device_models
+        SET description = CASE WHEN $2 THEN $3 ELSE description END,
+            parser = CASE WHEN $4 THEN $5 ELSE parser END,
+            updated_at = NOW()
+        WHERE id = $1
+      `, [change.id, 'description' in change.changes, model.description, 'parser' in change.changes, model.parser]);
+    }
+
+    for (const change of diff.commands.create) {
+      await client.query(`
+        INSERT INTO commands (model_id, command_text, description)
+        SELECT id, $2, $3 FROM device_models WHERE name = $1
+      `, [change.model, change.command, change.description]);
+    }
+    for (const change of diff.commands.update) {
+      await client.query(
+        'UPDATE commands SET description = $2, updated_at = NOW() WHERE id = $1',
+        [change.id, change.changes.description.to]
+      );
+    }
+
+    return diff;
+  });
+}
+
+module.exports = {
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+  MODES,
+  CatalogError,
+  parseBundle,
+  validateBundle,
+  loadBundleFile,
+  exportCatalog,
+  serializeBundle,
+  diffSummary,
+  applyCatalog
+};
@@ -0,0 +1,231 @@
+// SMS credits
+//
+// credit_ledger records every change to the balance:
+//
+//   topup       credit bought (POST /api/credits/topup), positive
+//   debit       one message, charged per segment when it is queued, negative
+//   refund      a message that was never sent (dead job, cancelled), positive
+//   adjustment  manual correction, either sign
+//
+// credit_account holds the running balance in a single row. Every change
+// locks that row first, so checking the balance and charging a batch happen
+// atomically even with several replicas sending at once.
+//
+// Segments are counted on the stored command text (passwords masked):
+// 160 GSM-7 characters in a single SMS, 153 per part when concatenated; 70
+// and 67 for texts that need UCS-2.
+
+const { transaction } = require('./db');
+
+const ENTRY_TYPES = ['topup', 'debit', 'refund', 'adjustment'];
+
+function envNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+const PRICE_PER_SEGMENT = envNumber('CREDIT_PRICE_PER_SEGMENT', 0.05);
+const LOW_BALANCE = envNumber('CREDIT_LOW_BALANCE', 10);
+// With CREDIT_ENFORCE=false sends are still charged but may overdraw;
+// unset, credits are enforced once the account got its first top-up, so an
+// upgrade does not block every send on the zero opening balance
+const ENFORCE = process.env.CREDIT_ENFORCE === 'true' ? true
+  : process.env.CREDIT_ENFORCE === 'false' ? false : null;
+
+class CreditError extends Error {
+  constructor(message, { status = 402, balance, required } = {}) {
+    super(message);
+    this.name = 'CreditError';
+    this.status = status;
+    this.balance = balance;
+    this.required = required;
+  }
+}
+
+// GSM 03.38 basic set; characters of the extension table count twice
+const GSM_BASIC = '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+  '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+const GSM_EXTENDED = '^{}\\[~]|€\f';
+
+// { encoding: 'gsm7' | 'ucs2', length, segments }
+function countSegments(text) {
+  const chars = [...String(text || '')];
+  let length = 0;
+  let gsm = true;
+
+  for (const char of chars) {
+    if (GSM_BASIC.includes(char)) {
+      length += 1;
+    } else if (GSM_EXTENDED.includes(char)) {
+      length += 2;
+    } else {
+      gsm = false;
+      break;
+    }
+  }
+
+  if (!gsm) {
+    // UCS-2 counts UTF-16 code units (emoji take two)
+    length = String(text || '').length;
+    return { encoding: 'ucs2', length, segments: length <= 70 ? 1 : Math.ceil(length / 67) };
+  }
+  return { encoding: 'gsm7', length, segments: length <= 160 ? 1 : Math.ceil(length / 153) };
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+// { balance, enforced } of the account row
+function accountState(row) {
+  return {
+    balance: parseFloat(row.balance),
+    enforced: ENFORCE === null ? row.funded_at !== null : ENFORCE
+  };
+}
+
+// Lock the account row for the rest of the caller's transaction
+async function lockAccount(client) {
+  const result = await client.query('SELECT balance, funded_at FROM credit_account WHERE id = 1 FOR UPDATE');
+  return accountState(result.rows[0]);
+}
+
+async function addToBalance(client, amount) {
+  const result = await client.query(
+    'UPDATE credit_account SET balance = balance + $1, updated_at = NOW() WHERE id = 1 RETURNING balance',
+    [amount]
+  );
+  return parseFloat(result.rows[0].balance);
+}
+
+// Segments and price of each text
+function quoteMessages(texts) {
+  const segments = texts.map(text => countSegments(text).segments);
+  return {
+    segments,
+    amounts: segments.map(count => round(count * PRICE_PER_SEGMENT)),
+    totalSegments: segments.reduce((sum, count) => sum + count, 0)
+  };
+}
+
+function insufficient(count, segments, cost, balance) {
+  return new CreditError(
+    `Insufficient credit: ${count} messages (${segments} segments) cost ${cost.toFixed(2)}, balance is ${balance.toFixed(2)}`,
+    { balance, required: cost }
+  );
+}
+
+// Refuse up front, without charging, a send of several batches that the
+// balance cannot cover. chargeMessages() still has the final word.
+async function checkCredit(db, texts) {
+  if (ENFORCE === false) return;
+  const { balance, enforced } = accountState((await db.query('SELECT balance, funded_at FROM credit_account WHERE id = 1')).rows[0]);
+  if (!enforced) return;
+
+  const { amounts, totalSegments } = quoteMessages(texts);
+  const cost = round(amounts.reduce((sum, amount) => sum + amount, 0));
+  if (cost > 0 && balance < cost) throw insufficient(texts.length, totalSegments, cost, balance);
+}
+
+// Charge queued messages inside the caller's transaction. texts are aligned
+// with historyIds. Throws CreditError when the balance does not cover the
+// batch while credits are enforced.
+// Returns { segments, cost, balance, low }.
+async function chargeMessages(client, { historyIds, texts, batchId, userId, apiKeyId }) {
+  const { segments, amounts, totalSegments } = quoteMessages(texts);
+  const cost = round(amounts.reduce((sum, amount) => sum + amount, 0));
+
+  const { balance, enforced } = await lockAccount(client);
+  if (enforced && cost > 0 && balance < cost) {
+    throw insufficient(historyIds.length, totalSegments, cost, balance);
+  }
+
+  await client.query(`
+    INSERT INTO credit_ledger (entry_type, amount, segments, history_id, batch_id, user_id, api_key_id)
+    SELECT 'debit', -amount, segments, history_id, $4, $5, $6
+    FROM unnest($1::int[], $2::numeric[], $3::int[]) AS debits(history_id, amount, segments)
+  `, [historyIds, amounts, segments, batchId || null, userId || null, apiKeyId || null]);
+
+  const after = await addToBalance(client, -cost);
+  return { segments: totalSegments, cost, balance: after, low: after < LOW_BALANCE };
+}
+
+// Give back what was charged for messages that were never sent, inside the
+// caller's transaction. Messages already refunded are skipped.
+// Returns the amount refunded.
+async function refundMessages(client, historyIds, description) {
+  if (historyIds.length === 0) return 0;
+  await lockAccount(client);
+
+  const due = await client.query(`
+    INSERT INTO credit_ledger (entry_type, amount, segments, history_id, batch_id, description)
+    SELECT 'refund', -SUM(amount), -SUM(segments), history_id, MAX(batch_id::text)::uuid, $2
+    FROM credit_ledger
+    WHERE history_id = ANY($1::int[])
+    GROUP BY history_id
+    HAVING SUM(amount) < 0
+    RETURNING amount
+  `, [historyIds, description || null]);
+
+  const refunded = round(due.rows.reduce((sum, row) => sum + parseFloat(row.amount), 0));
+  if (refunded > 0) await addToBalance(client, refunded);
+  return refunded;
+}
+
+// Add credit (topup) or correct the balance (adjustment, either sign). The
+// first top-up marks the account as funded. Returns the ledger row and the
+// new balance.
+async function addCredit(db, { type = 'topup', amount, description, userId, apiKeyId }) {
+  return transaction(db, async client => {
+    await lockAccount(client);
+    if (type === 'topup') {
+      await client.query('UPDATE credit_account SET funded_at = COALESCE(funded_at, NOW()) WHERE id = 1');
+    }
+
+    const entry = await client.query(`
+      INSERT INTO credit_ledger (entry_type, amount, description, user_id, api_key_id)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `, [type, amount, description || null, userId || null, apiKeyId || null]);
+
+    const balance = await addToBalance(client, amount);
+    return { entry: entry.rows[0], balance };
+  });
+}
+
+// Balance, settings and what was spent over the last 30 days
+async function creditSummary(db) {
+  const account = await db.query('SELECT balance, funded_at, updated_at FROM credit_account WHERE id = 1');
+  const usage = await db.query(`
+    SELECT
+      COALESCE(-SUM(amount) FILTER (WHERE entry_type IN ('debit', 'refund')), 0) as spent,
+      COALESCE(SUM(segments) FILTER (WHERE entry_type IN ('debit', 'refund')), 0) as segments
+    FROM credit_ledger
+    WHERE created_at >= NOW() - INTERVAL '30 days'
+  `);
+
+  const { balance, enforced } = accountState(account.rows[0]);
+  return {
+    balance,
+    low: balance < LOW_BALANCE,
+    lowBalanceThreshold: LOW_BALANCE,
+    pricePerSegment: PRICE_PER_SEGMENT,
+    enforced,
+    updatedAt: account.rows[0].updated_at,
+    last30Days: {
+      spent: round(parseFloat(usage.rows[0].spent)),
+      segments: parseInt(usage.rows[0].segments)
+    }
+  };
+}
+
+module.exports = {
+  ENTRY_TYPES,
+  CreditError,
+  countSegments,
+  checkCredit,
+  chargeMessages,
+  refundMessages,
+  addCredit,
+  creditSummary
+};
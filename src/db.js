@@ -0,0 +1,58 @@
+// Database connection
+// Shared by server.js and scripts/migrate.js so both reach the same
+// database. DATABASE_URL wins when set; otherwise the connection is built
+// from DB_HOST, DB_PORT, DB_USERNAME, DB_DATABASE and the password in
+// DB_PASSWORD_FILE (Docker secret) or DB_PASSWORD. SSL is on in production
+// unless DB_SSL=false (DB_SSL=true turns it on elsewhere).
+
+const fs = require('fs');
+const { Pool } = require('pg');
+
+function connectionConfig(env = process.env) {
+  const useSsl = env.DB_SSL ? env.DB_SSL === 'true' : env.NODE_ENV === 'production';
+  const ssl = useSsl ? { rejectUnauthorized: false } : false;
+
+  if (env.DATABASE_URL) {
+    return { connectionString: env.DATABASE_URL, ssl };
+  }
+
+  return {
+    host: env.DB_HOST,
+    port: env.DB_PORT,
+    user: env.DB_USERNAME,
+    password: env.DB_PASSWORD_FILE ? fs.readFileSync(env.DB_PASSWORD_FILE, 'utf8').trim() : env.DB_PASSWORD,
+    database: env.DB_DATABASE,
+    ssl
+  };
+}
+
+// options are passed to pg.Pool on top of the connection settings
+function createPool(options = {}) {
+  return new Pool({ ...connectionConfig(), ...options });
+}
+
+// Run fn(client) in a transaction and return its result. db is a pool, or
+// a client that is already inside a transaction: fn then joins it and the
+// caller commits or rolls back.
+async function transaction(db, fn) {
+  if (!(db instanceof Pool)) return fn(db);
+
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  connectionConfig,
+  createPool,
+  transaction
+};
@@ -0,0 +1,163 @@
+// Device inventory
+// Trackers installed in the field: IMEI, SIM phone number, model and where
+// the unit is installed. Sends can target device IDs, which resolve to the
+// SIM number and model so commands always match the hardware.
+
+const { PhoneError, normalizePhone, tryNormalizePhone } = require('./phone');
+
+const FIELDS = {
+  imei: 'imei',
+  label: 'label',
+  plate: 'plate',
+  phoneNumber: 'phone_number',
+  modelId: 'model_id',
+  installDate: 'install_date',
+  customer: 'customer',
+  notes: 'notes',
+  active: 'active'
+};
+
+// IMEIs are 15 digits with a Luhn check digit
+function isValidImei(imei) {
+  if (!/^\d{15}$/.test(imei)) return false;
+
+  let sum = 0;
+  for (let i = 0; i < 15; i++) {
+    let digit = parseInt(imei[i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+function text(value) {
+  if (value === undefined) return undefined;
+  if (value === null) return null;
+  const trimmed = String(value).trim();
+  return trimmed === '' ? null : trimmed;
+}
+
+// Validate a device payload. With partial = true only the fields present
+// are checked (PUT). Returns { values, errors } using column names as keys.
+function validateDevice(body = {}, { partial = false } = {}) {
+  const values = {};
+  const errors = {};
+
+  for (const [field, column] of Object.entries(FIELDS)) {
+    if (body[field] !== undefined) {
+      values[column] = field === 'active' ? body[field] : text(body[field]);
+    }
+  }
+
+  if (!partial || values.phone_number !== undefined) {
+    try {
+      values.phone_number = normalizePhone(values.phone_number).e164;
+    } catch (error) {
+      if (!(error instanceof PhoneError)) throw error;
+      errors.phoneNumber = error.message;
+    }
+  }
+
+  if (!partial || values.model_id !== undefined) {
+    if (!values.model_id) {
+      errors.modelId = 'is required';
+    } else if (!/^\d+$/.test(values.model_id)) {
+      errors.modelId = 'must be a model ID';
+    }
+  }
+
+  if (values.imei) {
+    values.imei = values.imei.replace(/\s+/g, '');
+    if (!isValidImei(values.imei)) {
+      errors.imei = 'must be a valid 15-digit IMEI';
+    }
+  }
+
+  if (values.install_date && Number.isNaN(new Date(values.install_date).getTime())) {
+    errors.installDate = 'must be a date (YYYY-MM-DD)';
+  }
+
+  if (values.active !== undefined && typeof values.active !== 'boolean') {
+    errors.active = 'must be true or false';
+  }
+
+  if (values.plate) {
+    values.plate = values.plate.toUpperCase();
+  }
+
+  return { values, errors };
+}
+
+// Device row as returned by the API: the encrypted password is replaced by
+// a has_password flag
+function publicDevice(row) {
+  const { password_encrypted: passwordEncrypted, ...device } = row;
+  return { ...device, has_password: Boolean(passwordEncrypted) };
+}
+
+// Message for a unique violation on the devices table
+function conflictMessage(error) {
+  if (error.constraint === 'devices_imei_key') return 'A device with this IMEI already exists';
+  if (error.constraint === 'devices_phone_number_key') return 'A device with this phone number already exists';
+  return 'Device already exists';
+}
+
+// Find devices by IMEI, phone number or plate. Returns { found, notFound }
+// where each found device carries the identifier that matched it.
+async function lookupDevices(pool, identifiers) {
+  const wanted = [...new Set(identifiers.map(value => String(value || '').trim()).filter(Boolean))];
+  if (wanted.length === 0) {
+    return { found: [], notFound: [] };
+  }
+
+  const digits = wanted.map(value => {
+    const phone = tryNormalizePhone(value);
+    return phone ? phone.e164.slice(1) : value.replace(/\D/g, '');
+  });
+  const result = await pool.query(`
+    SELECT d.*, m.name as model_name, w.identifier
+    FROM unnest($1::text[], $2::text[]) AS w(identifier, digits)
+    JOIN devices d ON d.imei = w.digits
+      OR (length(w.digits) >= 10 AND RIGHT(regexp_replace(d.phone_number, '\\D', '', 'g'), 11) = RIGHT(w.digits, 11))
+      OR UPPER(d.plate) = UPPER(w.identifier)
+    LEFT JOIN device_models m ON m.id = d.model_id
+    ORDER BY d.id
+  `, [wanted, digits]);
+
+  const matched = new Set(result.rows.map(row => row.identifier));
+  return {
+    found: result.rows.map(publicDevice),
+    notFound: wanted.filter(identifier => !matched.has(identifier))
+  };
+}
+
+// Resolve device IDs for a send. Returns { devices, missing, inactive }.
+async function resolveDevices(pool, deviceIds) {
+  const ids = [...new Set(deviceIds.map(id => parseInt(id)).filter(id => !Number.isNaN(id)))];
+  const result = await pool.query(`
+    SELECT d.id, d.phone_number, d.model_id, d.active, d.label, d.password_encrypted, m.name as model_name
+    FROM devices d
+    LEFT JOIN device_models m ON m.id = d.model_id
+    WHERE d.id = ANY($1::int[])
+    ORDER BY d.id
+  `, [ids]);
+
+  const byId = new Map(result.rows.map(row => [row.id, row]));
+  return {
+    devices: result.rows.filter(row => row.active),
+    missing: deviceIds.filter(id => !byId.has(parseInt(id))),
+    inactive: result.rows.filter(row => !row.active).map(row => row.id)
+  };
+}
+
+module.exports = {
+  isValidImei,
+  validateDevice,
+  publicDevice,
+  conflictMessage,
+  lookupDevices,
+  resolveDevices
+};
@@ -0,0 +1,265 @@
+// Live events (GET /api/events)
+//
+// Database triggers (migrations/002_sms_events.js) publish every queued
+// batch, status change, inbound reply and credit balance change on the
+// sms_events channel. Each replica keeps one connection LISTENing and
+// forwards what it hears to its own Server-Sent Events clients, so a
+// browser connected to either replica sees changes made by both.
+//
+// Status and batch events also produce a 'stats' event with the change in
+// the per-status counts ({ queued: -1, submitted: 1 }), so dashboards can
+// keep their totals without polling /api/sms/stats.
+//
+// A stream outlives the request that opened it, so its session or API key is
+// checked again every revalidateInterval: streams whose credentials ended
+// (logout, expiry, revoked key, disabled user) get a 'closed' event and are
+// ended. Logging out closes the session's streams on this replica at once.
+//
+// Events:
+//   'event'      (event) with event.type batch | status | inbound | credits | stats
+//   'connected'  LISTEN (re)established
+//   'error'      connection lost; the hub reconnects on its own
+
+const { EventEmitter } = require('events');
+const { AuthError } = require('./auth');
+
+const CHANNEL = 'sms_events';
+
+// GET /api/events requires it; a stream whose credentials lose it is closed
+const STREAM_PERMISSION = 'sms:read';
+
+// Which permission a client needs for each event type
+const EVENT_PERMISSIONS = {
+  batch: 'sms:read',
+  status: 'sms:read',
+  inbound: 'sms:read',
+  credits: 'sms:read',
+  stats: 'stats:read'
+};
+
+// Count changes for the stats event, or null
+function statsDelta(event) {
+  if (event.type === 'batch') {
+    return { total: event.count, [event.status]: event.count };
+  }
+  if (event.type === 'status' && event.previousStatus) {
+    return { [event.previousStatus]: -1, [event.status]: 1 };
+  }
+  return null;
+}
+
+class EventHub extends EventEmitter {
+  constructor(pool, options = {}) {
+    super();
+
+    this.pool = pool;
+    this.options = {
+      reconnectDelay: 1000,
+      maxReconnectDelay: 30000,
+      heartbeatInterval: 25000,
+      // async req => req.auth for the request's current credentials; throws
+      // AuthError once they are no longer valid
+      revalidate: null,
+      revalidateInterval: 60000,
+      ...options
+    };
+
+    this.client = null;
+    this.running = false;
+    this.failures = 0;
+    this.timer = null;
+    this.streams = new Set();
+    this.sequence = 0;
+  }
+
+  async start() {
+    if (this.running) return;
+    this.running = true;
+    await this._listen();
+    this.heartbeat = setInterval(() => this._heartbeat(), this.options.heartbeatInterval);
+    this.heartbeat.unref();
+
+    if (this.options.revalidate) {
+      this.revalidateTimer = setInterval(() => this._revalidate(), this.options.revalidateInterval);
+      this.revalidateTimer.unref();
+    }
+  }
+
+  // Stop listening and end every open stream
+  async stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    clearInterval(this.heartbeat);
+    clearInterval(this.revalidateTimer);
+
+    for (const stream of this.streams) {
+      stream.res.end();
+    }
+    this.streams.clear();
+
+    if (this.client) {
+      const client = this.client;
+      this.client = null;
+      try {
+        await client.query(`UNLISTEN ${CHANNEL}`);
+      } finally {
+        client.release();
+      }
+    }
+  }
+
+  // Serve an Express response as an event stream until the client goes
+  // away. auth is req.auth: events the user may not see are not sent.
+  subscribe(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Keep reverse proxies (nginx, Traefik buffering) from holding events
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 5000\n\n');
+
+    const stream = { req, res, auth: req.auth };
+    this.streams.add(stream);
+    this._send(stream, { type: 'ready', connected: Boolean(this.client) });
+
+    req.on('close', () => {
+      this.streams.delete(stream);
+    });
+  }
+
+  // End the streams whose req.auth matches, e.g. those of a session that
+  // logged out. Returns how many were closed.
+  closeStreams(match, message) {
+    let closed = 0;
+    for (const stream of this.streams) {
+      if (match(stream.auth)) {
+        this._close(stream, message);
+        closed++;
+      }
+    }
+    return closed;
+  }
+
+  get clientCount() {
+    return this.streams.size;
+  }
+
+  _close(stream, message) {
+    this.streams.delete(stream);
+    this._send(stream, { type: 'closed', message });
+    stream.res.end();
+  }
+
+  async _revalidate() {
+    if (this.revalidating) return;
+    this.revalidating = true;
+
+    try {
+      await Promise.all([...this.streams].map(async stream => {
+        let auth;
+        try {
+          auth = await this.options.revalidate(stream.req);
+        } catch (error) {
+          // Anything else (database unavailable) leaves the stream to the
+          // next check
+          if (error instanceof AuthError && this.streams.has(stream)) this._close(stream, error.message);
+          return;
+        }
+
+        if (!this.streams.has(stream)) return;
+        if (!auth.scopes.includes(STREAM_PERMISSION)) {
+          this._close(stream, `Missing the ${STREAM_PERMISSION} permission`);
+        } else {
+          stream.auth = auth;
+        }
+      }));
+    } finally {
+      this.revalidating = false;
+    }
+  }
+
+  async _listen() {
+    let client;
+    try {
+      client = await this.pool.connect();
+      client.on('notification', message => this._receive(message));
+      client.on('error', error => this._lost(client, error));
+      await client.query(`LISTEN ${CHANNEL}`);
+    } catch (error) {
+      if (client) client.release(error);
+      this._retry(error);
+      return;
+    }
+
+    this.client = client;
+    this.failures = 0;
+    this.emit('connected');
+    this._broadcast({ type: 'ready', connected: true });
+  }
+
+  _lost(client, error) {
+    if (this.client !== client) return;
+    this.client = null;
+    client.release(error);
+    // Events published while disconnected are lost; clients reload
+    this._broadcast({ type: 'ready', connected: false });
+    this._retry(error);
+  }
+
+  _retry(error) {
+    if (this.listenerCount('error') > 0) this.emit('error', error);
+    if (!this.running) return;
+
+    this.failures++;
+    const delay = Math.min(this.options.reconnectDelay * 2 ** (this.failures - 1), this.options.maxReconnectDelay);
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this._listen(), delay);
+  }
+
+  _receive(message) {
+    let event;
+    try {
+      event = JSON.parse(message.payload);
+    } catch (error) {
+      return;
+    }
+
+    this._broadcast(event);
+    this.emit('event', event);
+
+    const delta = statsDelta(event);
+    if (delta) {
+      const stats = { type: 'stats', delta };
+      this._broadcast(stats);
+      this.emit('event', stats);
+    }
+  }
+
+  _broadcast(event) {
+    const permission = EVENT_PERMISSIONS[event.type];
+    for (const stream of this.streams) {
+      if (!permission || stream.auth.scopes.includes(permission)) {
+        this._send(stream, event);
+      }
+    }
+  }
+
+  _send(stream, event) {
+    const { type, ...data } = event;
+    stream.res.write(`id: ${++this.sequence}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  // Comment lines keep idle connections open through proxies
+  _heartbeat() {
+    for (const stream of this.streams) {
+      stream.res.write(': ping\n\n');
+    }
+  }
+}
+
+module.exports = {
+  CHANNEL,
+  EventHub
+};
@@ -0,0 +1,208 @@
+// History export (CSV and XLSX)
+// Rows are streamed from a database cursor straight into the response, so
+// the size of the export does not depend on memory. Filters are the history
+// filters (see src/history.js).
+//
+// Columns are chosen with ?columns=a,b,c from EXPORT_COLUMNS, plus any field
+// of the provider response as response_data.<path> (e.g.
+// response_data.messageId or response_data.attempts.0.provider).
+
+const QueryStream = require('pg-query-stream');
+const ExcelJS = require('exceljs');
+const { FilterError } = require('./history');
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+const EXPORT_COLUMNS = {
+  id: { header: 'ID', sql: 'h.id' },
+  phone_number: { header: 'Phone Number', sql: 'h.phone_number' },
+  model: { header: 'Model', sql: 'm.name' },
+  command: { header: 'Command', sql: 'h.command_text' },
+  status: { header: 'Status', sql: 'h.status' },
+  sent_at: { header: 'Sent At', sql: 'h.sent_at' },
+  notes: { header: 'Notes', sql: 'h.notes' },
+  details: { header: 'Details', sql: 'h.details' },
+  batch_id: { header: 'Batch', sql: 'h.batch_id' },
+  device_id: { header: 'Device ID', sql: 'h.device_id' },
+  device_label: { header: 'Device', sql: 'd.label' },
+  imei: { header: 'IMEI', sql: 'd.imei' },
+  provider: { header: 'Provider', sql: 'h.provider' },
+  provider_message_id: { header: 'Provider Message ID', sql: 'h.provider_message_id' },
+  error_code: { header: 'Error Code', sql: 'h.error_code' },
+  queued_at: { header: 'Queued At', sql: 'h.queued_at' },
+  submitted_at: { header: 'Submitted At', sql: 'h.submitted_at' },
+  delivered_at: { header: 'Delivered At', sql: 'h.delivered_at' },
+  failed_at: { header: 'Failed At', sql: 'h.failed_at' },
+  sent_by_user: { header: 'Sent By', sql: 'u.username' },
+  sent_by_api_key: { header: 'API Key', sql: 'k.name' },
+  response_data: { header: 'Response Data', sql: 'h.response_data' }
+};
+
+// What /api/reports/csv always exported
+const DEFAULT_COLUMNS = ['phone_number', 'model', 'command', 'status', 'sent_at', 'notes', 'details'];
+
+const RESPONSE_FIELD = /^response_data\.([A-Za-z0-9_]+(?:\.[A-Za-z0-9_]+)*)$/;
+
+// Returns [{ key, header, path? }]. Throws FilterError on unknown columns.
+function parseColumns(value) {
+  if (!value) return DEFAULT_COLUMNS.map(key => ({ key, header: EXPORT_COLUMNS[key].header }));
+
+  const keys = String(value).split(',').map(key => key.trim()).filter(Boolean);
+  if (keys.length === 0) throw new FilterError('No columns selected');
+
+  return keys.map(key => {
+    if (Object.prototype.hasOwnProperty.call(EXPORT_COLUMNS, key)) {
+      return { key, header: EXPORT_COLUMNS[key].header };
+    }
+    const field = key.match(RESPONSE_FIELD);
+    if (field) return { key, header: key, path: field[1].split('.') };
+
+    throw new FilterError(`Unknown column "${key}" (use ${Object.keys(EXPORT_COLUMNS).join(', ')} or response_data.<field>)`);
+  });
+}
+
+// SELECT for the chosen columns; response_data paths are bound parameters
+function exportQuery(columns, { whereClause, params }) {
+  const values = [...params];
+  const select = columns.map((column, i) => {
+    if (column.path) {
+      values.push(column.path);
+      return `h.response_data #>> $${values.length} as c${i}`;
+    }
+    return `${EXPORT_COLUMNS[column.key].sql} as c${i}`;
+  });
+
+  return {
+    text: `
+      SELECT ${select.join(', ')}
+      FROM sms_history h
+      LEFT JOIN device_models m ON h.model_id = m.id
+      LEFT JOIN devices d ON h.device_id = d.id
+      LEFT JOIN users u ON h.user_id = u.id
+      LEFT JOIN api_keys k ON h.api_key_id = k.id
+      ${whereClause}
+      ORDER BY h.sent_at DESC, h.id DESC
+    `,
+    values
+  };
+}
+
+// RFC 4180: fields with commas, quotes or line breaks are quoted and quotes
+// are doubled; records end with CRLF
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date
+    ? value.toISOString()
+    : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvRecord(values) {
+  return values.map(csvField).join(',') + '\r\n';
+}
+
+function cellValue(value) {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value;
+  return typeof value === 'object' ? JSON.stringify(value) : value;
+}
+
+// Write with backpressure; also settles when the client disconnects
+function write(output, chunk) {
+  if (output.write(chunk)) return Promise.resolve();
+  return new Promise(resolve => {
+    const done = () => {
+      output.removeListener('drain', done);
+      output.removeListener('close', done);
+      resolve();
+    };
+    output.once('drain', done);
+    output.once('close', done);
+  });
+}
+
+// Stream the export into output (an HTTP response). onStart runs right
+// before the first byte is written, once the query is known to work, so the
+// caller can still answer with an error until then.
+async function streamHistoryExport(pool, filters, output, { format = 'csv', columns, onStart = () => {} }) {
+  const query = exportQuery(columns, filters);
+  const client = await pool.connect();
+  const rows = client.query(new QueryStream(query.text, query.values, { batchSize: 500 }));
+
+  // Client went away: stop reading from the cursor
+  let aborted = false;
+  const abort = () => {
+    if (output.writableFinished) return;
+    aborted = true;
+    rows.destroy();
+  };
+  output.on('close', abort);
+
+  let workbook = null;
+  let sheet = null;
+  let started = false;
+  let failure = null;
+
+  const start = async () => {
+    started = true;
+    onStart();
+
+    if (format === 'xlsx') {
+      workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: true, useSharedStrings: false });
+      sheet = workbook.addWorksheet('Envios', { views: [{ state: 'frozen', ySplit: 1 }] });
+      sheet.columns = columns.map(column => ({
+        header: column.header,
+        key: column.key,
+        width: Math.max(12, column.header.length + 2),
+        style: /_at$/.test(column.key) ? { numFmt: 'dd/mm/yyyy hh:mm:ss' } : {}
+      }));
+      sheet.getRow(1).font = { bold: true };
+      sheet.getRow(1).commit();
+    } else {
+      await write(output, csvRecord(columns.map(column => column.header)));
+    }
+  };
+
+  try {
+    for await (const row of rows) {
+      if (!started) await start();
+      const values = columns.map((column, i) => row[`c${i}`]);
+
+      if (sheet) {
+        sheet.addRow(values.map(cellValue)).commit();
+      } else {
+        await write(output, csvRecord(values));
+      }
+    }
+
+    if (!started) await start();
+  } catch (error) {
+    failure = error;
+    if (!aborted) throw error;
+  } finally {
+    output.removeListener('close', abort);
+    // A connection left mid-cursor is not reused
+    client.release(failure || aborted);
+  }
+
+  if (aborted) return;
+
+  if (workbook) {
+    sheet.commit();
+    await workbook.commit();
+  } else {
+    output.end();
+  }
+}
+
+module.exports = {
+  FORMATS,
+  EXPORT_COLUMNS,
+  DEFAULT_COLUMNS,
+  parseColumns,
+  csvRecord,
+  streamHistoryExport
+};
@@ -0,0 +1,126 @@
+// History filters
+// GET /api/sms/history, the reports and the exports accept the same query
+// parameters. buildHistoryFilters() turns them into SQL conditions on
+// sms_history h joined with device_models m.
+//
+//   status, modelId, phoneNumber, deviceId, batchId, userId, apiKeyId,
+//   search (command, notes or model name), dateFrom, dateTo and period
+//   (day, week, fortnight, month or a number of days; ignored when dateFrom
+//   is given)
+
+const { isBatchId } = require('./batches');
+const { tryNormalizePhone } = require('./phone');
+
+const PERIODS = { day: 1, week: 7, fortnight: 15, month: 30 };
+
+class FilterError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FilterError';
+  }
+}
+
+function periodDays(period) {
+  if (PERIODS[period]) return PERIODS[period];
+  const days = parseInt(period);
+  if (!/^\d+$/.test(String(period)) || days < 1 || days > 3660) {
+    throw new FilterError(`Invalid period "${period}" (use ${Object.keys(PERIODS).join(', ')} or a number of days)`);
+  }
+  return days;
+}
+
+function checkDate(value, name) {
+  if (Number.isNaN(new Date(value).getTime())) {
+    throw new FilterError(`Invalid ${name} date`);
+  }
+  return value;
+}
+
+// Returns { whereClause, params, applied }. Throws FilterError on invalid
+// values. applied lists the filters in effect, for report headers.
+function buildHistoryFilters(query = {}) {
+  const conditions = [];
+  const params = [];
+  const applied = {};
+
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace(/\?/g, `$${params.length}`));
+  };
+
+  if (query.status) {
+    add('h.status = ?', query.status);
+    applied.status = query.status;
+  }
+
+  if (query.modelId) {
+    add('h.model_id = ?', parseInt(query.modelId) || 0);
+    applied.modelId = query.modelId;
+  }
+
+  // A full number matches however it was typed; anything else is searched
+  // as a fragment of the digits
+  if (query.phoneNumber) {
+    const phone = tryNormalizePhone(query.phoneNumber);
+    if (phone) {
+      add('h.phone_number = ?', phone.e164);
+    } else {
+      add("h.phone_number LIKE '%' || ? || '%'", String(query.phoneNumber).replace(/\D/g, ''));
+    }
+    applied.phoneNumber = query.phoneNumber;
+  }
+
+  if (query.dateFrom) {
+    add('h.sent_at >= ?', checkDate(query.dateFrom, 'dateFrom'));
+    applied.dateFrom = query.dateFrom;
+  } else if (query.period) {
+    const days = periodDays(query.period);
+    add("h.sent_at >= NOW() - ?::int * INTERVAL '1 day'", days);
+    applied.period = query.period;
+  }
+
+  if (query.dateTo) {
+    add('h.sent_at <= ?', checkDate(query.dateTo, 'dateTo'));
+    applied.dateTo = query.dateTo;
+  }
+
+  if (query.batchId) {
+    if (!isBatchId(query.batchId)) {
+      throw new FilterError('Invalid batch ID');
+    }
+    add('h.batch_id = ?', query.batchId);
+    applied.batchId = query.batchId;
+  }
+
+  if (query.deviceId) {
+    add('h.device_id = ?', parseInt(query.deviceId) || 0);
+    applied.deviceId = query.deviceId;
+  }
+
+  if (query.userId) {
+    add('h.user_id = ?', parseInt(query.userId) || 0);
+    applied.userId = query.userId;
+  }
+
+  if (query.apiKeyId) {
+    add('h.api_key_id = ?', parseInt(query.apiKeyId) || 0);
+    applied.apiKeyId = query.apiKeyId;
+  }
+
+  if (query.search) {
+    add('(h.command_text ILIKE ? OR h.notes ILIKE ? OR m.name ILIKE ?)', `%${query.search}%`);
+    applied.search = query.search;
+  }
+
+  return {
+    whereClause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params,
+    applied
+  };
+}
+
+module.exports = {
+  PERIODS,
+  FilterError,
+  buildHistoryFilters
+};
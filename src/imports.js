@@ -0,0 +1,518 @@
+// Bulk recipient imports
+//
+// An operator uploads a CSV or XLSX spreadsheet with a header row and one
+// recipient per row:
+//
+//   phone (telefone, numero, celular...)  required
+//   model (modelo)                        model ID or name; defaults to the
+//                                         registered device's model, then to
+//                                         the model chosen in the form
+//   any other column                      template parameter of the same name
+//                                         (a password column fills {password})
+//
+// POST /api/sms/imports validates every row and stores a preview
+// (sms_imports + sms_import_rows): invalid rows and repeated numbers are
+// flagged and will not be sent. POST /api/sms/imports/:id/launch queues the
+// valid rows, one batch per model. The import report lists every row with
+// its errors and, once launched, its batch and message status.
+//
+// Commands are rendered at preview time. Rows keep the masked text and, when
+// the template has {password}, the real text encrypted with the vault, like
+// sms_jobs.
+
+const crypto = require('crypto');
+const ExcelJS = require('exceljs');
+const { PhoneError, normalizePhone, tryNormalizePhone } = require('./phone');
+const { checkCredit } = require('./credits');
+const { transaction } = require('./db');
+const { enqueueBatch } = require('./queue');
+const { MASK } = require('./vault');
+const { TemplateError, parseTemplate, renderTemplate, usesSecret } = require('./templates');
+
+const MAX_ROWS = 10000;
+const ROW_STATUSES = ['valid', 'invalid', 'duplicate'];
+
+const PHONE_HEADERS = ['phone', 'phone_number', 'telefone', 'numero', 'number', 'celular', 'chip', 'msisdn'];
+const MODEL_HEADERS = ['model', 'modelo', 'model_id', 'model_name'];
+
+class ImportError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ImportError';
+    this.status = status;
+  }
+}
+
+// "Número do Chip" -> "numero_do_chip"
+function normalizeHeader(header) {
+  return String(header || '')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_|_$/g, '');
+}
+
+// DDD + 9 digits, also for numbers written without the 9th digit
+function phoneKey(phone) {
+  const normalized = tryNormalizePhone(phone);
+  return (normalized ? normalized.e164 : String(phone).replace(/\D/g, '')).slice(-11);
+}
+
+// Spreadsheets saved by Excel in Brazil are often Windows-1252
+function decodeText(buffer) {
+  const text = buffer.toString('utf8');
+  const decoded = text.includes('\uFFFD') ? buffer.toString('latin1') : text;
+  return decoded.replace(/^\uFEFF/, '');
+}
+
+// RFC 4180 with the delimiter guessed from the header line (, ; or tab)
+function parseCsv(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = [';', '\t', ','].reduce((best, candidate) =>
+    firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best, ',');
+
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) throw new ImportError('Malformed CSV: unterminated quoted field');
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+  return records;
+}
+
+async function parseXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (error) {
+    throw new ImportError('Could not read the XLSX file');
+  }
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const records = [];
+  sheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+    const values = [];
+    for (let column = 1; column <= sheet.columnCount; column++) {
+      values.push(row.getCell(column).text);
+    }
+    records[rowNumber - 1] = values;
+  });
+  return Array.from(records, values => values || []);
+}
+
+// { headers, rows: [{ rowNumber, values: { header: value } }] }. Row numbers
+// are the spreadsheet's (the header is row 1); blank rows are skipped.
+async function parseSpreadsheet(buffer, filename) {
+  const extension = String(filename || '').split('.').pop().toLowerCase();
+  let records;
+
+  if (extension === 'xlsx') {
+    records = await parseXlsx(buffer);
+  } else if (extension === 'csv' || extension === 'txt') {
+    records = parseCsv(decodeText(buffer));
+  } else {
+    throw new ImportError('Unsupported file type (use .csv or .xlsx)');
+  }
+
+  const headers = (records[0] || []).map(header => String(header || '').trim());
+  if (headers.filter(Boolean).length === 0) {
+    throw new ImportError('The first row must contain the column names');
+  }
+
+  const rows = [];
+  records.slice(1).forEach((record, index) => {
+    if (record.every(value => String(value || '').trim() === '')) return;
+
+    const values = {};
+    headers.forEach((header, column) => {
+      if (header) values[header] = String(record[column] === undefined ? '' : record[column]).trim();
+    });
+    rows.push({ rowNumber: index + 2, values });
+  });
+
+  if (rows.length === 0) throw new ImportError('The file has no data rows');
+  if (rows.length > MAX_ROWS) throw new ImportError(`Too many rows (${rows.length}); the limit is ${MAX_ROWS}`);
+
+  return { headers, rows };
+}
+
+// Which column holds the phone, the model and each template parameter
+function mapColumns(headers, parameterNames) {
+  const find = names => headers.find(header => names.includes(normalizeHeader(header))) || null;
+
+  // "Número do chip", "Telefone celular"...
+  const findPhone = () => find(PHONE_HEADERS) ||
+    headers.find(header => normalizeHeader(header).split('_').some(word => PHONE_HEADERS.includes(word))) || null;
+
+  const columns = {
+    phone: findPhone(),
+    model: find(MODEL_HEADERS),
+    parameters: {}
+  };
+
+  for (const name of parameterNames) {
+    const header = find([normalizeHeader(name)]);
+    if (header) columns.parameters[name] = header;
+  }
+
+  const used = [columns.phone, columns.model, ...Object.values(columns.parameters)];
+  columns.ignored = headers.filter(header => header && !used.includes(header));
+
+  if (!columns.phone) {
+    throw new ImportError(`No phone column found (name it one of: ${PHONE_HEADERS.join(', ')})`);
+  }
+  return columns;
+}
+
+// Validate and render every row. parameters are shared values from the
+// form; a non-empty cell overrides them. Returns { columns, rows, summary }.
+async function prepareImport(pool, { headers, rows, template, modelId, parameters = {}, vault }) {
+  const needsPassword = usesSecret(template);
+  const columns = mapColumns(headers, parseTemplate(template).parameters.map(parameter => parameter.name));
+
+  if (needsPassword && !vault) {
+    throw new ImportError('Password vault is not configured (VAULT_KEY_FILE)', 503);
+  }
+
+  const models = (await pool.query('SELECT id, name, default_password_encrypted FROM device_models')).rows;
+  const modelsById = new Map(models.map(model => [model.id, model]));
+  const modelsByName = new Map(models.map(model => [model.name.toLowerCase(), model]));
+
+  const keys = [...new Set(rows.map(row => phoneKey(row.values[columns.phone] || '')).filter(key => key.length >= 10))];
+  const devices = (await pool.query(`
+    SELECT id, phone_number, model_id, password_encrypted, RIGHT(regexp_replace(phone_number, '\\D', '', 'g'), 11) as phone_key
+    FROM devices
+    WHERE active AND RIGHT(regexp_replace(phone_number, '\\D', '', 'g'), 11) = ANY($1)
+  `, [keys])).rows;
+  const devicesByKey = new Map(devices.map(device => [device.phone_key, device]));
+
+  const formModel = modelId ? modelsById.get(parseInt(modelId)) : null;
+  if (modelId && !formModel) throw new ImportError('Model not found', 404);
+
+  const sharedPassword = parameters.password !== undefined && String(parameters.password).trim() !== ''
+    ? String(parameters.password).trim()
+    : null;
+  const decrypted = new Map();
+  const decrypt = value => {
+    if (!value) return null;
+    if (!decrypted.has(value)) decrypted.set(value, vault.decrypt(value));
+    return decrypted.get(value);
+  };
+
+  const seen = new Map();
+  const prepared = rows.map(({ rowNumber, values }) => {
+    const errors = {};
+    let phone = values[columns.phone] || '';
+    try {
+      phone = normalizePhone(phone).e164;
+    } catch (error) {
+      if (!(error instanceof PhoneError)) throw error;
+      errors.phone = error.message;
+    }
+    const key = phoneKey(phone);
+    const device = devicesByKey.get(key) || null;
+
+    let model = null;
+    const modelValue = columns.model ? values[columns.model] : '';
+    if (modelValue) {
+      model = /^\d+$/.test(modelValue) ? modelsById.get(parseInt(modelValue)) : modelsByName.get(modelValue.toLowerCase());
+      if (!model) errors.model = `unknown model "${modelValue}"`;
+    } else {
+      model = (device && modelsById.get(device.model_id)) || formModel;
+      if (!model) errors.model = 'is required (add a model column or choose a model)';
+    }
+
+    const rowParameters = {};
+    for (const [name, header] of Object.entries(columns.parameters)) {
+      if (values[header] !== '') rowParameters[name] = values[header];
+    }
+
+    let text = null;
+    let payload = null;
+    const renderValues = { ...parameters, ...rowParameters };
+
+    if (needsPassword) {
+      renderValues.password = rowParameters.password || sharedPassword ||
+        (device && decrypt(device.password_encrypted)) ||
+        (model && decrypt(model.default_password_encrypted));
+    }
+
+    try {
+      text = renderTemplate(template, renderValues, { mask: true });
+      if (needsPassword) {
+        payload = vault.encrypt(JSON.stringify({
+          text: renderTemplate(template, renderValues),
+          secrets: [renderValues.password]
+        }));
+      }
+    } catch (error) {
+      if (!(error instanceof TemplateError)) throw error;
+      Object.assign(errors, error.errors);
+    }
+
+    let status = Object.keys(errors).length > 0 ? 'invalid' : 'valid';
+    if (status === 'valid') {
+      if (seen.has(key)) {
+        status = 'duplicate';
+        errors.phone = `duplicate of row ${seen.get(key)}`;
+      } else {
+        seen.set(key, rowNumber);
+      }
+    }
+
+    delete rowParameters.password;
+    return {
+      rowNumber,
+      phoneNumber: phone,
+      modelId: model ? model.id : null,
+      modelName: model ? model.name : null,
+      deviceId: device ? device.id : null,
+      parameters: rowParameters,
+      commandText: text,
+      payload: status === 'valid' ? payload : null,
+      status,
+      errors: Object.keys(errors).length > 0 ? errors : null
+    };
+  });
+
+  const count = status => prepared.filter(row => row.status === status).length;
+  return {
+    columns,
+    rows: prepared,
+    summary: {
+      total: prepared.length,
+      valid: count('valid'),
+      invalid: count('invalid'),
+      duplicate: count('duplicate')
+    }
+  };
+}
+
+// Store a prepared import as a preview. Returns the sms_imports row.
+async function saveImport(db, { filename, template, modelId, parameters, notes, prepared, userId, apiKeyId }) {
+  return transaction(db, async client => {
+    const shared = { ...parameters };
+    if (shared.password !== undefined) shared.password = MASK;
+
+    const result = await client.query(`
+      INSERT INTO sms_imports
+      (id, filename, command_template, model_id, parameters, notes, columns, total_rows, valid_rows, invalid_rows, duplicate_rows, user_id, api_key_id)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+      RETURNING *
+    `, [
+      crypto.randomUUID(),
+      filename || null,
+      template,
+      modelId || null,
+      Object.keys(shared).length > 0 ? JSON.stringify(shared) : null,
+      notes || null,
+      JSON.stringify(prepared.columns),
+      prepared.summary.total,
+      prepared.summary.valid,
+      prepared.summary.invalid,
+      prepared.summary.duplicate,
+      userId || null,
+      apiKeyId || null
+    ]);
+
+    const rows = prepared.rows;
+    await client.query(`
+      INSERT INTO sms_import_rows
+      (import_id, row_number, phone_number, model_id, device_id, parameters, command_text, payload_encrypted, status, errors)
+      SELECT $1, row_number, phone, model_id, device_id, parameters::jsonb, command_text, payload, status, errors::jsonb
+      FROM unnest($2::int[], $3::text[], $4::int[], $5::int[], $6::text[], $7::text[], $8::text[], $9::text[], $10::text[])
+        AS r(row_number, phone, model_id, device_id, parameters, command_text, payload, status, errors)
+    `, [
+      result.rows[0].id,
+      rows.map(row => row.rowNumber),
+      rows.map(row => row.phoneNumber),
+      rows.map(row => row.modelId),
+      rows.map(row => row.deviceId),
+      rows.map(row => JSON.stringify(row.parameters)),
+      rows.map(row => row.commandText),
+      rows.map(row => row.payload),
+      rows.map(row => row.status),
+      rows.map(row => (row.errors ? JSON.stringify(row.errors) : null))
+    ]);
+
+    return result.rows[0];
+  });
+}
+
+async function getImport(pool, importId) {
+  const result = await pool.query(`
+    SELECT i.*, m.name as model_name, u.username as created_by_user
+    FROM sms_imports i
+    LEFT JOIN device_models m ON m.id = i.model_id
+    LEFT JOIN users u ON u.id = i.user_id
+    WHERE i.id = $1
+  `, [importId]);
+  return result.rows[0] || null;
+}
+
+// Rows of an import with their message status once launched
+async function listImportRows(pool, importId, { status, page = 1, limit = 50 } = {}) {
+  const params = [importId];
+  let filter = '';
+  if (status) {
+    params.push(status);
+    filter = `AND r.status = $${params.length}`;
+  }
+
+  const total = await pool.query(`SELECT COUNT(*) FROM sms_import_rows r WHERE r.import_id = $1 ${filter}`, params);
+
+  const paging = limit ? `LIMIT $${params.length + 1} OFFSET $${params.length + 2}` : '';
+  const result = await pool.query(`
+    SELECT r.row_number, r.phone_number, r.model_id, m.name as model_name, r.device_id, r.parameters,
+           r.command_text, r.status, r.errors, r.batch_id, r.history_id, h.status as message_status
+    FROM sms_import_rows r
+    LEFT JOIN device_models m ON m.id = r.model_id
+    LEFT JOIN sms_history h ON h.id = r.history_id
+    WHERE r.import_id = $1 ${filter}
+    ORDER BY r.row_number
+    ${paging}
+  `, limit ? [...params, limit, (page - 1) * limit] : params);
+
+  return { rows: result.rows, total: parseInt(total.rows[0].count) };
+}
+
+// Queue the valid rows of a preview, one batch per model, in one
+// transaction: all batches or none. Returns { import, batches } or null
+// when the import is not a preview any more. Throws CreditError when the
+// balance does not cover every valid row.
+async function launchImport(db, importId, batchOptions) {
+  return transaction(db, async client => {
+    const texts = (await client.query(
+      "SELECT command_text FROM sms_import_rows WHERE import_id = $1 AND status = 'valid'",
+      [importId]
+    )).rows.map(row => row.command_text);
+    // Refuse before the first batch if the balance is short
+    await checkCredit(client, texts);
+
+    const claimed = await client.query(`
+      UPDATE sms_imports SET status = 'launched', launched_at = NOW()
+      WHERE id = $1 AND status = 'preview' AND valid_rows > 0
+      RETURNING *
+    `, [importId]);
+    if (claimed.rows.length === 0) return null;
+
+    const imported = claimed.rows[0];
+    const rows = (await client.query(`
+      SELECT id, phone_number, model_id, device_id, command_text, payload_encrypted
+      FROM sms_import_rows
+      WHERE import_id = $1 AND status = 'valid'
+      ORDER BY row_number
+    `, [importId])).rows;
+
+    const groups = new Map();
+    for (const row of rows) {
+      if (!groups.has(row.model_id)) groups.set(row.model_id, []);
+      groups.get(row.model_id).push(row);
+    }
+
+    const batches = [];
+    for (const [modelId, group] of groups) {
+      const texts = group.map(row => row.command_text);
+      const sameText = texts.every(text => text === texts[0]);
+
+      const batch = await enqueueBatch(client, {
+        ...batchOptions,
+        phoneNumbers: group.map(row => row.phone_number),
+        deviceIds: group.map(row => row.device_id),
+        payloads: group.map(row => row.payload_encrypted),
+        commandTexts: texts,
+        modelId,
+        commandText: sameText ? texts[0] : imported.command_template,
+        commandTemplate: imported.command_template,
+        parameters: imported.parameters,
+        notes: imported.notes
+      });
+
+      await client.query(`
+        UPDATE sms_import_rows r
+        SET batch_id = $2, history_id = l.history_id, payload_encrypted = NULL
+        FROM unnest($3::int[], $4::int[]) AS l(row_id, history_id)
+        WHERE r.id = l.row_id AND r.import_id = $1
+      `, [importId, batch.batchId, group.map(row => row.id), batch.historyIds]);
+
+      batches.push({ batchId: batch.batchId, modelId, total: batch.total });
+    }
+
+    const result = await client.query(
+      'UPDATE sms_imports SET batch_ids = $2 WHERE id = $1 RETURNING *',
+      [importId, batches.map(batch => batch.batchId)]
+    );
+    return { import: result.rows[0], batches };
+  });
+}
+
+// Drop a preview that will not be sent; its rows lose their encrypted
+// commands. Returns the row or null when it is not a preview.
+async function discardImport(db, importId) {
+  return transaction(db, async client => {
+    const result = await client.query(`
+      UPDATE sms_imports SET status = 'discarded'
+      WHERE id = $1 AND status = 'preview'
+      RETURNING *
+    `, [importId]);
+    if (result.rows.length === 0) return null;
+
+    await client.query('UPDATE sms_import_rows SET payload_encrypted = NULL WHERE import_id = $1', [importId]);
+    return result.rows[0];
+  });
+}
+
+// "phone: is required; model: unknown model"
+function describeErrors(errors) {
+  if (!errors) return '';
+  return Object.entries(errors).map(([field, message]) => `${field}: ${message}`).join('; ');
+}
+
+module.exports = {
+  MAX_ROWS,
+  ROW_STATUSES,
+  ImportError,
+  parseCsv,
+  parseSpreadsheet,
+  prepareImport,
+  saveImport,
+  getImport,
+  listImportRows,
+  launchImport,
+  discardImport,
+  describeErrors
+};
@@ -0,0 +1,68 @@
+// Inbound SMS ingestion
+// Stores tracker replies in sms_inbound and links each one to the most
+// recent command sent to the same number, so replies can be shown next to
+// the command that triggered them. Replies are parsed with the parser of
+// the command's device model.
+
+const { parseReply } = require('./parsers');
+const { tryNormalizePhone } = require('./phone');
+
+const CORRELATION_HOURS = parseInt(process.env.INBOUND_CORRELATION_HOURS) || 24;
+
+// Latest command sent to a number in the correlation window. Numbers arrive
+// as "+5511999999999", "011999999999", "11999999999"... and sms_history
+// stores them normalized (src/phone.js), so e164 is the normalized sender
+// and the lookup uses idx_sms_history_phone.
+async function findOutboundMatch(pool, e164, receivedAt) {
+  const result = await pool.query(`
+    SELECT h.id, m.parser
+    FROM sms_history h
+    LEFT JOIN device_models m ON h.model_id = m.id
+    WHERE h.phone_number = $1
+      AND h.sent_at <= $2
+      AND h.sent_at >= $2::timestamp - ($3 || ' hours')::interval
+      AND h.status NOT IN ('queued', 'failed', 'cancelled')
+    ORDER BY h.sent_at DESC
+    LIMIT 1
+  `, [e164, receivedAt, String(CORRELATION_HOURS)]);
+
+  return result.rows.length > 0 ? result.rows[0] : null;
+}
+
+async function recordInbound(pool, { from, text, receivedAt, provider, raw }) {
+  if (!from || !text) {
+    throw new Error('Inbound SMS requires sender and text');
+  }
+
+  const received = receivedAt ? new Date(receivedAt) : new Date();
+  if (Number.isNaN(received.getTime())) {
+    throw new Error('Invalid receivedAt timestamp');
+  }
+
+  const sender = tryNormalizePhone(from);
+  // Senders that do not normalize cannot match a stored number
+  const match = sender ? await findOutboundMatch(pool, sender.e164, received) : null;
+  const { parser, fields } = parseReply(match && match.parser, text);
+
+  const result = await pool.query(`
+    INSERT INTO sms_inbound (phone_number, message, received_at, provider, history_id, parser, parsed, raw)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    RETURNING *
+  `, [
+    sender ? sender.e164 : String(from).trim(),
+    text,
+    received,
+    provider || null,
+    match ? match.id : null,
+    parser,
+    JSON.stringify(fields),
+    raw ? JSON.stringify(raw) : null
+  ]);
+
+  return result.rows[0];
+}
+
+module.exports = {
+  findOutboundMatch,
+  recordInbound
+};
@@ -0,0 +1,225 @@
+// SMS message lifecycle
+//
+//   queued -> submitted -> delivered | undelivered | expired
+//   queued -> failed (rejected by every provider)
+//   failed -> queued (dead job put back in the send queue)
+//   queued -> cancelled (batch cancelled before the message was sent)
+//
+// Each status has its own timestamp column in sms_history (queued_at,
+// submitted_at, delivered_at...), set when the row enters that status.
+
+const STATUSES = ['queued', 'submitted', 'delivered', 'undelivered', 'expired', 'failed', 'cancelled'];
+
+const FINAL_STATUSES = ['delivered', 'undelivered', 'expired', 'failed', 'cancelled'];
+
+// Allowed previous statuses for each target status. Receipts may arrive
+// before the submit result is recorded, so final delivery states also
+// accept 'queued'.
+const ALLOWED_FROM = {
+  queued: ['failed'],
+  submitted: ['queued'],
+  delivered: ['queued', 'submitted'],
+  undelivered: ['queued', 'submitted'],
+  expired: ['queued', 'submitted'],
+  failed: ['queued'],
+  cancelled: ['queued']
+};
+
+// Provider/SMSC status words mapped to lifecycle statuses
+const STATUS_ALIASES = {
+  delivrd: 'delivered',
+  delivered: 'delivered',
+  delivery_success: 'delivered',
+  expired: 'expired',
+  undeliv: 'undelivered',
+  undelivered: 'undelivered',
+  undeliverable: 'undelivered',
+  rejectd: 'undelivered',
+  rejected: 'undelivered',
+  deleted: 'undelivered',
+  failed: 'undelivered',
+  delivery_failed: 'undelivered',
+  acceptd: 'submitted',
+  accepted: 'submitted',
+  enroute: 'submitted',
+  sent: 'submitted',
+  submitted: 'submitted'
+};
+
+function normalizeStatus(value) {
+  return STATUS_ALIASES[String(value || '').trim().toLowerCase()] || null;
+}
+
+// Delivery time reported by a provider as a Date, or null when it is
+// missing or cannot be read (the receipt is then stamped with NOW()).
+// Accepts Dates, ISO strings and Unix epochs in seconds or milliseconds.
+function parseReportTime(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  let date;
+  if (value instanceof Date) {
+    date = value;
+  } else if (typeof value === 'number' || /^\d+(\.\d+)?$/.test(String(value).trim())) {
+    const number = Number(value);
+    date = new Date(number < 1e11 ? number * 1000 : number);
+  } else {
+    date = new Date(String(value));
+  }
+
+  const year = date.getUTCFullYear();
+  return Number.isNaN(date.getTime()) || year < 2000 || year > 2100 ? null : date;
+}
+
+// Move a history row to a new status. Returns the updated row, or null
+// when the row does not exist or the transition is not allowed.
+async function transition(pool, historyId, status, data = {}) {
+  const allowedFrom = ALLOWED_FROM[status];
+  if (!allowedFrom) {
+    throw new Error(`Unknown SMS status "${status}"`);
+  }
+
+  const result = await pool.query(`
+    UPDATE sms_history
+    SET status = $2,
+        ${status}_at = COALESCE($3, NOW()),
+        status_updated_at = NOW(),
+        provider = COALESCE($4, provider),
+        provider_message_id = COALESCE($5, provider_message_id),
+        error_code = COALESCE($6, error_code),
+        details = COALESCE($7, details),
+        response_data = COALESCE(response_data, '{}'::jsonb) || COALESCE($8::jsonb, '{}'::jsonb)
+    WHERE id = $1 AND status = ANY($9)
+    RETURNING *
+  `, [
+    historyId,
+    status,
+    data.at || null,
+    data.provider || null,
+    data.providerMessageId || null,
+    data.errorCode || null,
+    data.details || null,
+    data.responseData ? JSON.stringify(data.responseData) : null,
+    allowedFrom
+  ]);
+
+  return result.rows[0] || null;
+}
+
+// Latest history row sent with this provider message ID, or null
+async function findMessage(db, messageId, provider) {
+  const params = [String(messageId)];
+  let providerCondition = '';
+  if (provider) {
+    params.push(provider);
+    providerCondition = `AND provider = $${params.length}`;
+  }
+
+  const found = await db.query(`
+    SELECT id, status FROM sms_history
+    WHERE provider_message_id = $1 ${providerCondition}
+    ORDER BY id DESC
+    LIMIT 1
+  `, params);
+
+  return found.rows[0] || null;
+}
+
+function applyReceipt(pool, historyId, status, receipt) {
+  return transition(pool, historyId, status, {
+    at: receipt.doneAt || null,
+    errorCode: receipt.errorCode,
+    responseData: { receipt: receipt.raw }
+  });
+}
+
+// Apply a delivery report ({ provider?, messageId, status, errorCode?, doneAt? })
+// Returns { matched, updated, pending, row }. A report for a message whose
+// ID is not stored yet is kept in pending_receipts (pending: true) and
+// applied by applyPendingReceipts() once the send queue records the ID.
+async function applyDeliveryReport(pool, report) {
+  const status = normalizeStatus(report.status);
+  if (!report.messageId || !status) {
+    return { matched: false, updated: false, pending: false };
+  }
+
+  const receipt = { doneAt: parseReportTime(report.doneAt), errorCode: report.errorCode, raw: report.raw || report };
+  let found = await findMessage(pool, report.messageId, report.provider);
+
+  if (!found) {
+    const pending = await pool.query(`
+      INSERT INTO pending_receipts (provider, message_id, status, error_code, done_at, raw)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING id
+    `, [
+      report.provider || null,
+      String(report.messageId),
+      status,
+      report.errorCode || null,
+      receipt.doneAt,
+      JSON.stringify(receipt.raw)
+    ]);
+
+    // The queue may have stored the ID between the lookup and the insert;
+    // whoever deletes the pending row applies it
+    found = await findMessage(pool, report.messageId, report.provider);
+    if (!found) {
+      return { matched: false, updated: false, pending: true };
+    }
+    const claimed = await pool.query('DELETE FROM pending_receipts WHERE id = $1 RETURNING id', [pending.rows[0].id]);
+    if (claimed.rows.length === 0) {
+      return { matched: true, updated: false, pending: false, id: found.id };
+    }
+  }
+
+  const row = await applyReceipt(pool, found.id, status, receipt);
+
+  return { matched: true, updated: Boolean(row), pending: false, row, id: found.id, previousStatus: found.status };
+}
+
+// Apply receipts that arrived before the message ID was stored. Called
+// after the submit result is committed. Returns the number applied.
+async function applyPendingReceipts(pool, { provider, messageId }) {
+  if (!messageId) return 0;
+
+  const claimed = await pool.query(`
+    DELETE FROM pending_receipts
+    WHERE message_id = $1 AND (provider IS NULL OR provider = $2)
+    RETURNING *
+  `, [String(messageId), provider || null]);
+  if (claimed.rows.length === 0) return 0;
+
+  const found = await findMessage(pool, messageId, provider);
+  if (!found) return 0;
+
+  let applied = 0;
+  for (const pending of claimed.rows.sort((a, b) => a.id - b.id)) {
+    const row = await applyReceipt(pool, found.id, pending.status, {
+      doneAt: pending.done_at,
+      errorCode: pending.error_code,
+      raw: pending.raw
+    });
+    if (row) applied++;
+  }
+  return applied;
+}
+
+// Drop receipts that never found their message. Returns the number removed.
+async function purgePendingReceipts(pool, { maxAgeHours = 72 } = {}) {
+  const result = await pool.query(
+    "DELETE FROM pending_receipts WHERE received_at < NOW() - $1::int * INTERVAL '1 hour'",
+    [maxAgeHours]
+  );
+  return result.rowCount;
+}
+
+module.exports = {
+  STATUSES,
+  FINAL_STATUSES,
+  ALLOWED_FROM,
+  normalizeStatus,
+  parseReportTime,
+  transition,
+  applyDeliveryReport,
+  applyPendingReceipts,
+  purgePendingReceipts
+};
@@ -0,0 +1,219 @@
+// Schema migrations
+//
+// Migrations live in migrations/ as NNN_description.js files exporting
+// up(client, { log }) and down(client, { log }). Each one runs in its own
+// transaction together with its schema_migrations row, so a failed
+// migration leaves nothing behind. Applied versions are never edited; a
+// change to the schema is a new file with the next number.
+//
+// The runner holds a Postgres advisory lock while it works: when several
+// replicas start at once, one migrates and the others wait for it and then
+// find nothing left to do.
+//
+//   node scripts/migrate.js status | up [version] | down [steps] | create <name>
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+// pg_advisory_lock key shared by every replica ("smsm")
+const LOCK_KEY = 0x736d736d;
+
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+class MigrationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MigrationError';
+  }
+}
+
+// Migration files in version order: [{ version, name, file, up, down }]
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = [];
+  const seen = new Map();
+
+  for (const file of fs.readdirSync(dir).sort()) {
+    const match = file.match(FILE_PATTERN);
+    if (!match) continue;
+
+    const version = parseInt(match[1]);
+    if (seen.has(version)) {
+      throw new MigrationError(`Migrations ${seen.get(version)} and ${file} have the same version`);
+    }
+    seen.set(version, file);
+
+    const migration = require(path.join(dir, file));
+    if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+      throw new MigrationError(`Migration ${file} must export up() and down()`);
+    }
+    migrations.push({ version, name: match[2], file, up: migration.up, down: migration.down });
+  }
+
+  return migrations.sort((a, b) => a.version - b.version);
+}
+
+async function ensureTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(200) NOT NULL,
+      duration_ms INTEGER,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+}
+
+async function appliedVersions(client) {
+  const result = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  return new Map(result.rows.map(row => [row.version, row]));
+}
+
+// Run work(client) on one connection holding the migration lock
+async function withLock(pool, log, work) {
+  const client = await pool.connect();
+  try {
+    const locked = await client.query('SELECT pg_try_advisory_lock($1) as locked', [LOCK_KEY]);
+    if (!locked.rows[0].locked) {
+      log('⏳ Another instance is migrating the database, waiting...');
+      await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+    }
+
+    try {
+      await ensureTable(client);
+      return await work(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function runStep(client, migration, direction, log) {
+  const started = Date.now();
+  await client.query('BEGIN');
+  try {
+    await migration[direction](client, { log });
+    if (direction === 'up') {
+      await client.query(
+        'INSERT INTO schema_migrations (version, name, duration_ms) VALUES ($1, $2, $3)',
+        [migration.version, migration.name, Date.now() - started]
+      );
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    error.message = `Migration ${migration.file} (${direction}) failed: ${error.message}`;
+    throw error;
+  }
+  log(`${direction === 'up' ? '⬆️' : '⬇️'}  ${migration.file} (${Date.now() - started} ms)`);
+}
+
+// Apply pending migrations up to `target` (default: all). Returns the
+// migrations applied.
+async function migrate(pool, { dir, target = Infinity, log = console.log } = {}) {
+  const migrations = loadMigrations(dir);
+
+  return withLock(pool, log, async client => {
+    const applied = await appliedVersions(client);
+    const pending = migrations.filter(migration => !applied.has(migration.version) && migration.version <= target);
+
+    for (const migration of pending) {
+      await runStep(client, migration, 'up', log);
+    }
+    return pending;
+  });
+}
+
+// Revert the last `steps` applied migrations, or every one above `target`.
+// Returns the migrations reverted.
+async function rollback(pool, { dir, steps = 1, target, log = console.log } = {}) {
+  const migrations = loadMigrations(dir);
+
+  return withLock(pool, log, async client => {
+    const applied = await appliedVersions(client);
+    const missing = [...applied.keys()].filter(version => !migrations.some(migration => migration.version === version));
+    if (missing.length > 0) {
+      throw new MigrationError(`Applied migrations have no file: ${missing.join(', ')}`);
+    }
+
+    const done = migrations.filter(migration => applied.has(migration.version)).reverse();
+    const reverting = target !== undefined
+      ? done.filter(migration => migration.version > target)
+      : done.slice(0, steps);
+
+    for (const migration of reverting) {
+      await runStep(client, migration, 'down', log);
+    }
+    return reverting;
+  });
+}
+
+// Every known migration with its state: [{ version, name, file, applied,
+// appliedAt }]. Versions applied without a file are listed with file null.
+async function migrationStatus(pool, { dir } = {}) {
+  const migrations = loadMigrations(dir);
+  const client = await pool.connect();
+
+  try {
+    const exists = await client.query("SELECT to_regclass('schema_migrations') IS NOT NULL as exists");
+    const applied = exists.rows[0].exists ? await appliedVersions(client) : new Map();
+
+    const status = migrations.map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      file: migration.file,
+      applied: applied.has(migration.version),
+      appliedAt: applied.has(migration.version) ? applied.get(migration.version).applied_at : null
+    }));
+
+    for (const [version, row] of applied) {
+      if (!migrations.some(migration => migration.version === version)) {
+        status.push({ version, name: row.name, file: null, applied: true, appliedAt: row.applied_at });
+      }
+    }
+    return status.sort((a, b) => a.version - b.version);
+  } finally {
+    client.release();
+  }
+}
+
+// Write an empty migration with the next version number; returns its path
+function createMigration(name, { dir = MIGRATIONS_DIR } = {}) {
+  const slug = String(name || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  if (!slug) throw new MigrationError('Migration name is required');
+
+  const migrations = loadMigrations(dir);
+  const version = migrations.length > 0 ? migrations[migrations.length - 1].version + 1 : 1;
+  const file = path.join(dir, `${String(version).padStart(3, '0')}_${slug}.js`);
+
+  fs.writeFileSync(file, `// ${name}
+
+async function up(client) {
+  await client.query(\`
+  \`);
+}
+
+async function down(client) {
+  await client.query(\`
+  \`);
+}
+
+module.exports = { up, down };
+`);
+  return file;
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  MigrationError,
+  loadMigrations,
+  migrate,
+  rollback,
+  migrationStatus,
+  createMigration
+};
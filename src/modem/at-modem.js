@@ -0,0 +1,380 @@
+// GSM modem driver (AT commands, text mode)
+//
+// Talks to a USB/serial GSM modem through its device path (/dev/ttyUSB0...).
+// Commands are serialized through a queue; unsolicited result codes are
+// handled as they arrive. New SMS are announced with +CMTI, read with
+// AT+CMGR and deleted from the SIM afterwards. Sent SMS ask for a status
+// report, which the modem passes on as +CDS.
+//
+// Events:
+//   'ready'    modem initialized
+//   'message'  incoming SMS { from, text, receivedAt, index }
+//   'report'   status report { reference, to, status, submittedAt, doneAt }
+//   'close'    the device went away after opening (unplugged, EIO, no answer)
+//   'error'    transport error
+//
+// A command that times out may still be answered later. Before the next
+// command is written the modem is resynchronized: everything is discarded
+// until it answers a fresh AT and goes quiet. A modem that does not answer
+// is closed.
+
+const fs = require('fs');
+const tty = require('tty');
+const { execFile } = require('child_process');
+const { EventEmitter } = require('events');
+
+const CTRL_Z = '\x1A';
+const ESC = '\x1B';
+const FINAL_OK = /^OK$/;
+const FINAL_ERROR = /^(ERROR|\+CM[ES] ERROR:.*|NO CARRIER)$/;
+const UNSOLICITED = /^(\+CMTI:|\+CDS:|RING$|\+CDSI:|\^)/;
+
+// Resynchronization after a timeout: AT probes before giving up, and how
+// long the modem must stay quiet after answering
+const RESYNC_ATTEMPTS = 3;
+const RESYNC_QUIET_MS = 500;
+
+class ModemError extends Error {
+  constructor(command, result) {
+    super(`${command} failed: ${result}`);
+    this.name = 'ModemError';
+    const cms = result.match(/\+CM([ES]) ERROR:\s*(.+)/);
+    this.code = cms ? `CM${cms[1]}_${cms[2].trim().replace(/\s+/g, '_').toUpperCase()}` : 'MODEM_ERROR';
+  }
+}
+
+// '"REC UNREAD","+5511999999999",,"24/10/18,10:00:00-12"' -> header fields
+function parseHeaderFields(header) {
+  const fields = [];
+  let current = '';
+  let quoted = false;
+
+  for (const ch of header) {
+    if (ch === '"') {
+      quoted = !quoted;
+    } else if (ch === ',' && !quoted) {
+      fields.push(current.trim());
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  fields.push(current.trim());
+
+  return fields;
+}
+
+// Modem timestamps look like "24/10/18,10:00:00-12" (quarter hours from GMT)
+function parseModemDate(value) {
+  const m = value && value.match(/^(\d{2})\/(\d{2})\/(\d{2}),(\d{2}):(\d{2}):(\d{2})([+-]\d+)?$/);
+  if (!m) return new Date();
+
+  const offsetMinutes = m[7] ? parseInt(m[7]) * 15 : 0;
+  const utc = Date.UTC(2000 + parseInt(m[1]), parseInt(m[2]) - 1, parseInt(m[3]), parseInt(m[4]), parseInt(m[5]), parseInt(m[6]));
+  return new Date(utc - offsetMinutes * 60000);
+}
+
+class AtModem extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.options = {
+      path: null,
+      stream: null,
+      baudRate: null,
+      name: options.path || 'modem',
+      commandTimeout: 10000,
+      sendTimeout: 60000,
+      ...options
+    };
+
+    this.name = this.options.name;
+    this.queue = [];
+    this.current = null;
+    this.buffer = '';
+    this.ready = false;
+    this.closing = false;
+    this.resync = null;
+  }
+
+  async open() {
+    this.closing = false;
+    this.buffer = '';
+
+    if (this.options.stream) {
+      this.input = this.options.stream;
+      this.output = this.options.stream;
+    } else {
+      if (this.options.baudRate) {
+        await new Promise((resolve, reject) => {
+          execFile('stty', ['-F', this.options.path, String(this.options.baudRate), 'raw', '-echo'], error => {
+            if (error) reject(error); else resolve();
+          });
+        });
+      }
+
+      const fd = fs.openSync(this.options.path, fs.constants.O_RDWR | fs.constants.O_NOCTTY);
+      if (!tty.isatty(fd)) {
+        fs.closeSync(fd);
+        throw new Error(`${this.options.path} is not a serial/tty device`);
+      }
+
+      this.input = new tty.ReadStream(fd);
+      this.input.setRawMode(true);
+      this.output = new tty.WriteStream(fd);
+    }
+
+    const input = this.input;
+    input.setEncoding('latin1');
+    input.on('data', chunk => this._onData(chunk));
+    input.on('error', error => this._emitError(error));
+    input.on('close', () => {
+      // A stream replaced by a later open() is not this modem any more
+      if (this.input !== input) return;
+      const wasReady = this.ready;
+      this.ready = false;
+      this._failAll(new Error(`Modem ${this.name} closed`));
+      if (wasReady && !this.closing) this.emit('close');
+    });
+
+    await this.command('AT');
+    await this.command('ATE0');
+    await this.command('AT+CMGF=1');
+    await this.command('AT+CSCS="GSM"').catch(() => {});
+    // Status reports (SMS-SUBMIT with SRR, +CDS routed to us) where the
+    // modem supports them
+    await this.command('AT+CSMP=49,167,0,0').catch(() => {});
+    await this.command('AT+CNMI=2,1,0,1,0').catch(() => this.command('AT+CNMI=2,1,0,0,0'));
+
+    this.ready = true;
+    this.emit('ready');
+
+    // Pick up messages that arrived while we were offline
+    await this.readUnread();
+  }
+
+  close() {
+    this.closing = true;
+    this.ready = false;
+    this._failAll(new Error(`Modem ${this.name} closed`));
+    if (this.input) this.input.destroy();
+    if (this.output && this.output !== this.input) this.output.destroy();
+  }
+
+  // Queue a command; resolves with the response lines (without the final OK)
+  command(text, { timeout, prompt } = {}) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({
+        text,
+        prompt,
+        timeout: timeout || this.options.commandTimeout,
+        lines: [],
+        resolve,
+        reject
+      });
+      this._next();
+    });
+  }
+
+  // Send an SMS; resolves with the message reference from +CMGS
+  async sendSms(to, text) {
+    const lines = await this.command(`AT+CMGS="${to}"`, {
+      // Ctrl-Z ends the message and ESC aborts it, so neither may appear in the text
+      prompt: text.replaceAll(CTRL_Z, '').replaceAll(ESC, '') + CTRL_Z,
+      timeout: this.options.sendTimeout
+    });
+
+    const reference = lines.map(line => line.match(/^\+CMGS:\s*(\d+)/)).find(Boolean);
+    return reference ? reference[1] : null;
+  }
+
+  async readUnread() {
+    const lines = await this.command('AT+CMGL="REC UNREAD"');
+    const messages = [];
+
+    for (let i = 0; i < lines.length; i++) {
+      const match = lines[i].match(/^\+CMGL:\s*(.*)$/);
+      if (!match) continue;
+
+      const [index, , from, , date] = parseHeaderFields(match[1]);
+      const body = [];
+      while (i + 1 < lines.length && !lines[i + 1].startsWith('+CMGL:')) {
+        body.push(lines[++i]);
+      }
+      messages.push({ index: parseInt(index), from, text: body.join('\n'), receivedAt: parseModemDate(date) });
+    }
+
+    for (const message of messages) {
+      this.emit('message', message);
+      await this.command(`AT+CMGD=${message.index}`).catch(() => {});
+    }
+
+    return messages;
+  }
+
+  async readMessage(index) {
+    const lines = await this.command(`AT+CMGR=${index}`);
+    const header = lines.findIndex(line => line.startsWith('+CMGR:'));
+    if (header === -1) return null;
+
+    const [, from, , date] = parseHeaderFields(lines[header].replace(/^\+CMGR:\s*/, ''));
+    const message = {
+      index,
+      from,
+      text: lines.slice(header + 1).join('\n'),
+      receivedAt: parseModemDate(date)
+    };
+
+    this.emit('message', message);
+    await this.command(`AT+CMGD=${index}`).catch(() => {});
+    return message;
+  }
+
+  _next() {
+    if (this.current || this.resync || this.queue.length === 0) return;
+
+    const current = this.queue.shift();
+    this.current = current;
+    current.timer = setTimeout(() => {
+      this.current = null;
+      current.reject(new ModemError(current.text, 'TIMEOUT'));
+      this._resync();
+    }, current.timeout);
+
+    this.output.write(current.text + '\r');
+  }
+
+  // Probe with AT until the modem answers, then wait for it to go quiet
+  // before the queue moves on (see _onLine)
+  _resync(attempt = 1) {
+    const resync = { attempt, answered: false };
+    this.resync = resync;
+    this.buffer = '';
+
+    resync.timer = setTimeout(() => {
+      if (attempt < RESYNC_ATTEMPTS) {
+        this._resync(attempt + 1);
+        return;
+      }
+      this.resync = null;
+      this._emitError(new Error(`Modem ${this.name} stopped answering`));
+      this._failAll(new ModemError('AT', 'NO_RESPONSE'));
+      // Closing the device lets the provider reopen and reinitialize it
+      this.input.destroy();
+    }, this.options.commandTimeout);
+
+    // ESC leaves an SMS text prompt left open by a timed-out AT+CMGS
+    this.output.write(`${ESC}\rAT\r`);
+  }
+
+  _onResyncLine(line) {
+    const resync = this.resync;
+    if (!resync.answered && !FINAL_OK.test(line)) return;
+
+    // Late answers to the timed-out command may still follow; each line
+    // restarts the quiet period
+    resync.answered = true;
+    clearTimeout(resync.timer);
+    resync.timer = setTimeout(() => {
+      this.resync = null;
+      this._next();
+    }, RESYNC_QUIET_MS);
+  }
+
+  _finish(error) {
+    const current = this.current;
+    clearTimeout(current.timer);
+    this.current = null;
+
+    if (error) current.reject(error); else current.resolve(current.lines);
+    this._next();
+  }
+
+  _onData(chunk) {
+    this.buffer += chunk;
+
+    let newline;
+    while ((newline = this.buffer.search(/\r?\n/)) !== -1) {
+      const line = this.buffer.slice(0, newline).replace(/\r$/, '').trim();
+      this.buffer = this.buffer.slice(this.buffer[newline] === '\r' ? newline + 2 : newline + 1);
+      if (line) this._onLine(line);
+    }
+
+    // The SMS text prompt is "> " without a line terminator
+    if (this.current && this.current.prompt && /^> ?$/.test(this.buffer)) {
+      this.buffer = '';
+      this.output.write(this.current.prompt);
+      this.current.prompt = null;
+    }
+  }
+
+  _onLine(line) {
+    if (UNSOLICITED.test(line)) {
+      this._onUnsolicited(line);
+      return;
+    }
+
+    if (this.resync) {
+      this._onResyncLine(line);
+      return;
+    }
+
+    if (!this.current) return;
+
+    // Echo of the command itself (before ATE0 takes effect)
+    if (line === this.current.text) return;
+
+    if (FINAL_OK.test(line)) {
+      this._finish();
+    } else if (FINAL_ERROR.test(line)) {
+      this._finish(new ModemError(this.current.text, line));
+    } else {
+      this.current.lines.push(line);
+    }
+  }
+
+  _onUnsolicited(line) {
+    const cmti = line.match(/^\+CMTI:\s*"?\w*"?,\s*(\d+)/);
+    if (cmti) {
+      this.readMessage(parseInt(cmti[1])).catch(error => this._emitError(error));
+      return;
+    }
+
+    // Text mode: +CDS: <fo>,<mr>,"<ra>",<tora>,"<scts>","<dt>",<st>
+    const cds = line.match(/^\+CDS:\s*(.*)$/);
+    if (cds) {
+      const [, reference, to, , submitted, done, status] = parseHeaderFields(cds[1]);
+      if (reference === undefined || status === undefined) return;
+      this.emit('report', {
+        reference,
+        to,
+        status: parseInt(status),
+        submittedAt: parseModemDate(submitted),
+        doneAt: parseModemDate(done)
+      });
+    }
+  }
+
+  _failAll(error) {
+    if (this.resync) {
+      clearTimeout(this.resync.timer);
+      this.resync = null;
+    }
+    if (this.current) {
+      clearTimeout(this.current.timer);
+      this.current.reject(error);
+      this.current = null;
+    }
+    for (const item of this.queue.splice(0)) {
+      item.reject(error);
+    }
+  }
+
+  _emitError(error) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    }
+  }
+}
+
+module.exports = { AtModem, ModemError, parseModemDate };
@@ -0,0 +1,173 @@
+// Field extractors shared by the tracker reply parsers
+// Each extractor receives the raw reply text and returns an object with the
+// fields it recognized (or an empty object).
+
+function toCoordinate(value, hemisphere) {
+  let number = parseFloat(value);
+  if (Number.isNaN(number)) return undefined;
+  if (hemisphere && /[SW]/i.test(hemisphere)) number = -Math.abs(number);
+  return Math.round(number * 1e6) / 1e6;
+}
+
+function validPosition(latitude, longitude) {
+  return latitude !== undefined && longitude !== undefined &&
+    Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180 &&
+    !(latitude === 0 && longitude === 0);
+}
+
+// http://maps.google.com/maps?q=-23.550520,-46.633308
+// http://maps.google.com/maps?q=S23.550520,W46.633308
+function googleMapsLink(text) {
+  const m = text.match(/maps\.google\.[a-z.]+\/(?:maps)?\?(?:[^\s]*&)?q=([NS])?(-?\d+\.\d+),\s*([EW])?(-?\d+\.\d+)/i);
+  if (!m) return {};
+
+  const latitude = toCoordinate(m[2], m[1]);
+  const longitude = toCoordinate(m[4], m[3]);
+  return validPosition(latitude, longitude) ? { latitude, longitude } : {};
+}
+
+// Lat:-23.550520 Lon:-46.633308 / lat: S23.5505 long: W46.6333 / Lat:N22.5,Lon:E113.9
+function latLonPairs(text) {
+  const lat = text.match(/\blat(?:itude)?\s*[:=]\s*([NS])?\s*(-?\d+\.\d+)\s*([NS])?/i);
+  const lon = text.match(/\b(?:lon|long|lng|longitude)\s*[:=]\s*([EW])?\s*(-?\d+\.\d+)\s*([EW])?/i);
+  if (!lat || !lon) return {};
+
+  const latitude = toCoordinate(lat[2], lat[1] || lat[3]);
+  const longitude = toCoordinate(lon[2], lon[1] || lon[3]);
+  return validPosition(latitude, longitude) ? { latitude, longitude } : {};
+}
+
+function position(text) {
+  const fromLink = googleMapsLink(text);
+  return fromLink.latitude !== undefined ? fromLink : latLonPairs(text);
+}
+
+// speed:12.50 / Speed:12.5km/h / SPD:012
+function speed(text) {
+  const m = text.match(/\b(?:speed|spd|vel)\s*[:=]\s*(\d+(?:\.\d+)?)\s*(km\/h|kmh|kph|mph|knots?)?/i);
+  if (!m) return {};
+
+  let value = parseFloat(m[1]);
+  if (m[2] && /mph/i.test(m[2])) value *= 1.609344;
+  if (m[2] && /knot/i.test(m[2])) value *= 1.852;
+  return { speed: Math.round(value * 100) / 100 };
+}
+
+// GPS:A / GPS:V / GPS: OK / GPS:Successful positioning / GPS:Searching satellite
+function gpsFix(text) {
+  const m = text.match(/\bGPS\s*[:=]\s*([A-Za-z]+)/i);
+  if (!m) return {};
+
+  const value = m[1].toLowerCase();
+  if (value === 'a' || value === 'ok' || value.startsWith('success') || value === 'fixed' || value === 'valid') {
+    return { gpsFix: true };
+  }
+  if (value === 'v' || value === 'no' || value.startsWith('search') || value.startsWith('fail') || value === 'invalid') {
+    return { gpsFix: false };
+  }
+  return {};
+}
+
+const SIGNAL_WORDS = { strong: 100, good: 75, normal: 50, medium: 50, weak: 25, poor: 25, none: 0, f: 100, l: 25 };
+
+// GSM:25 (CSQ 0-31) / GSM: 80% / signal:F / GSM Signal Level:Strong / CSQ:20
+function gsmSignal(text) {
+  const m = text.match(/\b(?:GSM(?: signal(?: level)?)?|signal|CSQ)\s*[:=]\s*(\d+%?|[A-Za-z]+)/i);
+  if (!m) return {};
+
+  const value = m[1];
+  if (value.endsWith('%')) {
+    return { gsmSignal: Math.min(parseInt(value), 100) };
+  }
+  if (/^\d+$/.test(value)) {
+    const csq = parseInt(value);
+    // CSQ ranges 0-31; 99 means unknown
+    return csq <= 31 ? { gsmSignal: Math.round(csq / 31 * 100), gsmCsq: csq } : {};
+  }
+
+  const word = SIGNAL_WORDS[value.toLowerCase()];
+  return word !== undefined ? { gsmSignal: word } : {};
+}
+
+// BAT:80% / battery: 100% / Battery:4.15V / bat:F (full) / POWER:3.9V
+function battery(text) {
+  const m = text.match(/\b(?:bat(?:t|tery)?|power)\s*[:=]\s*(\d+(?:\.\d+)?\s*[%V]?|[FL])\b/i);
+  if (!m) return {};
+
+  const value = m[1].replace(/\s+/g, '');
+  if (/^F$/i.test(value)) return { battery: 100 };
+  if (/^L$/i.test(value)) return { battery: 20 };
+  if (/V$/i.test(value)) {
+    // Li-ion cell: 3.4 V empty, 4.2 V full
+    const volts = parseFloat(value);
+    return {
+      batteryVoltage: volts,
+      battery: Math.max(0, Math.min(100, Math.round((volts - 3.4) / 0.8 * 100)))
+    };
+  }
+
+  const percent = parseFloat(value);
+  return percent <= 100 ? { battery: percent } : {};
+}
+
+// IMEI:359710040656622 / imei:359710040656622
+function imei(text) {
+  const m = text.match(/\bIMEI\s*[:=]?\s*(\d{15})\b/i);
+  return m ? { imei: m[1] } : {};
+}
+
+// SERVER:0,200.100.50.25,5023,0 / SERVER:1,gps.druzzo.com.br,5023,0
+// IP:200.100.50.25 PORT:5023 / adminip123456 200.100.50.25 5023
+function server(text) {
+  let m = text.match(/\bSERVER\s*[:=]\s*\d\s*,\s*([\w.-]+)\s*,\s*(\d{2,5})/i);
+  if (m) return { server: { host: m[1], port: parseInt(m[2]) } };
+
+  m = text.match(/\b(?:IP|HOST)\s*[:=]\s*([\w.-]+)[\s,;]+PORT\s*[:=]\s*(\d{2,5})/i);
+  if (m) return { server: { host: m[1], port: parseInt(m[2]) } };
+
+  m = text.match(/\badminip\d*\s+(\d{1,3}(?:\.\d{1,3}){3})\s+(\d{2,5})/i);
+  if (m) return { server: { host: m[1], port: parseInt(m[2]) } };
+
+  return {};
+}
+
+// APN:zap.vivo.com.br / APN:claro.com.br,claro,claro
+function apn(text) {
+  const m = text.match(/\bAPN\s*[:=]\s*([\w.-]+)(?:\s*,\s*([^,;\s]*)\s*,\s*([^,;\s]*))?/i);
+  if (!m) return {};
+
+  const result = { apn: { name: m[1] } };
+  if (m[2]) result.apn.user = m[2];
+  return result;
+}
+
+// DateTime:17-08-10 14:08:00 / T:10/08/17 14:08
+function deviceTime(text) {
+  const m = text.match(/\b(?:DateTime|Time|T)\s*[:=]\s*(\d{2})[-/](\d{2})[-/](\d{2})\s+(\d{2}):(\d{2})(?::(\d{2}))?/i);
+  if (!m) return {};
+  return { deviceTime: `20${m[1]}-${m[2]}-${m[3]}T${m[4]}:${m[5]}:${m[6] || '00'}Z` };
+}
+
+const ALL = [position, speed, gpsFix, gsmSignal, battery, imei, server, apn, deviceTime];
+
+// Run a list of extractors and merge what they found
+function extract(text, extractors = ALL) {
+  return extractors.reduce((fields, extractor) => ({ ...fields, ...extractor(text) }), {});
+}
+
+module.exports = {
+  toCoordinate,
+  googleMapsLink,
+  latLonPairs,
+  position,
+  speed,
+  gpsFix,
+  gsmSignal,
+  battery,
+  imei,
+  server,
+  apn,
+  deviceTime,
+  ALL,
+  extract
+};
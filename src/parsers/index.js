@@ -0,0 +1,129 @@
+// Tracker reply parser registry
+//
+// Parsers are keyed by the value stored in device_models.parser. Each one
+// lists the extractors that apply to the model's reply format, plus any
+// model specific handling. Unknown or empty keys fall back to "generic",
+// which tries every extractor.
+
+const common = require('./common');
+
+// "fix060s005n123456 ok" / "SERVER OK!" / "Set APN ok" -> command acknowledged
+function acknowledgement(text) {
+  if (/\b(ok|success(ful)?|done)!?\s*$/i.test(text.trim())) return { ack: true };
+  if (/\b(fail(ed)?|error|wrong password|invalid)\b/i.test(text)) return { ack: false };
+  return {};
+}
+
+const parsers = {
+  generic: {
+    label: 'Genérico',
+    description: 'Tenta todos os formatos conhecidos',
+    extractors: [...common.ALL, acknowledgement]
+  },
+
+  // Coban family: "lat:-23.550520 long:-46.633308 speed:0.00 T:24/10/18 14:08 bat:F signal:F imei:359710040656622"
+  tk103: {
+    label: 'TK103 (Coban)',
+    description: 'lat:/long:, bat:F, signal:F, imei:',
+    extractors: [common.position, common.speed, common.battery, common.gsmSignal, common.imei, common.server, common.apn, common.deviceTime, acknowledgement]
+  },
+
+  // "GSM: 100% GPS: OK GPRS: ON battery: 100%" / "lat: -23.5505 long: -46.6333 speed: 000.0 ..."
+  tk102: {
+    label: 'TK102',
+    description: 'check: GSM/GPS/GPRS/battery, lat:/long:',
+    extractors: [common.position, common.speed, common.gpsFix, common.gsmSignal, common.battery, common.imei, common.server, common.apn, acknowledgement],
+    transform(fields, text) {
+      const gprs = text.match(/\bGPRS\s*[:=]\s*(ON|OFF)/i);
+      if (gprs) fields.gprs = gprs[1].toUpperCase() === 'ON';
+      return fields;
+    }
+  },
+
+  // Concox: "Lat:S23.550520,Lon:W46.633308,Course:0.00,Speed:0.00km/h,DateTime:24-10-18 14:08:00"
+  // STATUS#: "Battery:4.15V,NORMAL; GPRS:Link Up; GSM Signal Level:Strong; GPS:Successful positioning, SVs in view:8"
+  gt06: {
+    label: 'GT06 (Concox)',
+    description: 'Lat:/Lon: com hemisfério, STATUS#, PARAM#, SERVER#',
+    extractors: common.ALL,
+    transform(fields, text) {
+      const course = text.match(/\bCourse\s*[:=]\s*(\d+(?:\.\d+)?)/i);
+      if (course) fields.course = parseFloat(course[1]);
+
+      const satellites = text.match(/\bSVs in view\s*[:=]\s*(\d+)/i);
+      if (satellites) fields.satellites = parseInt(satellites[1]);
+
+      const gprs = text.match(/\bGPRS\s*[:=]\s*Link\s*(Up|Down)/i);
+      if (gprs) fields.gprs = gprs[1].toLowerCase() === 'up';
+
+      const acc = text.match(/\bACC\s*[:=]\s*(ON|OFF)/i);
+      if (acc) fields.ignition = acc[1].toUpperCase() === 'ON';
+
+      return fields;
+    }
+  },
+
+  // SinoTrack: "ID:4105150888, GPS:A, GSM:25, BAT:80%, http://maps.google.com/maps?q=-23.550520,-46.633308"
+  st901: {
+    label: 'ST901 (SinoTrack)',
+    description: 'GPS:A/V, GSM (CSQ), BAT:%, link do Google Maps',
+    extractors: [...common.ALL, acknowledgement],
+    transform(fields, text) {
+      const id = text.match(/\bID\s*[:=]\s*(\d{10})\b/);
+      if (id) fields.deviceId = id[1];
+      return fields;
+    }
+  },
+
+  tk303: {
+    label: 'TK303 (Coban veicular)',
+    description: 'Mesmo formato do TK103, com ACC',
+    extractors: [common.position, common.speed, common.battery, common.gsmSignal, common.imei, common.server, common.apn, common.deviceTime, acknowledgement],
+    transform(fields, text) {
+      const acc = text.match(/\bACC\s*[:=]\s*(ON|OFF)/i);
+      if (acc) fields.ignition = acc[1].toUpperCase() === 'ON';
+      return fields;
+    }
+  },
+
+  // Concox personal tracker, same SMS protocol as GT06
+  gt02a: {
+    label: 'GT02A (Concox pessoal)',
+    description: 'Mesmo formato do GT06',
+    extractors: common.ALL,
+    transform: (fields, text) => parsers.gt06.transform(fields, text)
+  }
+};
+
+function hasParser(key) {
+  return Object.prototype.hasOwnProperty.call(parsers, key);
+}
+
+function listParsers() {
+  return Object.entries(parsers).map(([key, parser]) => ({
+    key,
+    label: parser.label,
+    description: parser.description
+  }));
+}
+
+// Parse a raw reply; returns { parser, fields } where fields only holds what was found
+function parseReply(key, text) {
+  const parserKey = key && hasParser(key) ? key : 'generic';
+  const parser = parsers[parserKey];
+  const raw = String(text || '');
+
+  let fields = common.extract(raw, parser.extractors);
+  if (parser.transform) {
+    fields = parser.transform(fields, raw);
+  }
+
+  return { parser: parserKey, fields };
+}
+
+module.exports = {
+  parsers,
+  hasParser,
+  listParsers,
+  parseReply
+};
@@ -0,0 +1,419 @@
+// PDF report of the send history
+// Rendered with pdfkit (no headless browser): branded header, summary
+// totals, a daily volume chart, per-model and per-day tables and the
+// detailed send list. Filters are the history filters (see src/history.js).
+
+const PDFDocument = require('pdfkit');
+
+const BRAND = {
+  name: 'DS Comandos',
+  company: 'Druzzo',
+  site: 'sms.druzzo.com.br',
+  primary: '#1e40af',
+  light: '#3b82f6',
+  error: '#dc2626',
+  success: '#10b981',
+  text: '#1f2937',
+  muted: '#6b7280',
+  rule: '#e5e7eb',
+  stripe: '#f3f4f6'
+};
+
+const MARGIN = 40;
+const DEFAULT_MAX_ROWS = 2000;
+
+const SENT_STATUSES = "('submitted', 'delivered', 'undelivered', 'expired')";
+
+const STATUS_LABELS = {
+  queued: 'Na fila',
+  submitted: 'Enviado',
+  delivered: 'Entregue',
+  undelivered: 'Não entregue',
+  expired: 'Expirado',
+  failed: 'Falhou',
+  cancelled: 'Cancelado'
+};
+
+const FILTER_LABELS = {
+  period: 'Período',
+  dateFrom: 'De',
+  dateTo: 'Até',
+  status: 'Status',
+  modelId: 'Modelo',
+  phoneNumber: 'Número',
+  deviceId: 'Dispositivo',
+  batchId: 'Lote',
+  userId: 'Usuário',
+  apiKeyId: 'Chave de API',
+  search: 'Busca'
+};
+
+const PERIOD_LABELS = { day: 'Últimas 24h', week: 'Últimos 7 dias', fortnight: 'Últimos 15 dias', month: 'Últimos 30 dias' };
+
+// Everything the report shows, for the given filters
+async function collectReportData(pool, { whereClause, params }, { maxRows = DEFAULT_MAX_ROWS } = {}) {
+  const from = `
+    FROM sms_history h
+    LEFT JOIN device_models m ON h.model_id = m.id
+    ${whereClause}
+  `;
+
+  const summary = await pool.query(`
+    SELECT
+      COUNT(*) as total,
+      COUNT(CASE WHEN h.status IN ${SENT_STATUSES} THEN 1 END) as sent,
+      COUNT(CASE WHEN h.status = 'delivered' THEN 1 END) as delivered,
+      COUNT(CASE WHEN h.status IN ('undelivered', 'expired') THEN 1 END) as undelivered,
+      COUNT(CASE WHEN h.status = 'failed' THEN 1 END) as failed,
+      COUNT(CASE WHEN h.status = 'queued' THEN 1 END) as queued,
+      COUNT(CASE WHEN h.status = 'cancelled' THEN 1 END) as cancelled,
+      COUNT(DISTINCT h.phone_number) as unique_numbers,
+      ROUND(AVG(CASE WHEN h.status IN ${SENT_STATUSES} THEN 1.0 ELSE 0.0 END) * 100, 2) as success_rate,
+      ROUND(
+        COUNT(CASE WHEN h.status = 'delivered' THEN 1 END) * 100.0 /
+        NULLIF(COUNT(CASE WHEN h.status IN ('delivered', 'undelivered', 'expired') THEN 1 END), 0),
+        2
+      ) as delivery_rate,
+      MIN(h.sent_at) as first_sent_at,
+      MAX(h.sent_at) as last_sent_at
+    ${from}
+  `, params);
+
+  const byModel = await pool.query(`
+    SELECT
+      COALESCE(m.name, '-') as name,
+      COUNT(*) as total,
+      COUNT(CASE WHEN h.status IN ${SENT_STATUSES} THEN 1 END) as sent,
+      COUNT(CASE WHEN h.status = 'delivered' THEN 1 END) as delivered,
+      COUNT(CASE WHEN h.status = 'failed' THEN 1 END) as failed
+    ${from}
+    GROUP BY m.name
+    ORDER BY total DESC
+  `, params);
+
+  const byDay = await pool.query(`
+    SELECT
+      DATE_TRUNC('day', h.sent_at) as day,
+      COUNT(*) as total,
+      COUNT(CASE WHEN h.status IN ${SENT_STATUSES} THEN 1 END) as sent,
+      COUNT(CASE WHEN h.status = 'delivered' THEN 1 END) as delivered,
+      COUNT(CASE WHEN h.status = 'failed' THEN 1 END) as failed
+    ${from}
+    GROUP BY DATE_TRUNC('day', h.sent_at)
+    ORDER BY day
+  `, params);
+
+  const rows = await pool.query(`
+    SELECT h.sent_at, h.phone_number, m.name as model_name, h.command_text, h.status, h.details
+    ${from}
+    ORDER BY h.sent_at DESC
+    LIMIT $${params.length + 1}
+  `, [...params, maxRows]);
+
+  const totals = summary.rows[0];
+  return {
+    summary: totals,
+    byModel: byModel.rows,
+    byDay: byDay.rows,
+    rows: rows.rows,
+    truncated: parseInt(totals.total) > rows.rows.length
+  };
+}
+
+function formatDate(value, withTime = true) {
+  if (!value) return '-';
+  const date = new Date(value);
+  return withTime ? date.toLocaleString('pt-BR') : date.toLocaleDateString('pt-BR');
+}
+
+function percent(part, total) {
+  const t = parseInt(total);
+  return t > 0 ? `${((parseInt(part) * 100) / t).toFixed(1)}%` : '-';
+}
+
+function describeFilters(applied) {
+  const parts = Object.entries(applied).map(([key, value]) => {
+    const shown = key === 'period' ? (PERIOD_LABELS[value] || `Últimos ${value} dias`)
+      : key === 'status' ? (STATUS_LABELS[value] || value)
+        : value;
+    return `${FILTER_LABELS[key] || key}: ${shown}`;
+  });
+  return parts.length > 0 ? parts.join('  •  ') : 'Todo o histórico';
+}
+
+function contentWidth(doc) {
+  return doc.page.width - MARGIN * 2;
+}
+
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - MARGIN - 20) {
+    doc.addPage();
+  }
+}
+
+function header(doc, { title, applied, generatedBy }) {
+  const width = doc.page.width;
+  doc.rect(0, 0, width, 80).fill(BRAND.primary);
+  doc.fillColor('#ffffff').font('Helvetica-Bold').fontSize(22).text(BRAND.name, MARGIN, 22);
+  doc.font('Helvetica').fontSize(10).text(`${BRAND.company}  •  ${BRAND.site}`, MARGIN, 50);
+  doc.font('Helvetica-Bold').fontSize(12).text(title, MARGIN, 28, { width: width - MARGIN * 2, align: 'right' });
+  doc.font('Helvetica').fontSize(9).text(
+    `Gerado em ${formatDate(new Date())}${generatedBy ? ` por ${generatedBy}` : ''}`,
+    MARGIN, 48, { width: width - MARGIN * 2, align: 'right' }
+  );
+
+  doc.fillColor(BRAND.muted).fontSize(9).text(describeFilters(applied), MARGIN, 92, { width: width - MARGIN * 2 });
+  doc.moveDown(1);
+}
+
+function sectionTitle(doc, text) {
+  ensureSpace(doc, 60);
+  doc.moveDown(0.5);
+  doc.fillColor(BRAND.primary).font('Helvetica-Bold').fontSize(13).text(text, MARGIN);
+  const y = doc.y + 2;
+  doc.moveTo(MARGIN, y).lineTo(MARGIN + contentWidth(doc), y).lineWidth(1).strokeColor(BRAND.rule).stroke();
+  doc.moveDown(0.6);
+}
+
+function summaryCards(doc, summary) {
+  const cards = [
+    ['Total', summary.total, BRAND.primary],
+    ['Enviados', summary.sent, BRAND.light],
+    ['Entregues', summary.delivered, BRAND.success],
+    ['Falhas', summary.failed, BRAND.error],
+    ['Taxa de sucesso', summary.success_rate !== null ? `${summary.success_rate}%` : '-', BRAND.primary],
+    ['Taxa de entrega', summary.delivery_rate !== null ? `${summary.delivery_rate}%` : '-', BRAND.success]
+  ];
+
+  const gap = 8;
+  const width = (contentWidth(doc) - gap * (cards.length - 1)) / cards.length;
+  const top = doc.y;
+
+  cards.forEach(([label, value, color], i) => {
+    const x = MARGIN + i * (width + gap);
+    doc.roundedRect(x, top, width, 52, 6).fill(BRAND.stripe);
+    doc.rect(x, top, 4, 52).fill(color);
+    doc.fillColor(BRAND.muted).font('Helvetica').fontSize(8).text(label, x + 10, top + 9, { width: width - 14 });
+    doc.fillColor(BRAND.text).font('Helvetica-Bold').fontSize(15).text(String(value), x + 10, top + 24, { width: width - 14 });
+  });
+
+  doc.x = MARGIN;
+  doc.y = top + 62;
+  doc.fillColor(BRAND.muted).font('Helvetica').fontSize(9).text(
+    `${summary.unique_numbers} números distintos  •  ${summary.undelivered} não entregues/expirados  •  ` +
+    `${summary.queued} na fila  •  ${summary.cancelled} cancelados  •  ` +
+    `de ${formatDate(summary.first_sent_at)} a ${formatDate(summary.last_sent_at)}`,
+    MARGIN
+  );
+}
+
+// Stacked bars per day: accepted by the provider, failed, other (queued or
+// cancelled)
+function dailyChart(doc, byDay) {
+  const height = 160;
+  ensureSpace(doc, height + 40);
+
+  const left = MARGIN + 30;
+  const width = contentWidth(doc) - 30;
+  const top = doc.y;
+  const bottom = top + height;
+  const max = Math.max(1, ...byDay.map(day => parseInt(day.total)));
+
+  // Axis and grid
+  doc.font('Helvetica').fontSize(7).fillColor(BRAND.muted);
+  [0, 0.5, 1].forEach(fraction => {
+    const y = bottom - height * fraction;
+    doc.moveTo(left, y).lineTo(left + width, y).lineWidth(0.5).strokeColor(BRAND.rule).stroke();
+    doc.text(String(Math.round(max * fraction)), MARGIN, y - 4, { width: 26, align: 'right' });
+  });
+
+  if (byDay.length === 0) {
+    doc.fillColor(BRAND.muted).fontSize(10).text('Sem envios no período', left, top + height / 2 - 5, { width, align: 'center' });
+  }
+
+  const slot = width / Math.max(byDay.length, 1);
+  const bar = Math.max(Math.min(slot * 0.7, 28), 1);
+  const labelEvery = Math.ceil(byDay.length / 12);
+
+  byDay.forEach((day, i) => {
+    const x = left + i * slot + (slot - bar) / 2;
+    const sent = parseInt(day.sent);
+    const failed = parseInt(day.failed);
+    const other = parseInt(day.total) - sent - failed;
+    let y = bottom;
+
+    [[sent, BRAND.light], [failed, BRAND.error], [other, BRAND.muted]].forEach(([count, color]) => {
+      if (count <= 0) return;
+      const h = (count / max) * height;
+      y -= h;
+      doc.rect(x, y, bar, h).fill(color);
+    });
+
+    if (i % labelEvery === 0) {
+      doc.fillColor(BRAND.muted).fontSize(7).text(
+        new Date(day.day).toLocaleDateString('pt-BR', { day: '2-digit', month: '2-digit' }),
+        left + i * slot - 10, bottom + 4, { width: slot + 20, align: 'center' }
+      );
+    }
+  });
+
+  // Legend
+  const legendY = bottom + 18;
+  let legendX = left;
+  [['Enviados', BRAND.light], ['Falhas', BRAND.error], ['Na fila / cancelados', BRAND.muted]].forEach(([label, color]) => {
+    doc.rect(legendX, legendY + 1, 8, 8).fill(color);
+    doc.fillColor(BRAND.text).fontSize(8).text(label, legendX + 12, legendY, { lineBreak: false });
+    legendX += 24 + doc.widthOfString(label);
+  });
+
+  doc.x = MARGIN;
+  doc.y = legendY + 18;
+}
+
+// Simple table with a repeated header row on every page
+function table(doc, columns, rows) {
+  const width = contentWidth(doc);
+  const totalWeight = columns.reduce((sum, column) => sum + column.weight, 0);
+  const widths = columns.map(column => (column.weight / totalWeight) * width);
+  const padding = 4;
+
+  const drawHeader = () => {
+    const top = doc.y;
+    doc.rect(MARGIN, top, width, 18).fill(BRAND.primary);
+    let x = MARGIN;
+    doc.font('Helvetica-Bold').fontSize(8).fillColor('#ffffff');
+    columns.forEach((column, i) => {
+      doc.text(column.header, x + padding, top + 5, { width: widths[i] - padding * 2, align: column.align || 'left', lineBreak: false });
+      x += widths[i];
+    });
+    doc.y = top + 18;
+  };
+
+  ensureSpace(doc, 40);
+  drawHeader();
+  doc.font('Helvetica').fontSize(8);
+
+  rows.forEach((row, index) => {
+    const cells = columns.map(column => String(column.value(row) ?? ''));
+    const height = Math.max(...cells.map((cell, i) => doc.heightOfString(cell, { width: widths[i] - padding * 2 }))) + padding * 2;
+
+    if (doc.y + height > doc.page.height - MARGIN - 20) {
+      doc.addPage();
+      drawHeader();
+      doc.font('Helvetica').fontSize(8);
+    }
+
+    const top = doc.y;
+    if (index % 2 === 1) {
+      doc.rect(MARGIN, top, width, height).fill(BRAND.stripe);
+    }
+
+    let x = MARGIN;
+    cells.forEach((cell, i) => {
+      const color = columns[i].color ? columns[i].color(rows[index]) : BRAND.text;
+      doc.fillColor(color || BRAND.text).text(cell, x + padding, top + padding, { width: widths[i] - padding * 2, align: columns[i].align || 'left' });
+      x += widths[i];
+    });
+    doc.y = top + height;
+  });
+
+  doc.x = MARGIN;
+  doc.moveDown(0.5);
+}
+
+function statusColor(row) {
+  if (['failed', 'undelivered', 'expired', 'cancelled'].includes(row.status)) return BRAND.error;
+  if (row.status === 'delivered') return BRAND.success;
+  return BRAND.text;
+}
+
+function pageNumbers(doc) {
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    // The footer sits inside the bottom margin; without this pdfkit would
+    // start a new page for it
+    doc.page.margins.bottom = 0;
+    doc.font('Helvetica').fontSize(8).fillColor(BRAND.muted).text(
+      `${BRAND.name} — página ${i + 1} de ${range.count}`,
+      MARGIN, doc.page.height - MARGIN + 10,
+      { width: doc.page.width - MARGIN * 2, align: 'center', lineBreak: false }
+    );
+  }
+}
+
+// Write the report to a writable stream (an HTTP response). Resolves once
+// the whole document has been written.
+async function writeHistoryReport(pool, filters, output, { title = 'Relatório de envios', generatedBy, maxRows } = {}) {
+  const data = await collectReportData(pool, filters, { maxRows });
+
+  const doc = new PDFDocument({
+    size: 'A4',
+    margins: { top: MARGIN, bottom: MARGIN, left: MARGIN, right: MARGIN },
+    bufferPages: true,
+    info: { Title: `${BRAND.name} - ${title}`, Author: BRAND.company }
+  });
+
+  const finished = new Promise((resolve, reject) => {
+    output.on('finish', resolve);
+    output.on('error', reject);
+    doc.on('error', reject);
+  });
+  doc.pipe(output);
+
+  header(doc, { title, applied: filters.applied, generatedBy });
+
+  sectionTitle(doc, 'Resumo');
+  summaryCards(doc, data.summary);
+
+  sectionTitle(doc, 'Volume diário');
+  dailyChart(doc, data.byDay);
+
+  sectionTitle(doc, 'Por modelo');
+  table(doc, [
+    { header: 'Modelo', weight: 3, value: row => row.name },
+    { header: 'Total', weight: 1, align: 'right', value: row => row.total },
+    { header: 'Enviados', weight: 1, align: 'right', value: row => row.sent },
+    { header: 'Entregues', weight: 1, align: 'right', value: row => row.delivered },
+    { header: 'Falhas', weight: 1, align: 'right', value: row => row.failed },
+    { header: 'Sucesso', weight: 1, align: 'right', value: row => percent(row.sent, row.total) }
+  ], data.byModel);
+
+  sectionTitle(doc, 'Por dia');
+  table(doc, [
+    { header: 'Dia', weight: 2, value: row => formatDate(row.day, false) },
+    { header: 'Total', weight: 1, align: 'right', value: row => row.total },
+    { header: 'Enviados', weight: 1, align: 'right', value: row => row.sent },
+    { header: 'Entregues', weight: 1, align: 'right', value: row => row.delivered },
+    { header: 'Falhas', weight: 1, align: 'right', value: row => row.failed },
+    { header: 'Sucesso', weight: 1, align: 'right', value: row => percent(row.sent, row.total) }
+  ], [...data.byDay].reverse());
+
+  sectionTitle(doc, 'Envios');
+  if (data.truncated) {
+    doc.fillColor(BRAND.muted).font('Helvetica').fontSize(8).text(
+      `Mostrando os ${data.rows.length} envios mais recentes de ${data.summary.total}. Use a exportação CSV para a lista completa.`,
+      MARGIN
+    );
+    doc.moveDown(0.4);
+  }
+  table(doc, [
+    { header: 'Data/Hora', weight: 2.2, value: row => formatDate(row.sent_at) },
+    { header: 'Número', weight: 2, value: row => row.phone_number },
+    { header: 'Modelo', weight: 1.4, value: row => row.model_name || '-' },
+    { header: 'Comando', weight: 2.4, value: row => row.command_text },
+    { header: 'Status', weight: 1.4, value: row => STATUS_LABELS[row.status] || row.status, color: statusColor },
+    { header: 'Detalhes', weight: 3.6, value: row => row.details || '-' }
+  ], data.rows);
+
+  pageNumbers(doc);
+  doc.end();
+
+  await finished;
+}
+
+module.exports = {
+  STATUS_LABELS,
+  collectReportData,
+  writeHistoryReport
+};
@@ -0,0 +1,182 @@
+// Brazilian phone numbers
+// Every number the API stores goes through normalizePhone(), so the same
+// SIM is always "+5511999999999" whether it was typed as "11999999999",
+// "+55 (11) 99999-9999" or "0 15 11 99999-9999". Trackers only take SMS on
+// mobile lines: landlines are rejected, and 8-digit mobile numbers written
+// before the 9th digit was added get it prepended.
+//
+// The carrier comes from the portability table (phone_portability, kept
+// through /api/phones/portability) or, for numbers never ported, from the
+// prefix ranges in catalog/carriers.yml.
+
+const fs = require('fs');
+const yaml = require('js-yaml');
+
+// DDD -> state
+const DDD_STATES = {
+  11: 'SP', 12: 'SP', 13: 'SP', 14: 'SP', 15: 'SP', 16: 'SP', 17: 'SP', 18: 'SP', 19: 'SP',
+  21: 'RJ', 22: 'RJ', 24: 'RJ', 27: 'ES', 28: 'ES',
+  31: 'MG', 32: 'MG', 33: 'MG', 34: 'MG', 35: 'MG', 37: 'MG', 38: 'MG',
+  41: 'PR', 42: 'PR', 43: 'PR', 44: 'PR', 45: 'PR', 46: 'PR', 47: 'SC', 48: 'SC', 49: 'SC',
+  51: 'RS', 53: 'RS', 54: 'RS', 55: 'RS',
+  61: 'DF', 62: 'GO', 63: 'TO', 64: 'GO', 65: 'MT', 66: 'MT', 67: 'MS', 68: 'AC', 69: 'RO',
+  71: 'BA', 73: 'BA', 74: 'BA', 75: 'BA', 77: 'BA', 79: 'SE',
+  81: 'PE', 82: 'AL', 83: 'PB', 84: 'RN', 85: 'CE', 86: 'PI', 87: 'PE', 88: 'CE', 89: 'PI',
+  91: 'PA', 92: 'AM', 93: 'PA', 94: 'PA', 95: 'RR', 96: 'AP', 97: 'AM', 98: 'MA', 99: 'MA'
+};
+
+// Normalized numbers as stored in the database
+const E164_PATTERN = /^\+55[1-9]\d9\d{8}$/;
+
+class PhoneError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'PhoneError';
+    this.code = code;
+  }
+}
+
+// Returns { e164, ddd, state, subscriber, national }. Throws PhoneError
+// whose message reads after the field name ("phoneNumber is a landline...").
+function normalizePhone(input) {
+  const raw = input === undefined || input === null ? '' : String(input).trim();
+  if (raw === '') throw new PhoneError('is required', 'required');
+  if (!/^\+?[\d\-().\s]+$/.test(raw)) throw new PhoneError('is not a valid phone number', 'invalid');
+
+  let digits = raw.replace(/\D/g, '');
+
+  if (raw.startsWith('+') || digits.startsWith('00')) {
+    digits = digits.replace(/^00/, '');
+    if (!digits.startsWith('55')) {
+      throw new PhoneError('is not a Brazilian number (+55)', 'foreign');
+    }
+    digits = digits.slice(2);
+  } else if (digits.startsWith('0')) {
+    // Trunk prefix, optionally followed by a carrier selection code
+    // (0 15 11 99999-9999)
+    digits = digits.slice(1);
+    if (digits.length === 12 || digits.length === 13) digits = digits.slice(2);
+  } else if (digits.startsWith('55') && (digits.length === 12 || digits.length === 13)) {
+    digits = digits.slice(2);
+  }
+
+  if (digits.length !== 10 && digits.length !== 11) {
+    throw new PhoneError('must have the DDD and the number (10 or 11 digits)', 'invalid');
+  }
+
+  const ddd = digits.slice(0, 2);
+  if (!DDD_STATES[ddd]) {
+    throw new PhoneError(`has an unknown DDD (${ddd})`, 'ddd');
+  }
+
+  let subscriber = digits.slice(2);
+  if (/^[2-5]/.test(subscriber)) {
+    throw new PhoneError('is a landline; trackers need a mobile number', 'landline');
+  }
+  if (subscriber.length === 8) {
+    if (!/^[6-9]/.test(subscriber)) throw new PhoneError('is not a valid phone number', 'invalid');
+    subscriber = `9${subscriber}`;
+  } else if (!subscriber.startsWith('9')) {
+    throw new PhoneError('is not a mobile number', 'invalid');
+  }
+
+  return {
+    e164: `+55${ddd}${subscriber}`,
+    ddd,
+    state: DDD_STATES[ddd],
+    subscriber,
+    national: `(${ddd}) ${subscriber.slice(0, 5)}-${subscriber.slice(5)}`
+  };
+}
+
+// normalizePhone() or null
+function tryNormalizePhone(input) {
+  try {
+    return normalizePhone(input);
+  } catch (error) {
+    if (!(error instanceof PhoneError)) throw error;
+    return null;
+  }
+}
+
+// Read catalog/carriers.yml (or a replacement) into
+// { carriers: { key: { name, type } }, ranges: [{ carrier, ddd, prefix }] },
+// longest prefixes first
+function loadCarrierTable(file) {
+  const data = yaml.load(fs.readFileSync(file, 'utf8')) || {};
+  const carriers = data.carriers || {};
+  const ranges = [];
+
+  for (const [i, range] of (data.ranges || []).entries()) {
+    if (!carriers[range.carrier]) {
+      throw new Error(`${file}: ranges[${i}] uses unknown carrier "${range.carrier}"`);
+    }
+    for (const prefix of range.prefixes || []) {
+      ranges.push({
+        carrier: range.carrier,
+        ddd: range.ddd ? range.ddd.map(String) : null,
+        prefix: String(prefix)
+      });
+    }
+  }
+
+  ranges.sort((a, b) => b.prefix.length - a.prefix.length || Number(Boolean(b.ddd)) - Number(Boolean(a.ddd)));
+  return { carriers, ranges };
+}
+
+function carrierInfo(table, key, source) {
+  const carrier = table.carriers[key];
+  return {
+    key,
+    name: carrier ? carrier.name : key,
+    type: carrier ? carrier.type : null,
+    source
+  };
+}
+
+// Carrier of a normalized number from the prefix ranges; null when no
+// range matches
+function carrierByPrefix(table, phone) {
+  const range = table.ranges.find(candidate =>
+    phone.subscriber.startsWith(candidate.prefix) && (!candidate.ddd || candidate.ddd.includes(phone.ddd)));
+  return range ? carrierInfo(table, range.carrier, 'prefix') : null;
+}
+
+// Carriers for a list of stored numbers, portability first. Returns a Map
+// from each number to { key, name, type, source } (null for numbers that do
+// not normalize or match no range).
+async function lookupCarriers(db, table, numbers) {
+  const phones = new Map();
+  for (const number of new Set(numbers)) {
+    phones.set(number, tryNormalizePhone(number));
+  }
+
+  const e164s = [...new Set([...phones.values()].filter(Boolean).map(phone => phone.e164))];
+  const ported = e164s.length === 0 ? [] : (await db.query(
+    'SELECT phone_number, carrier FROM phone_portability WHERE phone_number = ANY($1)',
+    [e164s]
+  )).rows;
+  const portedTo = new Map(ported.map(row => [row.phone_number, row.carrier]));
+
+  const result = new Map();
+  for (const [number, phone] of phones) {
+    if (!phone) {
+      result.set(number, null);
+    } else if (portedTo.has(phone.e164)) {
+      result.set(number, carrierInfo(table, portedTo.get(phone.e164), 'portability'));
+    } else {
+      result.set(number, carrierByPrefix(table, phone));
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  DDD_STATES,
+  E164_PATTERN,
+  PhoneError,
+  normalizePhone,
+  tryNormalizePhone,
+  loadCarrierTable,
+  lookupCarriers
+};
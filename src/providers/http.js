@@ -0,0 +1,125 @@
+// HTTP REST gateway provider
+// Works with most Brazilian SMS gateways that accept a JSON POST and answer
+// with a message ID. Field names on the way back vary between vendors, so
+// the adapter looks for the usual candidates.
+
+const { parseReportTime } = require('../lifecycle');
+
+function pick(obj, paths) {
+  for (const p of paths) {
+    const value = p.split('.').reduce((acc, key) => (acc == null ? undefined : acc[key]), obj);
+    if (value !== undefined && value !== null && value !== '') {
+      return value;
+    }
+  }
+  return undefined;
+}
+
+const ID_FIELDS = ['messageId', 'message_id', 'id', 'data.id', 'data.messageId', 'messages.0.id'];
+const ERROR_FIELDS = ['errorCode', 'error_code', 'error.code', 'code'];
+const DETAIL_FIELDS = ['message', 'detail', 'details', 'error.message', 'error', 'description'];
+const STATUS_FIELDS = ['status', 'data.status', 'state', 'stat'];
+const DONE_TIME_FIELDS = ['doneAt', 'done_at', 'deliveredAt', 'delivered_at', 'timestamp', 'data.timestamp'];
+const DLR_ID_FIELDS = [...ID_FIELDS, 'msgId', 'msg_id', 'reference'];
+
+function createHttpProvider(name, settings = {}) {
+  if (!settings.url) {
+    throw new Error(`Provider "${name}" requires a URL (SMS_${name.toUpperCase()}_URL)`);
+  }
+
+  const timeout = parseInt(settings.timeoutMs) || 10000;
+
+  const headers = { 'Content-Type': 'application/json', Accept: 'application/json' };
+  if (settings.apiKey && settings.apiSecret) {
+    headers.Authorization = 'Basic ' + Buffer.from(`${settings.apiKey}:${settings.apiSecret}`).toString('base64');
+  } else if (settings.apiKey) {
+    headers.Authorization = `Bearer ${settings.apiKey}`;
+  }
+
+  async function request(url, options) {
+    const response = await fetch(url, {
+      ...options,
+      headers,
+      signal: AbortSignal.timeout(timeout)
+    });
+
+    const raw = await response.text();
+    let body;
+    try {
+      body = raw ? JSON.parse(raw) : {};
+    } catch (e) {
+      body = { raw };
+    }
+
+    return { response, body };
+  }
+
+  return {
+    name,
+    type: 'http',
+
+    async send({ to, text }) {
+      try {
+        const { response, body } = await request(settings.url, {
+          method: 'POST',
+          body: JSON.stringify({ to, message: text, from: settings.sender || undefined })
+        });
+
+        const messageId = pick(body, ID_FIELDS);
+
+        if (!response.ok || !messageId) {
+          return {
+            success: false,
+            errorCode: String(pick(body, ERROR_FIELDS) || `HTTP_${response.status}`),
+            details: String(pick(body, DETAIL_FIELDS) || response.statusText || 'Gateway rejected the message'),
+            raw: body
+          };
+        }
+
+        return {
+          success: true,
+          messageId: String(messageId),
+          details: `Accepted by ${name}`,
+          raw: body
+        };
+      } catch (error) {
+        return {
+          success: false,
+          errorCode: error.name === 'TimeoutError' ? 'TIMEOUT' : 'CONNECTION_ERROR',
+          details: error.message
+        };
+      }
+    },
+
+    // Delivery report webhook body -> { messageId, status, errorCode?, doneAt? }
+    parseDlr(body) {
+      return {
+        messageId: pick(body, DLR_ID_FIELDS),
+        status: pick(body, STATUS_FIELDS),
+        errorCode: pick(body, ERROR_FIELDS),
+        doneAt: parseReportTime(pick(body, DONE_TIME_FIELDS))
+      };
+    },
+
+    async status(messageId) {
+      if (!settings.statusUrl) {
+        throw new Error(`Provider "${name}" has no status URL configured`);
+      }
+
+      const url = settings.statusUrl.replace('{id}', encodeURIComponent(messageId));
+      const { response, body } = await request(url, { method: 'GET' });
+
+      if (!response.ok) {
+        throw new Error(`Status lookup failed with HTTP ${response.status}`);
+      }
+
+      return {
+        messageId,
+        status: String(pick(body, STATUS_FIELDS) || 'unknown').toLowerCase(),
+        raw: body
+      };
+    }
+  };
+}
+
+module.exports = createHttpProvider;
@@ -0,0 +1,189 @@
+// SMS provider registry and failover chain
+//
+// Providers are configured through SMS_PROVIDERS, a comma separated list in
+// failover order. It is required unless NODE_ENV is development or test,
+// where it defaults to the mock provider. Each entry is "type" or "type:name"; the settings of an
+// entry are read from SMS_<NAME>_* variables (name defaults to the type):
+//
+//   SMS_PROVIDERS=http:zenvia,http:backup
+//   SMS_ZENVIA_URL=https://gateway.example/v1/sms
+//   SMS_ZENVIA_API_KEY=...
+//
+// Every provider exposes the same interface:
+//   send({ to, text })   -> { success, messageId?, errorCode?, details?, raw? }
+//   status(messageId)    -> { messageId, status, raw? }
+//   parseDlr(body)       -> { messageId, status, errorCode?, doneAt? } (optional,
+//                           for gateways that post delivery reports to us)
+//
+// Providers that receive delivery receipts or inbound SMS (SMPP, GSM modems)
+// are EventEmitters and emit 'receipt' ({ provider, messageId, status,
+// errorCode?, doneAt? }) and 'message' ({ provider, from, text }).
+
+const { parseReportTime } = require('../lifecycle');
+const createMockProvider = require('./mock');
+const createHttpProvider = require('./http');
+const createSmppProvider = require('./smpp');
+const createModemProvider = require('./modem');
+
+const factories = {
+  mock: createMockProvider,
+  http: createHttpProvider,
+  smpp: createSmppProvider,
+  modem: createModemProvider
+};
+
+function toCamelCase(suffix) {
+  return suffix.toLowerCase().replace(/_([a-z])/g, (_, c) => c.toUpperCase());
+}
+
+// Collect SMS_<NAME>_* variables into a settings object
+function readSettings(name, env) {
+  const prefix = `SMS_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+  const settings = {};
+
+  for (const [key, value] of Object.entries(env)) {
+    if (key.startsWith(prefix)) {
+      settings[toCamelCase(key.slice(prefix.length))] = value;
+    }
+  }
+
+  return settings;
+}
+
+function createProvider(entry, env = process.env) {
+  const [type, instanceName] = entry.trim().split(':');
+  const name = instanceName || type;
+  const factory = factories[type];
+
+  if (!factory) {
+    throw new Error(`Unknown SMS provider type "${type}". Available: ${Object.keys(factories).join(', ')}`);
+  }
+
+  const settings = readSettings(name, env);
+
+  // Keep the variables documented in the README working for the default HTTP gateway
+  if (type === 'http' && name === 'http') {
+    settings.apiKey = settings.apiKey || env.SMS_PROVIDER_API_KEY;
+    settings.apiSecret = settings.apiSecret || env.SMS_PROVIDER_API_SECRET;
+  }
+
+  return factory(name, settings);
+}
+
+// Try each provider in order until one accepts the message
+function createProviderChain(providers) {
+  if (providers.length === 0) {
+    throw new Error('At least one SMS provider must be configured');
+  }
+
+  const byName = new Map(providers.map(p => [p.name, p]));
+
+  return {
+    providers,
+
+    get(name) {
+      return byName.get(name);
+    },
+
+    async send(message) {
+      const attempts = [];
+
+      for (const provider of providers) {
+        let result;
+        try {
+          result = await provider.send(message);
+        } catch (error) {
+          result = { success: false, errorCode: 'PROVIDER_ERROR', details: error.message };
+        }
+
+        attempts.push({
+          provider: provider.name,
+          success: result.success,
+          messageId: result.messageId,
+          errorCode: result.errorCode,
+          details: result.details
+        });
+
+        if (result.success) {
+          return { ...result, provider: provider.name, attempts };
+        }
+
+        console.warn(`⚠️ Provider ${provider.name} rejected message to ${message.to}: ${result.errorCode} - ${result.details}`);
+      }
+
+      const last = attempts[attempts.length - 1];
+      return {
+        success: false,
+        provider: last.provider,
+        errorCode: last.errorCode,
+        details: last.details,
+        attempts
+      };
+    },
+
+    async status(providerName, messageId) {
+      const provider = byName.get(providerName);
+      if (!provider) {
+        throw new Error(`Provider "${providerName}" is not configured`);
+      }
+      return provider.status(messageId);
+    },
+
+    // Delivery report webhook body of a provider, in the common shape
+    parseDlr(providerName, body) {
+      const provider = byName.get(providerName);
+      if (provider && typeof provider.parseDlr === 'function') {
+        return { provider: providerName, ...provider.parseDlr(body) };
+      }
+
+      return {
+        provider: providerName,
+        messageId: body.messageId || body.message_id || body.id,
+        status: body.status || body.stat,
+        errorCode: body.errorCode || body.error_code || body.err,
+        doneAt: parseReportTime(body.doneAt || body.done_at || body.timestamp)
+      };
+    },
+
+    // Forward receipt/message events from every provider that emits them
+    on(event, listener) {
+      for (const provider of providers) {
+        if (typeof provider.on === 'function') {
+          provider.on(event, listener);
+        }
+      }
+    },
+
+    async close() {
+      await Promise.all(providers
+        .filter(provider => typeof provider.close === 'function')
+        .map(provider => provider.close()));
+    }
+  };
+}
+
+// The mock provider reports messages as sent without sending anything, so it
+// is the default and is accepted only in these environments
+const MOCK_ENVIRONMENTS = ['development', 'test'];
+
+function loadProvidersFromEnv(env = process.env) {
+  const mockAllowed = MOCK_ENVIRONMENTS.includes(env.NODE_ENV);
+  const configured = (env.SMS_PROVIDERS || '').split(',').filter(e => e.trim());
+
+  if (configured.length === 0 && !mockAllowed) {
+    throw new Error('SMS_PROVIDERS is not set; list the SMS providers to send through (e.g. SMS_PROVIDERS=http:zenvia)');
+  }
+  const entries = configured.length > 0 ? configured : ['mock'];
+  if (!mockAllowed && entries.some(entry => entry.trim().split(':')[0] === 'mock')) {
+    throw new Error(`The mock SMS provider only runs with NODE_ENV=${MOCK_ENVIRONMENTS.join(' or ')}; remove it from SMS_PROVIDERS`);
+  }
+
+  return createProviderChain(entries.map(entry => createProvider(entry, env)));
+}
+
+module.exports = {
+  factories,
+  createProvider,
+  createProviderChain,
+  loadProvidersFromEnv
+};
@@ -0,0 +1,41 @@
+// Mock SMS provider (development only)
+// Simulates a gateway with a configurable failure rate so the rest of the
+// pipeline can be exercised without a real carrier account.
+
+function createMockProvider(name, settings = {}) {
+  const failureRate = settings.failureRate !== undefined ? parseFloat(settings.failureRate) : 0.1;
+  const delay = settings.delayMs !== undefined ? parseInt(settings.delayMs) : 100;
+
+  return {
+    name,
+    type: 'mock',
+
+    async send({ to, text }) {
+      await new Promise(resolve => setTimeout(resolve, delay));
+
+      if (Math.random() < failureRate) {
+        return {
+          success: false,
+          errorCode: 'NETWORK_ERROR',
+          details: 'SMS delivery failed - network error'
+        };
+      }
+
+      return {
+        success: true,
+        messageId: `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        details: `Mock provider accepted "${text}" for ${to}`
+      };
+    },
+
+    async status(messageId) {
+      return {
+        messageId,
+        status: 'submitted',
+        details: 'Mock provider does not track delivery'
+      };
+    }
+  };
+}
+
+module.exports = createMockProvider;
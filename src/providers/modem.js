@@ -0,0 +1,139 @@
+// GSM modem provider
+// Sends through one or more local modems (SIM bank) in round-robin. When a
+// modem fails the next one is tried before the message is rejected.
+// Incoming SMS read from the modems are re-emitted as 'message' and status
+// reports (+CDS) as 'receipt'.
+
+const { EventEmitter } = require('events');
+const { AtModem } = require('../modem/at-modem');
+
+const REOPEN_DELAY = 30000;
+
+// Lifecycle status of a TP-Status value (3GPP TS 23.040 9.2.3.15), or null
+// while the SMSC is still trying to deliver
+function reportStatus(status) {
+  if (status < 0x20) return 'delivered';
+  if (status < 0x40) return null;
+  return status === 0x46 ? 'expired' : 'undelivered';
+}
+
+function createModemProvider(name, settings = {}) {
+  const devices = (settings.devices || '').split(',').map(d => d.trim()).filter(Boolean);
+  if (devices.length === 0) {
+    throw new Error(`Provider "${name}" requires at least one device (SMS_${name.toUpperCase()}_DEVICES)`);
+  }
+
+  const provider = new EventEmitter();
+  let closed = false;
+  let next = 0;
+  // "<device>:<reference>" -> message ID of the latest SMS sent with it
+  const sent = new Map();
+
+  const modems = devices.map(path => {
+    const modem = new AtModem({
+      path,
+      baudRate: settings.baudRate ? parseInt(settings.baudRate) : null,
+      sendTimeout: parseInt(settings.timeoutMs) || 60000
+    });
+
+    modem.on('message', message => {
+      provider.emit('message', {
+        provider: name,
+        device: path,
+        from: message.from,
+        text: message.text,
+        receivedAt: message.receivedAt
+      });
+    });
+    modem.on('report', report => {
+      const key = `${modem.name}:${report.reference}`;
+      const status = reportStatus(report.status);
+      if (!sent.has(key) || !status) return;
+
+      provider.emit('receipt', {
+        provider: name,
+        messageId: sent.get(key),
+        status,
+        errorCode: status === 'delivered' ? undefined : String(report.status),
+        doneAt: report.doneAt,
+        raw: report
+      });
+      sent.delete(key);
+    });
+    modem.on('error', error => console.error(`❌ Modem ${path} error:`, error.message));
+    // Unplugged or stopped answering after it opened: reopen like a failed start
+    modem.on('close', () => {
+      console.error(`❌ Modem ${path} closed`);
+      if (!closed) setTimeout(() => open(modem), REOPEN_DELAY).unref();
+    });
+
+    return modem;
+  });
+
+  // Keep trying to open modems that are unplugged or busy
+  const open = modem => {
+    modem.open()
+      .then(() => console.log(`✅ Modem ${modem.name} ready`))
+      .catch(error => {
+        console.error(`❌ Modem ${modem.name} unavailable:`, error.message);
+        modem.close();
+        if (!closed) setTimeout(() => open(modem), REOPEN_DELAY).unref();
+      });
+  };
+  modems.forEach(open);
+
+  return Object.assign(provider, {
+    name,
+    type: 'modem',
+    modems,
+
+    async send({ to, text }) {
+      const ready = modems.filter(modem => modem.ready);
+      if (ready.length === 0) {
+        return { success: false, errorCode: 'NO_MODEM_AVAILABLE', details: 'No GSM modem is ready' };
+      }
+
+      const start = next++ % ready.length;
+      let lastError;
+
+      for (let i = 0; i < ready.length; i++) {
+        const modem = ready[(start + i) % ready.length];
+        try {
+          const reference = await modem.sendSms(to, text);
+          // Modem references wrap at 255, so make them unique per device
+          const messageId = `${modem.name}:${reference}:${Date.now()}`;
+          if (reference !== null) sent.set(`${modem.name}:${reference}`, messageId);
+          return {
+            success: true,
+            messageId,
+            details: `Sent by modem ${modem.name}`
+          };
+        } catch (error) {
+          lastError = error;
+          console.warn(`⚠️ Modem ${modem.name} failed to send to ${to}: ${error.message}`);
+        }
+      }
+
+      return {
+        success: false,
+        errorCode: lastError.code || 'MODEM_ERROR',
+        details: lastError.message
+      };
+    },
+
+    async status(messageId) {
+      return {
+        messageId,
+        status: 'submitted',
+        details: 'GSM modems cannot be queried; delivery arrives as a status report'
+      };
+    },
+
+    close() {
+      closed = true;
+      modems.forEach(modem => modem.close());
+    }
+  });
+}
+
+module.exports = createModemProvider;
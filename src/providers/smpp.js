@@ -0,0 +1,111 @@
+// SMPP provider
+// Wraps SmppClient behind the common provider interface. The session is
+// opened when the provider is created and kept alive by the client; delivery
+// receipts and MO messages are re-emitted as 'receipt' and 'message'.
+
+const fs = require('fs');
+const { EventEmitter } = require('events');
+const { DateTime } = require('luxon');
+const { SmppClient } = require('../smpp/client');
+const { normalizeStatus } = require('../lifecycle');
+
+function toInt(value, fallback) {
+  const parsed = parseInt(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+}
+
+function createSmppProvider(name, settings = {}) {
+  if (!settings.host) {
+    throw new Error(`Provider "${name}" requires a host (SMS_${name.toUpperCase()}_HOST)`);
+  }
+
+  // Receipt dates are in the SMSC's local time (Brazilian SMSCs: America/Sao_Paulo)
+  const timezone = settings.timezone || 'UTC';
+  if (!DateTime.now().setZone(timezone).isValid) {
+    throw new Error(`Provider "${name}" has an invalid timezone "${timezone}" (SMS_${name.toUpperCase()}_TIMEZONE, e.g. America/Sao_Paulo or UTC-3)`);
+  }
+
+  const password = settings.passwordFile
+    ? fs.readFileSync(settings.passwordFile, 'utf8').trim()
+    : settings.password;
+
+  const client = new SmppClient({
+    host: settings.host,
+    port: toInt(settings.port, 2775),
+    systemId: settings.systemId || '',
+    password: password || '',
+    systemType: settings.systemType || '',
+    sourceAddr: settings.sourceAddr || '',
+    sourceTon: toInt(settings.sourceTon, 0),
+    sourceNpi: toInt(settings.sourceNpi, 0),
+    destTon: toInt(settings.destTon, 1),
+    destNpi: toInt(settings.destNpi, 1),
+    windowSize: toInt(settings.windowSize, 10),
+    enquireLinkInterval: toInt(settings.enquireLinkMs, 30000),
+    responseTimeout: toInt(settings.timeoutMs, 10000),
+    timezone
+  });
+
+  const provider = new EventEmitter();
+
+  client.on('bound', systemId => console.log(`✅ SMPP ${name} bound to ${settings.host} (${systemId || 'SMSC'})`));
+  client.on('disconnect', () => console.warn(`⚠️ SMPP ${name} disconnected, reconnecting...`));
+  client.on('error', error => console.error(`❌ SMPP ${name} error:`, error.message));
+
+  client.on('receipt', receipt => {
+    provider.emit('receipt', {
+      provider: name,
+      messageId: receipt.messageId,
+      status: normalizeStatus(receipt.stat || receipt.state) || 'unknown',
+      errorCode: receipt.err && receipt.err !== '000' ? receipt.err : undefined,
+      doneAt: receipt.doneDate,
+      raw: receipt
+    });
+  });
+
+  client.on('message', message => {
+    provider.emit('message', { provider: name, ...message });
+  });
+
+  client.connect().catch(error => {
+    console.error(`❌ SMPP ${name} initial bind failed:`, error.message);
+  });
+
+  return Object.assign(provider, {
+    name,
+    type: 'smpp',
+    client,
+
+    async send({ to, text }) {
+      try {
+        const messageId = await client.submit(to.replace(/\D/g, ''), text);
+        return {
+          success: true,
+          messageId,
+          details: `Accepted by SMSC ${client.remoteSystemId || settings.host}`
+        };
+      } catch (error) {
+        return {
+          success: false,
+          errorCode: error.code || 'SMPP_ERROR',
+          details: error.message
+        };
+      }
+    },
+
+    async status(messageId) {
+      const result = await client.query(messageId);
+      return {
+        messageId,
+        status: normalizeStatus(result.state) || result.state.toLowerCase(),
+        raw: result
+      };
+    },
+
+    close() {
+      return client.close();
+    }
+  });
+}
+
+module.exports = createSmppProvider;
@@ -0,0 +1,404 @@
+// Durable SMS send queue
+//
+// POST /api/sms/send stores one sms_history row ('queued') and one sms_jobs
+// row per recipient, then returns. Every replica runs a SendQueueWorker that
+// claims due jobs with FOR UPDATE SKIP LOCKED, so a job is only picked up by
+// one replica at a time.
+//
+//   pending -> processing -> done
+//                         -> pending (retry, exponential backoff)
+//                         -> dead    (max attempts reached)
+//   pending -> cancelled (batch cancelled, see src/batches.js)
+//
+// A job left in 'processing' by a replica that died is claimed again once
+// its lock is older than lockTimeout.
+//
+// An optional throttle(job) resolving to { allowed, retryAfter } (seconds)
+// is asked before each send; a job it refuses goes back to 'pending' until
+// retryAfter without using up an attempt (see destinationThrottle() in
+// src/ratelimit.js).
+//
+// Events:
+//   'sent'       job accepted by a provider
+//   'retry'      job failed and was rescheduled
+//   'dead'       job failed for the last time
+//   'throttled'  job put back by the throttle: (job, delay)
+//   'error'      database error while claiming or updating jobs
+
+const os = require('os');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { transaction } = require('./db');
+const { transition, applyPendingReceipts } = require('./lifecycle');
+const { chargeMessages, refundMessages } = require('./credits');
+
+const JOB_STATUSES = ['pending', 'processing', 'done', 'dead', 'cancelled'];
+
+// Store a batch of recipients as an sms_batches row, queued history rows
+// and their jobs, inside the caller's transaction. deviceIds and payloads
+// (encrypted command text for commands carrying a device password), when
+// given, are aligned with phoneNumbers, and so are commandTexts when
+// recipients get different commands (bulk imports with per-row parameters).
+// userId / apiKeyId record who triggered the send on the batch and on
+// every history row.
+// Every message is charged to the credit balance (see src/credits.js).
+// Returns { batchId, total, historyIds, credits }.
+async function insertBatch(client, {
+  phoneNumbers, deviceIds, payloads, commandTexts, modelId, commandText, commandTemplate, parameters, notes, maxAttempts,
+  createdBy, userId, apiKeyId, sourceIp
+}) {
+  const batchId = crypto.randomUUID();
+
+  await client.query(`
+    INSERT INTO sms_batches
+    (id, model_id, command_text, command_template, parameters, notes, total_count, created_by, user_id, api_key_id, source_ip)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+  `, [
+    batchId,
+    modelId,
+    commandText,
+    commandTemplate || null,
+    parameters ? JSON.stringify(parameters) : null,
+    notes || null,
+    phoneNumbers.length,
+    createdBy || null,
+    userId || null,
+    apiKeyId || null,
+    sourceIp || null
+  ]);
+
+  const history = await client.query(`
+    INSERT INTO sms_history
+    (phone_number, device_id, model_id, command_text, status, sent_at, queued_at, notes, batch_id, user_id, api_key_id)
+    SELECT phone, device_id, $3, COALESCE(text, $4), 'queued', NOW(), NOW(), $5, $6, $7, $8
+    FROM unnest($1::text[], $2::int[], $9::text[]) WITH ORDINALITY AS recipients(phone, device_id, text, position)
+    ORDER BY position
+    RETURNING id
+  `, [
+    phoneNumbers,
+    deviceIds || phoneNumbers.map(() => null),
+    modelId,
+    commandText,
+    notes || null,
+    batchId,
+    userId || null,
+    apiKeyId || null,
+    commandTexts || phoneNumbers.map(() => null)
+  ]);
+
+  const historyIds = history.rows.map(row => row.id);
+
+  // Throws CreditError (and the caller rolls back) when the balance is short
+  const credits = await chargeMessages(client, {
+    historyIds,
+    texts: phoneNumbers.map((phone, i) => (commandTexts && commandTexts[i]) || commandText),
+    batchId,
+    userId,
+    apiKeyId
+  });
+
+  await client.query(`
+    INSERT INTO sms_jobs (history_id, batch_id, max_attempts, payload_encrypted)
+    SELECT history_id, $2, $3, payload
+    FROM unnest($1::int[], $4::text[]) AS jobs(history_id, payload)
+  `, [historyIds, batchId, maxAttempts, payloads || historyIds.map(() => null)]);
+
+  return { batchId, total: historyIds.length, historyIds, credits };
+}
+
+// insertBatch() in its own transaction, or in the caller's when db is a
+// client (see transaction() in db.js)
+async function enqueueBatch(db, batch) {
+  return transaction(db, client => insertBatch(client, batch));
+}
+
+// Put a dead job back in the queue and reopen its history row. The message
+// is charged again; throws CreditError when the balance is short.
+async function retryJob(db, jobId) {
+  return transaction(db, async client => {
+    const result = await client.query(`
+      UPDATE sms_jobs
+      SET status = 'pending', attempts = 0, run_at = NOW(), last_error = NULL, updated_at = NOW()
+      WHERE id = $1 AND status = 'dead'
+      RETURNING id, history_id, batch_id, status, attempts, max_attempts, run_at
+    `, [jobId]);
+
+    if (result.rows.length === 0) return null;
+
+    const history = await transition(client, result.rows[0].history_id, 'queued');
+    // The failed attempt was refunded; the new one is charged again
+    await chargeMessages(client, {
+      historyIds: [history.id],
+      texts: [history.command_text],
+      batchId: history.batch_id,
+      userId: history.user_id,
+      apiKeyId: history.api_key_id
+    });
+    return result.rows[0];
+  });
+}
+
+class SendQueueWorker extends EventEmitter {
+  constructor(pool, options = {}) {
+    super();
+
+    this.pool = pool;
+    this.options = {
+      workerId: `${os.hostname()}:${process.pid}`,
+      concurrency: 5,
+      pollInterval: 1000,
+      lockTimeout: 300000,
+      backoffDelay: 5000,
+      maxBackoffDelay: 600000,
+      send: null,
+      throttle: null,
+      ...options
+    };
+
+    if (typeof this.options.send !== 'function') {
+      throw new Error('SendQueueWorker requires a send(job) function');
+    }
+
+    this.running = false;
+    this.claiming = false;
+    this.repoll = false;
+    this.timer = null;
+    this.inFlight = new Set();
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this._schedule(0);
+  }
+
+  // Stop claiming and wait for the jobs already being sent
+  async stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    await Promise.allSettled([...this.inFlight]);
+  }
+
+  // Look for work now instead of waiting for the next poll
+  poll() {
+    if (this.running) this._schedule(0);
+  }
+
+  async claim(limit) {
+    const result = await this.pool.query(`
+      UPDATE sms_jobs j
+      SET status = 'processing',
+          attempts = j.attempts + 1,
+          locked_by = $1,
+          locked_at = NOW(),
+          updated_at = NOW()
+      FROM sms_history h
+      LEFT JOIN device_models m ON m.id = h.model_id
+      WHERE h.id = j.history_id
+        AND j.id IN (
+          SELECT id FROM sms_jobs
+          WHERE (status = 'pending' AND run_at <= NOW())
+             OR (status = 'processing' AND locked_at < NOW() - $3::int * INTERVAL '1 millisecond')
+          ORDER BY run_at, id
+          LIMIT $2
+          FOR UPDATE SKIP LOCKED
+        )
+      RETURNING j.*, h.phone_number, h.command_text, m.name AS model_name
+    `, [this.options.workerId, limit, this.options.lockTimeout]);
+
+    return result.rows;
+  }
+
+  // Exponential backoff with +/-20% jitter so retries after a provider
+  // outage do not all fire at the same moment
+  backoff(attempts) {
+    const delay = Math.min(this.options.backoffDelay * 2 ** (attempts - 1), this.options.maxBackoffDelay);
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+  }
+
+  _schedule(delay) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this._tick(), delay);
+  }
+
+  async _tick() {
+    this.timer = null;
+    if (!this.running) return;
+
+    if (this.claiming) {
+      this.repoll = true;
+      return;
+    }
+
+    this.claiming = true;
+    this.repoll = false;
+
+    try {
+      const free = this.options.concurrency - this.inFlight.size;
+      if (free > 0) {
+        const jobs = await this.claim(free);
+        jobs.forEach(job => this._run(job));
+      }
+    } catch (error) {
+      this._emitError(error);
+    } finally {
+      this.claiming = false;
+      if (this.running && !this.timer) {
+        this._schedule(this.repoll ? 0 : this.options.pollInterval);
+      }
+    }
+  }
+
+  _run(job) {
+    const task = this._process(job)
+      .catch(error => this._emitError(error))
+      .finally(() => {
+        this.inFlight.delete(task);
+        this.poll();
+      });
+
+    this.inFlight.add(task);
+  }
+
+  async _process(job) {
+    if (this.options.throttle) {
+      let slot = null;
+      try {
+        slot = await this.options.throttle(job);
+      } catch (error) {
+        // Send anyway rather than hold the queue on a throttle failure
+        this._emitError(error);
+      }
+
+      if (slot && !slot.allowed) {
+        const delay = slot.retryAfter * 1000;
+        await this._defer(job, delay);
+        this.emit('throttled', job, delay);
+        return;
+      }
+    }
+
+    let result;
+    try {
+      result = await this.options.send(job);
+    } catch (error) {
+      result = { success: false, errorCode: 'WORKER_ERROR', details: error.message };
+    }
+
+    if (result.success) {
+      await this._complete(job, result);
+      this.emit('sent', job, result);
+    } else if (job.attempts >= job.max_attempts) {
+      await this._bury(job, result);
+      this.emit('dead', job, result);
+    } else {
+      const delay = this.backoff(job.attempts);
+      await this._reschedule(job, result, delay);
+      this.emit('retry', job, result, delay);
+    }
+  }
+
+  async _complete(job, result) {
+    await transaction(this.pool, async client => {
+      await transition(client, job.history_id, 'submitted', {
+        provider: result.provider,
+        providerMessageId: result.messageId,
+        details: result.details,
+        responseData: result
+      });
+
+      await client.query(`
+        UPDATE sms_jobs
+        SET status = 'done', completed_at = NOW(), locked_by = NULL, locked_at = NULL, last_error = NULL, updated_at = NOW()
+        WHERE id = $1
+      `, [job.id]);
+    });
+
+    // Receipts that beat the message ID to the database
+    try {
+      await applyPendingReceipts(this.pool, { provider: result.provider, messageId: result.messageId });
+    } catch (error) {
+      this._emitError(error);
+    }
+  }
+
+  async _reschedule(job, result, delay) {
+    await transaction(this.pool, async client => {
+      await client.query(`
+        UPDATE sms_jobs
+        SET status = 'pending',
+            run_at = NOW() + $2::int * INTERVAL '1 millisecond',
+            last_error = $3,
+            locked_by = NULL,
+            locked_at = NULL,
+            updated_at = NOW()
+        WHERE id = $1
+      `, [job.id, delay, result.details || result.errorCode || null]);
+
+      // Keep the history row queued but show why it is waiting
+      await client.query(`
+        UPDATE sms_history
+        SET details = $2, error_code = $3, status_updated_at = NOW()
+        WHERE id = $1 AND status = 'queued'
+      `, [
+        job.history_id,
+        `Attempt ${job.attempts} of ${job.max_attempts} failed: ${result.details || 'unknown error'}`,
+        result.errorCode || null
+      ]);
+    });
+  }
+
+  // Put the job back without counting the attempt claim() added
+  async _defer(job, delay) {
+    await transaction(this.pool, async client => {
+      await client.query(`
+        UPDATE sms_jobs
+        SET status = 'pending',
+            attempts = GREATEST(attempts - 1, 0),
+            run_at = NOW() + $2::int * INTERVAL '1 millisecond',
+            locked_by = NULL,
+            locked_at = NULL,
+            updated_at = NOW()
+        WHERE id = $1
+      `, [job.id, delay]);
+
+      await client.query(`
+        UPDATE sms_history
+        SET details = $2, status_updated_at = NOW()
+        WHERE id = $1 AND status = 'queued'
+      `, [job.history_id, `Waiting ${Math.ceil(delay / 1000)}s: too many commands to this number`]);
+    });
+  }
+
+  async _bury(job, result) {
+    await transaction(this.pool, async client => {
+      await transition(client, job.history_id, 'failed', {
+        errorCode: result.errorCode,
+        details: result.details,
+        responseData: result
+      });
+      await refundMessages(client, [job.history_id], 'Send failed');
+
+      await client.query(`
+        UPDATE sms_jobs
+        SET status = 'dead', completed_at = NOW(), last_error = $2, locked_by = NULL, locked_at = NULL, updated_at = NOW()
+        WHERE id = $1
+      `, [job.id, result.details || result.errorCode || null]);
+    });
+  }
+
+  _emitError(error) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    }
+  }
+}
+
+module.exports = {
+  JOB_STATUSES,
+  insertBatch,
+  enqueueBatch,
+  retryJob,
+  SendQueueWorker
+};
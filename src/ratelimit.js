@@ -0,0 +1,211 @@
+// Rate limiting
+//
+// Token buckets stored in Postgres (rate_limit_buckets), so every replica
+// shares the same counters and they survive restarts. A bucket holds up to
+// `limit` tokens and refills at limit / window per second; each request
+// takes one token. Checking and taking the token is a single UPDATE on the
+// bucket row.
+//
+// /api requests are grouped by route (ROUTE_GROUPS) and counted per API key,
+// per user for sessions, or per IP before login. Each group has a default
+// rule that RATE_LIMIT_<GROUP> overrides ("100/60": 100 requests per 60 s);
+// users and API keys may carry their own rules in rate_limits
+// ({ "send": "300/60" }), the key's winning over its owner's.
+//
+// Messages are also throttled per destination number in the send queue
+// (RATE_LIMIT_DESTINATION), so a tracker is not flooded with commands.
+
+const GROUPS = ['login', 'send', 'export', 'webhook', 'default'];
+
+const DEFAULT_RULES = {
+  login: '10/60',
+  send: '30/60',
+  export: '10/60',
+  webhook: '1200/60',
+  default: '300/60',
+  destination: '6/600'
+};
+
+// First match wins; paths are relative to /api
+const ROUTE_GROUPS = [
+  { group: 'login', method: 'POST', pattern: /^\/auth\/login$/ },
+  { group: 'webhook', pattern: /^\/sms\/(dlr|inbound)(\/|$)/ },
+  { group: 'send', method: 'POST', pattern: /^\/sms\/send$|^\/sms\/imports\/[^/]+\/launch$|^\/sms\/queue\/[^/]+\/retry$/ },
+  { group: 'export', method: 'GET', pattern: /^\/reports\/|^\/audit\/export$|^\/catalog\/export$/ }
+];
+
+class RateLimitError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RateLimitError';
+    this.status = 400;
+  }
+}
+
+// "100/60" or 100 (per minute) -> { limit, window } in seconds
+function parseRule(value) {
+  if (typeof value === 'number') value = `${value}/60`;
+  const match = String(value || '').trim().match(/^(\d+)\s*\/\s*(\d+)$/);
+  if (!match || parseInt(match[1]) < 1 || parseInt(match[2]) < 1) {
+    throw new RateLimitError(`"${value}" is not a rate limit (use "<requests>/<seconds>", e.g. "100/60")`);
+  }
+  return { limit: parseInt(match[1]), window: parseInt(match[2]) };
+}
+
+// Default rule of each group, with the RATE_LIMIT_<GROUP> overrides
+function loadRules(env = process.env) {
+  const rules = {};
+  for (const [group, rule] of Object.entries(DEFAULT_RULES)) {
+    rules[group] = parseRule(env[`RATE_LIMIT_${group.toUpperCase()}`] || rule);
+  }
+  return rules;
+}
+
+// Check the rate_limits of a user or API key: an object of group -> rule, or
+// null to use the defaults. Returns { value, error }.
+function validateRateLimits(value) {
+  if (value === null || value === undefined) return { value: null };
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    return { error: 'must be an object such as { "send": "60/60" }' };
+  }
+
+  const normalized = {};
+  for (const [group, rule] of Object.entries(value)) {
+    if (!GROUPS.includes(group)) {
+      return { error: `unknown group "${group}" (use ${GROUPS.join(', ')})` };
+    }
+    try {
+      const { limit, window } = parseRule(rule);
+      normalized[group] = `${limit}/${window}`;
+    } catch (error) {
+      if (!(error instanceof RateLimitError)) throw error;
+      return { error: `${group}: ${error.message}` };
+    }
+  }
+  return { value: Object.keys(normalized).length > 0 ? normalized : null };
+}
+
+function routeGroup(method, path) {
+  const match = ROUTE_GROUPS.find(route => (!route.method || route.method === method) && route.pattern.test(path));
+  return match ? match.group : 'default';
+}
+
+// Take `cost` tokens from a bucket. Returns { allowed, limit, remaining,
+// reset, retryAfter } with times in whole seconds: reset is when the bucket
+// is full again, retryAfter when the next request would be allowed.
+async function consume(db, key, { limit, window }, cost = 1) {
+  const rate = limit / window;
+
+  // Refill for the time elapsed, then take the tokens only if there are
+  // enough. The row lock makes concurrent requests queue up on the bucket.
+  const take = () => db.query(`
+    UPDATE rate_limit_buckets b
+    SET tokens = CASE WHEN r.level >= $4 THEN r.level - $4 ELSE r.level END,
+        updated_at = r.now
+    FROM (
+      SELECT bucket_key, clock_timestamp() as now,
+             LEAST($2::float8, tokens + GREATEST(EXTRACT(EPOCH FROM clock_timestamp() - updated_at), 0) * $3::float8) as level
+      FROM rate_limit_buckets
+      WHERE bucket_key = $1
+      FOR UPDATE
+    ) r
+    WHERE b.bucket_key = r.bucket_key
+    RETURNING b.tokens, r.level
+  `, [key, limit, rate, cost]);
+
+  let result = await take();
+  if (result.rows.length === 0) {
+    await db.query(`
+      INSERT INTO rate_limit_buckets (bucket_key, tokens, updated_at)
+      VALUES ($1, $2, clock_timestamp())
+      ON CONFLICT (bucket_key) DO NOTHING
+    `, [key, limit]);
+    result = await take();
+  }
+
+  const { tokens, level } = result.rows[0];
+  const allowed = level >= cost;
+  return {
+    allowed,
+    limit,
+    remaining: Math.floor(tokens),
+    reset: Math.ceil((limit - tokens) / rate),
+    retryAfter: allowed ? 0 : Math.max(Math.ceil((cost - tokens) / rate), 1)
+  };
+}
+
+// Express middleware for /api, mounted after authenticate(). Sets the
+// RateLimit-Limit/-Remaining/-Reset and RateLimit-Policy headers and answers
+// 429 with Retry-After once the bucket is empty. Database errors let the
+// request through (onError is told).
+function rateLimit(pool, { rules = loadRules(), onError } = {}) {
+  return async (req, res, next) => {
+    const group = routeGroup(req.method, req.path);
+
+    let subject;
+    if (group === 'login' || !req.auth) {
+      subject = `ip:${req.ip}`;
+    } else if (req.auth.apiKey) {
+      subject = `key:${req.auth.apiKey.id}`;
+    } else {
+      subject = `user:${req.auth.user.id}`;
+    }
+
+    let status;
+    let rule;
+    try {
+      const custom = group !== 'login' && req.auth && req.auth.rateLimits;
+      rule = custom && custom[group] ? parseRule(custom[group]) : rules[group];
+      status = await consume(pool, `${group}:${subject}`, rule);
+    } catch (error) {
+      if (onError) onError(error);
+      return next();
+    }
+
+    res.set('RateLimit-Policy', `${rule.limit};w=${rule.window}`);
+    res.set('RateLimit-Limit', String(status.limit));
+    res.set('RateLimit-Remaining', String(status.remaining));
+    res.set('RateLimit-Reset', String(status.reset));
+
+    if (!status.allowed) {
+      res.set('Retry-After', String(status.retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: 'Too many requests',
+        message: `Rate limit of ${rule.limit} requests per ${rule.window}s exceeded for ${group} routes. Try again in ${status.retryAfter}s.`,
+        group,
+        retryAfter: status.retryAfter
+      });
+    }
+    next();
+  };
+}
+
+// Throttle for the send queue: takes a token from the destination number's
+// bucket. Returns { allowed, retryAfter }.
+function destinationThrottle(pool, rule = loadRules().destination) {
+  return async job => consume(pool, `destination:${job.phone_number}`, rule);
+}
+
+// Drop buckets idle for long enough to be full again
+async function purgeBuckets(db, olderThanSeconds = 86400) {
+  const result = await db.query(
+    'DELETE FROM rate_limit_buckets WHERE updated_at < NOW() - $1::int * INTERVAL \'1 second\'',
+    [olderThanSeconds]
+  );
+  return result.rowCount;
+}
+
+module.exports = {
+  GROUPS,
+  DEFAULT_RULES,
+  RateLimitError,
+  parseRule,
+  loadRules,
+  validateRateLimits,
+  routeGroup,
+  consume,
+  rateLimit,
+  destinationThrottle,
+  purgeBuckets
+};
@@ -0,0 +1,330 @@
+// Scheduled command sends
+//
+// A schedule stores a send (recipients, model, command template and its
+// parameters) plus when to run it: once at runAt, or on a 5-field cron
+// expression (minute hour day month weekday) read in the schedule's
+// timezone. The device password given with a schedule is kept encrypted in
+// password_encrypted, never in parameters.
+//
+//   active -> paused -> active (resume)
+//   active -> completed        (one-off sent)
+//   active -> failed           (one-off that could not be sent)
+//
+// Every replica runs a Scheduler. Due schedules are claimed with FOR UPDATE
+// SKIP LOCKED, and the batch, the scheduled_runs row (unique per schedule
+// and due time) and the next due time are committed in one transaction, so
+// each run happens exactly once whichever replica picks it up. Runs missed
+// while no replica was up are not replayed: the schedule runs once and moves
+// to its next time after now.
+//
+// Events:
+//   'run'    schedule processed: (schedule, { batch, error })
+//   'error'  database error while claiming or updating schedules
+
+const os = require('os');
+const { EventEmitter } = require('events');
+const { CronExpressionParser } = require('cron-parser');
+const { DateTime, IANAZone } = require('luxon');
+const { insertBatch } = require('./queue');
+const { prepareSend, batchOptions } = require('./sends');
+const { VaultError } = require('./vault');
+
+const SCHEDULE_STATUSES = ['active', 'paused', 'completed', 'failed'];
+const DEFAULT_TIMEZONE = process.env.SCHEDULER_TIMEZONE || 'America/Sao_Paulo';
+
+function text(value) {
+  if (value === undefined || value === null) return null;
+  const trimmed = String(value).trim();
+  return trimmed === '' ? null : trimmed;
+}
+
+// Next time a cron expression fires after `from`
+function nextCronRun(expression, timezone, from = new Date()) {
+  return CronExpressionParser.parse(expression, { currentDate: from, tz: timezone }).next().toDate();
+}
+
+// When the schedule (a scheduled_sends row) is due next after `from`;
+// null when a one-off has nothing left to run
+function nextRunAt(schedule, from = new Date()) {
+  if (schedule.schedule_type === 'cron') {
+    return nextCronRun(schedule.cron_expression, schedule.timezone, from);
+  }
+  return null;
+}
+
+// Check the name and timing fields of a schedule body:
+// { name, runAt | cron, timezone }. runAt without an offset is read in the
+// timezone. Returns { values, errors } with values in column names,
+// including next_run_at. future: false accepts a runAt that has passed (the
+// stored time of a one-off kept by an update).
+function validateSchedule(body = {}, { now = new Date(), future = true } = {}) {
+  const values = {};
+  const errors = {};
+
+  values.name = text(body.name);
+  if (!values.name) {
+    errors.name = 'is required';
+  } else if (values.name.length > 100) {
+    errors.name = 'must have at most 100 characters';
+  }
+
+  values.timezone = text(body.timezone) || DEFAULT_TIMEZONE;
+  if (!IANAZone.isValidZone(values.timezone)) {
+    errors.timezone = 'must be an IANA time zone such as America/Sao_Paulo';
+    return { values, errors };
+  }
+
+  const runAt = text(body.runAt);
+  const cron = text(body.cron);
+
+  if (runAt && cron) {
+    errors.runAt = 'use either runAt or cron, not both';
+  } else if (cron) {
+    values.schedule_type = 'cron';
+    values.cron_expression = cron.replace(/\s+/g, ' ');
+    values.run_at = null;
+
+    if (!cron.startsWith('@') && values.cron_expression.split(' ').length !== 5) {
+      errors.cron = 'must have 5 fields (minute hour day month weekday)';
+    } else {
+      try {
+        values.next_run_at = nextCronRun(values.cron_expression, values.timezone, now);
+      } catch (error) {
+        errors.cron = `is not a valid cron expression (${error.message})`;
+      }
+    }
+  } else if (runAt) {
+    values.schedule_type = 'once';
+    values.cron_expression = null;
+
+    const date = DateTime.fromISO(runAt, { zone: values.timezone });
+    if (!date.isValid) {
+      errors.runAt = 'must be an ISO 8601 date and time (2026-05-04T22:00)';
+    } else if (future && date.toJSDate() <= now) {
+      errors.runAt = 'must be in the future';
+    } else {
+      values.run_at = date.toJSDate();
+      values.next_run_at = values.run_at;
+    }
+  } else {
+    errors.runAt = 'runAt or cron is required';
+  }
+
+  return { values, errors };
+}
+
+// Schedule row as returned by the API: the encrypted password is replaced
+// by a has_password flag
+function publicSchedule(row) {
+  const { password_encrypted: passwordEncrypted, ...schedule } = row;
+  return { ...schedule, has_password: Boolean(passwordEncrypted) };
+}
+
+// Queue the schedule's batch inside the caller's transaction. Recipients
+// and passwords are resolved now, so device changes since the schedule was
+// saved are taken into account.
+async function runSchedule(client, schedule, { vault, maxAttempts }) {
+  const parameters = { ...(schedule.parameters || {}) };
+  if (schedule.password_encrypted) {
+    if (!vault) {
+      throw new VaultError('Password vault is not configured; cannot send command with a device password');
+    }
+    parameters.password = vault.decrypt(schedule.password_encrypted);
+  }
+
+  const send = await prepareSend(client, {
+    phoneNumbers: schedule.phone_numbers,
+    deviceIds: schedule.device_ids,
+    modelId: schedule.model_id,
+    commandText: schedule.command_text,
+    parameters: Object.keys(parameters).length > 0 ? parameters : null,
+    vault
+  });
+
+  return insertBatch(client, batchOptions(send, {
+    notes: schedule.notes,
+    maxAttempts,
+    createdBy: `schedule #${schedule.id} (${schedule.name})`,
+    userId: schedule.user_id,
+    apiKeyId: schedule.api_key_id
+  }));
+}
+
+function errorText(error) {
+  return error.details ? `${error.message} ${JSON.stringify(error.details)}` : error.message;
+}
+
+class Scheduler extends EventEmitter {
+  constructor(pool, options = {}) {
+    super();
+
+    this.pool = pool;
+    this.options = {
+      workerId: `${os.hostname()}:${process.pid}`,
+      pollInterval: 15000,
+      vault: null,
+      maxAttempts: 5,
+      ...options
+    };
+
+    this.running = false;
+    this.timer = null;
+    this.tick = null;
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this._schedule(0);
+  }
+
+  // Stop polling and wait for the schedule being run, if any
+  async stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.tick) await this.tick;
+  }
+
+  // Look for due schedules now instead of waiting for the next poll
+  poll() {
+    if (this.running && !this.tick) this._schedule(0);
+  }
+
+  // Run every due schedule; returns how many were processed
+  async runDue() {
+    let count = 0;
+    while (this.running && await this.runNext()) {
+      count++;
+    }
+    return count;
+  }
+
+  // Claim and run the most overdue schedule. Returns false when none is due.
+  async runNext() {
+    const client = await this.pool.connect();
+    let outcome;
+
+    try {
+      await client.query('BEGIN');
+
+      const claimed = await client.query(`
+        SELECT * FROM scheduled_sends
+        WHERE status = 'active' AND next_run_at <= NOW()
+        ORDER BY next_run_at, id
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+      `);
+
+      if (claimed.rows.length === 0) {
+        await client.query('COMMIT');
+        return false;
+      }
+
+      const schedule = claimed.rows[0];
+      outcome = { schedule, batch: null, error: null };
+
+      // Guards against running the same due time twice even if the
+      // schedule row was somehow claimed again
+      const run = await client.query(`
+        INSERT INTO scheduled_runs (schedule_id, scheduled_for, status, worker_id)
+        VALUES ($1, $2, 'running', $3)
+        ON CONFLICT (schedule_id, scheduled_for) DO NOTHING
+        RETURNING id
+      `, [schedule.id, schedule.next_run_at, this.options.workerId]);
+
+      if (run.rows.length > 0) {
+        await client.query('SAVEPOINT schedule_run');
+        try {
+          outcome.batch = await runSchedule(client, schedule, this.options);
+          await client.query('RELEASE SAVEPOINT schedule_run');
+        } catch (error) {
+          await client.query('ROLLBACK TO SAVEPOINT schedule_run');
+          outcome.error = error;
+        }
+
+        await client.query(`
+          UPDATE scheduled_runs SET status = $2, batch_id = $3, total = $4, error = $5 WHERE id = $1
+        `, [
+          run.rows[0].id,
+          outcome.error ? 'failed' : 'sent',
+          outcome.batch ? outcome.batch.batchId : null,
+          outcome.batch ? outcome.batch.total : 0,
+          outcome.error ? errorText(outcome.error) : null
+        ]);
+      }
+
+      let next = null;
+      let status = schedule.schedule_type === 'once' ? (outcome.error ? 'failed' : 'completed') : 'active';
+      try {
+        next = nextRunAt(schedule);
+      } catch (error) {
+        // The cron expression or timezone stopped parsing (library upgrade)
+        status = 'paused';
+        outcome.error = outcome.error || error;
+      }
+
+      await client.query(`
+        UPDATE scheduled_sends
+        SET status = $2,
+            next_run_at = $3,
+            last_run_at = NOW(),
+            last_batch_id = COALESCE($4, last_batch_id),
+            last_error = $5,
+            run_count = run_count + $6,
+            updated_at = NOW()
+        WHERE id = $1
+      `, [
+        schedule.id,
+        status,
+        next,
+        outcome.batch ? outcome.batch.batchId : null,
+        outcome.error ? errorText(outcome.error) : null,
+        run.rows.length
+      ]);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    this.emit('run', outcome.schedule, { batch: outcome.batch, error: outcome.error });
+    return true;
+  }
+
+  _schedule(delay) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this._tick(), delay);
+  }
+
+  async _tick() {
+    this.timer = null;
+    if (!this.running) return;
+
+    this.tick = this.runDue().catch(error => this._emitError(error));
+    await this.tick;
+    this.tick = null;
+
+    if (this.running && !this.timer) {
+      this._schedule(this.options.pollInterval);
+    }
+  }
+
+  _emitError(error) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    }
+  }
+}
+
+module.exports = {
+  SCHEDULE_STATUSES,
+  DEFAULT_TIMEZONE,
+  nextRunAt,
+  validateSchedule,
+  publicSchedule,
+  Scheduler
+};
@@ -0,0 +1,202 @@
+// Command sends
+// Resolves the recipients of a send (phone numbers, or devices with their
+// own SIM number, model and password) and renders the command template for
+// each of them. Used by POST /api/sms/send and by scheduled sends, which
+// run the same checks when a schedule is saved and again on every run.
+
+const { resolveDevices } = require('./devices');
+const { PhoneError, normalizePhone } = require('./phone');
+const { TemplateError, renderTemplate, usesSecret } = require('./templates');
+const { MASK } = require('./vault');
+
+class SendError extends Error {
+  constructor(message, { status = 400, details } = {}) {
+    super(message);
+    this.name = 'SendError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Returns { modelId, template, commandText, recipients, parameters,
+// explicitPassword }. recipients are { phone, deviceId, text, payload }:
+// text has the password masked, payload is the real text encrypted for the
+// job. parameters are the request parameters with the password masked.
+// Throws SendError with the response body details on invalid input.
+async function prepareSend(db, { phoneNumbers, deviceIds, modelId, commandText, parameters, vault }) {
+  const byDevice = Array.isArray(deviceIds) && deviceIds.length > 0;
+  const byPhone = Array.isArray(phoneNumbers) && phoneNumbers.length > 0;
+
+  if (byDevice === byPhone) {
+    throw new SendError(byDevice
+      ? 'Send either phoneNumbers or deviceIds, not both'
+      : 'Phone numbers or device IDs array is required');
+  }
+
+  if (!commandText || String(commandText).trim().length === 0 || (byPhone && !modelId)) {
+    throw new SendError(byPhone ? 'Model ID and command text are required' : 'Command text is required');
+  }
+
+  // Command template placeholders ({interval:int:10-999}...) are filled
+  // per recipient below, once the device passwords are known
+  const template = String(commandText).trim();
+  let needsPassword;
+  try {
+    needsPassword = usesSecret(template);
+  } catch (error) {
+    if (!(error instanceof TemplateError)) throw error;
+    throw new SendError(error.message);
+  }
+
+  if (needsPassword && !vault) {
+    throw new SendError('Password vault is not configured (VAULT_KEY_FILE)', { status: 503 });
+  }
+
+  let recipients;
+
+  if (byDevice) {
+    // Each device brings its own SIM number and model
+    const { devices, missing, inactive } = await resolveDevices(db, deviceIds);
+
+    if (missing.length > 0 || inactive.length > 0) {
+      throw new SendError('Unknown or inactive devices', {
+        details: {
+          missing: missing.length > 0 ? missing : undefined,
+          inactive: inactive.length > 0 ? inactive : undefined
+        }
+      });
+    }
+
+    const modelIds = [...new Set(devices.map(device => device.model_id))];
+    if (modelIds.length > 1) {
+      throw new SendError('Devices belong to different models; send one batch per model', {
+        details: {
+          models: modelIds.map(id => ({
+            modelId: id,
+            modelName: devices.find(device => device.model_id === id).model_name,
+            deviceIds: devices.filter(device => device.model_id === id).map(device => device.id)
+          }))
+        }
+      });
+    }
+
+    if (modelId && parseInt(modelId) !== modelIds[0]) {
+      throw new SendError(`Devices are ${devices[0].model_name} units, not the selected model`);
+    }
+
+    modelId = modelIds[0];
+    recipients = devices.map(device => ({
+      phone: device.phone_number,
+      deviceId: device.id,
+      passwordEncrypted: device.password_encrypted
+    }));
+  } else {
+    // Numbers are sent and stored in E.164 (see src/phone.js)
+    const invalidPhones = [];
+    const reasons = {};
+    recipients = [];
+
+    for (const phone of phoneNumbers) {
+      try {
+        recipients.push({ phone: normalizePhone(phone).e164, deviceId: null });
+      } catch (error) {
+        if (!(error instanceof PhoneError)) throw error;
+        invalidPhones.push(phone);
+        reasons[phone] = error.message;
+      }
+    }
+
+    if (invalidPhones.length > 0) {
+      throw new SendError('Invalid phone numbers detected', { details: { invalidPhones, reasons } });
+    }
+  }
+
+  // Check if model exists
+  const modelCheck = await db.query('SELECT name, default_password_encrypted FROM device_models WHERE id = $1', [modelId]);
+  if (modelCheck.rows.length === 0) {
+    throw new SendError('Model not found', { status: 404 });
+  }
+
+  // Render the command for every recipient. {password} comes from the
+  // request, the device or the model default, in that order. History only
+  // gets the masked text; the real one travels encrypted with the job.
+  const explicitPassword = parameters && parameters.password !== undefined && String(parameters.password).trim() !== ''
+    ? String(parameters.password).trim()
+    : null;
+  const modelPassword = needsPassword && modelCheck.rows[0].default_password_encrypted
+    ? vault.decrypt(modelCheck.rows[0].default_password_encrypted)
+    : null;
+  const missingPassword = [];
+  const invalidPassword = [];
+
+  for (const recipient of recipients) {
+    const values = { ...(parameters || {}) };
+    if (needsPassword) {
+      values.password = explicitPassword ||
+        (recipient.passwordEncrypted ? vault.decrypt(recipient.passwordEncrypted) : null) ||
+        modelPassword;
+
+      if (!values.password) {
+        missingPassword.push(recipient.deviceId || recipient.phone);
+        continue;
+      }
+    }
+
+    try {
+      recipient.text = renderTemplate(template, values, { mask: true });
+      if (needsPassword) {
+        recipient.payload = vault.encrypt(JSON.stringify({
+          text: renderTemplate(template, values),
+          secrets: [values.password]
+        }));
+      }
+    } catch (error) {
+      if (!(error instanceof TemplateError)) throw error;
+
+      const otherErrors = { ...error.errors };
+      delete otherErrors.password;
+      if (Object.keys(otherErrors).length > 0) {
+        throw new SendError(error.message, { details: { errors: otherErrors } });
+      }
+      invalidPassword.push(recipient.deviceId || recipient.phone);
+    }
+  }
+
+  if (missingPassword.length > 0 || invalidPassword.length > 0) {
+    throw new SendError('Device password missing or invalid for some recipients', {
+      details: {
+        missingPassword: missingPassword.length > 0 ? missingPassword : undefined,
+        invalidPassword: invalidPassword.length > 0 ? invalidPassword : undefined
+      }
+    });
+  }
+
+  return {
+    modelId: parseInt(modelId),
+    template,
+    commandText: recipients[0].text,
+    recipients: recipients.map(({ phone, deviceId, text, payload }) => ({ phone, deviceId, text, payload: payload || null })),
+    parameters: parameters ? { ...parameters, ...(explicitPassword ? { password: MASK } : {}) } : null,
+    explicitPassword
+  };
+}
+
+// The insertBatch() / enqueueBatch() options for a prepared send
+function batchOptions(send, extra) {
+  return {
+    phoneNumbers: send.recipients.map(recipient => recipient.phone),
+    deviceIds: send.recipients.map(recipient => recipient.deviceId),
+    payloads: send.recipients.map(recipient => recipient.payload),
+    modelId: send.modelId,
+    commandText: send.commandText,
+    commandTemplate: send.commandText !== send.template ? send.template : null,
+    parameters: send.parameters,
+    ...extra
+  };
+}
+
+module.exports = {
+  SendError,
+  prepareSend,
+  batchOptions
+};
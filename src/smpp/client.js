@@ -0,0 +1,380 @@
+// SMPP 3.4 transceiver client
+//
+// Keeps a single bind_transceiver session open, sends enquire_link while idle,
+// limits the number of unacknowledged submit_sm PDUs (window) and reconnects
+// with exponential backoff when the connection drops.
+//
+// Events:
+//   'bound'      session is ready
+//   'disconnect' connection lost (a reconnect is scheduled)
+//   'receipt'    delivery receipt received through deliver_sm
+//   'message'    mobile originated message received through deliver_sm
+//   'error'      transport or protocol error
+
+const net = require('net');
+const { EventEmitter } = require('events');
+const pdu = require('./pdu');
+
+class SmppError extends Error {
+  constructor(status, command) {
+    super(`${command} failed with ${pdu.statusName(status)}`);
+    this.name = 'SmppError';
+    this.status = status;
+    this.code = pdu.statusName(status);
+  }
+}
+
+const MAX_SHORT_MESSAGE = 254;
+
+class SmppClient extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.options = {
+      host: 'localhost',
+      port: 2775,
+      systemId: '',
+      password: '',
+      systemType: '',
+      sourceAddr: '',
+      sourceTon: 0,
+      sourceNpi: 0,
+      destTon: 1,
+      destNpi: 1,
+      registeredDelivery: 1,
+      windowSize: 10,
+      enquireLinkInterval: 30000,
+      responseTimeout: 10000,
+      queueTimeout: 30000,
+      reconnectDelay: 1000,
+      maxReconnectDelay: 60000,
+      timezone: 'UTC',
+      ...options
+    };
+
+    this.state = 'closed';
+    this.sequence = 0;
+    this.pending = new Map();
+    this.queue = [];
+    this.inFlight = 0;
+    this.buffer = Buffer.alloc(0);
+    this.reconnectAttempts = 0;
+    this.closing = false;
+  }
+
+  // Open the TCP connection and bind; resolves once the session is bound
+  connect() {
+    if (this.state === 'bound') {
+      return Promise.resolve();
+    }
+    if (this.connecting) {
+      return this.connecting;
+    }
+
+    this.closing = false;
+    this.connecting = new Promise((resolve, reject) => {
+      const socket = net.connect(this.options.port, this.options.host);
+      this.socket = socket;
+      this.state = 'connecting';
+
+      socket.on('data', chunk => this._onData(chunk));
+      socket.on('error', error => {
+        if (this.state === 'connecting') {
+          reject(error);
+        }
+        this._emitError(error);
+      });
+      socket.on('close', () => this._onClose());
+
+      socket.on('connect', async () => {
+        try {
+          const resp = await this._request({
+            command: 'bind_transceiver',
+            system_id: this.options.systemId,
+            password: this.options.password,
+            system_type: this.options.systemType,
+            interface_version: 0x34,
+            addr_ton: 0,
+            addr_npi: 0,
+            address_range: ''
+          });
+
+          this.state = 'bound';
+          this.reconnectAttempts = 0;
+          this.remoteSystemId = resp.system_id;
+          this._scheduleEnquireLink();
+          this.emit('bound', resp.system_id);
+          this._drain();
+          resolve();
+        } catch (error) {
+          reject(error);
+          socket.destroy();
+        }
+      });
+    }).finally(() => {
+      this.connecting = null;
+    });
+
+    return this.connecting;
+  }
+
+  // Submit a message; resolves with the SMSC message ID
+  submit(to, text, extra = {}) {
+    return new Promise((resolve, reject) => {
+      const item = { to, text, extra, resolve, reject };
+      item.timer = setTimeout(() => {
+        const index = this.queue.indexOf(item);
+        if (index !== -1) {
+          this.queue.splice(index, 1);
+          reject(new Error('Timed out waiting for a free SMPP window slot'));
+        }
+      }, this.options.queueTimeout);
+
+      this.queue.push(item);
+      this._drain();
+    });
+  }
+
+  async query(messageId) {
+    const resp = await this._request({
+      command: 'query_sm',
+      message_id: messageId,
+      source_addr_ton: this.options.sourceTon,
+      source_addr_npi: this.options.sourceNpi,
+      source_addr: this.options.sourceAddr
+    });
+
+    return {
+      messageId: resp.message_id,
+      finalDate: resp.final_date,
+      state: pdu.MESSAGE_STATES[resp.message_state] || 'UNKNOWN',
+      errorCode: resp.error_code
+    };
+  }
+
+  // Unbind politely and close the socket without reconnecting
+  async close() {
+    this.closing = true;
+    clearTimeout(this.enquireTimer);
+    clearTimeout(this.reconnectTimer);
+
+    if (this.state === 'bound') {
+      try {
+        await this._request({ command: 'unbind' });
+      } catch (error) {
+        // The peer may already be gone; closing anyway
+      }
+    }
+
+    if (this.socket) {
+      this.socket.end();
+      this.socket.destroy();
+    }
+    this.state = 'closed';
+  }
+
+  _drain() {
+    while (this.state === 'bound' && this.inFlight < this.options.windowSize && this.queue.length > 0) {
+      const item = this.queue.shift();
+      clearTimeout(item.timer);
+      this.inFlight++;
+
+      const { data_coding, payload } = pdu.encodeShortMessage(item.text);
+      const longMessage = payload.length > MAX_SHORT_MESSAGE;
+
+      this._request({
+        command: 'submit_sm',
+        service_type: '',
+        source_addr_ton: this.options.sourceTon,
+        source_addr_npi: this.options.sourceNpi,
+        source_addr: this.options.sourceAddr,
+        dest_addr_ton: this.options.destTon,
+        dest_addr_npi: this.options.destNpi,
+        destination_addr: item.to,
+        esm_class: 0,
+        registered_delivery: this.options.registeredDelivery,
+        data_coding,
+        short_message: longMessage ? null : payload,
+        tlvs: longMessage ? { message_payload: payload } : undefined,
+        ...item.extra
+      })
+        .then(resp => item.resolve(resp.message_id))
+        .catch(item.reject)
+        .finally(() => {
+          this.inFlight--;
+          this._drain();
+        });
+    }
+  }
+
+  _request(params) {
+    return new Promise((resolve, reject) => {
+      if (!this.socket || this.socket.destroyed) {
+        return reject(new Error('SMPP connection is not open'));
+      }
+
+      const sequence = this._nextSequence();
+      const timer = setTimeout(() => {
+        this.pending.delete(sequence);
+        reject(new Error(`${params.command} timed out after ${this.options.responseTimeout}ms`));
+      }, this.options.responseTimeout);
+
+      this.pending.set(sequence, { command: params.command, resolve, reject, timer });
+      this._write({ ...params, sequence });
+    });
+  }
+
+  _write(params) {
+    this.socket.write(pdu.encode(params));
+    this._scheduleEnquireLink();
+  }
+
+  _nextSequence() {
+    this.sequence = this.sequence >= 0x7FFFFFFF ? 1 : this.sequence + 1;
+    return this.sequence;
+  }
+
+  _onData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    while (this.buffer.length >= pdu.HEADER_LENGTH) {
+      const length = this.buffer.readUInt32BE(0);
+      if (length < pdu.HEADER_LENGTH) {
+        this._emitError(new Error(`Invalid PDU length ${length}, dropping connection`));
+        this.socket.destroy();
+        return;
+      }
+      if (this.buffer.length < length) break;
+
+      const raw = this.buffer.subarray(0, length);
+      this.buffer = this.buffer.subarray(length);
+
+      try {
+        this._onPdu(pdu.decode(raw));
+      } catch (error) {
+        this._emitError(error);
+      }
+    }
+  }
+
+  _onPdu(packet) {
+    // Responses (high bit set) settle a pending request
+    if (packet.commandId & 0x80000000) {
+      const request = this.pending.get(packet.sequence);
+      if (!request) return;
+
+      this.pending.delete(packet.sequence);
+      clearTimeout(request.timer);
+
+      if (packet.status === pdu.STATUS.ESME_ROK) {
+        request.resolve(packet);
+      } else {
+        request.reject(new SmppError(packet.status, request.command));
+      }
+      return;
+    }
+
+    switch (packet.command) {
+      case 'enquire_link':
+        this._write({ command: 'enquire_link_resp', sequence: packet.sequence });
+        break;
+
+      case 'unbind':
+        this._write({ command: 'unbind_resp', sequence: packet.sequence });
+        this.socket.end();
+        break;
+
+      case 'deliver_sm':
+        this._write({ command: 'deliver_sm_resp', sequence: packet.sequence, message_id: '' });
+        this._onDeliverSm(packet);
+        break;
+
+      default:
+        this._write({ command: 'generic_nack', status: pdu.STATUS.ESME_RINVCMDID, sequence: packet.sequence });
+    }
+  }
+
+  _onDeliverSm(packet) {
+    const text = pdu.decodeShortMessage(packet);
+
+    // esm_class bits 2-5 = 0001 marks an SMSC delivery receipt
+    if ((packet.esm_class & 0x3C) === 0x04) {
+      const receipt = pdu.parseDeliveryReceipt(text, { timezone: this.options.timezone });
+      if (packet.tlvs.receipted_message_id) {
+        receipt.messageId = packet.tlvs.receipted_message_id.toString('latin1').replace(/\0+$/, '');
+      }
+      if (packet.tlvs.message_state) {
+        receipt.state = pdu.MESSAGE_STATES[packet.tlvs.message_state[0]];
+      }
+      receipt.from = packet.source_addr;
+      this.emit('receipt', receipt);
+      return;
+    }
+
+    this.emit('message', {
+      from: packet.source_addr,
+      to: packet.destination_addr,
+      text
+    });
+  }
+
+  // An unhandled 'error' event would crash the process, so only emit when someone listens
+  _emitError(error) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    }
+  }
+
+  _onClose() {
+    const wasBound = this.state === 'bound';
+    this.state = 'closed';
+    this.buffer = Buffer.alloc(0);
+    clearTimeout(this.enquireTimer);
+
+    for (const [sequence, request] of this.pending) {
+      clearTimeout(request.timer);
+      request.reject(new Error('SMPP connection closed'));
+      this.pending.delete(sequence);
+    }
+
+    if (wasBound) {
+      this.emit('disconnect');
+    }
+
+    if (!this.closing) {
+      this._scheduleReconnect();
+    }
+  }
+
+  _scheduleReconnect() {
+    clearTimeout(this.reconnectTimer);
+    const delay = Math.min(
+      this.options.reconnectDelay * Math.pow(2, this.reconnectAttempts),
+      this.options.maxReconnectDelay
+    );
+    this.reconnectAttempts++;
+
+    this.reconnectTimer = setTimeout(() => {
+      this.connect().catch(error => {
+        console.error(`❌ SMPP reconnect to ${this.options.host}:${this.options.port} failed:`, error.message);
+      });
+    }, delay);
+    this.reconnectTimer.unref();
+  }
+
+  // enquire_link is only needed when the link has been idle
+  _scheduleEnquireLink() {
+    clearTimeout(this.enquireTimer);
+    if (this.state !== 'bound' || !this.options.enquireLinkInterval) return;
+
+    this.enquireTimer = setTimeout(() => {
+      this._request({ command: 'enquire_link' }).catch(() => {
+        // No answer: the link is dead, force a reconnect
+        if (this.socket) this.socket.destroy();
+      });
+    }, this.options.enquireLinkInterval);
+    this.enquireTimer.unref();
+  }
+}
+
+module.exports = { SmppClient, SmppError };
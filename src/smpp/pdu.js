@@ -0,0 +1,305 @@
+// SMPP 3.4 PDU encoding/decoding
+// Only the operations needed by a transceiver ESME are implemented:
+// bind, unbind, enquire_link, submit_sm, deliver_sm, query_sm and generic_nack.
+
+const { DateTime } = require('luxon');
+
+const HEADER_LENGTH = 16;
+
+const COMMANDS = {
+  generic_nack: 0x80000000,
+  bind_receiver: 0x00000001,
+  bind_receiver_resp: 0x80000001,
+  bind_transmitter: 0x00000002,
+  bind_transmitter_resp: 0x80000002,
+  query_sm: 0x00000003,
+  query_sm_resp: 0x80000003,
+  submit_sm: 0x00000004,
+  submit_sm_resp: 0x80000004,
+  deliver_sm: 0x00000005,
+  deliver_sm_resp: 0x80000005,
+  unbind: 0x00000006,
+  unbind_resp: 0x80000006,
+  bind_transceiver: 0x00000009,
+  bind_transceiver_resp: 0x80000009,
+  enquire_link: 0x00000015,
+  enquire_link_resp: 0x80000015
+};
+
+const COMMAND_NAMES = Object.fromEntries(Object.entries(COMMANDS).map(([name, id]) => [id, name]));
+
+const STATUS = {
+  ESME_ROK: 0x00000000,
+  ESME_RINVMSGLEN: 0x00000001,
+  ESME_RINVCMDLEN: 0x00000002,
+  ESME_RINVCMDID: 0x00000003,
+  ESME_RINVBNDSTS: 0x00000004,
+  ESME_RALYBND: 0x00000005,
+  ESME_RSYSERR: 0x00000008,
+  ESME_RINVSRCADR: 0x0000000A,
+  ESME_RINVDSTADR: 0x0000000B,
+  ESME_RINVMSGID: 0x0000000C,
+  ESME_RBINDFAIL: 0x0000000D,
+  ESME_RINVPASWD: 0x0000000E,
+  ESME_RINVSYSID: 0x0000000F,
+  ESME_RMSGQFUL: 0x00000014,
+  ESME_RSUBMITFAIL: 0x00000045,
+  ESME_RTHROTTLED: 0x00000058,
+  ESME_RQUERYFAIL: 0x00000067,
+  ESME_RUNKNOWNERR: 0x000000FF
+};
+
+const STATUS_NAMES = Object.fromEntries(Object.entries(STATUS).map(([name, code]) => [code, name]));
+
+const MESSAGE_STATES = {
+  1: 'ENROUTE',
+  2: 'DELIVERED',
+  3: 'EXPIRED',
+  4: 'DELETED',
+  5: 'UNDELIVERABLE',
+  6: 'ACCEPTED',
+  7: 'UNKNOWN',
+  8: 'REJECTED'
+};
+
+const TLV = {
+  receipted_message_id: 0x001E,
+  message_payload: 0x0424,
+  message_state: 0x0427
+};
+
+// Field layout of each PDU body, in wire order
+const BODY_FIELDS = {
+  bind: [
+    ['system_id', 'cstring'],
+    ['password', 'cstring'],
+    ['system_type', 'cstring'],
+    ['interface_version', 'int8'],
+    ['addr_ton', 'int8'],
+    ['addr_npi', 'int8'],
+    ['address_range', 'cstring']
+  ],
+  bind_resp: [
+    ['system_id', 'cstring']
+  ],
+  sm: [
+    ['service_type', 'cstring'],
+    ['source_addr_ton', 'int8'],
+    ['source_addr_npi', 'int8'],
+    ['source_addr', 'cstring'],
+    ['dest_addr_ton', 'int8'],
+    ['dest_addr_npi', 'int8'],
+    ['destination_addr', 'cstring'],
+    ['esm_class', 'int8'],
+    ['protocol_id', 'int8'],
+    ['priority_flag', 'int8'],
+    ['schedule_delivery_time', 'cstring'],
+    ['validity_period', 'cstring'],
+    ['registered_delivery', 'int8'],
+    ['replace_if_present_flag', 'int8'],
+    ['data_coding', 'int8'],
+    ['sm_default_msg_id', 'int8'],
+    ['short_message', 'octets']
+  ],
+  sm_resp: [
+    ['message_id', 'cstring']
+  ],
+  query_sm: [
+    ['message_id', 'cstring'],
+    ['source_addr_ton', 'int8'],
+    ['source_addr_npi', 'int8'],
+    ['source_addr', 'cstring']
+  ],
+  query_sm_resp: [
+    ['message_id', 'cstring'],
+    ['final_date', 'cstring'],
+    ['message_state', 'int8'],
+    ['error_code', 'int8']
+  ]
+};
+
+const LAYOUTS = {
+  bind_receiver: 'bind',
+  bind_transmitter: 'bind',
+  bind_transceiver: 'bind',
+  bind_receiver_resp: 'bind_resp',
+  bind_transmitter_resp: 'bind_resp',
+  bind_transceiver_resp: 'bind_resp',
+  submit_sm: 'sm',
+  deliver_sm: 'sm',
+  submit_sm_resp: 'sm_resp',
+  deliver_sm_resp: 'sm_resp',
+  query_sm: 'query_sm',
+  query_sm_resp: 'query_sm_resp'
+};
+
+function encodeBody(command, params) {
+  const layout = BODY_FIELDS[LAYOUTS[command]];
+  if (!layout) {
+    return Buffer.alloc(0);
+  }
+
+  const parts = [];
+  for (const [field, type] of layout) {
+    const value = params[field];
+    if (type === 'int8') {
+      parts.push(Buffer.from([value || 0]));
+    } else if (type === 'cstring') {
+      parts.push(Buffer.from(`${value || ''}\0`, 'latin1'));
+    } else if (type === 'octets') {
+      const octets = value ? Buffer.from(value) : Buffer.alloc(0);
+      parts.push(Buffer.from([octets.length]), octets);
+    }
+  }
+
+  for (const [tag, value] of Object.entries(params.tlvs || {})) {
+    const data = Buffer.isBuffer(value) ? value : Buffer.from(String(value), 'latin1');
+    const header = Buffer.alloc(4);
+    header.writeUInt16BE(TLV[tag] || parseInt(tag), 0);
+    header.writeUInt16BE(data.length, 2);
+    parts.push(header, data);
+  }
+
+  return Buffer.concat(parts);
+}
+
+function encode({ command, status = 0, sequence, ...params }) {
+  const commandId = COMMANDS[command];
+  if (commandId === undefined) {
+    throw new Error(`Unknown SMPP command: ${command}`);
+  }
+
+  const body = encodeBody(command, params);
+  const header = Buffer.alloc(HEADER_LENGTH);
+  header.writeUInt32BE(HEADER_LENGTH + body.length, 0);
+  header.writeUInt32BE(commandId, 4);
+  header.writeUInt32BE(status, 8);
+  header.writeUInt32BE(sequence, 12);
+
+  return Buffer.concat([header, body]);
+}
+
+function decode(buffer) {
+  const length = buffer.readUInt32BE(0);
+  const commandId = buffer.readUInt32BE(4);
+  const pdu = {
+    command: COMMAND_NAMES[commandId] || `unknown_0x${commandId.toString(16)}`,
+    commandId,
+    length,
+    status: buffer.readUInt32BE(8),
+    sequence: buffer.readUInt32BE(12)
+  };
+
+  const layout = BODY_FIELDS[LAYOUTS[pdu.command]];
+  let offset = HEADER_LENGTH;
+
+  // Error responses are allowed to omit the body entirely
+  if (!layout || offset >= length) {
+    return pdu;
+  }
+
+  for (const [field, type] of layout) {
+    if (offset >= length) break;
+
+    if (type === 'int8') {
+      pdu[field] = buffer.readUInt8(offset);
+      offset += 1;
+    } else if (type === 'cstring') {
+      const end = buffer.indexOf(0, offset);
+      const stop = end === -1 || end >= length ? length : end;
+      pdu[field] = buffer.toString('latin1', offset, stop);
+      offset = stop + 1;
+    } else if (type === 'octets') {
+      const size = buffer.readUInt8(offset);
+      pdu[field] = buffer.subarray(offset + 1, offset + 1 + size);
+      offset += 1 + size;
+    }
+  }
+
+  pdu.tlvs = {};
+  while (offset + 4 <= length) {
+    const tag = buffer.readUInt16BE(offset);
+    const size = buffer.readUInt16BE(offset + 2);
+    const name = Object.keys(TLV).find(key => TLV[key] === tag) || `0x${tag.toString(16).padStart(4, '0')}`;
+    pdu.tlvs[name] = buffer.subarray(offset + 4, offset + 4 + size);
+    offset += 4 + size;
+  }
+
+  return pdu;
+}
+
+// Pick the cheapest coding that can carry the text (ASCII takes one byte
+// per character in UTF-8, so the lengths match only for ASCII text)
+function encodeShortMessage(text) {
+  if (Buffer.byteLength(text, 'utf8') === text.length) {
+    return { data_coding: 0x00, payload: Buffer.from(text, 'latin1') };
+  }
+
+  const payload = Buffer.from(text, 'utf16le');
+  payload.swap16(); // UCS-2 is big endian on the wire
+  return { data_coding: 0x08, payload };
+}
+
+function decodeShortMessage(pdu) {
+  const payload = pdu.tlvs && pdu.tlvs.message_payload ? pdu.tlvs.message_payload : pdu.short_message;
+  if (!payload) {
+    return '';
+  }
+
+  if (pdu.data_coding === 0x08) {
+    const copy = Buffer.from(payload);
+    copy.swap16();
+    return copy.toString('utf16le');
+  }
+
+  return payload.toString('latin1');
+}
+
+// Delivery receipt text, SMPP 3.4 Appendix B:
+// id:IIIIIIIIII sub:SSS dlvrd:DDD submit date:YYMMDDhhmm done date:YYMMDDhhmm stat:DDDDDDD err:E text:...
+// The dates carry no offset; they are read in the SMSC's timezone (an IANA
+// zone such as America/Sao_Paulo or a fixed offset such as UTC-3).
+function parseDeliveryReceipt(text, { timezone = 'UTC' } = {}) {
+  const match = (pattern) => {
+    const m = text.match(pattern);
+    return m ? m[1] : undefined;
+  };
+
+  const parseDate = (value) => {
+    if (!value || !/^\d{10}(\d{2})?$/.test(value)) return undefined;
+    const [yy, mm, dd, hh, mi, ss = '00'] = value.match(/\d{2}/g).map(Number);
+    const date = DateTime.fromObject(
+      { year: 2000 + yy, month: mm, day: dd, hour: hh, minute: mi, second: ss },
+      { zone: timezone }
+    );
+    return date.isValid ? date.toJSDate() : undefined;
+  };
+
+  return {
+    messageId: match(/id:(\S+)/i),
+    submitted: match(/sub:(\d+)/i),
+    delivered: match(/dlvrd:(\d+)/i),
+    submitDate: parseDate(match(/submit date:(\d+)/i)),
+    doneDate: parseDate(match(/done date:(\d+)/i)),
+    stat: match(/stat:(\w+)/i),
+    err: match(/err:(\w+)/i),
+    text: match(/text:(.*)$/i)
+  };
+}
+
+function statusName(code) {
+  return STATUS_NAMES[code] || `0x${code.toString(16).padStart(8, '0')}`;
+}
+
+module.exports = {
+  HEADER_LENGTH,
+  COMMANDS,
+  STATUS,
+  MESSAGE_STATES,
+  encode,
+  decode,
+  encodeShortMessage,
+  decodeShortMessage,
+  parseDeliveryReceipt,
+  statusName
+};
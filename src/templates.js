@@ -0,0 +1,244 @@
+// Command templates
+//
+// Commands may contain typed placeholders instead of hard-coded values:
+//
+//   {name}                   any text (same as {name:string})
+//   {name:type}
+//   {name:type:constraint}
+//
+//   string  length            {apn:string:1-50}
+//   int     value range       {interval:int:10-999}
+//                             a lower bound written with leading zeros pads
+//                             the value: {interval:int:010-999} -> 060
+//   digits  length            {password:digits:6} / {pin:digits:4-8}
+//   enum    options           {mode:enum:on|off}
+//   phone   -                 {number:phone}
+//   host    -                 {host:host} (IPv4 address or hostname)
+//
+// A single number as a length constraint means an exact length. "{{" and
+// "}}" produce literal braces. A name used twice takes the same value.
+//
+// {password} is a secret: the server fills it from the password vault and
+// it is masked wherever the command is stored or shown.
+
+const { MASK } = require('./vault');
+
+class TemplateError extends Error {
+  constructor(message, errors = {}) {
+    super(message);
+    this.name = 'TemplateError';
+    this.errors = errors;
+  }
+}
+
+const TOKEN = /\{\{|\}\}|\{([^{}]*)\}/g;
+const NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const MAX_STRING_LENGTH = 160;
+const SECRET_PARAMETERS = ['password'];
+
+function parseRange(constraint) {
+  const m = String(constraint).match(/^(\d+)(?:-(\d+))?$/);
+  if (!m) return null;
+
+  const min = parseInt(m[1]);
+  const max = m[2] !== undefined ? parseInt(m[2]) : min;
+  return min <= max ? { min, max, lower: m[1] } : null;
+}
+
+function lengthError(value, { min, max }, unit) {
+  if (value.length >= min && value.length <= max) return null;
+  return min === max
+    ? `must have exactly ${min} ${unit}`
+    : `must have between ${min} and ${max} ${unit}`;
+}
+
+// Each type turns its constraint into settings (or null when the constraint
+// is invalid) and validates a value, returning { value } or { error }.
+const TYPES = {
+  string: {
+    compile: constraint => (constraint ? parseRange(constraint) : { min: 1, max: MAX_STRING_LENGTH }),
+    validate(value, settings) {
+      if (/[\x00-\x1f{}]/.test(value)) return { error: 'contains invalid characters' };
+      const error = lengthError(value, settings, 'characters');
+      return error ? { error } : { value };
+    }
+  },
+
+  int: {
+    compile(constraint) {
+      if (!constraint) return { min: 0, max: Number.MAX_SAFE_INTEGER, width: 0 };
+      const range = parseRange(constraint);
+      if (!range) return null;
+      const width = range.lower.length > 1 && range.lower.startsWith('0') ? range.lower.length : 0;
+      return { min: range.min, max: range.max, width };
+    },
+    validate(value, { min, max, width }) {
+      if (!/^\d+$/.test(value)) return { error: 'must be a whole number' };
+      const number = parseInt(value, 10);
+      if (number < min || number > max) return { error: `must be between ${min} and ${max}` };
+      return { value: String(number).padStart(width, '0') };
+    }
+  },
+
+  digits: {
+    compile: constraint => (constraint ? parseRange(constraint) : { min: 1, max: 20 }),
+    validate(value, settings) {
+      if (!/^\d+$/.test(value)) return { error: 'must contain only digits' };
+      const error = lengthError(value, settings, 'digits');
+      return error ? { error } : { value };
+    }
+  },
+
+  enum: {
+    compile(constraint) {
+      const options = String(constraint || '').split('|').map(option => option.trim()).filter(Boolean);
+      return options.length > 0 ? { options } : null;
+    },
+    validate(value, { options }) {
+      const match = options.find(option => option.toLowerCase() === value.toLowerCase());
+      return match !== undefined ? { value: match } : { error: `must be one of: ${options.join(', ')}` };
+    }
+  },
+
+  phone: {
+    compile: constraint => (constraint ? null : {}),
+    validate(value) {
+      const clean = value.replace(/[\s()-]/g, '');
+      return /^\+?\d{8,15}$/.test(clean) ? { value: clean } : { error: 'must be a phone number' };
+    }
+  },
+
+  host: {
+    compile: constraint => (constraint ? null : {}),
+    validate(value) {
+      const ipv4 = value.match(/^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/);
+      if (ipv4) {
+        return ipv4.slice(1).every(octet => parseInt(octet) <= 255) ? { value } : { error: 'must be a valid IP address' };
+      }
+      const hostname = /^(?=.{1,253}$)([A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?)(\.[A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?)+$/;
+      return hostname.test(value) ? { value: value.toLowerCase() } : { error: 'must be an IP address or hostname' };
+    }
+  }
+};
+
+// Split a template into literal strings and placeholders.
+// Throws TemplateError when a placeholder is malformed.
+function parseTemplate(text) {
+  const source = String(text || '');
+  const parts = [];
+  const parameters = new Map();
+  let last = 0;
+  let match;
+
+  const pushLiteral = literal => {
+    if (/[{}]/.test(literal)) {
+      throw new TemplateError('Unbalanced brace in command template (use {{ or }} for a literal brace)');
+    }
+    if (literal) parts.push(literal);
+  };
+
+  TOKEN.lastIndex = 0;
+  while ((match = TOKEN.exec(source)) !== null) {
+    pushLiteral(source.slice(last, match.index));
+    last = TOKEN.lastIndex;
+
+    if (match[1] === undefined) {
+      parts.push(match[0][0]);
+      continue;
+    }
+
+    const [name, type = 'string', ...rest] = match[1].split(':').map(piece => piece.trim());
+    const constraint = rest.join(':');
+
+    if (!NAME.test(name)) {
+      throw new TemplateError(`Invalid placeholder name "${name}"`);
+    }
+    if (!TYPES[type]) {
+      throw new TemplateError(`Unknown placeholder type "${type}" in {${match[1]}}`);
+    }
+
+    const settings = TYPES[type].compile(constraint);
+    if (!settings) {
+      throw new TemplateError(`Invalid constraint "${constraint}" for ${type} placeholder "${name}"`);
+    }
+
+    const existing = parameters.get(name);
+    if (existing && (existing.type !== type || (existing.constraint || '') !== constraint)) {
+      throw new TemplateError(`Placeholder "${name}" is declared with different types`);
+    }
+
+    const parameter = existing || { name, type, constraint: constraint || null, settings };
+    parameters.set(name, parameter);
+    parts.push(parameter);
+  }
+  pushLiteral(source.slice(last));
+
+  return { parts, parameters: [...parameters.values()] };
+}
+
+function hasPlaceholders(text) {
+  return parseTemplate(text).parameters.length > 0;
+}
+
+function usesSecret(text, name = 'password') {
+  return parseTemplate(text).parameters.some(parameter => parameter.name === name);
+}
+
+// Placeholder list for API responses and the send form
+function describeTemplate(text) {
+  return parseTemplate(text).parameters.map(({ name, type, constraint, settings }) => {
+    const description = { name, type, constraint, secret: SECRET_PARAMETERS.includes(name) };
+    if (settings.options) description.options = settings.options;
+    if (type === 'string' || type === 'digits' || (type === 'int' && constraint)) {
+      description.min = settings.min;
+      description.max = settings.max;
+    }
+    return description;
+  });
+}
+
+// Fill a template with values ({ name: value }). Throws TemplateError with
+// per-parameter messages in error.errors when a value is missing or invalid.
+// With { mask: true } secret values are validated but rendered as ******.
+function renderTemplate(text, values = {}, { mask = false } = {}) {
+  const { parts, parameters } = parseTemplate(text);
+  const rendered = {};
+  const errors = {};
+
+  for (const parameter of parameters) {
+    const raw = values[parameter.name];
+    const value = raw === undefined || raw === null ? '' : String(raw).trim();
+
+    if (value === '') {
+      errors[parameter.name] = 'is required';
+      continue;
+    }
+
+    const result = TYPES[parameter.type].validate(value, parameter.settings);
+    if (result.error) {
+      errors[parameter.name] = result.error;
+    } else {
+      rendered[parameter.name] = result.value;
+    }
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw new TemplateError('Invalid command parameters', errors);
+  }
+
+  return parts.map(part => {
+    if (typeof part === 'string') return part;
+    return mask && SECRET_PARAMETERS.includes(part.name) ? MASK : rendered[part.name];
+  }).join('');
+}
+
+module.exports = {
+  TemplateError,
+  TYPES,
+  SECRET_PARAMETERS,
+  parseTemplate,
+  hasPlaceholders,
+  usesSecret,
+  describeTemplate,
+  renderTemplate
+};
@@ -0,0 +1,111 @@
+// Password vault
+// Device passwords are stored encrypted with AES-256-GCM. The key comes from
+// a Docker secret (VAULT_KEY_FILE) or VAULT_KEY, the same way the database
+// password is read. A 64 character hex key is used as is; any other value is
+// hashed with SHA-256, so use a long random string.
+//
+// Stored format: v1.<iv>.<auth tag>.<ciphertext> (base64 parts)
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+const MASK = '******';
+const VERSION = 'v1';
+
+class VaultError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'VaultError';
+  }
+}
+
+function deriveKey(secret) {
+  const value = String(secret).trim();
+  if (/^[0-9a-f]{64}$/i.test(value)) {
+    return Buffer.from(value, 'hex');
+  }
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+function createVault(secret) {
+  if (!secret || !String(secret).trim()) {
+    throw new VaultError('Vault key is empty');
+  }
+
+  const key = deriveKey(secret);
+
+  return {
+    encrypt(plaintext) {
+      const iv = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+      const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+      return [VERSION, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join('.');
+    },
+
+    decrypt(stored) {
+      const [version, iv, tag, ciphertext] = String(stored || '').split('.');
+      if (version !== VERSION || !iv || !tag || ciphertext === undefined) {
+        throw new VaultError('Unrecognized encrypted value');
+      }
+
+      try {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(tag, 'base64'));
+        return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+      } catch (error) {
+        throw new VaultError('Could not decrypt value (wrong VAULT_KEY?)');
+      }
+    }
+  };
+}
+
+// Returns null when no key is configured; password features are then disabled
+function loadVaultFromEnv(env = process.env) {
+  const secret = env.VAULT_KEY_FILE
+    ? fs.readFileSync(env.VAULT_KEY_FILE, 'utf8')
+    : env.VAULT_KEY;
+
+  return secret && secret.trim() ? createVault(secret) : null;
+}
+
+// A secret standing on its own: not inside a longer run of letters or digits
+function tokenPattern(secret) {
+  const escaped = secret.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'gu');
+}
+
+// Mask secrets in the strings of a value (objects and arrays are copied).
+// rendered holds [text, maskedText] pairs, such as a command and the masked
+// copy its template rendered: wherever that text shows up it is swapped
+// whole, so the secret is masked exactly where the template put it. Other
+// occurrences are masked only as whole tokens, so that a short password like
+// 0000 does not eat into message IDs, timestamps or phone numbers.
+function maskSecrets(value, secrets, { rendered = [] } = {}) {
+  const list = (secrets || []).filter(secret => secret && String(secret).length > 0).map(String);
+  const swaps = rendered.filter(([text, masked]) => text && masked && text !== masked);
+  if (list.length === 0 && swaps.length === 0) return value;
+
+  const patterns = list.map(tokenPattern);
+
+  const mask = item => {
+    if (typeof item === 'string') {
+      const swapped = swaps.reduce((text, [plain, masked]) => text.split(plain).join(masked), item);
+      return patterns.reduce((text, pattern) => text.replace(pattern, MASK), swapped);
+    }
+    if (Array.isArray(item)) return item.map(mask);
+    if (item && typeof item === 'object' && !(item instanceof Date)) {
+      return Object.fromEntries(Object.entries(item).map(([key, entry]) => [key, mask(entry)]));
+    }
+    return item;
+  };
+
+  return mask(value);
+}
+
+module.exports = {
+  MASK,
+  VaultError,
+  createVault,
+  loadVaultFromEnv,
+  maskSecrets
+};
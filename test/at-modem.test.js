@@ -0,0 +1,143 @@
+const { once } = require('events');
+const { Duplex, PassThrough } = require('stream');
+const createModemEmulator = require('../scripts/modem-emulator');
+const { AtModem, ModemError } = require('../src/modem/at-modem');
+
+let emulator;
+let modem;
+let lines;
+
+// The emulator on one end of an in-memory line, the driver on the other,
+// as the two ends of the socat pseudo-terminal pair
+function connect(options = {}) {
+  const toModem = new PassThrough();
+  const toEmulator = new PassThrough();
+  lines = toEmulator;
+
+  emulator = createModemEmulator(toEmulator, toModem, { reportDelay: 10, log: () => {} });
+  modem = new AtModem({
+    name: 'test-modem',
+    stream: Duplex.from({ readable: toModem, writable: toEmulator }),
+    commandTimeout: 200,
+    ...options
+  });
+  return modem;
+}
+
+afterEach(() => {
+  if (modem) modem.close();
+  if (lines) lines.destroy();
+  modem = null;
+  lines = null;
+});
+
+describe('open', () => {
+  test('initializes the modem and reads messages stored while offline', async () => {
+    connect();
+    emulator.storage.set(1, { from: '+5511987654321', text: 'STATUS OK', status: 'REC UNREAD', date: '24/10/18,10:00:00-12' });
+    const message = once(modem, 'message');
+
+    await modem.open();
+
+    expect(modem.ready).toBe(true);
+    expect((await message)[0]).toEqual({
+      index: 1,
+      from: '+5511987654321',
+      text: 'STATUS OK',
+      receivedAt: new Date(Date.UTC(2024, 9, 18, 13, 0, 0))
+    });
+    await new Promise(resolve => setTimeout(resolve, 20));
+    expect(emulator.storage.size).toBe(0);
+  });
+
+  test('reads SMS announced with +CMTI and deletes them from the SIM', async () => {
+    await connect().open();
+    const message = once(modem, 'message');
+
+    emulator.inject('+5521991234567', 'Lat:-23.5 Lon:-46.6');
+
+    expect((await message)[0]).toMatchObject({ from: '+5521991234567', text: 'Lat:-23.5 Lon:-46.6' });
+    await new Promise(resolve => setTimeout(resolve, 20));
+    expect(emulator.storage.size).toBe(0);
+  });
+});
+
+describe('status reports', () => {
+  test('sends an SMS and emits its +CDS report', async () => {
+    await connect().open();
+    const report = once(modem, 'report');
+
+    const reference = await modem.sendSms('+5511987654321', 'STATUS#');
+
+    expect(reference).toBe('1');
+    expect((await report)[0]).toMatchObject({ reference: '1', to: '+5511987654321', status: 0 });
+    expect((await report)[0].doneAt).toBeInstanceOf(Date);
+  });
+
+  test('reports the failure status of an undelivered SMS', async () => {
+    await connect().open();
+    const report = once(modem, 'report');
+
+    await modem.sendSms('+5511987654320', 'STATUS#');
+
+    expect((await report)[0]).toMatchObject({ reference: '1', status: 65 });
+  });
+});
+
+describe('errors', () => {
+  test('rejects a command answered with +CMS ERROR and keeps going', async () => {
+    await connect().open();
+
+    const error = await modem.readMessage(99).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(ModemError);
+    expect(error.code).toBe('CMS_321');
+    expect(error.message).toBe('AT+CMGR=99 failed: +CMS ERROR: 321');
+    await expect(modem.command('AT')).resolves.toEqual([]);
+  });
+
+  test('rejects a command answered with ERROR', async () => {
+    await connect().open();
+
+    const error = await modem.command('AT+COPS?').catch(caught => caught);
+
+    expect(error.code).toBe('MODEM_ERROR');
+  });
+});
+
+describe('resync', () => {
+  test('discards the late answer of a timed-out command before the next one', async () => {
+    await connect().open();
+    emulator.storage.set(1, { from: '+5511987654321', text: 'late', status: 'REC READ', date: '24/10/18,10:00:00-12' });
+
+    emulator.stall();
+    const timedOut = modem.command('AT+CMGL="ALL"');
+    const next = modem.command('AT+CMGR=1');
+
+    const error = await timedOut.catch(caught => caught);
+    expect(error.code).toBe('MODEM_ERROR');
+    expect(error.message).toBe('AT+CMGL="ALL" failed: TIMEOUT');
+
+    emulator.resume();
+    const [header] = await next;
+    expect(header).toBe('+CMGR: "REC READ","+5511987654321","","24/10/18,10:00:00-12"');
+  });
+
+  test('closes a modem that stops answering', async () => {
+    await connect({ commandTimeout: 50 }).open();
+    const errors = [];
+    modem.on('error', error => errors.push(error.message));
+    // once() would reject on the 'error' that comes first
+    const closed = new Promise(resolve => modem.once('close', resolve));
+
+    emulator.stall();
+    const pending = Promise.allSettled([modem.command('AT'), modem.command('AT+CSQ')]);
+
+    await closed;
+    const results = await pending;
+
+    expect(results.map(result => result.reason.message)).toEqual(['AT failed: TIMEOUT', 'AT failed: NO_RESPONSE']);
+    expect(errors[0]).toBe('Modem test-modem stopped answering');
+    expect(modem.ready).toBe(false);
+  });
+});
@@ -0,0 +1,21 @@
+const { parseCookies } = require('../src/auth');
+
+describe('parseCookies', () => {
+  test('reads and decodes every cookie of the header', () => {
+    expect(parseCookies('sms_session=abc; theme=dark%20blue;flag=')).toEqual({
+      sms_session: 'abc',
+      theme: 'dark blue',
+      flag: ''
+    });
+  });
+
+  test('skips a cookie with a malformed escape instead of throwing', () => {
+    expect(parseCookies('broken=%E0%A4%A; sms_session=abc')).toEqual({ sms_session: 'abc' });
+    expect(parseCookies('sms_session=%E0%A4%A')).toEqual({});
+  });
+
+  test('ignores pairs without a name or value separator', () => {
+    expect(parseCookies('novalue; =orphan; a=1')).toEqual({ a: '1' });
+    expect(parseCookies(undefined)).toEqual({});
+  });
+});
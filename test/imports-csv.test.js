@@ -0,0 +1,81 @@
+const { ImportError, parseCsv, parseSpreadsheet } = require('../src/imports');
+
+describe('parseCsv', () => {
+  test.each([
+    ['comma', 'phone,command\n11987654321,STATUS#'],
+    ['semicolon', 'phone;command\n11987654321;STATUS#'],
+    ['tab', 'phone\tcommand\n11987654321\tSTATUS#']
+  ])('guesses the %s delimiter from the header line', (name, text) => {
+    expect(parseCsv(text)).toEqual([
+      ['phone', 'command'],
+      ['11987654321', 'STATUS#']
+    ]);
+  });
+
+  test('keeps commas in fields when the header uses semicolons', () => {
+    expect(parseCsv('telefone;comando\n11987654321;APN,internet,tim#')).toEqual([
+      ['telefone', 'comando'],
+      ['11987654321', 'APN,internet,tim#']
+    ]);
+  });
+
+  test('prefers the delimiter that splits the header the most', () => {
+    expect(parseCsv('a;b;c,d\n1;2;3,4')[1]).toEqual(['1', '2', '3,4']);
+    expect(parseCsv('single\nvalue')).toEqual([['single'], ['value']]);
+  });
+
+  test('reads quoted fields with delimiters, line breaks and doubled quotes', () => {
+    const text = 'phone,command,notes\n"11987654321","APN,internet#","line one\nline two ""quoted"""';
+
+    expect(parseCsv(text)).toEqual([
+      ['phone', 'command', 'notes'],
+      ['11987654321', 'APN,internet#', 'line one\nline two "quoted"']
+    ]);
+  });
+
+  test('only opens a quote at the start of a field', () => {
+    expect(parseCsv('a,b\n12"34,"x"')).toEqual([['a', 'b'], ['12"34', 'x']]);
+  });
+
+  test('accepts CRLF, CR and LF line endings and a missing final newline', () => {
+    expect(parseCsv('a,b\r\n1,2\r3,4\n5,6')).toEqual([['a', 'b'], ['1', '2'], ['3', '4'], ['5', '6']]);
+    expect(parseCsv('a,b\r\n1,2\r\n')).toEqual([['a', 'b'], ['1', '2']]);
+  });
+
+  test('keeps empty fields and blank lines', () => {
+    expect(parseCsv('a,b,c\n1,,3\n\n,,')).toEqual([['a', 'b', 'c'], ['1', '', '3'], [''], ['', '', '']]);
+  });
+
+  test('rejects an unterminated quoted field', () => {
+    expect(() => parseCsv('a,b\n1,"never closed')).toThrow(ImportError);
+    expect(() => parseCsv('a,b\n1,"never closed')).toThrow('Malformed CSV: unterminated quoted field');
+  });
+});
+
+describe('parseSpreadsheet with CSV files', () => {
+  test('numbers rows as the spreadsheet does and skips blank ones', async () => {
+    const buffer = Buffer.from('\uFEFFphone;command\n 11987654321 ;STATUS#\n;\n21991234567;RESET#\n', 'utf8');
+
+    expect(await parseSpreadsheet(buffer, 'devices.CSV')).toEqual({
+      headers: ['phone', 'command'],
+      rows: [
+        { rowNumber: 2, values: { phone: '11987654321', command: 'STATUS#' } },
+        { rowNumber: 4, values: { phone: '21991234567', command: 'RESET#' } }
+      ]
+    });
+  });
+
+  test('reads Windows-1252 files', async () => {
+    const buffer = Buffer.from('Número;Observação\n11987654321;Caminhão\n', 'latin1');
+    const { headers, rows } = await parseSpreadsheet(buffer, 'planilha.csv');
+
+    expect(headers).toEqual(['Número', 'Observação']);
+    expect(rows[0].values['Observação']).toBe('Caminhão');
+  });
+
+  test('rejects files without a header or data rows', async () => {
+    await expect(parseSpreadsheet(Buffer.from(';\n1;2'), 'a.csv')).rejects.toThrow('The first row must contain the column names');
+    await expect(parseSpreadsheet(Buffer.from('phone\n\n'), 'a.csv')).rejects.toThrow('The file has no data rows');
+    await expect(parseSpreadsheet(Buffer.from('phone'), 'a.ods')).rejects.toThrow('Unsupported file type (use .csv or .xlsx)');
+  });
+});
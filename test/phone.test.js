@@ -0,0 +1,93 @@
+const { E164_PATTERN, PhoneError, normalizePhone, tryNormalizePhone } = require('../src/phone');
+
+// Code and message of the PhoneError a number is rejected with
+function rejection(input) {
+  try {
+    normalizePhone(input);
+  } catch (error) {
+    expect(error).toBeInstanceOf(PhoneError);
+    return { code: error.code, message: error.message };
+  }
+  throw new Error(`Expected ${input} to be rejected`);
+}
+
+describe('normalizePhone', () => {
+  test.each([
+    '11987654321',
+    '(11) 98765-4321',
+    '+55 (11) 98765-4321',
+    '5511987654321',
+    '005511987654321',
+    '011987654321',
+    '0 15 11 98765-4321',
+    '11.98765.4321',
+    ' 11987654321 '
+  ])('reads %s as +5511987654321', input => {
+    expect(normalizePhone(input).e164).toBe('+5511987654321');
+  });
+
+  test('returns the parts of the number', () => {
+    expect(normalizePhone('21 99123-4567')).toEqual({
+      e164: '+5521991234567',
+      ddd: '21',
+      state: 'RJ',
+      subscriber: '991234567',
+      national: '(21) 99123-4567'
+    });
+  });
+
+  test('adds the 9th digit to 8-digit mobile numbers', () => {
+    expect(normalizePhone('11 8765-4321').e164).toBe('+5511987654321');
+    expect(normalizePhone('+55 85 6123-4567').e164).toBe('+5585961234567');
+    expect(normalizePhone('0 21 41 7123-4567').e164).toBe('+5541971234567');
+  });
+
+  test.each([
+    '11 3456-7890',
+    '+55 11 2345-6789',
+    '(41) 4002-8922',
+    '51 5123-4567'
+  ])('rejects the landline %s', input => {
+    expect(rejection(input)).toEqual({
+      code: 'landline',
+      message: 'is a landline; trackers need a mobile number'
+    });
+  });
+
+  test('rejects 11-digit numbers that do not start with 9', () => {
+    expect(rejection('11 88765-4321')).toEqual({ code: 'invalid', message: 'is not a mobile number' });
+  });
+
+  test('rejects 8-digit numbers that are neither landline nor mobile', () => {
+    expect(rejection('11 1234-5678')).toEqual({ code: 'invalid', message: 'is not a valid phone number' });
+  });
+
+  test.each([
+    [undefined, 'required'],
+    ['  ', 'required'],
+    ['11 9876-abcd', 'invalid'],
+    ['987654321', 'invalid'],
+    ['+1 415 555 0100', 'foreign'],
+    ['0044 20 7946 0958', 'foreign'],
+    ['20 98765-4321', 'ddd'],
+    ['(10) 98765-4321', 'ddd']
+  ])('rejects %p as %s', (input, code) => {
+    expect(rejection(input).code).toBe(code);
+  });
+
+  test('names the unknown DDD', () => {
+    expect(rejection('23 98765-4321').message).toBe('has an unknown DDD (23)');
+  });
+
+  test('produces numbers that match the stored format', () => {
+    expect(normalizePhone('11 8765-4321').e164).toMatch(E164_PATTERN);
+    expect('+551187654321').not.toMatch(E164_PATTERN);
+  });
+});
+
+describe('tryNormalizePhone', () => {
+  test('returns null instead of throwing', () => {
+    expect(tryNormalizePhone('11 3456-7890')).toBeNull();
+    expect(tryNormalizePhone('11987654321').ddd).toBe('11');
+  });
+});
@@ -0,0 +1,179 @@
+const { once } = require('events');
+const createSmppStub = require('../scripts/smpp-stub');
+const pdu = require('../src/smpp/pdu');
+const { SmppClient, SmppError } = require('../src/smpp/client');
+
+let stub;
+let submitted;
+let client;
+
+beforeEach(async () => {
+  // Failed reconnects are logged
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  submitted = [];
+  stub = createSmppStub({
+    password: 'secret',
+    receiptDelay: 10,
+    log: line => {
+      if (line.startsWith('📤')) submitted.push(line);
+    }
+  });
+  stub.listen(0, '127.0.0.1');
+  await once(stub, 'listening');
+});
+
+afterEach(async () => {
+  if (client) await client.close();
+  client = null;
+  jest.restoreAllMocks();
+  stub.dropConnections();
+  await new Promise(resolve => stub.close(resolve));
+});
+
+function connectClient(options = {}) {
+  client = new SmppClient({
+    host: '127.0.0.1',
+    port: stub.address().port,
+    systemId: 'esme',
+    password: 'secret',
+    reconnectDelay: 20,
+    ...options
+  });
+  return client;
+}
+
+// Resolves once fn() returns true, checking every few milliseconds
+async function waitFor(fn, timeout = 2000) {
+  const started = Date.now();
+  while (!fn()) {
+    if (Date.now() - started > timeout) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+describe('bind', () => {
+  test('binds as a transceiver and reports the SMSC system id', async () => {
+    const smpp = connectClient();
+    const bound = once(smpp, 'bound');
+
+    await smpp.connect();
+
+    expect(await bound).toEqual(['STUB']);
+    expect(smpp.state).toBe('bound');
+    expect(smpp.remoteSystemId).toBe('STUB');
+  });
+
+  test('rejects a bind with the wrong password', async () => {
+    const smpp = connectClient({ password: 'wrong' });
+    const error = await smpp.connect().catch(caught => caught);
+
+    expect(error).toBeInstanceOf(SmppError);
+    expect(error.code).toBe('ESME_RINVPASWD');
+    expect(smpp.state).not.toBe('bound');
+  });
+});
+
+describe('submit_sm', () => {
+  test('resolves with the message id and emits the delivery receipt', async () => {
+    const smpp = connectClient();
+    await smpp.connect();
+    const receipt = once(smpp, 'receipt');
+
+    const messageId = await smpp.submit('5511987654321', 'STATUS#');
+    const [report] = await receipt;
+
+    expect(messageId).toMatch(/^stub/);
+    expect(report).toMatchObject({ messageId, stat: 'DELIVRD', from: '5511987654321' });
+  });
+
+  test('keeps at most windowSize submits unacknowledged', async () => {
+    const smpp = connectClient({ windowSize: 2 });
+    await smpp.connect();
+
+    // Stop reading responses so every submit stays unacknowledged
+    smpp.socket.pause();
+    const sends = ['1', '2', '3', '4', '5'].map(n => smpp.submit(`551198765432${n}`, 'STATUS#'));
+
+    await waitFor(() => submitted.length === 2);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(submitted).toHaveLength(2);
+    expect(smpp.inFlight).toBe(2);
+    expect(smpp.queue).toHaveLength(3);
+
+    smpp.socket.resume();
+    const messageIds = await Promise.all(sends);
+
+    expect(new Set(messageIds).size).toBe(5);
+    expect(submitted).toHaveLength(5);
+    await waitFor(() => smpp.inFlight === 0);
+  });
+
+  test('fails a submit that waits too long for a window slot', async () => {
+    const smpp = connectClient({ windowSize: 1, queueTimeout: 50 });
+    await smpp.connect();
+
+    smpp.socket.pause();
+    const first = smpp.submit('5511987654321', 'STATUS#');
+    await expect(smpp.submit('5511987654322', 'STATUS#')).rejects.toThrow('Timed out waiting for a free SMPP window slot');
+
+    smpp.socket.resume();
+    await expect(first).resolves.toMatch(/^stub/);
+  });
+});
+
+describe('enquire_link', () => {
+  test('checks an idle link and stays bound when the SMSC answers', async () => {
+    const encode = jest.spyOn(pdu, 'encode');
+    const smpp = connectClient({ enquireLinkInterval: 30 });
+    await smpp.connect();
+
+    await waitFor(() => encode.mock.calls.filter(([params]) => params.command === 'enquire_link').length >= 2);
+
+    expect(smpp.state).toBe('bound');
+  });
+
+  test('drops and rebinds a link whose enquire_link goes unanswered', async () => {
+    const smpp = connectClient({ enquireLinkInterval: 30, responseTimeout: 50 });
+    await smpp.connect();
+    const disconnect = once(smpp, 'disconnect');
+
+    smpp.socket.pause();
+    await disconnect;
+    await once(smpp, 'bound');
+
+    expect(smpp.state).toBe('bound');
+  });
+});
+
+describe('reconnect', () => {
+  test('rebinds after the connection drops and fails the requests in flight', async () => {
+    const smpp = connectClient();
+    await smpp.connect();
+
+    // Dropped before the stub can read the submit_sm. The reset is reported
+    // as an 'error', which would reject once(smpp, 'bound').
+    const rebound = new Promise(resolve => smpp.once('bound', resolve));
+    const inFlight = smpp.submit('5511987654321', 'STATUS#');
+    stub.dropConnections();
+
+    await expect(inFlight).rejects.toThrow('SMPP connection closed');
+    await rebound;
+    await expect(smpp.submit('5511987654321', 'STATUS#')).resolves.toMatch(/^stub/);
+  });
+
+  test('keeps retrying while the SMSC is unreachable and resets the backoff once bound', async () => {
+    const smpp = connectClient();
+    await smpp.connect();
+    const port = stub.address().port;
+
+    stub.dropConnections();
+    await new Promise(resolve => stub.close(resolve));
+    await waitFor(() => smpp.reconnectAttempts >= 3);
+
+    stub = createSmppStub({ password: 'secret', log: () => {} });
+    stub.listen(port, '127.0.0.1');
+    await once(smpp, 'bound');
+
+    expect(smpp.reconnectAttempts).toBe(0);
+  });
+});
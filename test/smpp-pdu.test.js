@@ -0,0 +1,204 @@
+const {
+  HEADER_LENGTH,
+  COMMANDS,
+  STATUS,
+  encode,
+  decode,
+  encodeShortMessage,
+  decodeShortMessage,
+  parseDeliveryReceipt,
+  statusName
+} = require('../src/smpp/pdu');
+
+describe('encode / decode', () => {
+  test('writes the header: length, command id, status and sequence', () => {
+    const buffer = encode({ command: 'enquire_link', sequence: 7 });
+
+    expect(buffer.length).toBe(HEADER_LENGTH);
+    expect(buffer.readUInt32BE(0)).toBe(HEADER_LENGTH);
+    expect(buffer.readUInt32BE(4)).toBe(COMMANDS.enquire_link);
+    expect(buffer.readUInt32BE(8)).toBe(0);
+    expect(buffer.readUInt32BE(12)).toBe(7);
+  });
+
+  test('round-trips a bind_transceiver', () => {
+    const pdu = decode(encode({
+      command: 'bind_transceiver',
+      sequence: 1,
+      system_id: 'esme',
+      password: 'secret',
+      system_type: '',
+      interface_version: 0x34
+    }));
+
+    expect(pdu).toMatchObject({
+      command: 'bind_transceiver',
+      sequence: 1,
+      status: 0,
+      system_id: 'esme',
+      password: 'secret',
+      system_type: '',
+      interface_version: 0x34,
+      addr_ton: 0,
+      addr_npi: 0,
+      address_range: ''
+    });
+  });
+
+  test('round-trips a submit_sm with its short message and TLVs', () => {
+    const buffer = encode({
+      command: 'submit_sm',
+      sequence: 42,
+      source_addr: 'GPS',
+      destination_addr: '5511987654321',
+      dest_addr_ton: 1,
+      registered_delivery: 1,
+      short_message: Buffer.from('STATUS#', 'latin1'),
+      tlvs: { receipted_message_id: 'abc123' }
+    });
+    const pdu = decode(buffer);
+
+    expect(pdu.length).toBe(buffer.length);
+    expect(pdu).toMatchObject({
+      command: 'submit_sm',
+      sequence: 42,
+      source_addr: 'GPS',
+      destination_addr: '5511987654321',
+      dest_addr_ton: 1,
+      registered_delivery: 1,
+      data_coding: 0
+    });
+    expect(pdu.short_message.toString('latin1')).toBe('STATUS#');
+    expect(pdu.tlvs.receipted_message_id.toString('latin1')).toBe('abc123');
+  });
+
+  test('names TLVs it does not know by their tag', () => {
+    const pdu = decode(encode({ command: 'deliver_sm', sequence: 3, tlvs: { 0x1403: Buffer.from([1, 2]) } }));
+
+    expect(pdu.tlvs['0x1403']).toEqual(Buffer.from([1, 2]));
+  });
+
+  test('decodes error responses that carry no body', () => {
+    const header = Buffer.alloc(HEADER_LENGTH);
+    header.writeUInt32BE(HEADER_LENGTH, 0);
+    header.writeUInt32BE(COMMANDS.submit_sm_resp, 4);
+    header.writeUInt32BE(STATUS.ESME_RTHROTTLED, 8);
+    header.writeUInt32BE(9, 12);
+    const pdu = decode(header);
+
+    expect(pdu).toEqual({
+      command: 'submit_sm_resp',
+      commandId: COMMANDS.submit_sm_resp,
+      length: HEADER_LENGTH,
+      status: STATUS.ESME_RTHROTTLED,
+      sequence: 9
+    });
+  });
+
+  test('stops a cstring at the PDU length when the terminator is missing', () => {
+    const header = Buffer.alloc(HEADER_LENGTH);
+    header.writeUInt32BE(HEADER_LENGTH + 4, 0);
+    header.writeUInt32BE(COMMANDS.submit_sm_resp, 4);
+    const pdu = decode(Buffer.concat([header, Buffer.from('m-01', 'latin1'), Buffer.from('trailing')]));
+
+    expect(pdu.message_id).toBe('m-01');
+  });
+
+  test('reports unknown command ids instead of failing', () => {
+    const header = Buffer.alloc(HEADER_LENGTH);
+    header.writeUInt32BE(HEADER_LENGTH, 0);
+    header.writeUInt32BE(0x00000102, 4);
+
+    expect(decode(header).command).toBe('unknown_0x102');
+  });
+
+  test('refuses to encode an unknown command', () => {
+    expect(() => encode({ command: 'submit_multi', sequence: 1 })).toThrow('Unknown SMPP command: submit_multi');
+  });
+});
+
+describe('short messages', () => {
+  test('sends ASCII text as the default alphabet', () => {
+    const { data_coding: dataCoding, payload } = encodeShortMessage('RESET#');
+
+    expect(dataCoding).toBe(0x00);
+    expect(payload).toEqual(Buffer.from('RESET#', 'latin1'));
+  });
+
+  test('sends other text as big-endian UCS-2', () => {
+    const { data_coding: dataCoding, payload } = encodeShortMessage('Olá');
+
+    expect(dataCoding).toBe(0x08);
+    expect(payload).toEqual(Buffer.from([0x00, 0x4F, 0x00, 0x6C, 0x00, 0xE1]));
+  });
+
+  test('decodes both codings back to text', () => {
+    for (const text of ['APN,internet#', 'Veículo bloqueado ✓']) {
+      const { data_coding: dataCoding, payload } = encodeShortMessage(text);
+      expect(decodeShortMessage({ data_coding: dataCoding, short_message: payload })).toBe(text);
+    }
+  });
+
+  test('prefers the message_payload TLV over short_message', () => {
+    const pdu = {
+      data_coding: 0,
+      short_message: Buffer.alloc(0),
+      tlvs: { message_payload: Buffer.from('long text', 'latin1') }
+    };
+
+    expect(decodeShortMessage(pdu)).toBe('long text');
+    expect(decodeShortMessage({ data_coding: 0 })).toBe('');
+  });
+});
+
+describe('parseDeliveryReceipt', () => {
+  test('reads the fields of an Appendix B receipt', () => {
+    const receipt = parseDeliveryReceipt(
+      'id:0123456789 sub:001 dlvrd:001 submit date:2410181230 done date:241018123145 stat:DELIVRD err:000 text:STATUS#'
+    );
+
+    expect(receipt).toEqual({
+      messageId: '0123456789',
+      submitted: '001',
+      delivered: '001',
+      submitDate: new Date(Date.UTC(2024, 9, 18, 12, 30, 0)),
+      doneDate: new Date(Date.UTC(2024, 9, 18, 12, 31, 45)),
+      stat: 'DELIVRD',
+      err: '000',
+      text: 'STATUS#'
+    });
+  });
+
+  test('is case-insensitive and leaves missing fields undefined', () => {
+    const receipt = parseDeliveryReceipt('ID:ab-12 STAT:UNDELIV ERR:0B1');
+
+    expect(receipt.messageId).toBe('ab-12');
+    expect(receipt.stat).toBe('UNDELIV');
+    expect(receipt.err).toBe('0B1');
+    expect(receipt.submitted).toBeUndefined();
+    expect(receipt.doneDate).toBeUndefined();
+    expect(receipt.text).toBeUndefined();
+  });
+
+  test('reads the dates in the SMSC timezone', () => {
+    const text = 'id:1 submit date:2410181230 done date:241018123145 stat:DELIVRD';
+
+    expect(parseDeliveryReceipt(text, { timezone: 'America/Sao_Paulo' }).doneDate).toEqual(new Date(Date.UTC(2024, 9, 18, 15, 31, 45)));
+    expect(parseDeliveryReceipt(text, { timezone: 'UTC-3' }).submitDate).toEqual(new Date(Date.UTC(2024, 9, 18, 15, 30, 0)));
+  });
+
+  test('ignores dates that are not YYMMDDhhmm[ss]', () => {
+    const receipt = parseDeliveryReceipt('id:1 submit date:24101812 done date:2410181230451 stat:EXPIRED');
+
+    expect(receipt.submitDate).toBeUndefined();
+    expect(receipt.doneDate).toBeUndefined();
+    expect(parseDeliveryReceipt('id:1 done date:2413181230').doneDate).toBeUndefined();
+  });
+});
+
+describe('statusName', () => {
+  test('names known command statuses and prints others in hex', () => {
+    expect(statusName(STATUS.ESME_RINVPASWD)).toBe('ESME_RINVPASWD');
+    expect(statusName(0x400)).toBe('0x00000400');
+  });
+});
@@ -0,0 +1,148 @@
+const {
+  TemplateError,
+  parseTemplate,
+  hasPlaceholders,
+  usesSecret,
+  describeTemplate,
+  renderTemplate
+} = require('../src/templates');
+const { MASK } = require('../src/vault');
+
+// The TemplateError a call throws, for asserting on its errors
+function templateError(fn) {
+  try {
+    fn();
+  } catch (error) {
+    expect(error).toBeInstanceOf(TemplateError);
+    return error;
+  }
+  throw new Error('Expected a TemplateError');
+}
+
+describe('parseTemplate', () => {
+  test('splits literals and placeholders', () => {
+    const { parts, parameters } = parseTemplate('APN,{apn:string:1-50},{interval:int}#');
+
+    expect(parts).toHaveLength(5);
+    expect(parts[0]).toBe('APN,');
+    expect(parts[1]).toMatchObject({ name: 'apn', type: 'string', constraint: '1-50' });
+    expect(parts[3]).toMatchObject({ name: 'interval', type: 'int', constraint: null });
+    expect(parameters.map(parameter => parameter.name)).toEqual(['apn', 'interval']);
+  });
+
+  test('treats a bare name as a string placeholder', () => {
+    const [parameter] = parseTemplate('{note}').parameters;
+
+    expect(parameter).toMatchObject({ type: 'string', settings: { min: 1, max: 160 } });
+  });
+
+  test('turns {{ and }} into literal braces', () => {
+    expect(parseTemplate('{{x}}').parameters).toEqual([]);
+    expect(renderTemplate('SET{{{mode:enum:a|b}}}', { mode: 'a' })).toBe('SET{a}');
+  });
+
+  test('keeps a repeated name as one parameter', () => {
+    const { parts, parameters } = parseTemplate('{pin:digits:4}#{pin:digits:4}');
+
+    expect(parameters).toHaveLength(1);
+    expect(parts[0]).toBe(parts[2]);
+  });
+
+  test.each([
+    ['{pin:digits:4}{pin:digits:6}', 'Placeholder "pin" is declared with different types'],
+    ['{pin:digits}{pin:int}', 'Placeholder "pin" is declared with different types'],
+    ['{1abc}', 'Invalid placeholder name "1abc"'],
+    ['{x:date}', 'Unknown placeholder type "date" in {x:date}'],
+    ['{x:int:9-1}', 'Invalid constraint "9-1" for int placeholder "x"'],
+    ['{x:string:long}', 'Invalid constraint "long" for string placeholder "x"'],
+    ['{x:enum}', 'Invalid constraint "" for enum placeholder "x"'],
+    ['{x:phone:br}', 'Invalid constraint "br" for phone placeholder "x"'],
+    ['RESET}', 'Unbalanced brace in command template (use {{ or }} for a literal brace)'],
+    ['{a{b}', 'Unbalanced brace in command template (use {{ or }} for a literal brace)']
+  ])('rejects %s', (template, message) => {
+    expect(() => parseTemplate(template)).toThrow(message);
+  });
+
+  test('hasPlaceholders tells fixed commands from templates', () => {
+    expect(hasPlaceholders('STATUS#')).toBe(false);
+    expect(hasPlaceholders('TIMER,{interval:int}#')).toBe(true);
+  });
+});
+
+describe('renderTemplate', () => {
+  test('fills values and trims them', () => {
+    expect(renderTemplate('APN,{apn},{user}#', { apn: ' internet.br ', user: 'tim' })).toBe('APN,internet.br,tim#');
+  });
+
+  test('pads int values whose lower bound has leading zeros', () => {
+    expect(renderTemplate('T{interval:int:010-999}', { interval: '60' })).toBe('T060');
+    expect(renderTemplate('T{interval:int:10-999}', { interval: '060' })).toBe('T60');
+  });
+
+  test('normalizes enum, phone and host values', () => {
+    const text = renderTemplate('{mode:enum:ON|OFF},{number:phone},{host:host}', {
+      mode: 'on',
+      number: '+55 (11) 98765-4321',
+      host: 'GPS.Example.com'
+    });
+
+    expect(text).toBe('ON,+5511987654321,gps.example.com');
+  });
+
+  test('collects every invalid or missing value', () => {
+    const error = templateError(() => renderTemplate(
+      '{apn:string:1-5},{interval:int:10-99},{pin:digits:4},{mode:enum:on|off},{number:phone},{host:host},{extra}',
+      { apn: 'internet', interval: '5', pin: '12a4', mode: 'auto', number: '123', host: '300.1.1.1' }
+    ));
+
+    expect(error.message).toBe('Invalid command parameters');
+    expect(error.errors).toEqual({
+      apn: 'must have between 1 and 5 characters',
+      interval: 'must be between 10 and 99',
+      pin: 'must contain only digits',
+      mode: 'must be one of: on, off',
+      number: 'must be a phone number',
+      host: 'must be a valid IP address',
+      extra: 'is required'
+    });
+  });
+
+  test('checks exact lengths and characters', () => {
+    const error = templateError(() => renderTemplate('{pin:digits:4},{name}', { pin: '123', name: 'a{b}' }));
+
+    expect(error.errors).toEqual({
+      pin: 'must have exactly 4 digits',
+      name: 'contains invalid characters'
+    });
+  });
+
+  test('masks secrets only when asked', () => {
+    const template = 'PW{password:digits:4},{pin:digits:4}';
+    const values = { password: '0000', pin: '1234' };
+
+    expect(renderTemplate(template, values)).toBe('PW0000,1234');
+    expect(renderTemplate(template, values, { mask: true })).toBe(`PW${MASK},1234`);
+  });
+
+  test('still validates a masked secret', () => {
+    const error = templateError(() => renderTemplate('PW{password:digits:4}', { password: 'abcd' }, { mask: true }));
+
+    expect(error.errors).toEqual({ password: 'must contain only digits' });
+  });
+});
+
+describe('usesSecret / describeTemplate', () => {
+  test('tells whether a template needs the device password', () => {
+    expect(usesSecret('PW{password},STATUS#')).toBe(true);
+    expect(usesSecret('STATUS#')).toBe(false);
+  });
+
+  test('describes the placeholders for the send form', () => {
+    expect(describeTemplate('{password:digits:6},{mode:enum:on|off},{interval:int},{tries:int:1-5}')).toEqual([
+      { name: 'password', type: 'digits', constraint: '6', secret: true, min: 6, max: 6 },
+      { name: 'mode', type: 'enum', constraint: 'on|off', secret: false, options: ['on', 'off'] },
+      { name: 'interval', type: 'int', constraint: null, secret: false },
+      { name: 'tries', type: 'int', constraint: '1-5', secret: false, min: 1, max: 5 }
+    ]);
+  });
+});